@@ -19,6 +19,7 @@ import NotificationsPage from './pages/NotificationsPage.jsx';
 import StatusRequestsPage from './pages/StatusRequestsPage.jsx';
 import TaskReportsPage from './pages/TaskReportsPage.jsx';
 import MessagesPage from './pages/MessagesPage.jsx';
+import TrashPage from './pages/TrashPage.jsx';
 
 // Component Imports with .jsx extension
 import Layout from './components/Layout.jsx';
@@ -83,6 +84,7 @@ function App() {
           <Route path="/task-reports" element={<ProtectedRoute><Layout><TaskReportsPage /></Layout></ProtectedRoute>} />
           <Route path="/messages" element={<ProtectedRoute><Layout><MessagesPage /></Layout></ProtectedRoute>} />
           <Route path="/notifications" element={<ProtectedRoute><Layout><NotificationsPage /></Layout></ProtectedRoute>} />
+          <Route path="/trash" element={<ProtectedRoute><Layout><TrashPage /></Layout></ProtectedRoute>} />
           <Route path="/team" element={<ProtectedRoute><Layout><TeamPage /></Layout></ProtectedRoute>} />
           <Route path="/settings" element={<ProtectedRoute><Layout><SettingsPage /></Layout></ProtectedRoute>} />
         </Routes>
@@ -0,0 +1,50 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { ASSIGNEE_ROLES } from '../utils/assignees';
+import './AssigneePicker.css';
+
+// Edits a task's assignees ([{ user: id, role }]) from the people on its project.
+// The first person added becomes the owner; there is only ever one.
+const AssigneePicker = ({ value = [], people = [], onChange, id }) => {
+    const nameOf = (userId) => people.find(person => person._id === userId)?.name || 'Unknown user';
+    const available = people.filter(person => !value.some(assignee => assignee.user === person._id));
+    const hasOwner = value.some(assignee => assignee.role === 'owner');
+
+    const addAssignee = (userId) => {
+        if (!userId) return;
+        onChange([...value, { user: userId, role: hasOwner ? 'contributor' : 'owner' }]);
+    };
+
+    // Making someone the owner hands over ownership from the current one
+    const changeRole = (userId, role) => onChange(value.map(assignee => {
+        if (assignee.user === userId) return { ...assignee, role };
+        return role === 'owner' && assignee.role === 'owner' ? { ...assignee, role: 'contributor' } : assignee;
+    }));
+
+    const removeAssignee = (userId) => onChange(value.filter(assignee => assignee.user !== userId));
+
+    return (
+        <div className="assignee-picker">
+            {value.map(assignee => (
+                <div key={assignee.user} className="assignee-row">
+                    <span className="assignee-name">{nameOf(assignee.user)}</span>
+                    <select value={assignee.role} onChange={(e) => changeRole(assignee.user, e.target.value)}>
+                        {ASSIGNEE_ROLES.map(role => <option key={role.value} value={role.value}>{role.label}</option>)}
+                    </select>
+                    <button type="button" onClick={() => removeAssignee(assignee.user)} title="Remove assignee">
+                        <X size={14} />
+                    </button>
+                </div>
+            ))}
+            {value.length === 0 && <p className="field-hint">Nobody is assigned.</p>}
+            {available.length > 0 && (
+                <select id={id} value="" onChange={(e) => addAssignee(e.target.value)}>
+                    <option value="">Add assignee…</option>
+                    {available.map(person => <option key={person._id} value={person._id}>{person.name}</option>)}
+                </select>
+            )}
+        </div>
+    );
+};
+
+export default AssigneePicker;
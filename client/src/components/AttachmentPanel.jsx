@@ -0,0 +1,98 @@
+import React, { useState, useRef } from 'react';
+import { Paperclip, Download, Trash2, Upload } from 'lucide-react';
+import { uploadTaskAttachment, downloadTaskAttachment, deleteTaskAttachment } from '../services/api';
+import { useAuth } from '../context/AuthContext.jsx';
+
+const formatSize = (bytes) => {
+    if (!bytes && bytes !== 0) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Files attached to a task; uploads and deletes are saved immediately
+const AttachmentPanel = ({ task, isManager, onChange }) => {
+    const { user } = useAuth();
+    const [attachments, setAttachments] = useState(task.attachments || []);
+    const [isUploading, setIsUploading] = useState(false);
+    const [error, setError] = useState('');
+    const fileInputRef = useRef(null);
+
+    const handleUpload = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        setIsUploading(true);
+        setError('');
+        try {
+            const res = await uploadTaskAttachment(task._id, file);
+            setAttachments(res.data || []);
+            onChange?.();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to upload file');
+        } finally {
+            setIsUploading(false);
+            e.target.value = '';
+        }
+    };
+
+    const handleDownload = async (attachment) => {
+        try {
+            const res = await downloadTaskAttachment(task._id, attachment._id);
+            const url = URL.createObjectURL(res.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = attachment.name;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Failed to download attachment:', err);
+            setError('Failed to download file');
+        }
+    };
+
+    const handleDelete = async (attachment) => {
+        if (!window.confirm(`Delete "${attachment.name}"?`)) return;
+        try {
+            await deleteTaskAttachment(task._id, attachment._id);
+            setAttachments(prev => prev.filter(a => a._id !== attachment._id));
+            onChange?.();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to delete file');
+        }
+    };
+
+    const canDelete = (attachment) =>
+        isManager || (attachment.uploadedBy?._id || attachment.uploadedBy) === user?._id;
+
+    return (
+        <div className="attachment-panel">
+            <ul className="subtask-list">
+                {attachments.map(attachment => (
+                    <li key={attachment._id} className="subtask-item">
+                        <Paperclip size={14} />
+                        <span className="subtask-title">{attachment.name}</span>
+                        <span className="attachment-meta">
+                            {formatSize(attachment.size)}
+                            {attachment.uploadedBy?.name && ` · ${attachment.uploadedBy.name}`}
+                        </span>
+                        <button type="button" className="icon-button" onClick={() => handleDownload(attachment)} title="Download">
+                            <Download size={14} />
+                        </button>
+                        {canDelete(attachment) && (
+                            <button type="button" className="icon-button" onClick={() => handleDelete(attachment)} title="Delete file">
+                                <Trash2 size={14} />
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            <input ref={fileInputRef} type="file" hidden onChange={handleUpload} />
+            <button type="button" className="btn-secondary" onClick={() => fileInputRef.current?.click()} disabled={isUploading}>
+                <Upload size={16} /> {isUploading ? 'Uploading…' : 'Attach file'}
+            </button>
+            {error && <p className="error-message">{error}</p>}
+        </div>
+    );
+};
+
+export default AttachmentPanel;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Save, Trash2, Columns, Bookmark } from 'lucide-react';
+import { BOARD_GROUPINGS } from '../utils/taskFilters';
+import './BoardViewSwitcher.css';
+
+const BoardViewSwitcher = ({
+    views,
+    activeView,
+    currentUserId,
+    projects,
+    groupBy,
+    onGroupByChange,
+    columnKeys,
+    visibleColumns,
+    onVisibleColumnsChange,
+    onSelect,
+    onSave,
+    onDelete
+}) => {
+    const [isSaving, setIsSaving] = useState(false);
+    const [showColumns, setShowColumns] = useState(false);
+    const [newView, setNewView] = useState({ name: '', project: '' });
+
+    const personalViews = views.filter(view => !view.project);
+    const sharedViews = views.filter(view => view.project);
+    const isOwner = activeView && (activeView.owner?._id || activeView.owner) === currentUserId;
+
+    const isColumnVisible = (key) => visibleColumns.length === 0 || visibleColumns.includes(key);
+
+    const toggleColumn = (key) => {
+        const current = visibleColumns.length === 0 ? columnKeys : visibleColumns;
+        const next = current.includes(key) ? current.filter(k => k !== key) : [...current, key];
+        // Showing every column is stored as "no restriction"
+        onVisibleColumnsChange(columnKeys.every(k => next.includes(k)) ? [] : next);
+    };
+
+    const handleSaveAs = async (e) => {
+        e.preventDefault();
+        if (!newView.name.trim()) return;
+        await onSave({ name: newView.name.trim(), project: newView.project || null });
+        setNewView({ name: '', project: '' });
+        setIsSaving(false);
+    };
+
+    return (
+        <div className="board-view-switcher">
+            <Bookmark size={16} />
+            <select value={activeView?._id || ''} onChange={(e) => onSelect(e.target.value)}>
+                <option value="">Default board</option>
+                {personalViews.length > 0 && (
+                    <optgroup label="My views">
+                        {personalViews.map(view => <option key={view._id} value={view._id}>{view.name}</option>)}
+                    </optgroup>
+                )}
+                {sharedViews.length > 0 && (
+                    <optgroup label="Shared views">
+                        {sharedViews.map(view => (
+                            <option key={view._id} value={view._id}>{view.name} ({view.project.name})</option>
+                        ))}
+                    </optgroup>
+                )}
+            </select>
+
+            <label className="view-group-by">
+                Group by
+                <select value={groupBy} onChange={(e) => onGroupByChange(e.target.value)}>
+                    {BOARD_GROUPINGS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+            </label>
+
+            <div className="view-columns">
+                <button type="button" className="view-icon-btn" onClick={() => setShowColumns(prev => !prev)} title="Visible columns">
+                    <Columns size={16} />
+                </button>
+                {showColumns && (
+                    <div className="view-columns-menu">
+                        {columnKeys.map(key => (
+                            <label key={key}>
+                                <input type="checkbox" checked={isColumnVisible(key)} onChange={() => toggleColumn(key)} />
+                                {key}
+                            </label>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {isOwner && (
+                <button type="button" className="view-icon-btn" onClick={() => onSave(null)} title="Save changes to this view">
+                    <Save size={16} />
+                </button>
+            )}
+            {isOwner && (
+                <button type="button" className="view-icon-btn" onClick={() => onDelete(activeView)} title="Delete this view">
+                    <Trash2 size={16} />
+                </button>
+            )}
+
+            {isSaving ? (
+                <form className="view-save-form" onSubmit={handleSaveAs}>
+                    <input
+                        value={newView.name}
+                        onChange={(e) => setNewView(prev => ({ ...prev, name: e.target.value }))}
+                        placeholder="View name"
+                        autoFocus
+                    />
+                    <select value={newView.project} onChange={(e) => setNewView(prev => ({ ...prev, project: e.target.value }))}>
+                        <option value="">Only me</option>
+                        {projects.map(p => <option key={p._id} value={p._id}>Share with {p.name}</option>)}
+                    </select>
+                    <button type="submit" className="btn-primary">Save</button>
+                    <button type="button" className="btn-secondary" onClick={() => setIsSaving(false)}>Cancel</button>
+                </form>
+            ) : (
+                <button type="button" className="btn-secondary view-save-as" onClick={() => setIsSaving(true)}>
+                    Save as view…
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default BoardViewSwitcher;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { X, Trash2, Check } from 'lucide-react';
+import './BulkActionBar.css';
+
+const BulkActionBar = ({ count, statuses, team, projects, onApply, onClear }) => {
+    const [changes, setChanges] = useState({
+        status: '',
+        owner: '',
+        priority: '',
+        shiftDueDays: '',
+        addTags: '',
+        removeTags: '',
+        project: '',
+        assigneeAction: ''
+    });
+    const [isApplying, setIsApplying] = useState(false);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setChanges(prev => ({ ...prev, [name]: value }));
+    };
+
+    const splitTags = (value) => value.split(',').map(t => t.trim()).filter(Boolean);
+
+    const buildPayload = () => {
+        const payload = {};
+        if (changes.status) payload.status = changes.status;
+        // Hands the tasks to one person, replacing their current assignees
+        if (changes.owner) payload.assignees = [{ user: changes.owner, role: 'owner' }];
+        if (changes.priority) payload.priority = changes.priority;
+        if (changes.shiftDueDays) payload.shiftDueDays = parseInt(changes.shiftDueDays);
+        if (changes.addTags) payload.addTags = splitTags(changes.addTags);
+        if (changes.removeTags) payload.removeTags = splitTags(changes.removeTags);
+        if (changes.project) {
+            payload.project = changes.project;
+            if (changes.assigneeAction) payload.assigneeAction = changes.assigneeAction;
+        }
+        return payload;
+    };
+
+    const run = async (action, payload) => {
+        setIsApplying(true);
+        try {
+            await onApply(action, payload);
+        } finally {
+            setIsApplying(false);
+        }
+    };
+
+    const handleApply = () => {
+        const payload = buildPayload();
+        if (Object.keys(payload).length === 0) return;
+        run('update', payload);
+    };
+
+    const handleDelete = () => {
+        if (!window.confirm(`Move ${count} selected task(s) to the trash? Subtasks go with them.`)) return;
+        run('delete', {});
+    };
+
+    return (
+        <div className="bulk-action-bar">
+            <span className="bulk-count">{count} selected</span>
+            <select name="status" value={changes.status} onChange={handleChange}>
+                <option value="">Status…</option>
+                {statuses.map(state => <option key={state.name} value={state.name}>{state.name}</option>)}
+            </select>
+            <select name="owner" value={changes.owner} onChange={handleChange} title="Replaces the current assignees">
+                <option value="">Assign to…</option>
+                {team.map(member => <option key={member._id} value={member._id}>{member.name}</option>)}
+            </select>
+            <select name="priority" value={changes.priority} onChange={handleChange}>
+                <option value="">Priority…</option>
+                <option>Low</option><option>Medium</option><option>High</option>
+            </select>
+            <input name="shiftDueDays" type="number" value={changes.shiftDueDays} onChange={handleChange} placeholder="Shift due (days)" />
+            <input name="addTags" value={changes.addTags} onChange={handleChange} placeholder="Add tags" />
+            <input name="removeTags" value={changes.removeTags} onChange={handleChange} placeholder="Remove tags" />
+            <select name="project" value={changes.project} onChange={handleChange}>
+                <option value="">Move to project…</option>
+                {projects.map(p => <option key={p._id} value={p._id}>{p.name}</option>)}
+            </select>
+            {changes.project && (
+                <select name="assigneeAction" value={changes.assigneeAction} onChange={handleChange} title="Assignees who aren't on the target project">
+                    <option value="">Outside assignees…</option>
+                    <option value="unassign">Unassign them</option>
+                    <option value="addMember">Add them to the project</option>
+                </select>
+            )}
+            <button className="btn-primary" onClick={handleApply} disabled={isApplying}>
+                <Check size={16} /> Apply
+            </button>
+            <button className="bulk-delete-btn" onClick={handleDelete} disabled={isApplying} title="Delete selected">
+                <Trash2 size={16} />
+            </button>
+            <button className="bulk-clear-btn" onClick={onClear} title="Clear selection">
+                <X size={16} />
+            </button>
+        </div>
+    );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { Send, CornerDownRight, Edit3, Trash2, SmilePlus } from 'lucide-react';
+import MentionInput from './MentionInput.jsx';
+import MentionText from './MentionText.jsx';
+import './CommentThread.css';
+
+// Mirrors COMMENT_REACTIONS on the server
+const REACTIONS = ['👍', '👎', '😄', '🎉', '😕', '❤️', '🚀', '👀'];
+
+const CommentItem = ({ comment, replies, actions, candidates, currentUserId, canModerate, onUpdated, onError }) => {
+    const [mode, setMode] = useState(null); // null, 'edit' or 'reply'
+    const [draft, setDraft] = useState('');
+    const [showHistory, setShowHistory] = useState(false);
+    const [showReactions, setShowReactions] = useState(false);
+    const isAuthor = (comment.user?._id || comment.user) === currentUserId;
+    const isDeleted = Boolean(comment.deletedAt);
+
+    const run = async (action) => {
+        try {
+            await action();
+        } catch (err) {
+            onError(err.response?.data?.error || err.message || 'Comment action failed');
+        }
+    };
+
+    const startEdit = () => { setDraft(comment.text); setMode('edit'); };
+    const startReply = () => { setDraft(''); setMode('reply'); };
+
+    const handleSubmit = () => run(async () => {
+        if (!draft.trim()) return;
+        if (mode === 'edit') {
+            onUpdated(await actions.edit(comment._id, draft.trim()));
+        } else {
+            onUpdated(await actions.add(draft.trim(), comment._id));
+        }
+        setMode(null);
+    });
+
+    const handleDelete = () => run(async () => {
+        if (!window.confirm('Delete this comment?')) return;
+        onUpdated(await actions.remove(comment._id));
+    });
+
+    const handleReact = (emoji) => run(async () => {
+        setShowReactions(false);
+        onUpdated(await actions.react(comment._id, emoji));
+    });
+
+    return (
+        <li className={`comment-thread-item ${comment.parentComment ? 'reply' : ''}`}>
+            <div className="comment-thread-meta">
+                <strong>{comment.user?.name || 'User'}</strong> • {new Date(comment.createdAt).toLocaleString()}
+                {comment.editedAt && !isDeleted && (
+                    <button type="button" className="comment-edited" onClick={() => setShowHistory(prev => !prev)}>
+                        (edited)
+                    </button>
+                )}
+            </div>
+
+            {mode === 'edit' ? (
+                <MentionInput value={draft} onChange={setDraft} candidates={candidates} rows={2} />
+            ) : (
+                <div className={`comment-thread-text ${isDeleted ? 'deleted' : ''}`}>
+                    {isDeleted ? 'This comment was deleted.' : <MentionText text={comment.text} mentions={comment.mentions} />}
+                </div>
+            )}
+
+            {showHistory && comment.editHistory?.length > 0 && (
+                <ul className="comment-history">
+                    {[...comment.editHistory].reverse().map(version => (
+                        <li key={version._id || version.editedAt}>
+                            <span>{new Date(version.editedAt).toLocaleString()}</span>
+                            {version.text}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {!isDeleted && (
+                <div className="comment-thread-actions">
+                    {comment.reactions?.map(reaction => (
+                        <button
+                            type="button"
+                            key={reaction.emoji}
+                            className={`comment-reaction ${reaction.users.some(u => (u._id || u) === currentUserId) ? 'mine' : ''}`}
+                            onClick={() => handleReact(reaction.emoji)}
+                        >
+                            {reaction.emoji} {reaction.users.length}
+                        </button>
+                    ))}
+                    <div className="comment-reaction-picker">
+                        <button type="button" onClick={() => setShowReactions(prev => !prev)} title="Add reaction">
+                            <SmilePlus size={14} />
+                        </button>
+                        {showReactions && (
+                            <div className="comment-reaction-menu">
+                                {REACTIONS.map(emoji => (
+                                    <button type="button" key={emoji} onClick={() => handleReact(emoji)}>{emoji}</button>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                    {!comment.parentComment && (
+                        <button type="button" onClick={startReply} title="Reply"><CornerDownRight size={14} /></button>
+                    )}
+                    {isAuthor && <button type="button" onClick={startEdit} title="Edit"><Edit3 size={14} /></button>}
+                    {(isAuthor || canModerate) && (
+                        <button type="button" onClick={handleDelete} title="Delete"><Trash2 size={14} /></button>
+                    )}
+                </div>
+            )}
+
+            {mode === 'reply' && (
+                <MentionInput value={draft} onChange={setDraft} candidates={candidates} rows={2} placeholder="Write a reply" />
+            )}
+            {mode && (
+                <div className="comment-thread-edit-actions">
+                    <button type="button" className="btn-secondary" onClick={() => setMode(null)}>Cancel</button>
+                    <button type="button" className="btn-primary" onClick={handleSubmit} disabled={!draft.trim()}>
+                        {mode === 'edit' ? 'Save' : 'Reply'}
+                    </button>
+                </div>
+            )}
+
+            {replies.length > 0 && (
+                <ul className="comment-thread-replies">
+                    {replies.map(reply => (
+                        <CommentItem
+                            key={reply._id}
+                            comment={reply}
+                            replies={[]}
+                            actions={actions}
+                            candidates={candidates}
+                            currentUserId={currentUserId}
+                            canModerate={canModerate}
+                            onUpdated={onUpdated}
+                            onError={onError}
+                        />
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+};
+
+// Threaded comments with replies, edits, soft deletes and reactions.
+// `actions` = { add(text, parentComment), edit(id, text), remove(id), react(id, emoji) },
+// each resolving to the saved comment.
+const CommentThread = ({ comments, onChange, actions, candidates = [], currentUserId, canModerate, placeholder }) => {
+    const [text, setText] = useState('');
+    const [isPosting, setIsPosting] = useState(false);
+    const [error, setError] = useState('');
+
+    // Replace a comment in the list, or add it when new
+    const handleUpdated = (saved) => {
+        setError('');
+        const exists = comments.some(c => c._id === saved._id);
+        onChange(exists ? comments.map(c => c._id === saved._id ? saved : c) : [saved, ...comments]);
+    };
+
+    const handlePost = async () => {
+        if (!text.trim()) return;
+        setIsPosting(true);
+        try {
+            handleUpdated(await actions.add(text.trim()));
+            setText('');
+        } catch (err) {
+            setError(err.response?.data?.error || err.message || 'Failed to post comment');
+        } finally {
+            setIsPosting(false);
+        }
+    };
+
+    const topLevel = comments.filter(c => !c.parentComment);
+    // Replies read oldest first under their parent
+    const repliesOf = (id) => comments.filter(c => c.parentComment === id)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    return (
+        <div className="comment-thread">
+            <div className="comment-thread-compose">
+                <MentionInput
+                    value={text}
+                    onChange={setText}
+                    candidates={candidates}
+                    placeholder={placeholder || 'Add a comment — type @ to mention someone'}
+                    rows={2}
+                    disabled={isPosting}
+                />
+                <button type="button" className="btn-secondary" onClick={handlePost} disabled={isPosting || !text.trim()}>
+                    <Send size={16} />
+                </button>
+            </div>
+            {error && <p className="error-message">{error}</p>}
+            {topLevel.length === 0 && <div className="comment-thread-empty">No comments yet.</div>}
+            <ul className="comment-thread-list">
+                {topLevel.map(comment => (
+                    <CommentItem
+                        key={comment._id}
+                        comment={comment}
+                        replies={repliesOf(comment._id)}
+                        actions={actions}
+                        candidates={candidates}
+                        currentUserId={currentUserId}
+                        canModerate={canModerate}
+                        onUpdated={handleUpdated}
+                        onError={setError}
+                    />
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default CommentThread;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { formatConflictValue } from '../utils/conflicts';
+import './ConflictPrompt.css';
+
+// Shown when a save hits someone else's newer changes: lists the fields that
+// differ and lets the user merge, overwrite or take the latest version
+const ConflictPrompt = ({ label, conflicts = [], fieldLabels = {}, onMerge, onOverwrite, onDiscard }) => (
+    <div className="conflict-prompt">
+        <p className="conflict-title">
+            <AlertTriangle size={16} />
+            Someone else changed this {label} while you were editing it.
+        </p>
+        {conflicts.length > 0 && (
+            <table className="conflict-table">
+                <thead>
+                    <tr><th>Field</th><th>Yours</th><th>Latest</th></tr>
+                </thead>
+                <tbody>
+                    {conflicts.map(conflict => (
+                        <tr key={conflict.field}>
+                            <td>{fieldLabels[conflict.field] || conflict.field}</td>
+                            <td>{formatConflictValue(conflict.yours)}</td>
+                            <td>{formatConflictValue(conflict.current)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        )}
+        <div className="conflict-actions">
+            <button type="button" className="btn-secondary" onClick={onMerge} title="Take their changes to fields you didn't edit, then review">
+                Merge
+            </button>
+            <button type="button" className="btn-secondary" onClick={onOverwrite} title="Save your values over theirs">
+                Overwrite
+            </button>
+            <button type="button" className="conflict-link" onClick={onDiscard}>
+                Discard mine
+            </button>
+        </div>
+    </div>
+);
+
+export default ConflictPrompt;
@@ -1,22 +1,30 @@
 
 import React, { useState, useEffect } from 'react';
 import { createProject, getTeamMembers } from '../services/api.js';
+import { tagsApi } from '../services/apiClient.js';
+import TagInput from './TagInput.jsx';
+import { uniqueTags } from '../utils/tags';
 import './CreateProjectModal.css';
 
 const CreateProjectModal = ({ projects, setProjects, setShowModal }) => {
     const [team, setTeam] = useState([]);
     const [error, setError] = useState('');
+    const [tags, setTags] = useState([]);
+    const [tagCatalog, setTagCatalog] = useState([]);
 
     useEffect(() => {
         getTeamMembers()
           .then(res => setTeam(res.data))
           .catch(err => console.error("Could not fetch team members", err));
+        // A new project has no catalog yet, so suggest tags used across existing ones
+        tagsApi.list()
+          .then(data => setTagCatalog(uniqueTags(data.tags || [])))
+          .catch(err => console.error("Could not fetch tags", err));
     }, []);
 
     const handleSubmit = async (e) => {
         e.preventDefault();
         const selectedMembers = Array.from(e.target.members.selectedOptions, option => option.value);
-        const tags = e.target.tags.value.split(',').map(tag => tag.trim()).filter(tag => tag);
         
         const newProject = {
             name: e.target.name.value,
@@ -91,10 +99,12 @@ const CreateProjectModal = ({ projects, setProjects, setShowModal }) => {
                     
                     <div className="form-grid">
                         <div className="input-group form-grid-full">
-                            <label>Tags (comma-separated)</label>
-                            <input 
-                                name="tags" 
-                                placeholder="web, react, nodejs, ecommerce" 
+                            <label>Tags</label>
+                            <TagInput
+                                value={tags}
+                                onChange={setTags}
+                                catalog={tagCatalog}
+                                placeholder="web, react, nodejs, ecommerce"
                             />
                         </div>
                     </div>
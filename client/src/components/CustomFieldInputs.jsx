@@ -0,0 +1,71 @@
+import React from 'react';
+import { hasOptions } from '../utils/customFields';
+
+// Inputs for a project's custom task fields; `values` come from toCustomFieldForm
+const CustomFieldInputs = ({ fields, values, onChange, people = [] }) => {
+    const update = (key, value) => onChange({ ...values, [key]: value });
+
+    const toggleOption = (field, option) => {
+        const selected = values[field.key] || [];
+        update(field.key, selected.includes(option)
+            ? selected.filter(o => o !== option)
+            : [...selected, option]);
+    };
+
+    const renderInput = (field) => {
+        const id = `custom-field-${field.key}`;
+        const value = values[field.key] ?? '';
+
+        if (field.type === 'multiselect') {
+            return (
+                <div className="custom-field-options">
+                    {field.options.map(option => (
+                        <label key={option}>
+                            <input
+                                type="checkbox"
+                                checked={(values[field.key] || []).includes(option)}
+                                onChange={() => toggleOption(field, option)}
+                            />
+                            {option}
+                        </label>
+                    ))}
+                </div>
+            );
+        }
+        if (hasOptions(field.type) || field.type === 'user') {
+            const options = field.type === 'user'
+                ? people.map(person => ({ value: person._id, label: person.name }))
+                : field.options.map(option => ({ value: option, label: option }));
+            return (
+                <select id={id} value={value} onChange={(e) => update(field.key, e.target.value)} required={field.required}>
+                    <option value="">{field.required ? `Select ${field.name}` : 'None'}</option>
+                    {options.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+            );
+        }
+        return (
+            <input
+                id={id}
+                type={field.type === 'text' ? 'text' : field.type}
+                value={value}
+                min={field.min ?? undefined}
+                max={field.max ?? undefined}
+                step={field.type === 'number' ? 'any' : undefined}
+                onChange={(e) => update(field.key, e.target.value)}
+                required={field.required}
+            />
+        );
+    };
+
+    return fields.map(field => (
+        <div key={field.key} className="form-group">
+            <label htmlFor={`custom-field-${field.key}`}>
+                {field.name}{field.required ? ' *' : ''}
+            </label>
+            {renderInput(field)}
+            {field.description && <p className="field-hint">{field.description}</p>}
+        </div>
+    ));
+};
+
+export default CustomFieldInputs;
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Save, ArrowUp, ArrowDown } from 'lucide-react';
+import { CUSTOM_FIELD_TYPES, hasOptions } from '../utils/customFields';
+import './WorkflowEditor.css';
+
+const toDraft = (field) => ({
+    key: field.key,
+    name: field.name,
+    type: field.type,
+    description: field.description || '',
+    required: Boolean(field.required),
+    options: (field.options || []).join(', '),
+    min: field.min ?? '',
+    max: field.max ?? ''
+});
+
+const CustomFieldsEditor = ({ project, onSave }) => {
+    const [fields, setFields] = useState(() => (project.customFields || []).map(toDraft));
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const updateField = (index, changes) => {
+        setFields(prev => prev.map((field, i) => i === index ? { ...field, ...changes } : field));
+    };
+
+    const moveField = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= fields.length) return;
+        setFields(prev => {
+            const next = [...prev];
+            [next[index], next[target]] = [next[target], next[index]];
+            return next;
+        });
+    };
+
+    const removeField = (index) => {
+        const field = fields[index];
+        // Saved fields take their task values with them
+        if (field.key && !window.confirm(`Remove "${field.name}"? Its values will be cleared from every task.`)) return;
+        setFields(prev => prev.filter((_, i) => i !== index));
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setError('');
+        setSuccess('');
+        try {
+            const saved = await onSave(fields.map(field => ({
+                // New fields get their key from the name on the server
+                ...(field.key ? { key: field.key } : {}),
+                name: field.name.trim(),
+                type: field.type,
+                description: field.description.trim(),
+                required: field.required,
+                options: hasOptions(field.type) ? field.options.split(',').map(o => o.trim()).filter(Boolean) : [],
+                min: field.type === 'number' ? field.min : '',
+                max: field.type === 'number' ? field.max : ''
+            })));
+            setFields(saved.map(toDraft));
+            setSuccess('Custom fields saved');
+        } catch (err) {
+            setError(err.body?.error || err.message || 'Failed to save custom fields');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="workflow-editor">
+            {fields.length === 0 && <p className="custom-fields-empty">No custom fields yet. Add one to track extra details on this project's tasks.</p>}
+            {fields.map((field, index) => (
+                <div key={field.key || `new-${index}`} className="workflow-state custom-field-definition">
+                    <div className="workflow-state-row">
+                        <input value={field.name} onChange={(e) => updateField(index, { name: e.target.value })} placeholder="Field name" />
+                        <select
+                            value={field.type}
+                            onChange={(e) => updateField(index, { type: e.target.value })}
+                            title={field.key ? 'Changing the type clears existing values' : undefined}
+                        >
+                            {CUSTOM_FIELD_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+                        </select>
+                        <button type="button" onClick={() => moveField(index, -1)} disabled={index === 0} title="Move up"><ArrowUp size={14} /></button>
+                        <button type="button" onClick={() => moveField(index, 1)} disabled={index === fields.length - 1} title="Move down"><ArrowDown size={14} /></button>
+                        <button type="button" onClick={() => removeField(index)} title="Remove field"><Trash2 size={14} /></button>
+                    </div>
+                    <div className="workflow-wip-limits">
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={field.required}
+                                onChange={(e) => updateField(index, { required: e.target.checked })}
+                            />
+                            Required
+                        </label>
+                        {hasOptions(field.type) && (
+                            <label className="custom-field-wide">
+                                Options
+                                <input
+                                    value={field.options}
+                                    onChange={(e) => updateField(index, { options: e.target.value })}
+                                    placeholder="Comma-separated, e.g. Low, Medium, High"
+                                />
+                            </label>
+                        )}
+                        {field.type === 'number' && (
+                            <>
+                                <label>
+                                    Min
+                                    <input type="number" value={field.min} onChange={(e) => updateField(index, { min: e.target.value })} placeholder="None" />
+                                </label>
+                                <label>
+                                    Max
+                                    <input type="number" value={field.max} onChange={(e) => updateField(index, { max: e.target.value })} placeholder="None" />
+                                </label>
+                            </>
+                        )}
+                        <label className="custom-field-wide">
+                            Help text
+                            <input
+                                value={field.description}
+                                onChange={(e) => updateField(index, { description: e.target.value })}
+                                placeholder="Optional"
+                            />
+                        </label>
+                    </div>
+                </div>
+            ))}
+            <div className="workflow-actions">
+                <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => setFields(prev => [...prev, toDraft({ name: '', type: 'text' })])}
+                >
+                    <Plus size={16} /> Add field
+                </button>
+                <button type="button" className="btn-secondary" onClick={handleSave} disabled={isSaving}>
+                    <Save size={16} /> {isSaving ? 'Saving...' : 'Save fields'}
+                </button>
+            </div>
+            {error && <p className="workflow-error">{error}</p>}
+            {success && <p className="workflow-success">{success}</p>}
+        </div>
+    );
+};
+
+export default CustomFieldsEditor;
@@ -0,0 +1,129 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, X, CheckSquare, FolderKanban, MessageSquare, FileText } from 'lucide-react';
+import { searchAll } from '../services/api';
+import './GlobalSearch.css';
+
+const TYPE_META = {
+    task: { label: 'Tasks', icon: CheckSquare },
+    project: { label: 'Projects', icon: FolderKanban },
+    comment: { label: 'Comments', icon: MessageSquare },
+    report: { label: 'Reports', icon: FileText }
+};
+
+const GlobalSearch = () => {
+    const navigate = useNavigate();
+    const [query, setQuery] = useState('');
+    const [type, setType] = useState('');
+    const [data, setData] = useState(null);
+    const [isSearching, setIsSearching] = useState(false);
+    const [isOpen, setIsOpen] = useState(false);
+    const containerRef = useRef(null);
+
+    // Debounce requests while typing; answers to an older query are ignored
+    useEffect(() => {
+        const q = query.trim();
+        if (q.length < 2) {
+            setData(null);
+            return;
+        }
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            setIsSearching(true);
+            searchAll(q, type)
+                .then(res => { if (!cancelled) setData(res.data); })
+                .catch(err => console.error('Search failed:', err))
+                .finally(() => { if (!cancelled) setIsSearching(false); });
+        }, 300);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+            setIsSearching(false);
+        };
+    }, [query, type]);
+
+    useEffect(() => {
+        const handleClickOutside = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    const handleSelect = (result) => {
+        setIsOpen(false);
+        setQuery('');
+        navigate(result.link);
+    };
+
+    const grouped = (data?.results || []).reduce((acc, result) => {
+        (acc[result.type] = acc[result.type] || []).push(result);
+        return acc;
+    }, {});
+
+    return (
+        <div className="global-search" ref={containerRef}>
+            <div className="global-search-input">
+                <Search size={16} />
+                <input
+                    value={query}
+                    onChange={(e) => { setQuery(e.target.value); setIsOpen(true); }}
+                    onFocus={() => setIsOpen(true)}
+                    onKeyDown={(e) => e.key === 'Escape' && setIsOpen(false)}
+                    placeholder="Search…"
+                />
+                {query && (
+                    <button onClick={() => setQuery('')} title="Clear search"><X size={14} /></button>
+                )}
+            </div>
+
+            {isOpen && query.trim().length >= 2 && (
+                <div className="global-search-results">
+                    {data && (
+                        <div className="search-facets">
+                            <button className={type === '' ? 'active' : ''} onClick={() => setType('')}>
+                                All
+                            </button>
+                            {Object.entries(TYPE_META).map(([key, meta]) => (
+                                <button
+                                    key={key}
+                                    className={type === key ? 'active' : ''}
+                                    onClick={() => setType(type === key ? '' : key)}
+                                >
+                                    {meta.label} ({data.facets[key]})
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {isSearching && !data && <div className="search-empty">Searching…</div>}
+                    {data && data.results.length === 0 && <div className="search-empty">No results for "{data.query}"</div>}
+                    {Object.entries(TYPE_META).filter(([key]) => grouped[key]).map(([key, meta]) => {
+                        const Icon = meta.icon;
+                        return (
+                            <div key={key} className="search-group">
+                                <div className="search-group-title">{meta.label}</div>
+                                {grouped[key].map(result => (
+                                    <button key={`${key}-${result.id}`} className="search-result" onClick={() => handleSelect(result)}>
+                                        <Icon size={16} />
+                                        <div className="search-result-body">
+                                            <div className="search-result-title">
+                                                {result.title}
+                                                {result.project && <span className="search-result-meta"> · {result.project}</span>}
+                                                {result.author && <span className="search-result-meta"> · {result.author}</span>}
+                                            </div>
+                                            {result.snippet && <div className="search-result-snippet">{result.snippet}</div>}
+                                        </div>
+                                    </button>
+                                ))}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default GlobalSearch;
@@ -1,8 +1,10 @@
 
 import React from 'react';
 import { NavLink, useNavigate } from 'react-router-dom';
-import { LayoutDashboard, FolderKanban, CheckSquare, Users, LogOut, Settings, Zap, Bell, Clock, FileText, MessageCircle } from 'lucide-react';
+import { LayoutDashboard, FolderKanban, CheckSquare, Users, LogOut, Settings, Zap, Bell, Clock, FileText, MessageCircle, Trash2 } from 'lucide-react';
 import { useAuth } from '../context/AuthContext.jsx';
+import GlobalSearch from './GlobalSearch.jsx';
+import TimerWidget from './TimerWidget.jsx';
 import './Layout.css';
 
 const Layout = ({ children }) => {
@@ -25,6 +27,9 @@ const Layout = ({ children }) => {
                     <div className="company-name">Streamline</div>
                     <div className="company-tagline">Task Management</div>
                 </div>
+
+                <GlobalSearch />
+                <TimerWidget />
                 
                 <nav className="sidebar-nav">
                     <div className="sidebar-section">
@@ -63,6 +68,12 @@ const Layout = ({ children }) => {
                                 <span className="nav-text">Team</span>
                             </NavLink>
                         )}
+                        {isManager && (
+                            <NavLink to="/trash" className="nav-link">
+                                <Trash2 className="nav-icon" />
+                                <span className="nav-text">Trash</span>
+                            </NavLink>
+                        )}
                     </div>
                 </nav>
                 
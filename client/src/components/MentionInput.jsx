@@ -0,0 +1,88 @@
+import React, { useState, useRef } from 'react';
+import './MentionInput.css';
+
+const MAX_SUGGESTIONS = 6;
+
+// Textarea that suggests people after "@" and inserts "@Full Name"
+const MentionInput = ({ value, onChange, candidates = [], placeholder, rows = 3, disabled }) => {
+    const [query, setQuery] = useState(null);
+    const [highlighted, setHighlighted] = useState(0);
+    const textareaRef = useRef(null);
+
+    const suggestions = query === null ? [] : candidates
+        .filter(user => user.name.toLowerCase().split(/\s+/).some(part => part.startsWith(query)) ||
+                        user.name.toLowerCase().startsWith(query))
+        .slice(0, MAX_SUGGESTIONS);
+
+    // The "@..." being typed just before the caret, if any
+    const updateQuery = (text, caret) => {
+        const match = text.slice(0, caret).match(/(^|\s)@([\w.-]*(?: [\w.-]*)?)$/);
+        setQuery(match ? match[2].toLowerCase() : null);
+        setHighlighted(0);
+    };
+
+    const handleChange = (e) => {
+        onChange(e.target.value);
+        updateQuery(e.target.value, e.target.selectionStart);
+    };
+
+    const insertMention = (user) => {
+        const caret = textareaRef.current.selectionStart;
+        const before = value.slice(0, caret).replace(/@[\w.-]*(?: [\w.-]*)?$/, `@${user.name} `);
+        const next = before + value.slice(caret);
+        onChange(next);
+        setQuery(null);
+        requestAnimationFrame(() => {
+            textareaRef.current.focus();
+            textareaRef.current.setSelectionRange(before.length, before.length);
+        });
+    };
+
+    const handleKeyDown = (e) => {
+        if (suggestions.length === 0) return;
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setHighlighted(prev => (prev + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setHighlighted(prev => (prev - 1 + suggestions.length) % suggestions.length);
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            insertMention(suggestions[highlighted]);
+        } else if (e.key === 'Escape') {
+            setQuery(null);
+        }
+    };
+
+    return (
+        <div className="mention-input">
+            <textarea
+                ref={textareaRef}
+                value={value}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                onBlur={() => setTimeout(() => setQuery(null), 150)}
+                placeholder={placeholder}
+                rows={rows}
+                disabled={disabled}
+            />
+            {suggestions.length > 0 && (
+                <ul className="mention-suggestions">
+                    {suggestions.map((user, index) => (
+                        <li
+                            key={user._id}
+                            className={index === highlighted ? 'active' : ''}
+                            onMouseDown={(e) => { e.preventDefault(); insertMention(user); }}
+                        >
+                            <span className="mention-avatar">{user.name.charAt(0).toUpperCase()}</span>
+                            <span>{user.name}</span>
+                            {user.email && <span className="mention-email">{user.email}</span>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default MentionInput;
@@ -0,0 +1,19 @@
+import React from 'react';
+
+// Comment text with resolved @mentions highlighted
+const MentionText = ({ text, mentions = [] }) => {
+    const names = mentions.map(m => m?.name).filter(Boolean).sort((a, b) => b.length - a.length);
+    if (names.length === 0) return <>{text}</>;
+
+    const escaped = names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const parts = text.split(new RegExp(`(@(?:${escaped.join('|')}))`, 'gi'));
+    return (
+        <>
+            {parts.map((part, index) => index % 2 === 1
+                ? <span key={index} className="mention">{part}</span>
+                : part)}
+        </>
+    );
+};
+
+export default MentionText;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Edit, Trash2, ChevronDown, ChevronRight, Flag } from 'lucide-react';
+import { milestonesApi } from '../services/apiClient.js';
+import { MILESTONE_STATUS_LABELS, toDateInput } from '../utils/milestones';
+import { formatAssignees } from '../utils/assignees';
+import './MilestonePanel.css';
+
+const EMPTY_DRAFT = { name: '', targetDate: '', description: '', taskIds: [] };
+
+// Project milestones with progress from their linked tasks
+const MilestonePanel = ({ projectId, tasks = [], canManage, onChange }) => {
+    const [milestones, setMilestones] = useState([]);
+    const [expanded, setExpanded] = useState({});
+    // { id?, name, targetDate, description, taskIds } while creating or editing
+    const [draft, setDraft] = useState(null);
+    const [error, setError] = useState('');
+
+    const load = useCallback(async () => {
+        try {
+            const data = await milestonesApi.list(projectId);
+            setMilestones(data.milestones || []);
+        } catch (err) {
+            setError(err.message || 'Failed to load milestones');
+        }
+    }, [projectId]);
+
+    useEffect(() => { load(); }, [load]);
+
+    const run = async (action) => {
+        setError('');
+        try {
+            await action();
+            await load();
+            onChange?.();
+        } catch (err) {
+            setError(err.body?.error || err.message || 'Milestone update failed');
+        }
+    };
+
+    const editMilestone = (milestone) => setDraft({
+        id: milestone._id,
+        name: milestone.name,
+        targetDate: toDateInput(milestone.targetDate),
+        description: milestone.description || '',
+        taskIds: milestone.tasks.map(task => task._id)
+    });
+
+    const toggleTask = (taskId) => setDraft(prev => ({
+        ...prev,
+        taskIds: prev.taskIds.includes(taskId) ? prev.taskIds.filter(id => id !== taskId) : [...prev.taskIds, taskId]
+    }));
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        const { id, ...data } = draft;
+        run(async () => {
+            if (id) await milestonesApi.update(id, data);
+            else await milestonesApi.create({ project: projectId, ...data });
+            setDraft(null);
+        });
+    };
+
+    const handleDelete = (milestone) => {
+        if (!window.confirm(`Delete milestone "${milestone.name}"? Its tasks stay in the project.`)) return;
+        run(() => milestonesApi.remove(milestone._id));
+    };
+
+    // Tasks already linked to another milestone are listed after the free ones
+    const linkableTasks = [...tasks.filter(task => !task.parentTask)].sort((a, b) =>
+        Boolean(a.milestone && a.milestone !== draft?.id) - Boolean(b.milestone && b.milestone !== draft?.id));
+
+    return (
+        <div className="milestone-panel">
+            {milestones.length === 0 && !draft && <p className="milestone-empty">No milestones yet.</p>}
+            {milestones.map(milestone => (
+                <div key={milestone._id} className={`milestone-row ${milestone.status}`}>
+                    <div className="milestone-header">
+                        <button
+                            type="button"
+                            className="milestone-toggle"
+                            onClick={() => setExpanded(prev => ({ ...prev, [milestone._id]: !prev[milestone._id] }))}
+                        >
+                            {expanded[milestone._id] ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                            <Flag size={14} />
+                            <strong>{milestone.name}</strong>
+                        </button>
+                        <span className={`milestone-status ${milestone.status}`}>{MILESTONE_STATUS_LABELS[milestone.status]}</span>
+                        <span className="milestone-date">{new Date(milestone.targetDate).toLocaleDateString()}</span>
+                        {canManage && (
+                            <div className="milestone-actions">
+                                <button type="button" className="milestone-icon-btn" onClick={() => editMilestone(milestone)} title="Edit milestone"><Edit size={14} /></button>
+                                <button type="button" className="milestone-icon-btn" onClick={() => handleDelete(milestone)} title="Delete milestone"><Trash2 size={14} /></button>
+                            </div>
+                        )}
+                    </div>
+                    <div className="milestone-progress">
+                        <div className="milestone-bar"><div style={{ width: `${milestone.progress}%` }} /></div>
+                        <span>{milestone.completedTasks}/{milestone.totalTasks} tasks · {milestone.progress}%</span>
+                        {milestone.status !== 'completed' && milestone.totalTasks > 0 && (
+                            <span title="Hours left on open tasks against working hours before the target date">
+                                {milestone.openHours}h open / {milestone.remainingHours}h left
+                            </span>
+                        )}
+                    </div>
+                    {milestone.description && <p className="milestone-description">{milestone.description}</p>}
+                    {expanded[milestone._id] && (
+                        <ul className="milestone-tasks">
+                            {milestone.tasks.length === 0 && <li className="milestone-empty">No linked tasks</li>}
+                            {milestone.tasks.map(task => (
+                                <li key={task._id}>
+                                    <span>{task.title}</span>
+                                    <span className="milestone-task-meta">{task.status}{task.assignees?.length ? ` · ${formatAssignees(task)}` : ''}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            ))}
+
+            {canManage && !draft && (
+                <button type="button" className="btn-secondary milestone-add" onClick={() => setDraft(EMPTY_DRAFT)}>
+                    <Plus size={16} /> Add milestone
+                </button>
+            )}
+            {draft && (
+                <form className="milestone-form" onSubmit={handleSave}>
+                    <div className="milestone-form-row">
+                        <input value={draft.name} onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))} placeholder="Milestone name" required />
+                        <input type="date" value={draft.targetDate} onChange={(e) => setDraft(prev => ({ ...prev, targetDate: e.target.value }))} required />
+                    </div>
+                    <textarea
+                        value={draft.description}
+                        onChange={(e) => setDraft(prev => ({ ...prev, description: e.target.value }))}
+                        placeholder="Description (optional)"
+                        rows="2"
+                    />
+                    <div className="milestone-task-picker">
+                        <span>Linked tasks ({draft.taskIds.length})</span>
+                        {linkableTasks.map(task => (
+                            <label key={task._id}>
+                                <input type="checkbox" checked={draft.taskIds.includes(task._id)} onChange={() => toggleTask(task._id)} />
+                                {task.title}
+                                {task.milestone && task.milestone !== draft.id && (
+                                    <em> (in {milestones.find(m => m._id === task.milestone)?.name || 'another milestone'})</em>
+                                )}
+                            </label>
+                        ))}
+                    </div>
+                    <div className="milestone-form-row">
+                        <button type="submit" className="btn-secondary">{draft.id ? 'Save milestone' : 'Create milestone'}</button>
+                        <button type="button" className="milestone-link" onClick={() => setDraft(null)}>Cancel</button>
+                    </div>
+                </form>
+            )}
+
+            {error && <p className="milestone-error">{error}</p>}
+        </div>
+    );
+};
+
+export default MilestonePanel;
@@ -78,19 +78,24 @@ const MonitorProgress = ({ project, tasks = [] }) => {
   const calculateTeamPerformance = (tasks) => {
     const teamMap = {};
     tasks.forEach(task => {
-      const member = task.assignedTo?.name || 'Unassigned';
-      if (!teamMap[member]) {
-        teamMap[member] = { completed: 0, inProgress: 0, total: 0 };
-      }
-      teamMap[member].total++;
-      if (task.status === 'Done') teamMap[member].completed++;
-      if (task.status === 'In Progress') teamMap[member].inProgress++;
+      // A task shared by several assignees counts a fair share for each
+      const assignees = (task.assignees || []).filter(assignee => assignee.user);
+      const members = assignees.length > 0 ? assignees.map(assignee => assignee.user.name) : ['Unassigned'];
+      const credit = 1 / members.length;
+      members.forEach(member => {
+        if (!teamMap[member]) {
+          teamMap[member] = { completed: 0, inProgress: 0, total: 0 };
+        }
+        teamMap[member].total += credit;
+        if (task.status === 'Done') teamMap[member].completed += credit;
+        if (task.status === 'In Progress') teamMap[member].inProgress += credit;
+      });
     });
 
     return Object.entries(teamMap).map(([name, data]) => ({
       name,
-      completed: data.completed,
-      inProgress: data.inProgress,
+      completed: Math.round(data.completed * 10) / 10,
+      inProgress: Math.round(data.inProgress * 10) / 10,
       efficiency: data.total > 0 ? Math.round((data.completed / data.total) * 100) : 0
     }));
   };
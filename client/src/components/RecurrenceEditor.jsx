@@ -0,0 +1,86 @@
+import React from 'react';
+import { Repeat } from 'lucide-react';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const unitLabels = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' };
+
+const RecurrenceEditor = ({ value, onChange }) => {
+    const update = (changes) => onChange({ ...value, ...changes });
+
+    const toggleWeekday = (day) => {
+        const byWeekday = value.byWeekday.includes(day)
+            ? value.byWeekday.filter(d => d !== day)
+            : [...value.byWeekday, day].sort();
+        update({ byWeekday });
+    };
+
+    return (
+        <div className="recurrence-editor">
+            <div className="recurrence-row">
+                <Repeat size={16} />
+                <select value={value.frequency} onChange={(e) => update({ frequency: e.target.value })}>
+                    <option value="">Does not repeat</option>
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly</option>
+                </select>
+                {value.frequency && (
+                    <>
+                        <span>every</span>
+                        <input
+                            type="number"
+                            min="1"
+                            className="recurrence-interval"
+                            value={value.interval}
+                            onChange={(e) => update({ interval: e.target.value })}
+                        />
+                        <span>{unitLabels[value.frequency]}</span>
+                    </>
+                )}
+            </div>
+
+            {value.frequency === 'weekly' && (
+                <div className="weekday-picker">
+                    {WEEKDAYS.map((label, day) => (
+                        <button
+                            key={label}
+                            type="button"
+                            className={`weekday-btn ${value.byWeekday.includes(day) ? 'active' : ''}`}
+                            onClick={() => toggleWeekday(day)}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {value.frequency && (
+                <div className="recurrence-row">
+                    <select value={value.endType} onChange={(e) => update({ endType: e.target.value })}>
+                        <option value="never">Never ends</option>
+                        <option value="until">Ends on date</option>
+                        <option value="count">Ends after</option>
+                    </select>
+                    {value.endType === 'until' && (
+                        <input type="date" value={value.until} onChange={(e) => update({ until: e.target.value })} />
+                    )}
+                    {value.endType === 'count' && (
+                        <>
+                            <input
+                                type="number"
+                                min="1"
+                                className="recurrence-interval"
+                                value={value.count}
+                                onChange={(e) => update({ count: e.target.value })}
+                            />
+                            <span>occurrences</span>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RecurrenceEditor;
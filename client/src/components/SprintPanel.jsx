@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Play, CheckCircle2, Trash2, Target } from 'lucide-react';
+import { sprintsApi } from '../services/apiClient.js';
+import { nextSprintDates, nextSprintName, formatSprintDates } from '../utils/sprints';
+import './SprintPanel.css';
+
+const STATE_LABELS = { planned: 'Planned', active: 'Active', completed: 'Completed' };
+
+// Sprint planning for a project: plan, start and complete sprints
+const SprintPanel = ({ projectId, canManage, onChange }) => {
+    const [sprints, setSprints] = useState([]);
+    const [backlog, setBacklog] = useState(0);
+    const [draft, setDraft] = useState(null);
+    const [carryOverTo, setCarryOverTo] = useState('');
+    const [showCompleted, setShowCompleted] = useState(false);
+    const [error, setError] = useState('');
+
+    const load = useCallback(async () => {
+        try {
+            const data = await sprintsApi.list(projectId);
+            setSprints(data.sprints || []);
+            setBacklog(data.backlog || 0);
+        } catch (err) {
+            setError(err.message || 'Failed to load sprints');
+        }
+    }, [projectId]);
+
+    useEffect(() => { load(); }, [load]);
+
+    // Runs a sprint change, then reloads sprints and lets the page refresh its tasks
+    const run = async (action) => {
+        setError('');
+        try {
+            await action();
+            await load();
+            onChange?.();
+        } catch (err) {
+            setError(err.body?.error || err.message || 'Sprint update failed');
+        }
+    };
+
+    const openSprints = sprints.filter(sprint => sprint.state !== 'completed');
+    const completedSprints = sprints.filter(sprint => sprint.state === 'completed');
+    const plannedSprints = sprints.filter(sprint => sprint.state === 'planned');
+
+    const startDraft = () => {
+        setDraft({ name: nextSprintName(sprints), goal: '', ...nextSprintDates(sprints) });
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        run(async () => {
+            await sprintsApi.create({ project: projectId, ...draft });
+            setDraft(null);
+        });
+    };
+
+    const handleComplete = (sprint) => {
+        const unfinished = sprint.totals.tasks - sprint.totals.doneTasks;
+        const destination = carryOverTo === 'backlog'
+            ? 'the backlog'
+            : plannedSprints.find(s => s._id === carryOverTo)?.name || 'the next sprint';
+        const message = unfinished > 0
+            ? `Complete "${sprint.name}"? ${unfinished} unfinished task(s) will move to ${destination}.`
+            : `Complete "${sprint.name}"?`;
+        if (!window.confirm(message)) return;
+        run(() => sprintsApi.complete(sprint._id, carryOverTo || undefined));
+    };
+
+    const handleDelete = (sprint) => {
+        if (!window.confirm(`Delete "${sprint.name}"? Its tasks go back to the backlog.`)) return;
+        run(() => sprintsApi.remove(sprint._id));
+    };
+
+    const renderSprint = (sprint) => (
+        <div key={sprint._id} className={`sprint-row ${sprint.state}`}>
+            <div className="sprint-info">
+                <div className="sprint-title">
+                    <strong>{sprint.name}</strong>
+                    <span className={`sprint-state ${sprint.state}`}>{STATE_LABELS[sprint.state]}</span>
+                </div>
+                <div className="sprint-meta">
+                    <span>{formatSprintDates(sprint)}</span>
+                    {sprint.state === 'completed' ? (
+                        <span>{sprint.completedPoints} of {sprint.committedPoints} pts · {sprint.carriedOverTasks} carried over</span>
+                    ) : (
+                        <span>{sprint.totals.doneTasks}/{sprint.totals.tasks} tasks · {sprint.totals.donePoints}/{sprint.totals.points} pts</span>
+                    )}
+                </div>
+                {sprint.goal && <p className="sprint-goal"><Target size={12} /> {sprint.goal}</p>}
+            </div>
+            {canManage && sprint.state === 'planned' && (
+                <div className="sprint-actions">
+                    <button
+                        type="button"
+                        className="btn-secondary"
+                        onClick={() => run(() => sprintsApi.start(sprint._id))}
+                        disabled={sprints.some(s => s.state === 'active')}
+                        title={sprints.some(s => s.state === 'active') ? 'Complete the active sprint first' : 'Start sprint'}
+                    >
+                        <Play size={14} /> Start
+                    </button>
+                    <button type="button" className="sprint-icon-btn" onClick={() => handleDelete(sprint)} title="Delete sprint">
+                        <Trash2 size={14} />
+                    </button>
+                </div>
+            )}
+            {canManage && sprint.state === 'active' && (
+                <div className="sprint-actions">
+                    <select value={carryOverTo} onChange={(e) => setCarryOverTo(e.target.value)} title="Where unfinished tasks go">
+                        <option value="">Unfinished → next sprint</option>
+                        {plannedSprints.map(s => <option key={s._id} value={s._id}>Unfinished → {s.name}</option>)}
+                        <option value="backlog">Unfinished → backlog</option>
+                    </select>
+                    <button type="button" className="btn-secondary" onClick={() => handleComplete(sprint)}>
+                        <CheckCircle2 size={14} /> Complete
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+
+    return (
+        <div className="sprint-panel">
+            <p className="sprint-backlog">{backlog} task{backlog === 1 ? '' : 's'} in the backlog</p>
+            {openSprints.length === 0 && <p className="sprint-empty">No upcoming sprints.</p>}
+            {openSprints.map(renderSprint)}
+
+            {canManage && !draft && (
+                <button type="button" className="btn-secondary sprint-add" onClick={startDraft}>
+                    <Plus size={16} /> Plan sprint
+                </button>
+            )}
+            {draft && (
+                <form className="sprint-form" onSubmit={handleCreate}>
+                    <input value={draft.name} onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))} placeholder="Sprint name" required />
+                    <input type="date" value={draft.startDate} onChange={(e) => setDraft(prev => ({ ...prev, startDate: e.target.value }))} required />
+                    <input type="date" value={draft.endDate} min={draft.startDate} onChange={(e) => setDraft(prev => ({ ...prev, endDate: e.target.value }))} required />
+                    <input
+                        className="sprint-form-goal"
+                        value={draft.goal}
+                        onChange={(e) => setDraft(prev => ({ ...prev, goal: e.target.value }))}
+                        placeholder="Sprint goal (optional)"
+                    />
+                    <button type="submit" className="btn-secondary">Save</button>
+                    <button type="button" className="sprint-link" onClick={() => setDraft(null)}>Cancel</button>
+                </form>
+            )}
+
+            {completedSprints.length > 0 && (
+                <>
+                    <button type="button" className="sprint-link" onClick={() => setShowCompleted(prev => !prev)}>
+                        {showCompleted ? 'Hide' : 'Show'} {completedSprints.length} completed sprint{completedSprints.length === 1 ? '' : 's'}
+                    </button>
+                    {showCompleted && [...completedSprints].reverse().map(renderSprint)}
+                </>
+            )}
+
+            {error && <p className="sprint-error">{error}</p>}
+        </div>
+    );
+};
+
+export default SprintPanel;
@@ -1,15 +1,16 @@
 import React, { useState } from 'react';
 import { X, Send, AlertCircle } from 'lucide-react';
+import { DEFAULT_WORKFLOW, getAllowedTargets } from '../utils/workflow';
 import './StatusRequestModal.css';
 
-const StatusRequestModal = ({ task, onSubmit, onClose }) => {
-    const [requestedStatus, setRequestedStatus] = useState('');
+const StatusRequestModal = ({ task, workflow = DEFAULT_WORKFLOW, initialStatus = '', onSubmit, onClose }) => {
+    const [requestedStatus, setRequestedStatus] = useState(initialStatus);
     const [reason, setReason] = useState('');
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
 
-    const statusOptions = ['To Do', 'In Progress', 'Done'].filter(s => s !== task.status);
+    const statusOptions = getAllowedTargets(workflow, task.status).map(state => state.name);
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Save, Trash2, GitMerge } from 'lucide-react';
+import { tagsApi } from '../services/apiClient.js';
+import { DEFAULT_TAG_COLOR } from '../utils/tags';
+import './TagCatalogEditor.css';
+
+const TagCatalogEditor = ({ projectId }) => {
+    const [tags, setTags] = useState([]);
+    const [uncatalogued, setUncatalogued] = useState([]);
+    const [drafts, setDrafts] = useState({});
+    const [mergeTargets, setMergeTargets] = useState({});
+    const [newTag, setNewTag] = useState({ name: '', color: DEFAULT_TAG_COLOR, description: '' });
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const load = useCallback(async () => {
+        try {
+            const data = await tagsApi.list(projectId);
+            setTags(data.tags || []);
+            setUncatalogued(data.uncatalogued || []);
+            setDrafts({});
+        } catch (err) {
+            setError(err.message || 'Failed to load tags');
+        }
+    }, [projectId]);
+
+    useEffect(() => { load(); }, [load]);
+
+    // Runs a catalog change, reloads and reports the outcome
+    const run = async (action, message) => {
+        setError('');
+        setSuccess('');
+        try {
+            const result = await action();
+            await load();
+            setSuccess(typeof message === 'function' ? message(result) : message);
+        } catch (err) {
+            setError(err.body?.error || err.message || 'Tag update failed');
+        }
+    };
+
+    const draftFor = (tag) => drafts[tag._id] || tag;
+    const updateDraft = (tag, changes) => setDrafts(prev => ({ ...prev, [tag._id]: { ...draftFor(tag), ...changes } }));
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        if (!newTag.name.trim()) return;
+        run(async () => {
+            const created = await tagsApi.create({ project: projectId, ...newTag });
+            setNewTag({ name: '', color: DEFAULT_TAG_COLOR, description: '' });
+            return created;
+        }, created => `Added "${created.name}"`);
+    };
+
+    const handleSave = (tag) => {
+        const { name, color, description } = draftFor(tag);
+        run(() => tagsApi.update(tag._id, { name, color, description }),
+            name.trim() !== tag.name ? `Renamed "${tag.name}" to "${name.trim()}"` : 'Tag saved');
+    };
+
+    const handleMerge = (tag) => {
+        const target = tags.find(t => t._id === mergeTargets[tag._id]);
+        if (!target) return;
+        if (!window.confirm(`Merge "${tag.name}" into "${target.name}"? ${tag.usage} task(s) will be retagged.`)) return;
+        run(() => tagsApi.merge(tag._id, target._id), result => `Merged into "${target.name}" on ${result.merged} task(s)`);
+    };
+
+    const handleDelete = (tag) => {
+        if (!window.confirm(`Delete "${tag.name}"? It will be removed from ${tag.usage} task(s).`)) return;
+        run(() => tagsApi.remove(tag._id), `Deleted "${tag.name}"`);
+    };
+
+    const adopt = (name) => run(() => tagsApi.create({ project: projectId, name }), `Added "${name}" to the catalog`);
+
+    return (
+        <div className="tag-catalog">
+            {tags.length === 0 && <p className="tag-catalog-empty">No tags in this project's catalog yet.</p>}
+            {tags.map(tag => {
+                const draft = draftFor(tag);
+                return (
+                    <div key={tag._id} className="tag-catalog-row">
+                        <input
+                            type="color"
+                            value={draft.color || DEFAULT_TAG_COLOR}
+                            onChange={(e) => updateDraft(tag, { color: e.target.value })}
+                            title="Tag color"
+                        />
+                        <input value={draft.name} onChange={(e) => updateDraft(tag, { name: e.target.value })} placeholder="Name" />
+                        <input
+                            className="tag-catalog-description"
+                            value={draft.description || ''}
+                            onChange={(e) => updateDraft(tag, { description: e.target.value })}
+                            placeholder="Description"
+                        />
+                        <span className="tag-catalog-usage" title="Tasks using this tag">{tag.usage} task{tag.usage === 1 ? '' : 's'}</span>
+                        <button type="button" onClick={() => handleSave(tag)} disabled={!drafts[tag._id]} title="Save"><Save size={14} /></button>
+                        <select
+                            value={mergeTargets[tag._id] || ''}
+                            onChange={(e) => setMergeTargets(prev => ({ ...prev, [tag._id]: e.target.value }))}
+                        >
+                            <option value="">Merge into…</option>
+                            {tags.filter(t => t._id !== tag._id).map(t => <option key={t._id} value={t._id}>{t.name}</option>)}
+                        </select>
+                        <button type="button" onClick={() => handleMerge(tag)} disabled={!mergeTargets[tag._id]} title="Merge"><GitMerge size={14} /></button>
+                        <button type="button" onClick={() => handleDelete(tag)} title="Delete tag"><Trash2 size={14} /></button>
+                    </div>
+                );
+            })}
+
+            <form className="tag-catalog-row tag-catalog-new" onSubmit={handleCreate}>
+                <input
+                    type="color"
+                    value={newTag.color}
+                    onChange={(e) => setNewTag(prev => ({ ...prev, color: e.target.value }))}
+                    title="Tag color"
+                />
+                <input value={newTag.name} onChange={(e) => setNewTag(prev => ({ ...prev, name: e.target.value }))} placeholder="New tag" />
+                <input
+                    className="tag-catalog-description"
+                    value={newTag.description}
+                    onChange={(e) => setNewTag(prev => ({ ...prev, description: e.target.value }))}
+                    placeholder="Description"
+                />
+                <button type="submit" className="btn-secondary" disabled={!newTag.name.trim()}>
+                    <Plus size={16} /> Add tag
+                </button>
+            </form>
+
+            {uncatalogued.length > 0 && (
+                <div className="tag-catalog-uncatalogued">
+                    <span>In use but not in the catalog:</span>
+                    {uncatalogued.map(tag => (
+                        <button key={tag.name} type="button" onClick={() => adopt(tag.name)} title="Add to catalog">
+                            <Plus size={12} /> {tag.name} ({tag.usage})
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {error && <p className="tag-catalog-error">{error}</p>}
+            {success && <p className="tag-catalog-success">{success}</p>}
+        </div>
+    );
+};
+
+export default TagCatalogEditor;
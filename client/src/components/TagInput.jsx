@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { DEFAULT_TAG_COLOR, findTag } from '../utils/tags';
+import './TagInput.css';
+
+const MAX_SUGGESTIONS = 8;
+
+// Chip input for tags that suggests names from the project's tag catalog
+const TagInput = ({ value = [], onChange, catalog = [], placeholder = 'Add a tag…', id }) => {
+    const [text, setText] = useState('');
+    const [open, setOpen] = useState(false);
+    const [highlighted, setHighlighted] = useState(0);
+
+    const query = text.trim().toLowerCase();
+    const chosen = new Set(value.map(tag => tag.toLowerCase()));
+    const suggestions = catalog
+        .filter(tag => !chosen.has(tag.name.toLowerCase()) && tag.name.toLowerCase().includes(query))
+        .slice(0, MAX_SUGGESTIONS);
+
+    const addTag = (name) => {
+        const trimmed = name.trim();
+        if (!trimmed) return;
+        // Prefer the catalog spelling so "Bug" and "bug" stay one tag
+        const tag = findTag(catalog, trimmed)?.name || trimmed;
+        if (!chosen.has(tag.toLowerCase())) onChange([...value, tag]);
+        setText('');
+        setHighlighted(0);
+    };
+
+    const removeTag = (name) => onChange(value.filter(tag => tag !== name));
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown' && suggestions.length) {
+            e.preventDefault();
+            setOpen(true);
+            setHighlighted(prev => (prev + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp' && suggestions.length) {
+            e.preventDefault();
+            setHighlighted(prev => (prev - 1 + suggestions.length) % suggestions.length);
+        } else if (e.key === 'Enter' || e.key === ',' || (e.key === 'Tab' && text.trim())) {
+            e.preventDefault();
+            addTag(open && query && suggestions[highlighted] ? suggestions[highlighted].name : text);
+        } else if (e.key === 'Backspace' && !text && value.length) {
+            removeTag(value[value.length - 1]);
+        } else if (e.key === 'Escape') {
+            setOpen(false);
+        }
+    };
+
+    return (
+        <div className="tag-input">
+            {value.map(tag => (
+                <span key={tag} className="tag-chip" style={{ '--tag-color': findTag(catalog, tag)?.color || DEFAULT_TAG_COLOR }}>
+                    {tag}
+                    <button type="button" onClick={() => removeTag(tag)} title={`Remove ${tag}`}><X size={12} /></button>
+                </span>
+            ))}
+            <input
+                id={id}
+                value={text}
+                onChange={(e) => { setText(e.target.value); setOpen(true); setHighlighted(0); }}
+                onKeyDown={handleKeyDown}
+                onFocus={() => setOpen(true)}
+                onBlur={() => { addTag(text); setTimeout(() => setOpen(false), 150); }}
+                placeholder={value.length ? '' : placeholder}
+            />
+            {open && suggestions.length > 0 && (
+                <ul className="tag-suggestions">
+                    {suggestions.map((tag, index) => (
+                        <li
+                            key={tag._id || tag.name}
+                            className={index === highlighted ? 'active' : ''}
+                            onMouseDown={(e) => { e.preventDefault(); addTag(tag.name); }}
+                        >
+                            <span className="tag-swatch" style={{ background: tag.color || DEFAULT_TAG_COLOR }} />
+                            <span>{tag.name}</span>
+                            {tag.description && <span className="tag-description">{tag.description}</span>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default TagInput;
@@ -0,0 +1,39 @@
+import React, { useState, useEffect } from 'react';
+import { getTaskComments, addTaskComment, editTaskComment, deleteTaskComment, reactToTaskComment, getMentionableUsers } from '../services/api';
+import { useAuth } from '../context/AuthContext.jsx';
+import CommentThread from './CommentThread.jsx';
+
+const TaskComments = ({ taskId, canModerate }) => {
+    const { user } = useAuth();
+    const [comments, setComments] = useState([]);
+    const [candidates, setCandidates] = useState([]);
+
+    useEffect(() => {
+        getTaskComments(taskId)
+            .then(res => setComments(res.data || []))
+            .catch(err => console.error('Failed to load comments:', err));
+        getMentionableUsers(taskId)
+            .then(res => setCandidates(res.data || []))
+            .catch(err => console.error('Failed to load mentionable users:', err));
+    }, [taskId]);
+
+    const actions = {
+        add: async (text, parentComment) => (await addTaskComment(taskId, text, parentComment)).data,
+        edit: async (commentId, text) => (await editTaskComment(taskId, commentId, text)).data,
+        remove: async (commentId) => (await deleteTaskComment(taskId, commentId)).data,
+        react: async (commentId, emoji) => (await reactToTaskComment(taskId, commentId, emoji)).data
+    };
+
+    return (
+        <CommentThread
+            comments={comments}
+            onChange={setComments}
+            actions={actions}
+            candidates={candidates}
+            currentUserId={user?._id}
+            canModerate={canModerate}
+        />
+    );
+};
+
+export default TaskComments;
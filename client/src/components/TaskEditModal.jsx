@@ -1,27 +1,188 @@
-import React, { useState } from 'react';
-import { X, Save } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { X, Save, Plus, Trash2, Lock } from 'lucide-react';
+import { createTask, getSubtasks, addChecklistItem, updateChecklistItem, deleteChecklistItem, addTaskDependency, removeTaskDependency } from '../services/api';
+import { tagsApi, sprintsApi } from '../services/apiClient.js';
+import RecurrenceEditor from './RecurrenceEditor.jsx';
+import TaskHistoryTimeline from './TaskHistoryTimeline.jsx';
+import AttachmentPanel from './AttachmentPanel.jsx';
+import TaskComments from './TaskComments.jsx';
+import WatchButton from './WatchButton.jsx';
+import TimeEntriesPanel from './TimeEntriesPanel.jsx';
+import TagInput from './TagInput.jsx';
+import TaskTransferPanel from './TaskTransferPanel.jsx';
+import ConflictPrompt from './ConflictPrompt.jsx';
+import AssigneePicker from './AssigneePicker.jsx';
+import CustomFieldInputs from './CustomFieldInputs.jsx';
+import { toCustomFieldForm, fromCustomFieldForm } from '../utils/customFields';
+import { isEditConflict, mergeChanges } from '../utils/conflicts';
+import { formatAssignees, toAssigneeForm } from '../utils/assignees';
+import { recurrenceToForm, formToRecurrence } from '../utils/recurrence';
+import { DEFAULT_WORKFLOW, isDoneStatus } from '../utils/workflow';
 import './TaskEditModal.css';
 
-const TaskEditModal = ({ task, onUpdate, onClose, isManager }) => {
-    const [formData, setFormData] = useState({
+const FIELD_LABELS = {
+    title: 'Title',
+    description: 'Description',
+    assignees: 'Assignees',
+    priority: 'Priority',
+    estimatedHours: 'Estimated hours',
+    tags: 'Tags',
+    storyPoints: 'Story points',
+    sprint: 'Sprint',
+    customFields: 'Custom fields',
+    recurrence: 'Repeat'
+};
+
+// Everything the form edits, taken from a task; `version` is what edits are based on
+const toEditState = (task, customFields) => ({
+    form: {
         title: task.title || '',
         description: task.description || '',
         priority: task.priority || 'Medium',
         estimatedHours: task.estimatedHours || '',
-        actualHours: task.actualHours || '',
-        tags: task.tags?.join(', ') || ''
-    });
+        tags: task.tags || [],
+        assignees: toAssigneeForm(task.assignees),
+        storyPoints: task.storyPoints ?? '',
+        sprint: task.sprint?._id || task.sprint || ''
+    },
+    customValues: toCustomFieldForm(customFields, task.customFields),
+    recurrence: recurrenceToForm(task.recurrence),
+    version: task.version
+});
+
+const TaskEditModal = ({ task, workflow = DEFAULT_WORKFLOW, customFields = [], people = [], projectTasks = [], projects = [], onUpdate, onClose, onTaskChange, isManager }) => {
+    // The state the form was loaded from, to merge with someone else's newer changes
+    const [base, setBase] = useState(() => toEditState(task, customFields));
+    const [formData, setFormData] = useState(base.form);
+    const [customValues, setCustomValues] = useState(base.customValues);
+    const [recurrence, setRecurrence] = useState(base.recurrence);
+    // 409 body ({ conflicts, current, version }) when a save hit newer changes
+    const [conflict, setConflict] = useState(null);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
+    const [checklist, setChecklist] = useState(task.checklist || []);
+    const [newItemText, setNewItemText] = useState('');
+    const [subtasks, setSubtasks] = useState([]);
+    const [newSubtaskTitle, setNewSubtaskTitle] = useState('');
+    const [blockers, setBlockers] = useState(task.blockedBy || []);
+    const [newBlockerId, setNewBlockerId] = useState('');
+    const [tagCatalog, setTagCatalog] = useState([]);
+    const [sprints, setSprints] = useState([]);
+    const isSubtask = Boolean(task.parentTask);
+    const blockerCandidates = projectTasks.filter(t =>
+        t._id !== task._id && !blockers.some(b => (b._id || b) === t._id)
+    );
+    // Project people plus current assignees who may have left the project, so their names show
+    const assigneeOptions = [
+        ...people,
+        ...(task.assignees || [])
+            .map(assignee => assignee.user)
+            .filter(user => user?._id && !people.some(person => person._id === user._id))
+    ];
+
+    useEffect(() => {
+        tagsApi.list(task.project?._id || task.project)
+            .then(data => setTagCatalog(data.tags || []))
+            .catch(err => console.error('Failed to load tag catalog', err));
+        sprintsApi.list(task.project?._id || task.project)
+            .then(data => setSprints(data.sprints || []))
+            .catch(err => console.error('Failed to load sprints', err));
+    }, [task.project]);
+
+    useEffect(() => {
+        if (isSubtask) return;
+        getSubtasks(task._id)
+            .then(res => setSubtasks(res.data || []))
+            .catch(err => console.error('Failed to load subtasks:', err));
+    }, [task._id, isSubtask]);
+
+    // Checklist and subtask edits are saved immediately, separately from the main form
+    const applyChecklistResponse = (res) => {
+        setChecklist(res.data?.checklist || []);
+        onTaskChange?.();
+    };
+
+    const handleAddChecklistItem = async () => {
+        if (!newItemText.trim()) return;
+        try {
+            applyChecklistResponse(await addChecklistItem(task._id, newItemText.trim()));
+            setNewItemText('');
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to add checklist item');
+        }
+    };
+
+    const handleToggleChecklistItem = async (item) => {
+        try {
+            applyChecklistResponse(await updateChecklistItem(task._id, item._id, { done: !item.done }));
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to update checklist item');
+        }
+    };
+
+    const handleDeleteChecklistItem = async (item) => {
+        try {
+            applyChecklistResponse(await deleteChecklistItem(task._id, item._id));
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to remove checklist item');
+        }
+    };
+
+    const handleAddSubtask = async () => {
+        if (!newSubtaskTitle.trim()) return;
+        try {
+            const res = await createTask({
+                title: newSubtaskTitle.trim(),
+                project: task.project?._id || task.project,
+                parentTask: task._id,
+                assignees: toAssigneeForm(task.assignees),
+                priority: task.priority
+            });
+            setSubtasks(prev => [...prev, res.data]);
+            setNewSubtaskTitle('');
+            onTaskChange?.();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to create subtask');
+        }
+    };
+
+    const handleAddBlocker = async () => {
+        if (!newBlockerId) return;
+        try {
+            const res = await addTaskDependency(task._id, newBlockerId);
+            setBlockers(res.data?.blockedBy || []);
+            setNewBlockerId('');
+            onTaskChange?.();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to add dependency');
+        }
+    };
+
+    const handleRemoveBlocker = async (blockerId) => {
+        try {
+            const res = await removeTaskDependency(task._id, blockerId);
+            setBlockers(res.data?.blockedBy || []);
+            onTaskChange?.();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to remove dependency');
+        }
+    };
+
+    // Enter in the inline inputs adds an item instead of submitting the form
+    const submitOnEnter = (handler) => (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            handler();
+        }
+    };
 
     const handleChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({ ...prev, [name]: value }));
     };
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
+    const saveChanges = async (version) => {
         setIsSubmitting(true);
         setError('');
         setSuccess('');
@@ -33,8 +194,14 @@ const TaskEditModal = ({ task, onUpdate, onClose, isManager }) => {
                 description: formData.description,
                 priority: formData.priority,
                 estimatedHours: formData.estimatedHours ? parseInt(formData.estimatedHours) : undefined,
-                actualHours: formData.actualHours ? parseInt(formData.actualHours) : undefined,
-                tags: formData.tags ? formData.tags.split(',').map(t => t.trim()).filter(t => t) : []
+                tags: formData.tags,
+                assignees: formData.assignees,
+                recurrence: formToRecurrence(recurrence),
+                storyPoints: formData.storyPoints === '' ? null : Number(formData.storyPoints),
+                // Only sent when changed: a task may sit in a sprint that has since completed
+                sprint: formData.sprint !== base.form.sprint ? formData.sprint || null : undefined,
+                customFields: customFields.length ? fromCustomFieldForm(customFields, customValues) : undefined,
+                version
             };
 
             // Remove undefined values
@@ -50,6 +217,10 @@ const TaskEditModal = ({ task, onUpdate, onClose, isManager }) => {
                 onClose();
             }, 1500);
         } catch (err) {
+            if (isEditConflict(err)) {
+                setConflict(err.response.data);
+                return;
+            }
             console.error('Task update error:', err);
             setError(err.response?.data?.error || 'Failed to update task');
         } finally {
@@ -57,11 +228,59 @@ const TaskEditModal = ({ task, onUpdate, onClose, isManager }) => {
         }
     };
 
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        saveChanges(base.version);
+    };
+
+    // Take their changes to fields you didn't edit and keep yours, then let the user review
+    const handleMergeConflict = () => {
+        const latest = toEditState(conflict.current, customFields);
+        const form = mergeChanges(base.form, formData, latest.form);
+        const values = mergeChanges(base.customValues, customValues, latest.customValues);
+        // The schedule is merged as a whole so its parts stay consistent
+        const schedule = mergeChanges({ recurrence: base.recurrence }, { recurrence }, { recurrence: latest.recurrence });
+
+        setFormData(form.merged);
+        setCustomValues(values.merged);
+        setRecurrence(schedule.merged.recurrence);
+        setBase(latest);
+        setConflict(null);
+
+        const clashes = [
+            ...form.clashes.map(key => FIELD_LABELS[key] || key),
+            ...values.clashes.map(key => customFields.find(field => field.key === key)?.name || key),
+            ...schedule.clashes.map(key => FIELD_LABELS[key])
+        ];
+        setSuccess(clashes.length
+            ? `Merged the latest changes; your values were kept for ${clashes.join(', ')}. Review and save.`
+            : 'Merged the latest changes. Review and save.');
+        onTaskChange?.();
+    };
+
+    const handleOverwriteConflict = () => {
+        const { version } = conflict;
+        setBase(prev => ({ ...prev, version }));
+        setConflict(null);
+        saveChanges(version);
+    };
+
+    const handleDiscardChanges = () => {
+        const latest = toEditState(conflict.current, customFields);
+        setFormData(latest.form);
+        setCustomValues(latest.customValues);
+        setRecurrence(latest.recurrence);
+        setBase(latest);
+        setConflict(null);
+        onTaskChange?.();
+    };
+
     return (
         <div className="modal-backdrop" onClick={onClose}>
             <div className="modal-content task-edit-modal" onClick={(e) => e.stopPropagation()}>
                 <div className="modal-header">
                     <h2>Edit Task</h2>
+                    <WatchButton task={task} onChange={onTaskChange} />
                     <button onClick={onClose} className="close-button" type="button">
                         <X size={24}/>
                     </button>
@@ -124,33 +343,218 @@ const TaskEditModal = ({ task, onUpdate, onClose, isManager }) => {
                             <label htmlFor="actualHours">Actual Hours</label>
                             <input
                                 id="actualHours"
-                                name="actualHours"
+                                type="number"
+                                value={task.actualHours || 0}
+                                readOnly
+                                title="Calculated from logged time entries"
+                            />
+                        </div>
+                    </div>
+
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label htmlFor="storyPoints">Story Points</label>
+                            <input
+                                id="storyPoints"
+                                name="storyPoints"
                                 type="number"
                                 min="0"
-                                value={formData.actualHours}
+                                step="any"
+                                value={formData.storyPoints}
                                 onChange={handleChange}
-                                placeholder="0"
+                                placeholder="None"
                             />
                         </div>
+
+                        <div className="form-group">
+                            <label htmlFor="sprint">Sprint</label>
+                            <select id="sprint" name="sprint" value={formData.sprint} onChange={handleChange}>
+                                <option value="">Backlog</option>
+                                {sprints
+                                    .filter(sprint => sprint.state !== 'completed' || sprint._id === formData.sprint)
+                                    .map(sprint => (
+                                        <option key={sprint._id} value={sprint._id} disabled={sprint.state === 'completed'}>
+                                            {sprint.name}{sprint.state === 'active' ? ' (active)' : sprint.state === 'completed' ? ' (completed)' : ''}
+                                        </option>
+                                    ))}
+                            </select>
+                        </div>
                     </div>
 
                     <div className="form-group">
-                        <label htmlFor="tags">Tags (comma-separated)</label>
-                        <input
+                        <label htmlFor="tags">Tags</label>
+                        <TagInput
                             id="tags"
-                            name="tags"
                             value={formData.tags}
-                            onChange={handleChange}
+                            onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+                            catalog={tagCatalog}
                             placeholder="e.g., frontend, urgent, bug-fix"
                         />
                     </div>
 
+                    <div className="form-group">
+                        <label htmlFor="assignees">Assignees</label>
+                        <AssigneePicker
+                            id="assignees"
+                            value={formData.assignees}
+                            people={assigneeOptions}
+                            onChange={(assignees) => setFormData(prev => ({ ...prev, assignees }))}
+                        />
+                    </div>
+
+                    {customFields.length > 0 && (
+                        <CustomFieldInputs
+                            fields={customFields}
+                            values={customValues}
+                            onChange={setCustomValues}
+                            people={people}
+                        />
+                    )}
+
+                    <div className="form-group">
+                        <label>Repeat</label>
+                        <RecurrenceEditor value={recurrence} onChange={setRecurrence} />
+                        {task.recurrence?.frequency && task.recurrence.occurrence > 1 && (
+                            <p className="field-hint">Occurrence #{task.recurrence.occurrence} of this series</p>
+                        )}
+                    </div>
+
+                    <div className="form-group">
+                        <label>Checklist ({checklist.filter(item => item.done).length}/{checklist.length})</label>
+                        <ul className="checklist">
+                            {checklist.map(item => (
+                                <li key={item._id} className={`checklist-item ${item.done ? 'done' : ''}`}>
+                                    <input
+                                        type="checkbox"
+                                        checked={item.done}
+                                        onChange={() => handleToggleChecklistItem(item)}
+                                    />
+                                    <span>{item.text}</span>
+                                    <button type="button" className="icon-button" onClick={() => handleDeleteChecklistItem(item)} title="Remove item">
+                                        <Trash2 size={14} />
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                        <div className="inline-add">
+                            <input
+                                value={newItemText}
+                                onChange={(e) => setNewItemText(e.target.value)}
+                                onKeyDown={submitOnEnter(handleAddChecklistItem)}
+                                placeholder="Add checklist item"
+                            />
+                            <button type="button" className="btn-secondary" onClick={handleAddChecklistItem}>
+                                <Plus size={16} />
+                            </button>
+                        </div>
+                    </div>
+
+                    {!isSubtask && (
+                        <div className="form-group">
+                            <label>Subtasks ({subtasks.filter(subtask => isDoneStatus(workflow, subtask.status)).length}/{subtasks.length})</label>
+                            <ul className="subtask-list">
+                                {subtasks.map(subtask => (
+                                    <li key={subtask._id} className="subtask-item">
+                                        <span className="subtask-title">{subtask.title}</span>
+                                        <span className={`status-badge ${subtask.status.toLowerCase().replace(' ', '-')}`}>{subtask.status}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                            <div className="inline-add">
+                                <input
+                                    value={newSubtaskTitle}
+                                    onChange={(e) => setNewSubtaskTitle(e.target.value)}
+                                    onKeyDown={submitOnEnter(handleAddSubtask)}
+                                    placeholder="Add subtask"
+                                />
+                                <button type="button" className="btn-secondary" onClick={handleAddSubtask}>
+                                    <Plus size={16} />
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="form-group">
+                        <label>Blocked by</label>
+                        <ul className="subtask-list">
+                            {blockers.map(blocker => (
+                                <li key={blocker._id} className="subtask-item">
+                                    {!isDoneStatus(workflow, blocker.status) && <Lock size={14} />}
+                                    <span className="subtask-title">{blocker.title}</span>
+                                    {blocker.status && (
+                                        <span className={`status-badge ${blocker.status.toLowerCase().replace(' ', '-')}`}>{blocker.status}</span>
+                                    )}
+                                    <button type="button" className="icon-button" onClick={() => handleRemoveBlocker(blocker._id)} title="Remove dependency">
+                                        <Trash2 size={14} />
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                        <div className="inline-add">
+                            <select value={newBlockerId} onChange={(e) => setNewBlockerId(e.target.value)}>
+                                <option value="">Select a blocking task</option>
+                                {blockerCandidates.map(t => (
+                                    <option key={t._id} value={t._id}>{t.title}</option>
+                                ))}
+                            </select>
+                            <button type="button" className="btn-secondary" onClick={handleAddBlocker} disabled={!newBlockerId}>
+                                <Plus size={16} />
+                            </button>
+                        </div>
+                    </div>
+
+                    <div className="form-group">
+                        <label>Attachments</label>
+                        <AttachmentPanel task={task} isManager={isManager} onChange={onTaskChange} />
+                    </div>
+
+                    {projects.length > 0 && (
+                        <div className="form-group">
+                            <label>Move or Clone</label>
+                            <TaskTransferPanel
+                                task={task}
+                                projects={projects}
+                                onDone={() => {
+                                    onTaskChange?.();
+                                    setTimeout(() => onClose(), 1500);
+                                }}
+                            />
+                        </div>
+                    )}
+
                     <div className="task-info">
+                        {isSubtask && <p><strong>Subtask of:</strong> {task.parentTask?.title || 'Parent task'}</p>}
+                        <p><strong>Progress:</strong> {task.progress || 0}%</p>
                         <p><strong>Project:</strong> {task.project?.name || 'N/A'}</p>
-                        <p><strong>Assigned to:</strong> {task.assignedTo?.name || 'Unassigned'}</p>
+                        <p><strong>Assigned to:</strong> {formatAssignees(task)}</p>
                         <p><strong>Current Status:</strong> <span className={`status-badge ${task.status.toLowerCase().replace(' ', '-')}`}>{task.status}</span></p>
                     </div>
 
+                    <div className="form-group">
+                        <label>Time Tracking</label>
+                        <TimeEntriesPanel task={task} isManager={isManager} onChange={onTaskChange} />
+                    </div>
+
+                    <div className="form-group">
+                        <label>Comments</label>
+                        <TaskComments taskId={task._id} canModerate={isManager} />
+                    </div>
+
+                    <div className="form-group">
+                        <label>History</label>
+                        <TaskHistoryTimeline taskId={task._id} />
+                    </div>
+
+                    {conflict && (
+                        <ConflictPrompt
+                            label="task"
+                            conflicts={conflict.conflicts}
+                            fieldLabels={FIELD_LABELS}
+                            onMerge={handleMergeConflict}
+                            onOverwrite={handleOverwriteConflict}
+                            onDiscard={handleDiscardChanges}
+                        />
+                    )}
                     {error && <p className="error-message">{error}</p>}
                     {success && <p className="success-message">{success}</p>}
 
@@ -158,7 +562,7 @@ const TaskEditModal = ({ task, onUpdate, onClose, isManager }) => {
                         <button type="button" onClick={onClose} className="btn-secondary" disabled={isSubmitting}>
                             Cancel
                         </button>
-                        <button type="submit" className="btn-primary" disabled={isSubmitting}>
+                        <button type="submit" className="btn-primary" disabled={isSubmitting || Boolean(conflict)}>
                             {isSubmitting ? (
                                 <div className="spinner"></div>
                             ) : (
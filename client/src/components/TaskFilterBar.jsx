@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { Search, ArrowUp, ArrowDown, RotateCcw } from 'lucide-react';
+import { DEFAULT_TASK_FILTERS, TASK_SORT_OPTIONS } from '../utils/taskFilters';
+import { hasOptions, getProjectPeople } from '../utils/customFields';
+import { ASSIGNEE_ROLES } from '../utils/assignees';
+import './TaskFilterBar.css';
+
+const TaskFilterBar = ({ filters, onChange, team, projects, sprints = [], milestones = [], tagOptions = [], isManager, shown, total }) => {
+    // Text inputs are applied on submit rather than on every keystroke
+    const [text, setText] = useState({ q: filters.q, tag: filters.tag, custom: filters.custom });
+
+    // Custom fields can be filtered once a single project is selected
+    const selectedProject = projects.find(p => p._id === filters.project);
+    const customFields = selectedProject?.customFields || [];
+    // Employees see their own tasks; managers pick a person before a role
+    const canFilterRole = !isManager || (filters.assignee && filters.assignee !== 'unassigned');
+
+    const update = (changes) => onChange({ ...filters, ...changes });
+
+    const updateCustom = (key, value) => update({ custom: { ...filters.custom, [key]: value } });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const custom = Object.fromEntries(Object.entries({ ...filters.custom, ...text.custom })
+            .map(([key, value]) => [key, value.trim()]));
+        update({ q: text.q.trim(), tag: text.tag.trim(), custom });
+    };
+
+    const handleProjectChange = (project) => {
+        // Field keys, sprints and milestones belong to a project, so their filters go with it
+        setText(prev => ({ ...prev, custom: {} }));
+        update({
+            project,
+            custom: {},
+            sprint: ['active', 'backlog'].includes(filters.sprint) ? filters.sprint : '',
+            milestone: filters.milestone === 'none' ? 'none' : ''
+        });
+    };
+
+    const handleReset = () => {
+        setText({ q: '', tag: '', custom: {} });
+        onChange(DEFAULT_TASK_FILTERS);
+    };
+
+    const renderCustomFilter = (field) => {
+        if (hasOptions(field.type) || field.type === 'user') {
+            const options = field.type === 'user'
+                ? [{ value: 'me', label: 'Me' }, ...getProjectPeople(selectedProject).map(person => ({ value: person._id, label: person.name }))]
+                : field.options.map(option => ({ value: option, label: option }));
+            return (
+                <select key={field.key} value={filters.custom[field.key] || ''} onChange={(e) => updateCustom(field.key, e.target.value)}>
+                    <option value="">Any {field.name}</option>
+                    {options.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+            );
+        }
+        return (
+            <input
+                key={field.key}
+                className="filter-custom"
+                value={text.custom[field.key] ?? ''}
+                onChange={(e) => setText(prev => ({ ...prev, custom: { ...prev.custom, [field.key]: e.target.value } }))}
+                placeholder={field.type === 'text' ? field.name : `${field.name} (from..to)`}
+                title={field.type === 'date' ? 'A date, or a range like 2024-01-01..2024-03-31' : undefined}
+            />
+        );
+    };
+
+    return (
+        <form className="task-filter-bar" onSubmit={handleSubmit}>
+            <div className="filter-search">
+                <Search size={16} />
+                <input
+                    value={text.q}
+                    onChange={(e) => setText(prev => ({ ...prev, q: e.target.value }))}
+                    placeholder="Filter tasks…"
+                />
+            </div>
+            <input
+                className="filter-tag"
+                value={text.tag}
+                onChange={(e) => setText(prev => ({ ...prev, tag: e.target.value }))}
+                placeholder="Tags"
+                list="task-filter-tags"
+            />
+            <datalist id="task-filter-tags">
+                {tagOptions.map(tag => <option key={tag.name} value={tag.name}>{tag.description}</option>)}
+            </datalist>
+            <select value={filters.project} onChange={(e) => handleProjectChange(e.target.value)}>
+                <option value="">All projects</option>
+                {projects.map(p => <option key={p._id} value={p._id}>{p.name}</option>)}
+            </select>
+            <select value={filters.sprint} onChange={(e) => update({ sprint: e.target.value })}>
+                <option value="">Any sprint</option>
+                <option value="active">Active sprint</option>
+                <option value="backlog">Backlog</option>
+                {sprints.map(sprint => (
+                    <option key={sprint._id} value={sprint._id}>
+                        {sprint.name}{sprint.state === 'completed' ? ' (completed)' : ''}
+                    </option>
+                ))}
+            </select>
+            <select value={filters.milestone} onChange={(e) => update({ milestone: e.target.value })}>
+                <option value="">Any milestone</option>
+                <option value="none">No milestone</option>
+                {milestones.map(milestone => <option key={milestone._id} value={milestone._id}>{milestone.name}</option>)}
+            </select>
+            {customFields.map(renderCustomFilter)}
+            <select value={filters.priority} onChange={(e) => update({ priority: e.target.value })}>
+                <option value="">Any priority</option>
+                <option>High</option><option>Medium</option><option>Low</option>
+            </select>
+            {isManager && (
+                <select
+                    value={filters.assignee}
+                    onChange={(e) => update({ assignee: e.target.value, assigneeRole: ['', 'unassigned'].includes(e.target.value) ? '' : filters.assigneeRole })}
+                >
+                    <option value="">Anyone</option>
+                    <option value="me">Me</option>
+                    <option value="unassigned">Unassigned</option>
+                    {team.map(member => <option key={member._id} value={member._id}>{member.name}</option>)}
+                </select>
+            )}
+            {canFilterRole && (
+                <select value={filters.assigneeRole} onChange={(e) => update({ assigneeRole: e.target.value })}>
+                    <option value="">Any role</option>
+                    {ASSIGNEE_ROLES.map(role => <option key={role.value} value={role.value}>As {role.label.toLowerCase()}</option>)}
+                </select>
+            )}
+            <label className="filter-date">
+                Due
+                <input type="date" value={filters.dueFrom} onChange={(e) => update({ dueFrom: e.target.value })} />
+                –
+                <input type="date" value={filters.dueTo} onChange={(e) => update({ dueTo: e.target.value })} />
+            </label>
+            <label className="filter-overdue">
+                <input type="checkbox" checked={filters.overdue} onChange={(e) => update({ overdue: e.target.checked })} />
+                Overdue
+            </label>
+            <select value={filters.sort} onChange={(e) => update({ sort: e.target.value })}>
+                {TASK_SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+            <button
+                type="button"
+                className="filter-icon-btn"
+                onClick={() => update({ order: filters.order === 'asc' ? 'desc' : 'asc' })}
+                title={filters.order === 'asc' ? 'Ascending' : 'Descending'}
+            >
+                {filters.order === 'asc' ? <ArrowUp size={16} /> : <ArrowDown size={16} />}
+            </button>
+            <button type="button" className="filter-icon-btn" onClick={handleReset} title="Reset filters">
+                <RotateCcw size={16} />
+            </button>
+            <button type="submit" hidden />
+            <span className="filter-count">{shown} of {total}</span>
+        </form>
+    );
+};
+
+export default TaskFilterBar;
@@ -0,0 +1,59 @@
+import React, { useState, useEffect } from 'react';
+import { History } from 'lucide-react';
+import { getTaskHistory } from '../services/api';
+
+const FIELD_LABELS = {
+    title: 'title',
+    status: 'status',
+    assignedTo: 'assignee',
+    assignees: 'assignees',
+    dueDate: 'due date',
+    priority: 'priority',
+    estimatedHours: 'estimated hours',
+    actualHours: 'actual hours',
+    storyPoints: 'story points',
+    description: 'description'
+};
+
+const formatValue = (entry, side) => {
+    const value = entry[side];
+    if (value === null || value === undefined) return 'none';
+    if (entry.field === 'assignedTo' || entry.field === 'assignees') return entry[`${side}Label`] || 'unknown user';
+    if (entry.field === 'dueDate') return new Date(value).toLocaleDateString();
+    if (entry.field === 'description') return value.length > 60 ? `${value.slice(0, 60)}…` : value;
+    return String(value);
+};
+
+const TaskHistoryTimeline = ({ taskId }) => {
+    const [entries, setEntries] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        getTaskHistory(taskId)
+            .then(res => setEntries(res.data || []))
+            .catch(err => console.error('Failed to load task history:', err))
+            .finally(() => setIsLoading(false));
+    }, [taskId]);
+
+    if (isLoading) return <p className="field-hint">Loading history...</p>;
+    if (entries.length === 0) return <p className="field-hint">No changes recorded yet.</p>;
+
+    return (
+        <ul className="history-timeline">
+            {entries.map(entry => (
+                <li key={entry._id} className="history-entry">
+                    <History size={14} />
+                    <div>
+                        <p>
+                            <strong>{entry.user?.name || 'Someone'}</strong> changed {FIELD_LABELS[entry.field] || entry.field} from{' '}
+                            <em>{formatValue(entry, 'from')}</em> to <em>{formatValue(entry, 'to')}</em>
+                        </p>
+                        <span className="history-time">{new Date(entry.createdAt).toLocaleString()}</span>
+                    </div>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default TaskHistoryTimeline;
@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import { X, Plus, Edit, Trash2, Copy } from 'lucide-react';
+import { getTaskTemplates, createTaskTemplate, updateTaskTemplate, deleteTaskTemplate, instantiateTaskTemplate } from '../services/api';
+import './TaskTemplatesModal.css';
+
+const EMPTY_TEMPLATE = {
+    name: '',
+    title: '',
+    description: '',
+    checklist: '',
+    tags: '',
+    estimatedHours: '',
+    priority: 'Medium',
+    dueOffsetDays: '',
+    project: ''
+};
+
+const toFormData = (template) => ({
+    name: template.name,
+    title: template.title,
+    description: template.description || '',
+    checklist: (template.checklist || []).map(item => item.text).join('\n'),
+    tags: (template.tags || []).join(', '),
+    estimatedHours: template.estimatedHours ?? '',
+    priority: template.priority || 'Medium',
+    dueOffsetDays: template.dueOffsetDays ?? '',
+    project: template.project?._id || template.project || ''
+});
+
+const toPayload = (formData) => ({
+    name: formData.name.trim(),
+    title: formData.title.trim(),
+    description: formData.description,
+    checklist: formData.checklist.split('\n').map(text => text.trim()).filter(Boolean),
+    tags: formData.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+    estimatedHours: formData.estimatedHours === '' ? undefined : parseFloat(formData.estimatedHours),
+    priority: formData.priority,
+    dueOffsetDays: formData.dueOffsetDays === '' ? undefined : parseInt(formData.dueOffsetDays),
+    project: formData.project || null
+});
+
+const TaskTemplatesModal = ({ projects, team, isManager, currentUserId, onCreated, onClose }) => {
+    const [templates, setTemplates] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [editing, setEditing] = useState(null); // null, 'new' or a template id
+    const [formData, setFormData] = useState(EMPTY_TEMPLATE);
+    const [using, setUsing] = useState(null);
+    const [useOptions, setUseOptions] = useState({ project: '', assignees: [], startDate: '' });
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    useEffect(() => {
+        getTaskTemplates()
+            .then(res => setTemplates(res.data))
+            .catch(err => setError(err.response?.data?.error || 'Failed to load templates'))
+            .finally(() => setLoading(false));
+    }, []);
+
+    const canManage = (template) =>
+        (template.createdBy?._id || template.createdBy) === currentUserId ||
+        (template.project && projects.some(p => p._id === (template.project._id || template.project) && (p.manager?._id || p.manager) === currentUserId));
+
+    const startEditing = (template) => {
+        setUsing(null);
+        setError('');
+        setEditing(template ? template._id : 'new');
+        setFormData(template ? toFormData(template) : EMPTY_TEMPLATE);
+    };
+
+    const startUsing = (template) => {
+        setEditing(null);
+        setError('');
+        setUsing(template);
+        setUseOptions({ project: template.project?._id || '', assignees: [], startDate: '' });
+    };
+
+    const handleFormChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError('');
+        try {
+            const payload = toPayload(formData);
+            if (editing === 'new') {
+                await createTaskTemplate(payload);
+            } else {
+                await updateTaskTemplate(editing, payload);
+            }
+            // Re-fetch so project and author are populated
+            const res = await getTaskTemplates();
+            setTemplates(res.data);
+            setEditing(null);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to save template');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleDelete = async (template) => {
+        if (!window.confirm(`Delete template "${template.name}"?`)) return;
+        try {
+            await deleteTaskTemplate(template._id);
+            setTemplates(prev => prev.filter(t => t._id !== template._id));
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to delete template');
+        }
+    };
+
+    const toggleAssignee = (memberId) => {
+        setUseOptions(prev => ({
+            ...prev,
+            assignees: prev.assignees.includes(memberId)
+                ? prev.assignees.filter(id => id !== memberId)
+                : [...prev.assignees, memberId]
+        }));
+    };
+
+    const handleInstantiate = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError('');
+        try {
+            const res = await instantiateTaskTemplate(using._id, {
+                project: useOptions.project,
+                assignees: isManager ? useOptions.assignees : [currentUserId],
+                startDate: useOptions.startDate || undefined
+            });
+            const { created, failed } = res.data;
+            onCreated(created);
+            if (failed.length > 0) {
+                setError(`${created.length} task(s) created, ${failed.length} failed: ${failed.map(f => f.error).join('; ')}`);
+            } else {
+                onClose();
+            }
+        } catch (err) {
+            const failed = err.response?.data?.failed;
+            setError(failed?.length ? failed.map(f => f.error).join('; ') : (err.response?.data?.error || 'Failed to create tasks'));
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="modal-backdrop" onClick={onClose}>
+            <div className="modal-content task-templates-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Task Templates</h2>
+                    <button onClick={onClose} className="close-button"><X size={24}/></button>
+                </div>
+
+                {loading ? (
+                    <div className="spinner"></div>
+                ) : (
+                    <ul className="template-list">
+                        {templates.length === 0 && <li className="template-empty">No templates yet</li>}
+                        {templates.map(template => (
+                            <li key={template._id} className="template-item">
+                                <div className="template-summary">
+                                    <strong>{template.name}</strong>
+                                    <span>
+                                        {template.project?.name || 'Personal'} · {template.priority}
+                                        {template.checklist?.length > 0 && ` · ${template.checklist.length} checklist items`}
+                                        {template.dueOffsetDays != null && ` · due +${template.dueOffsetDays}d`}
+                                    </span>
+                                </div>
+                                <div className="template-actions">
+                                    <button onClick={() => startUsing(template)} title="Create tasks from template"><Copy size={16}/></button>
+                                    {canManage(template) && (
+                                        <>
+                                            <button onClick={() => startEditing(template)} title="Edit template"><Edit size={16}/></button>
+                                            <button onClick={() => handleDelete(template)} title="Delete template"><Trash2 size={16}/></button>
+                                        </>
+                                    )}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {isManager && !editing && !using && (
+                    <button className="btn-secondary" onClick={() => startEditing(null)}>
+                        <Plus size={16}/> New Template
+                    </button>
+                )}
+
+                {editing && (
+                    <form onSubmit={handleSave} className="template-form">
+                        <input name="name" value={formData.name} onChange={handleFormChange} placeholder="Template name" required />
+                        <input name="title" value={formData.title} onChange={handleFormChange} placeholder="Task title" required />
+                        <textarea name="description" value={formData.description} onChange={handleFormChange} placeholder="Task description (optional)" rows="2" />
+                        <textarea name="checklist" value={formData.checklist} onChange={handleFormChange} placeholder="Checklist items, one per line" rows="4" />
+                        <input name="tags" value={formData.tags} onChange={handleFormChange} placeholder="Tags, comma separated" />
+                        <div className="template-form-row">
+                            <select name="priority" value={formData.priority} onChange={handleFormChange}>
+                                <option>Low</option><option>Medium</option><option>High</option>
+                            </select>
+                            <input name="estimatedHours" type="number" min="0" step="0.5" value={formData.estimatedHours} onChange={handleFormChange} placeholder="Estimate (h)" />
+                            <input name="dueOffsetDays" type="number" min="0" value={formData.dueOffsetDays} onChange={handleFormChange} placeholder="Due in (days)" />
+                        </div>
+                        <select name="project" value={formData.project} onChange={handleFormChange}>
+                            <option value="">Personal (any project)</option>
+                            {projects.map(p => <option key={p._id} value={p._id}>{p.name}</option>)}
+                        </select>
+                        <div className="modal-actions">
+                            <button type="button" className="btn-secondary" onClick={() => setEditing(null)}>Cancel</button>
+                            <button type="submit" className="btn-primary" disabled={isSubmitting}>
+                                {isSubmitting ? <div className="spinner"></div> : 'Save Template'}
+                            </button>
+                        </div>
+                    </form>
+                )}
+
+                {using && (
+                    <form onSubmit={handleInstantiate} className="template-form">
+                        <h3>Create from "{using.name}"</h3>
+                        {!using.project && (
+                            <select value={useOptions.project} onChange={(e) => setUseOptions(prev => ({ ...prev, project: e.target.value }))} required>
+                                <option value="">Select Project</option>
+                                {projects.map(p => <option key={p._id} value={p._id}>{p.name}</option>)}
+                            </select>
+                        )}
+                        {isManager && (
+                            <div className="template-assignees">
+                                <span>Assignees (one task each; none assigns to you)</span>
+                                {team.map(member => (
+                                    <label key={member._id}>
+                                        <input
+                                            type="checkbox"
+                                            checked={useOptions.assignees.includes(member._id)}
+                                            onChange={() => toggleAssignee(member._id)}
+                                        />
+                                        {member.name}
+                                    </label>
+                                ))}
+                            </div>
+                        )}
+                        <label className="template-start-date">
+                            Start date
+                            <input type="date" value={useOptions.startDate} onChange={(e) => setUseOptions(prev => ({ ...prev, startDate: e.target.value }))} />
+                        </label>
+                        <div className="modal-actions">
+                            <button type="button" className="btn-secondary" onClick={() => setUsing(null)}>Cancel</button>
+                            <button type="submit" className="btn-primary" disabled={isSubmitting}>
+                                {isSubmitting ? <div className="spinner"></div> : 'Create Tasks'}
+                            </button>
+                        </div>
+                    </form>
+                )}
+
+                {error && <p className="error-message">{error}</p>}
+            </div>
+        </div>
+    );
+};
+
+export default TaskTemplatesModal;
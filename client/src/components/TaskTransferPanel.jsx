@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { ArrowRightLeft, Copy } from 'lucide-react';
+import { moveTaskToProject, cloneTask } from '../services/api';
+
+// Move a task (with its subtasks) to another project or clone it; both run
+// immediately, separately from the main form
+const TaskTransferPanel = ({ task, projects = [], onDone }) => {
+    const currentProjectId = task.project?._id || task.project;
+    const [targetProject, setTargetProject] = useState(currentProjectId);
+    const [cloneTitle, setCloneTitle] = useState(`${task.title} (copy)`);
+    // Set when the server reports assignees who aren't on the target project
+    const [outsideAssignees, setOutsideAssignees] = useState(null);
+    const [assigneeAction, setAssigneeAction] = useState('unassign');
+    const [isWorking, setIsWorking] = useState(false);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+
+    const isSameProject = targetProject === currentProjectId;
+
+    const run = async (action) => {
+        setIsWorking(true);
+        setError('');
+        setMessage('');
+        try {
+            const chosenAction = outsideAssignees ? assigneeAction : undefined;
+            const res = action === 'move'
+                ? await moveTaskToProject(task._id, targetProject, chosenAction)
+                : await cloneTask(task._id, targetProject, cloneTitle, chosenAction);
+            const { droppedFields = [] } = res.data;
+            setOutsideAssignees(null);
+            setMessage(`${action === 'move' ? 'Moved' : 'Cloned'} to ${projects.find(p => p._id === targetProject)?.name || 'the project'}` +
+                (droppedFields.length ? `; dropped custom values: ${droppedFields.join(', ')}` : ''));
+            onDone?.(action);
+        } catch (err) {
+            if (err.response?.status === 409 && err.response.data?.outsideAssignees) {
+                setOutsideAssignees(err.response.data.outsideAssignees);
+            }
+            setError(err.response?.data?.error || `Failed to ${action} task`);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    return (
+        <div className="task-transfer">
+            <div className="inline-add">
+                <select
+                    value={targetProject}
+                    onChange={(e) => { setTargetProject(e.target.value); setOutsideAssignees(null); }}
+                    disabled={isWorking}
+                >
+                    {projects.map(project => (
+                        <option key={project._id} value={project._id}>
+                            {project.name}{project._id === currentProjectId ? ' (current)' : ''}
+                        </option>
+                    ))}
+                </select>
+                <button type="button" className="btn-secondary" onClick={() => run('move')} disabled={isWorking || isSameProject}>
+                    <ArrowRightLeft size={16} /> Move
+                </button>
+            </div>
+            <div className="inline-add">
+                <input
+                    value={cloneTitle}
+                    onChange={(e) => setCloneTitle(e.target.value)}
+                    placeholder="Title of the copy"
+                    // Enter would submit the surrounding edit form
+                    onKeyDown={(e) => e.key === 'Enter' && e.preventDefault()}
+                    disabled={isWorking}
+                />
+                <button type="button" className="btn-secondary" onClick={() => run('clone')} disabled={isWorking}>
+                    <Copy size={16} /> Clone
+                </button>
+            </div>
+            {outsideAssignees && (
+                <div className="task-transfer-assignees">
+                    <label>
+                        <input type="radio" checked={assigneeAction === 'unassign'} onChange={() => setAssigneeAction('unassign')} />
+                        Unassign them
+                    </label>
+                    <label>
+                        <input type="radio" checked={assigneeAction === 'addMember'} onChange={() => setAssigneeAction('addMember')} />
+                        Add them to the project
+                    </label>
+                </div>
+            )}
+            <p className="field-hint">Subtasks, checklist and attachments come along. Sprint, milestone and dependencies stay behind when the project changes.</p>
+            {error && <p className="error-message">{error}</p>}
+            {message && <p className="success-message">{message}</p>}
+        </div>
+    );
+};
+
+export default TaskTransferPanel;
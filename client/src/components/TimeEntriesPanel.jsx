@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Play, Square, Clock, Edit3, Trash2, Plus, DollarSign } from 'lucide-react';
+import { getTimeEntries, getRunningTimer, startTimer, stopTimer, createTimeEntry, updateTimeEntry, deleteTimeEntry } from '../services/api';
+import { useAuth } from '../context/AuthContext.jsx';
+import { TIMER_CHANGED_EVENT, announceTimerChange, formatMinutes, toLocalInputValue } from '../utils/timeTracking';
+
+const emptyManualEntry = () => ({ start: toLocalInputValue(new Date()), hours: '', note: '', billable: false });
+
+// Time logged against a task: start/stop timer, manual entries and edits.
+// Every change is saved immediately and the task's actual hours follow the entries.
+const TimeEntriesPanel = ({ task, isManager, onChange }) => {
+    const { user } = useAuth();
+    const [entries, setEntries] = useState([]);
+    const [totalMinutes, setTotalMinutes] = useState(0);
+    const [running, setRunning] = useState(null);
+    const [manualEntry, setManualEntry] = useState(emptyManualEntry);
+    const [editing, setEditing] = useState(null);
+    const [error, setError] = useState('');
+
+    const loadEntries = useCallback(() => {
+        getTimeEntries({ task: task._id })
+            .then(res => {
+                setEntries(res.data.entries || []);
+                setTotalMinutes(res.data.totalMinutes || 0);
+            })
+            .catch(err => console.error('Failed to load time entries:', err));
+    }, [task._id]);
+
+    useEffect(() => {
+        loadEntries();
+        getRunningTimer()
+            .then(res => setRunning(res.data || null))
+            .catch(err => console.error('Failed to load running timer:', err));
+
+        // The sidebar widget can stop the timer too
+        const handleChange = (e) => {
+            setRunning(e.detail);
+            loadEntries();
+        };
+        window.addEventListener(TIMER_CHANGED_EVENT, handleChange);
+        return () => window.removeEventListener(TIMER_CHANGED_EVENT, handleChange);
+    }, [loadEntries]);
+
+    const afterChange = () => {
+        setError('');
+        loadEntries();
+        onChange?.();
+    };
+
+    const run = async (action, fallback) => {
+        try {
+            await action();
+        } catch (err) {
+            setError(err.response?.data?.error || fallback);
+        }
+    };
+
+    const runningHere = running && (running.task?._id || running.task) === task._id;
+
+    const handleStart = () => run(async () => {
+        const res = await startTimer(task._id);
+        announceTimerChange(res.data);
+        setError('');
+    }, 'Failed to start timer');
+
+    const handleStop = () => run(async () => {
+        await stopTimer();
+        announceTimerChange(null);
+        afterChange();
+    }, 'Failed to stop timer');
+
+    const handleAddManual = () => run(async () => {
+        await createTimeEntry({
+            taskId: task._id,
+            start: new Date(manualEntry.start).toISOString(),
+            hours: parseFloat(manualEntry.hours),
+            note: manualEntry.note.trim() || undefined,
+            billable: manualEntry.billable
+        });
+        setManualEntry(emptyManualEntry());
+        afterChange();
+    }, 'Failed to log time');
+
+    const startEdit = (entry) => setEditing({
+        _id: entry._id,
+        start: toLocalInputValue(entry.start),
+        end: toLocalInputValue(entry.end),
+        note: entry.note || '',
+        billable: entry.billable
+    });
+
+    const handleSaveEdit = () => run(async () => {
+        await updateTimeEntry(editing._id, {
+            start: new Date(editing.start).toISOString(),
+            end: new Date(editing.end).toISOString(),
+            note: editing.note,
+            billable: editing.billable
+        });
+        setEditing(null);
+        afterChange();
+    }, 'Failed to update time entry');
+
+    const handleDelete = (entry) => run(async () => {
+        if (!window.confirm('Delete this time entry?')) return;
+        await deleteTimeEntry(entry._id);
+        afterChange();
+    }, 'Failed to delete time entry');
+
+    const canChange = (entry) => isManager || (entry.user?._id || entry.user) === user?._id;
+
+    return (
+        <div className="time-entries-panel">
+            <div className="time-entries-summary">
+                <span><Clock size={14} /> {formatMinutes(totalMinutes)} logged</span>
+                {runningHere ? (
+                    <button type="button" className="btn-secondary" onClick={handleStop}>
+                        <Square size={14} /> Stop timer
+                    </button>
+                ) : (
+                    <button type="button" className="btn-secondary" onClick={handleStart}>
+                        <Play size={14} /> Start timer
+                    </button>
+                )}
+            </div>
+
+            <ul className="subtask-list">
+                {entries.filter(entry => entry.end).map(entry => (
+                    editing?._id === entry._id ? (
+                        <li key={entry._id} className="subtask-item time-entry-edit">
+                            <input type="datetime-local" value={editing.start} onChange={(e) => setEditing({ ...editing, start: e.target.value })} />
+                            <input type="datetime-local" value={editing.end} onChange={(e) => setEditing({ ...editing, end: e.target.value })} />
+                            <input value={editing.note} onChange={(e) => setEditing({ ...editing, note: e.target.value })} placeholder="Note" />
+                            <label className="time-entry-billable">
+                                <input type="checkbox" checked={editing.billable} onChange={(e) => setEditing({ ...editing, billable: e.target.checked })} />
+                                Billable
+                            </label>
+                            <button type="button" className="btn-secondary" onClick={() => setEditing(null)}>Cancel</button>
+                            <button type="button" className="btn-primary" onClick={handleSaveEdit}>Save</button>
+                        </li>
+                    ) : (
+                        <li key={entry._id} className="subtask-item">
+                            <span className="time-entry-duration">{formatMinutes(entry.duration)}</span>
+                            <span className="subtask-title">
+                                {entry.note || 'No note'}
+                                {entry.billable && <DollarSign size={12} className="time-entry-billable-icon" />}
+                            </span>
+                            <span className="attachment-meta">
+                                {entry.user?.name} · {new Date(entry.start).toLocaleDateString()}
+                            </span>
+                            {canChange(entry) && (
+                                <>
+                                    <button type="button" className="icon-button" onClick={() => startEdit(entry)} title="Edit entry">
+                                        <Edit3 size={14} />
+                                    </button>
+                                    <button type="button" className="icon-button" onClick={() => handleDelete(entry)} title="Delete entry">
+                                        <Trash2 size={14} />
+                                    </button>
+                                </>
+                            )}
+                        </li>
+                    )
+                ))}
+            </ul>
+
+            <div className="inline-add time-entry-manual">
+                <input
+                    type="datetime-local"
+                    value={manualEntry.start}
+                    onChange={(e) => setManualEntry({ ...manualEntry, start: e.target.value })}
+                />
+                <input
+                    type="number"
+                    min="0"
+                    step="0.25"
+                    value={manualEntry.hours}
+                    onChange={(e) => setManualEntry({ ...manualEntry, hours: e.target.value })}
+                    placeholder="Hours"
+                />
+                <input
+                    value={manualEntry.note}
+                    onChange={(e) => setManualEntry({ ...manualEntry, note: e.target.value })}
+                    placeholder="What did you work on?"
+                />
+                <label className="time-entry-billable">
+                    <input
+                        type="checkbox"
+                        checked={manualEntry.billable}
+                        onChange={(e) => setManualEntry({ ...manualEntry, billable: e.target.checked })}
+                    />
+                    Billable
+                </label>
+                <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={handleAddManual}
+                    disabled={!manualEntry.start || !(parseFloat(manualEntry.hours) > 0)}
+                    title="Log time"
+                >
+                    <Plus size={16} />
+                </button>
+            </div>
+            {error && <p className="error-message">{error}</p>}
+        </div>
+    );
+};
+
+export default TimeEntriesPanel;
@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Timer, Square } from 'lucide-react';
+import { getRunningTimer, stopTimer } from '../services/api';
+import { TIMER_CHANGED_EVENT, announceTimerChange, formatElapsed } from '../utils/timeTracking';
+import './TimerWidget.css';
+
+const TimerWidget = () => {
+    const navigate = useNavigate();
+    const [running, setRunning] = useState(null);
+    const [now, setNow] = useState(Date.now());
+    const [isStopping, setIsStopping] = useState(false);
+
+    useEffect(() => {
+        getRunningTimer()
+            .then(res => setRunning(res.data || null))
+            .catch(err => console.error('Failed to load running timer:', err));
+
+        const handleChange = (e) => setRunning(e.detail);
+        window.addEventListener(TIMER_CHANGED_EVENT, handleChange);
+        return () => window.removeEventListener(TIMER_CHANGED_EVENT, handleChange);
+    }, []);
+
+    // Tick once a second while a timer runs
+    useEffect(() => {
+        if (!running) return;
+        setNow(Date.now());
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [running]);
+
+    if (!running) return null;
+
+    const handleStop = async () => {
+        setIsStopping(true);
+        try {
+            await stopTimer();
+            announceTimerChange(null);
+        } catch (err) {
+            console.error('Failed to stop timer:', err);
+        } finally {
+            setIsStopping(false);
+        }
+    };
+
+    return (
+        <div className="timer-widget">
+            <Timer size={16} className="timer-icon" />
+            <button
+                type="button"
+                className="timer-task"
+                onClick={() => navigate(`/tasks?task=${running.task?._id}`)}
+                title={running.task?.title}
+            >
+                {running.task?.title || 'Task'}
+            </button>
+            <span className="timer-elapsed">{formatElapsed(now - new Date(running.start).getTime())}</span>
+            <button type="button" className="timer-stop" onClick={handleStop} disabled={isStopping} title="Stop timer">
+                <Square size={14} />
+            </button>
+        </div>
+    );
+};
+
+export default TimerWidget;
@@ -0,0 +1,108 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { RotateCcw, Trash2, Folder, CheckSquare } from 'lucide-react';
+import { trashApi } from '../services/apiClient.js';
+import './TrashList.css';
+
+// Deleted projects and tasks with restore and permanent delete. With `projectId`
+// it lists that project's deleted tasks only.
+const TrashList = ({ projectId, onChange }) => {
+    const [trash, setTrash] = useState({ projects: [], tasks: [], retentionDays: null });
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const load = useCallback(async () => {
+        try {
+            setTrash(await trashApi.list(projectId));
+        } catch (err) {
+            setError(err.message || 'Failed to load the trash');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [projectId]);
+
+    useEffect(() => { load(); }, [load]);
+
+    const run = async (action) => {
+        setError('');
+        try {
+            await action();
+            await load();
+            onChange?.();
+        } catch (err) {
+            setError(err.body?.error || err.message || 'Trash update failed');
+        }
+    };
+
+    const purge = (label, action) => {
+        if (!window.confirm(`Permanently delete ${label}? This cannot be undone.`)) return;
+        run(action);
+    };
+
+    const renderMeta = (item) => (
+        <span className="trash-meta">
+            Deleted {new Date(item.deletedAt).toLocaleDateString()}
+            {item.deletedBy?.name ? ` by ${item.deletedBy.name}` : ''}
+            {' · '}purged {new Date(item.purgeAt).toLocaleDateString()}
+        </span>
+    );
+
+    if (isLoading) return <p className="trash-empty">Loading trash...</p>;
+
+    const isEmpty = trash.projects.length === 0 && trash.tasks.length === 0;
+
+    return (
+        <div className="trash-list">
+            {trash.retentionDays && (
+                <p className="trash-hint">Items are deleted for good {trash.retentionDays} days after they go to the trash.</p>
+            )}
+            {isEmpty && <p className="trash-empty">The trash is empty.</p>}
+
+            {trash.projects.map(project => (
+                <div key={project._id} className="trash-row">
+                    <Folder size={16} />
+                    <div className="trash-info">
+                        <strong>{project.name}</strong>
+                        {renderMeta(project)}
+                    </div>
+                    <button type="button" className="btn-secondary" onClick={() => run(() => trashApi.restoreProject(project._id))}>
+                        <RotateCcw size={14} /> Restore
+                    </button>
+                    <button
+                        type="button"
+                        className="trash-icon-btn"
+                        title="Delete permanently"
+                        onClick={() => purge(`project "${project.name}" and all its tasks`, () => trashApi.purgeProject(project._id))}
+                    >
+                        <Trash2 size={14} />
+                    </button>
+                </div>
+            ))}
+
+            {trash.tasks.map(task => (
+                <div key={task._id} className="trash-row">
+                    <CheckSquare size={16} />
+                    <div className="trash-info">
+                        <strong>{task.title}</strong>
+                        {task.projectName && <span className="trash-project">{task.projectName}</span>}
+                        {renderMeta(task)}
+                    </div>
+                    <button type="button" className="btn-secondary" onClick={() => run(() => trashApi.restoreTask(task._id))}>
+                        <RotateCcw size={14} /> Restore
+                    </button>
+                    <button
+                        type="button"
+                        className="trash-icon-btn"
+                        title="Delete permanently"
+                        onClick={() => purge(`task "${task.title}"`, () => trashApi.purgeTask(task._id))}
+                    >
+                        <Trash2 size={14} />
+                    </button>
+                </div>
+            ))}
+
+            {error && <p className="trash-error">{error}</p>}
+        </div>
+    );
+};
+
+export default TrashList;
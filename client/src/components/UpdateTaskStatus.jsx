@@ -1,20 +1,30 @@
 import React, { useState } from 'react';
-import { updateTask } from '../services/api';
-import { Play, Pause, CheckCircle, Clock, MessageSquare } from 'lucide-react';
+import { updateTask, createTimeEntry } from '../services/api';
+import { Play, CheckCircle, Clock, MessageSquare } from 'lucide-react';
+import { DEFAULT_WORKFLOW, CATEGORY_COLORS, getAllowedTargets, withWipOverride } from '../utils/workflow';
 import './UpdateTaskStatus.css';
 
-const UpdateTaskStatus = ({ task, onUpdate, onClose }) => {
+const categoryIcons = { todo: Clock, active: Play, done: CheckCircle };
+
+const UpdateTaskStatus = ({ task, workflow = DEFAULT_WORKFLOW, onUpdate, onClose }) => {
   const [status, setStatus] = useState(task.status);
-  const [actualHours, setActualHours] = useState(task.actualHours || 0);
+  const [hoursToLog, setHoursToLog] = useState('');
   const [progressNote, setProgressNote] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
+  // Actual hours are derived from time entries; hours logged here become a new entry
+  const actualHours = (task.actualHours || 0) + (parseFloat(hoursToLog) || 0);
 
-  const statusOptions = [
-    { value: 'To Do', icon: Clock, label: 'To Do', color: '#8A63D2' },
-    { value: 'In Progress', icon: Play, label: 'In Progress', color: '#f59e0b' },
-    { value: 'Done', icon: CheckCircle, label: 'Done', color: '#10b981' }
-  ];
+  // Current status plus every status the workflow allows moving to
+  const allowed = getAllowedTargets(workflow, task.status).map(state => state.name);
+  const statusOptions = workflow
+    .filter(state => state.name === task.status || allowed.includes(state.name))
+    .map(state => ({
+      value: state.name,
+      icon: categoryIcons[state.category] || Clock,
+      label: state.name,
+      color: state.color || CATEGORY_COLORS[state.category]
+    }));
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -24,14 +34,27 @@ const UpdateTaskStatus = ({ task, onUpdate, onClose }) => {
     try {
       const updateData = {
         status,
-        actualHours: parseFloat(actualHours),
         progressNote: progressNote.trim()
       };
 
-      const response = await updateTask(task._id, updateData);
+      // A full column asks before overriding its WIP limit; null means the user declined
+      const response = await withWipOverride(override =>
+        updateTask(task._id, { ...updateData, overrideWipLimit: override || undefined })
+      );
+      if (!response) return;
+
+      const hours = parseFloat(hoursToLog);
+      if (hours > 0) {
+        await createTimeEntry({
+          taskId: task._id,
+          start: new Date(Date.now() - hours * 60 * 60 * 1000).toISOString(),
+          hours,
+          note: progressNote.trim() || undefined
+        });
+      }
       
       if (response.data) {
-        onUpdate(response.data);
+        onUpdate({ ...response.data, actualHours });
         onClose();
       } else {
         setError('Failed to update task status');
@@ -100,8 +123,8 @@ const UpdateTaskStatus = ({ task, onUpdate, onClose }) => {
 
           {/* Hours Tracking */}
           <div className="form-section">
-            <label htmlFor="actualHours">
-              Actual Hours Worked
+            <label htmlFor="hoursToLog">
+              Log Hours Worked
               {task.estimatedHours && (
                 <span className="estimate-info">
                   (Estimated: {task.estimatedHours}h)
@@ -110,12 +133,12 @@ const UpdateTaskStatus = ({ task, onUpdate, onClose }) => {
             </label>
             <input
               type="number"
-              id="actualHours"
-              value={actualHours}
-              onChange={(e) => setActualHours(e.target.value)}
+              id="hoursToLog"
+              value={hoursToLog}
+              onChange={(e) => setHoursToLog(e.target.value)}
               min="0"
-              step="0.5"
-              placeholder="Enter hours worked"
+              step="0.25"
+              placeholder="Hours to add as a time entry"
             />
             {task.estimatedHours > 0 && (
               <div className="hours-progress-bar">
@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+import { Eye, EyeOff } from 'lucide-react';
+import { watchTask, unwatchTask } from '../services/api';
+import { useAuth } from '../context/AuthContext.jsx';
+
+const WatchButton = ({ task, onChange }) => {
+    const { user } = useAuth();
+    const [watchers, setWatchers] = useState(task.watchers || []);
+    const [isSaving, setIsSaving] = useState(false);
+    const watching = watchers.some(w => (w._id || w) === user?._id);
+
+    const handleToggle = async () => {
+        setIsSaving(true);
+        try {
+            const res = watching ? await unwatchTask(task._id) : await watchTask(task._id);
+            setWatchers(res.data.watchers || []);
+            onChange?.();
+        } catch (err) {
+            console.error('Failed to update watch status:', err);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <button
+            type="button"
+            className={`btn-secondary watch-button ${watching ? 'watching' : ''}`}
+            onClick={handleToggle}
+            disabled={isSaving}
+            title={watching ? 'Stop getting updates about this task' : 'Get updates about this task'}
+        >
+            {watching ? <EyeOff size={16} /> : <Eye size={16} />}
+            {watching ? 'Unwatch' : 'Watch'}
+            <span className="watch-count">{watchers.length}</span>
+        </button>
+    );
+};
+
+export default WatchButton;
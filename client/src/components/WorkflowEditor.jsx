@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { ArrowUp, ArrowDown, Plus, Trash2, Save } from 'lucide-react';
+import { getWorkflow, CATEGORY_COLORS } from '../utils/workflow';
+import './WorkflowEditor.css';
+
+const CATEGORIES = [
+    { value: 'todo', label: 'To do' },
+    { value: 'active', label: 'Active' },
+    { value: 'done', label: 'Done' }
+];
+
+const WorkflowEditor = ({ project, onSave }) => {
+    const [states, setStates] = useState(() => getWorkflow(project).map(state => ({
+        name: state.name,
+        category: state.category,
+        transitions: state.transitions || [],
+        wipLimit: state.wipLimit || '',
+        wipLimitPerAssignee: state.wipLimitPerAssignee || ''
+    })));
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const updateState = (index, changes) => {
+        setStates(prev => prev.map((state, i) => i === index ? { ...state, ...changes } : state));
+    };
+
+    // Renaming a state keeps transitions that point at it
+    const renameState = (index, name) => {
+        const oldName = states[index].name;
+        setStates(prev => prev.map((state, i) => ({
+            ...state,
+            name: i === index ? name : state.name,
+            transitions: state.transitions.map(t => t === oldName ? name : t)
+        })));
+    };
+
+    const moveState = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= states.length) return;
+        setStates(prev => {
+            const next = [...prev];
+            [next[index], next[target]] = [next[target], next[index]];
+            return next;
+        });
+    };
+
+    const removeState = (index) => {
+        const removed = states[index].name;
+        setStates(prev => prev
+            .filter((_, i) => i !== index)
+            .map(state => ({ ...state, transitions: state.transitions.filter(t => t !== removed) })));
+    };
+
+    const toggleTransition = (index, target) => {
+        const { transitions } = states[index];
+        updateState(index, {
+            transitions: transitions.includes(target)
+                ? transitions.filter(t => t !== target)
+                : [...transitions, target]
+        });
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setError('');
+        setSuccess('');
+        try {
+            await onSave(states.map(state => ({
+                ...state,
+                name: state.name.trim(),
+                wipLimit: parseInt(state.wipLimit) || null,
+                wipLimitPerAssignee: parseInt(state.wipLimitPerAssignee) || null
+            })));
+            setSuccess('Workflow saved');
+        } catch (err) {
+            setError(err.body?.error || err.message || 'Failed to save workflow');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="workflow-editor">
+            {states.map((state, index) => (
+                <div key={index} className="workflow-state" style={{ borderLeftColor: CATEGORY_COLORS[state.category] }}>
+                    <div className="workflow-state-row">
+                        <input value={state.name} onChange={(e) => renameState(index, e.target.value)} placeholder="Status name" />
+                        <select value={state.category} onChange={(e) => updateState(index, { category: e.target.value })}>
+                            {CATEGORIES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                        </select>
+                        <button type="button" onClick={() => moveState(index, -1)} disabled={index === 0} title="Move up"><ArrowUp size={14} /></button>
+                        <button type="button" onClick={() => moveState(index, 1)} disabled={index === states.length - 1} title="Move down"><ArrowDown size={14} /></button>
+                        <button type="button" onClick={() => removeState(index)} disabled={states.length === 1} title="Remove status"><Trash2 size={14} /></button>
+                    </div>
+                    <div className="workflow-wip-limits">
+                        <label>
+                            WIP limit
+                            <input
+                                type="number"
+                                min="1"
+                                value={state.wipLimit}
+                                onChange={(e) => updateState(index, { wipLimit: e.target.value })}
+                                placeholder="None"
+                            />
+                        </label>
+                        <label>
+                            Per person
+                            <input
+                                type="number"
+                                min="1"
+                                value={state.wipLimitPerAssignee}
+                                onChange={(e) => updateState(index, { wipLimitPerAssignee: e.target.value })}
+                                placeholder="None"
+                            />
+                        </label>
+                    </div>
+                    <div className="workflow-transitions">
+                        <span>Can move to{state.transitions.length === 0 ? ' (any)' : ''}:</span>
+                        {states.filter((_, i) => i !== index).map(target => (
+                            <label key={target.name}>
+                                <input
+                                    type="checkbox"
+                                    checked={state.transitions.includes(target.name)}
+                                    onChange={() => toggleTransition(index, target.name)}
+                                />
+                                {target.name}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            ))}
+            <div className="workflow-actions">
+                <button type="button" className="btn-secondary" onClick={() => setStates(prev => [...prev, { name: '', category: 'active', transitions: [], wipLimit: '', wipLimitPerAssignee: '' }])}>
+                    <Plus size={16} /> Add status
+                </button>
+                <button type="button" className="btn-secondary" onClick={handleSave} disabled={isSaving}>
+                    <Save size={16} /> {isSaving ? 'Saving...' : 'Save workflow'}
+                </button>
+            </div>
+            {error && <p className="workflow-error">{error}</p>}
+            {success && <p className="workflow-success">{success}</p>}
+        </div>
+    );
+};
+
+export default WorkflowEditor;
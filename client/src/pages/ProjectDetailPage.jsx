@@ -2,6 +2,15 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { projectsApi } from '../services/apiClient.js';
+import WorkflowEditor from '../components/WorkflowEditor.jsx';
+import CommentThread from '../components/CommentThread.jsx';
+import TagCatalogEditor from '../components/TagCatalogEditor.jsx';
+import CustomFieldsEditor from '../components/CustomFieldsEditor.jsx';
+import SprintPanel from '../components/SprintPanel.jsx';
+import MilestonePanel from '../components/MilestonePanel.jsx';
+import TrashList from '../components/TrashList.jsx';
+import { MILESTONE_STATUS_LABELS } from '../utils/milestones';
+import { formatAssignees } from '../utils/assignees';
 import { ArrowLeft, Calendar, Users, Target, Clock, BarChart3, CheckCircle2, AlertCircle, Play, Pause, Flag } from 'lucide-react';
 import './ProjectDetailPage.css';
 
@@ -15,8 +24,6 @@ const ProjectDetailPage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showAnalytics, setShowAnalytics] = useState(false);
-  const [commentValue, setCommentValue] = useState('');
-  const [commentSubmitting, setCommentSubmitting] = useState(false);
 
   useEffect(() => { if (projectId) load(); }, [projectId]);
 
@@ -37,18 +44,39 @@ const ProjectDetailPage = () => {
     catch (e) { setError(prev => prev || 'Failed to load analytics'); }
   }
 
-  async function submitComment(e) {
-    e.preventDefault();
-    if (!commentValue.trim()) return;
-    setCommentSubmitting(true);
-    try {
-      const created = await projectsApi.comment(projectId, commentValue.trim());
-      setProject(p => ({ ...p, comments: [created, ...(p?.comments||[])] }));
-      setCommentValue('');
-    } catch (e) { alert(e.message || 'Failed to add comment'); }
-    finally { setCommentSubmitting(false); }
+  const commentActions = {
+    add: (text, parentComment) => projectsApi.comment(projectId, text, parentComment),
+    edit: (commentId, text) => projectsApi.editComment(projectId, commentId, text),
+    remove: (commentId) => projectsApi.deleteComment(projectId, commentId),
+    react: (commentId, emoji) => projectsApi.reactToComment(projectId, commentId, emoji)
+  };
+
+  async function saveWorkflow(workflow) {
+    const updated = await projectsApi.updateWorkflow(projectId, workflow);
+    setProject(p => ({ ...p, workflow: updated.workflow }));
+  }
+
+  // Project manager and members can be @mentioned in comments
+  const mentionCandidates = project ? [project.manager, ...(project.members || []).map(m => m.user)]
+    .filter(u => u?._id)
+    .filter((u, index, all) => all.findIndex(other => other._id === u._id) === index) : [];
+
+  async function refreshTasks() {
+    try { setTasks(await projectsApi.tasks(projectId)); }
+    catch (e) { console.error('Failed to refresh tasks', e); }
+  }
+
+  async function saveCustomFields(customFields) {
+    const updated = await projectsApi.updateCustomFields(projectId, customFields);
+    setProject(p => ({ ...p, customFields: updated.customFields }));
+    return updated.customFields;
   }
 
+  // Longest bar in the velocity chart
+  const velocityScale = Math.max(1, ...(analytics?.velocity?.sprints || []).flatMap(s => [s.committedPoints, s.completedPoints]));
+
+  const canEditWorkflow = user?.role === 'manager' || project?.manager?._id === user?._id;
+
   function statusIcon(status) {
     switch (status) {
       case 'Completed': return <CheckCircle2 className="status-icon completed" />;
@@ -104,7 +132,7 @@ const ProjectDetailPage = () => {
                 <div className="meta-line">
                   {t.priority && <span>Priority: {t.priority}</span>}
                   {t.dueDate && <span>Due: {new Date(t.dueDate).toLocaleDateString()}</span>}
-                  {t.assignedTo && <span>Assignee: {t.assignedTo.name}</span>}
+                  {t.assignees?.length > 0 && <span>Assignees: {formatAssignees(t)}</span>}
                 </div>
               </div>
             </div>
@@ -112,21 +140,54 @@ const ProjectDetailPage = () => {
         </div>
       </section>
 
+      <section className="project-section">
+        <h2>Sprints</h2>
+        <SprintPanel projectId={projectId} canManage={canEditWorkflow} onChange={refreshTasks} />
+      </section>
+
+      <section className="project-section">
+        <h2>Milestones</h2>
+        <MilestonePanel projectId={projectId} tasks={tasks} canManage={canEditWorkflow} onChange={refreshTasks} />
+      </section>
+
+      {canEditWorkflow && (
+        <section className="project-section">
+          <h2>Workflow</h2>
+          <WorkflowEditor project={project} onSave={saveWorkflow} />
+        </section>
+      )}
+
+      {canEditWorkflow && (
+        <section className="project-section">
+          <h2>Custom Fields</h2>
+          <CustomFieldsEditor project={project} onSave={saveCustomFields} />
+        </section>
+      )}
+
+      {canEditWorkflow && (
+        <section className="project-section">
+          <h2>Tags</h2>
+          <TagCatalogEditor projectId={projectId} />
+        </section>
+      )}
+
+      {canEditWorkflow && (
+        <section className="project-section">
+          <h2>Trash</h2>
+          <TrashList projectId={projectId} onChange={refreshTasks} />
+        </section>
+      )}
+
       <section className="project-section comments-section">
         <h2>Comments</h2>
-        <form onSubmit={submitComment} className="add-comment-form">
-          <textarea value={commentValue} onChange={e=>setCommentValue(e.target.value)} placeholder="Add a comment" />
-          <button disabled={commentSubmitting || !commentValue.trim()}>{commentSubmitting ? 'Posting...' : 'Post'}</button>
-        </form>
-        <div className="comments-list">
-          {(project.comments||[]).length === 0 && <div className="empty">No comments yet.</div>}
-          {(project.comments||[]).map(c => (
-            <div key={c._id || c.createdAt} className="comment-item">
-              <div className="comment-meta">{c.user?.name || 'User'} • {new Date(c.createdAt).toLocaleString()}</div>
-              <div className="comment-text">{c.text}</div>
-            </div>
-          ))}
-        </div>
+        <CommentThread
+          comments={project.comments || []}
+          onChange={comments => setProject(p => ({ ...p, comments }))}
+          actions={commentActions}
+          candidates={mentionCandidates}
+          currentUserId={user?._id}
+          canModerate={project.manager?._id === user?._id}
+        />
       </section>
 
       <section className="project-section analytics-section">
@@ -141,6 +202,34 @@ const ProjectDetailPage = () => {
             <div className="metric"><strong>To Do</strong><span>{analytics.todoTasks}</span></div>
           </div>
         )}
+        {analytics?.velocity?.sprints.length > 0 && (
+          <div className="velocity-chart">
+            <h3>Velocity <span>average {analytics.velocity.averageVelocity} pts per sprint</span></h3>
+            {analytics.velocity.sprints.map(sprint => (
+              <div key={sprint._id} className="velocity-row">
+                <span className="velocity-name">{sprint.name}</span>
+                <div className="velocity-bars">
+                  <div className="velocity-bar committed" style={{ width: `${(sprint.committedPoints / velocityScale) * 100}%` }} title={`${sprint.committedPoints} pts committed`} />
+                  <div className="velocity-bar completed" style={{ width: `${(sprint.completedPoints / velocityScale) * 100}%` }} title={`${sprint.completedPoints} pts completed`} />
+                </div>
+                <span className="velocity-points">{sprint.completedPoints}/{sprint.committedPoints}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        {analytics?.milestones?.length > 0 && (
+          <div className="milestone-summary">
+            <h3>Milestones</h3>
+            {analytics.milestones.map(milestone => (
+              <div key={milestone._id} className="milestone-summary-row">
+                <span>{milestone.name}</span>
+                <span>{new Date(milestone.targetDate).toLocaleDateString()}</span>
+                <span>{milestone.progress}%</span>
+                <span className={`milestone-status ${milestone.status}`}>{MILESTONE_STATUS_LABELS[milestone.status]}</span>
+              </div>
+            ))}
+          </div>
+        )}
       </section>
     </div>
   );
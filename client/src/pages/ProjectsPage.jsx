@@ -38,8 +38,29 @@ import {
   FileText,
   Download
 } from 'lucide-react';
+import ConflictPrompt from '../components/ConflictPrompt.jsx';
+import { isEditConflict, mergeChanges } from '../utils/conflicts';
 import './ProjectsPage.css';
 
+const PROJECT_FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  deadline: 'Deadline',
+  tags: 'Tags',
+  'members.user': 'Members'
+};
+
+// Values the project form edits, taken from a project
+const toProjectForm = (project) => ({
+  name: project?.name || '',
+  description: project?.description || '',
+  priority: project?.priority || 'Medium',
+  deadline: project?.deadline ? new Date(project.deadline).toISOString().split('T')[0] : '',
+  tags: project?.tags?.join(', ') || ''
+});
+
 const ProjectsPage = () => {
   const { user } = useAuth();
   const navigate = useNavigate();
@@ -135,13 +156,15 @@ const ProjectsPage = () => {
       setEditingProject(null);
       setShowModal(false);
     } catch (error) {
+      // The modal offers to resolve edit conflicts
+      if (isEditConflict(error)) throw error;
       console.error("Failed to update project", error);
       alert("Error: Could not update project.");
     }
   };
 
   const handleDeleteProject = async (projectId) => {
-    if (!window.confirm('Are you sure you want to delete this project? This action cannot be undone.')) {
+    if (!window.confirm('Move this project and its tasks to the trash? A manager can restore them until the trash is purged.')) {
       return;
     }
     
@@ -169,13 +192,11 @@ const ProjectsPage = () => {
   const ProjectModal = () => {
     const [teams, setTeams] = useState([]);
     const [selectedTeamId, setSelectedTeamId] = useState(editingProject?.team?._id || "");
-    const [formData, setFormData] = useState({
-      name: editingProject?.name || '',
-      description: editingProject?.description || '',
-      priority: editingProject?.priority || 'Medium',
-      deadline: editingProject?.deadline ? new Date(editingProject.deadline).toISOString().split('T')[0] : '',
-      tags: editingProject?.tags?.join(', ') || ''
-    });
+    // The values the form was loaded from, to merge with someone else's newer changes
+    const [base, setBase] = useState(() => ({ form: toProjectForm(editingProject), version: editingProject?.version }));
+    const [formData, setFormData] = useState(base.form);
+    const [conflict, setConflict] = useState(null);
+    const [mergeNote, setMergeNote] = useState('');
 
     useEffect(() => {
       if (isManager) {
@@ -185,13 +206,7 @@ const ProjectsPage = () => {
       }
     }, []);
 
-    const handleSubmit = async (e) => {
-      e.preventDefault();
-      if (!selectedTeamId) {
-        alert("Please select a team for this project.");
-        return;
-      }
-
+    const saveProject = async (version) => {
       const projectData = {
         ...formData,
         team: selectedTeamId,
@@ -199,12 +214,53 @@ const ProjectsPage = () => {
       };
 
       if (editingProject) {
-        await handleUpdateProject(projectData);
+        try {
+          await handleUpdateProject({ ...projectData, version });
+        } catch (error) {
+          setMergeNote('');
+          setConflict(error.response.data);
+        }
       } else {
         await handleCreateProject(projectData);
       }
     };
 
+    const handleSubmit = async (e) => {
+      e.preventDefault();
+      if (!selectedTeamId) {
+        alert("Please select a team for this project.");
+        return;
+      }
+      await saveProject(base.version);
+    };
+
+    // Take their changes to fields you didn't edit and keep yours, then let the user review
+    const handleMergeConflict = () => {
+      const latest = { form: toProjectForm(conflict.current), version: conflict.version };
+      const { merged, clashes } = mergeChanges(base.form, formData, latest.form);
+      setFormData(merged);
+      setBase(latest);
+      setConflict(null);
+      setMergeNote(clashes.length
+        ? `Merged the latest changes; your values were kept for ${clashes.map(key => PROJECT_FIELD_LABELS[key]).join(', ')}. Review and save.`
+        : 'Merged the latest changes. Review and save.');
+    };
+
+    const handleOverwriteConflict = () => {
+      const { version } = conflict;
+      setBase(prev => ({ ...prev, version }));
+      setConflict(null);
+      saveProject(version);
+    };
+
+    const handleDiscardChanges = () => {
+      const latest = { form: toProjectForm(conflict.current), version: conflict.version };
+      setFormData(latest.form);
+      setBase(latest);
+      setConflict(null);
+      setMergeNote('');
+    };
+
     const handleChange = (e) => {
       setFormData({
         ...formData,
@@ -297,6 +353,18 @@ const ProjectsPage = () => {
               />
             </div>
             
+            {conflict && (
+              <ConflictPrompt
+                label="project"
+                conflicts={conflict.conflicts}
+                fieldLabels={PROJECT_FIELD_LABELS}
+                onMerge={handleMergeConflict}
+                onOverwrite={handleOverwriteConflict}
+                onDiscard={handleDiscardChanges}
+              />
+            )}
+            {mergeNote && <p className="conflict-note">{mergeNote}</p>}
+
             <div className="modal-actions">
               <button 
                 type="button" 
@@ -308,7 +376,7 @@ const ProjectsPage = () => {
               >
                 Cancel
               </button>
-              <button type="submit" className="btn-primary">
+              <button type="submit" className="btn-primary" disabled={Boolean(conflict)}>
                 {editingProject ? 'Update Project' : 'Create Project'}
               </button>
             </div>
@@ -384,7 +452,7 @@ const ProjectsPage = () => {
               <h3>Team Performance</h3>
               <div className="team-performance">
                 {analytics.teamPerformance.map(member => (
-                  <div key={member.userId} className="member-performance">
+                  <div key={member.userId || 'unassigned'} className="member-performance">
                     <span className="member-name">{member.name}</span>
                     <div className="performance-bar">
                       <div 
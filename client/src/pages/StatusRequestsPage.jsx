@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { getStatusRequests, reviewStatusRequest } from '../services/api';
+import { withWipOverride } from '../utils/workflow';
 import { useAuth } from '../context/AuthContext';
 import { Clock, CheckCircle, XCircle, AlertCircle, Send, Calendar, User, FileText } from 'lucide-react';
 import './StatusRequestsPage.css';
@@ -61,11 +62,14 @@ const StatusRequestsPage = () => {
             setIsSubmitting(true);
             setError('');
             
-            await reviewStatusRequest(
+            // Approving into a full column asks before overriding its WIP limit
+            const result = await withWipOverride(override => reviewStatusRequest(
                 reviewModal.request._id,
                 reviewModal.action,
-                reviewComment
-            );
+                reviewComment,
+                override
+            ));
+            if (!result) return;
 
             // Refresh the requests list
             await fetchRequests();
@@ -75,7 +79,7 @@ const StatusRequestsPage = () => {
             setReviewComment('');
         } catch (err) {
             console.error('Failed to review request:', err);
-            setError('Failed to submit review. Please try again.');
+            setError(err.response?.data?.error || 'Failed to submit review. Please try again.');
         } finally {
             setIsSubmitting(false);
         }
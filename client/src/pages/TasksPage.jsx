@@ -1,19 +1,37 @@
 
-import React, { useState, useEffect, useCallback } from 'react';
-import { getTasks, createTask, getProjects, getTeamMembers, deleteTask, updateTask, createStatusRequest, submitTaskReport } from '../services/api';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { createTask, getProjects, getTeamMembers, deleteTask, updateTask, createStatusRequest, submitTaskReport, updateChecklistItem, bulkUpdateTasks, moveTask, getTaskPage, getSavedViews, createSavedView, updateSavedView, deleteSavedView } from '../services/api';
+import { tagsApi, sprintsApi, milestonesApi } from '../services/apiClient.js';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext.jsx';
-import { Plus, X, Trash2, Edit, FileText, Clock } from 'lucide-react';
+import { Plus, X, Trash2, Edit, FileText, Clock, ListChecks, ChevronDown, ChevronRight, Lock, Copy, AlertTriangle } from 'lucide-react';
 import UpdateTaskStatus from '../components/UpdateTaskStatus.jsx';
 import SubmitReport from '../components/SubmitReport.jsx';
 import TaskEditModal from '../components/TaskEditModal.jsx';
 import StatusRequestModal from '../components/StatusRequestModal.jsx';
+import BulkActionBar from '../components/BulkActionBar.jsx';
+import TaskTemplatesModal from '../components/TaskTemplatesModal.jsx';
+import TaskFilterBar from '../components/TaskFilterBar.jsx';
+import BoardViewSwitcher from '../components/BoardViewSwitcher.jsx';
+import CustomFieldInputs from '../components/CustomFieldInputs.jsx';
+import AssigneePicker from '../components/AssigneePicker.jsx';
+import { DEFAULT_TASK_FILTERS, viewToFilters, filtersToView, lastViewKey } from '../utils/taskFilters';
+import { DEFAULT_TAG_COLOR, uniqueTags } from '../utils/tags';
+import { getCustomFields, getProjectPeople, fromCustomFieldForm } from '../utils/customFields';
+import { getWorkflow, buildBoardStatuses, isDoneStatus, CATEGORY_COLORS, getWipWarnings, withWipOverride } from '../utils/workflow';
+import { formatAssignees, primaryAssignee } from '../utils/assignees';
 import './TasksPage.css';
 
 // --- Create Task Modal Component ---
-const CreateTaskModal = ({ projects, team, setShowModal, setTasks, setColumns, isManager, currentUserId }) => {
+const CreateTaskModal = ({ projects, team, setShowModal, setTasks, isManager, currentUserId }) => {
     const [success, setSuccess] = useState('');
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState('');
+    const [projectId, setProjectId] = useState('');
+    const [customValues, setCustomValues] = useState({});
+    const [assignees, setAssignees] = useState([]);
+    const selectedProject = projects.find(p => p._id === projectId);
+    const customFields = selectedProject?.customFields || [];
     
     // Debug logging
     console.log('CreateTaskModal - Projects available:', projects);
@@ -22,6 +40,10 @@ const CreateTaskModal = ({ projects, team, setShowModal, setTasks, setColumns, i
 
     const handleSubmit = async (e) => {
         e.preventDefault();
+        if (isManager && assignees.length === 0) {
+            setError('Choose at least one assignee');
+            return;
+        }
         setIsSubmitting(true);
         setError('');
         setSuccess('');
@@ -29,11 +51,14 @@ const CreateTaskModal = ({ projects, team, setShowModal, setTasks, setColumns, i
         const taskData = {
             title: e.target.title.value,
             project: e.target.project.value,
-            // For employees, always assign to themselves; for managers, use the selected assignee
-            assignedTo: isManager ? e.target.assignedTo?.value : currentUserId,
+            // Employees own the tasks they create; managers pick the assignees and their roles
+            assignees: isManager ? assignees : [{ user: currentUserId, role: 'owner' }],
             priority: e.target.priority.value,
-            status: 'To Do',
         };
+
+        if (customFields.length > 0) {
+            taskData.customFields = fromCustomFieldForm(customFields, customValues);
+        }
         
         // Add description if provided
         if (e.target.description?.value) {
@@ -47,10 +72,6 @@ const CreateTaskModal = ({ projects, team, setShowModal, setTasks, setColumns, i
             if (res._id || res.data?._id) {
                 const newTask = res._id ? res : res.data;
                 setSuccess('Task created successfully!');
-                setColumns(prevColumns => ({
-                    ...prevColumns,
-                    'To Do': [newTask, ...prevColumns['To Do']]
-                }));
                 setTasks(prevTasks => [newTask, ...prevTasks]);
                 
                 // Close modal after 1.5 seconds to show success message
@@ -78,7 +99,12 @@ const CreateTaskModal = ({ projects, team, setShowModal, setTasks, setColumns, i
                 <form onSubmit={handleSubmit}>
                     <input name="title" placeholder="Task Title" required />
                     <textarea name="description" placeholder="Task Description (optional)" rows="3"></textarea>
-                    <select name="project" required>
+                    <select
+                        name="project"
+                        value={projectId}
+                        onChange={(e) => { setProjectId(e.target.value); setCustomValues({}); }}
+                        required
+                    >
                         <option value="">Select Project</option>
                         {projects && projects.length > 0 ? (
                             projects.map(p => <option key={p._id} value={p._id}>{p.name}</option>)
@@ -87,14 +113,7 @@ const CreateTaskModal = ({ projects, team, setShowModal, setTasks, setColumns, i
                         )}
                     </select>
                     {isManager && (
-                        <select name="assignedTo" required>
-                            <option value="">Assign To</option>
-                            {team && team.length > 0 ? (
-                                team.map(m => <option key={m._id} value={m._id}>{m.name}</option>)
-                            ) : (
-                                <option disabled>No team members available</option>
-                            )}
-                        </select>
+                        <AssigneePicker value={assignees} people={team || []} onChange={setAssignees} />
                     )}
                     {!isManager && (
                         <div className="info-message">
@@ -104,6 +123,14 @@ const CreateTaskModal = ({ projects, team, setShowModal, setTasks, setColumns, i
                     <select name="priority" defaultValue="Medium">
                         <option>Low</option><option>Medium</option><option>High</option>
                     </select>
+                    {customFields.length > 0 && (
+                        <CustomFieldInputs
+                            fields={customFields}
+                            values={customValues}
+                            onChange={setCustomValues}
+                            people={getProjectPeople(selectedProject)}
+                        />
+                    )}
                     {error && <p className="error-message">{error}</p>}
                     {success && <p className="success-message">{success}</p>}
                     <button type="submit" className="btn-primary" disabled={isSubmitting}>
@@ -116,14 +143,96 @@ const CreateTaskModal = ({ projects, team, setShowModal, setTasks, setColumns, i
 };
 
 
+const TASK_PAGE_SIZE = 50;
+
+// Query params for a page of tasks, leaving out unset filters
+const buildTaskParams = (filters, cursor) => {
+    const params = { limit: TASK_PAGE_SIZE };
+    Object.entries(filters).forEach(([key, value]) => {
+        if (key === 'custom') {
+            Object.entries(value).forEach(([field, fieldValue]) => {
+                if (fieldValue !== '') params[`cf.${field}`] = fieldValue;
+            });
+        } else if (value !== '' && value !== false) {
+            params[key] = value;
+        }
+    });
+    if (cursor) params.cursor = cursor;
+    return params;
+};
+
+// Parent id of a subtask, whether or not parentTask was populated
+const getParentId = (task) => task.parentTask?._id || task.parentTask || null;
+
+// Blockers of a task that are not done yet (blockedBy is populated with title/status)
+const getOpenBlockers = (task, workflow) =>
+    (task.blockedBy || []).filter(b => b.status && !isDoneStatus(workflow, b.status));
+
+const PRIORITY_COLUMNS = ['High', 'Medium', 'Low'];
+
+// Column a task belongs to under the board's grouping
+const getGroupKey = (task, groupBy) => {
+    switch (groupBy) {
+        case 'assignee': return primaryAssignee(task)?.name || 'Unassigned';
+        case 'priority': return task.priority || 'Medium';
+        case 'project': return task.project?.name || 'No project';
+        default: return task.status;
+    }
+};
+
+// Subtasks are shown inside their parent's card when the parent is on the board
+const groupTasks = (tasksToGroup, groupBy, statuses) => {
+    const visibleIds = new Set(tasksToGroup.map(t => t._id));
+    const initialKeys = groupBy === 'status' ? statuses.map(state => state.name)
+        : groupBy === 'priority' ? PRIORITY_COLUMNS : [];
+    const initial = Object.fromEntries(initialKeys.map(key => [key, []]));
+    return tasksToGroup.reduce((acc, task) => {
+        const parentId = getParentId(task);
+        if (parentId && visibleIds.has(parentId)) return acc;
+        const key = getGroupKey(task, groupBy);
+        if (!acc[key]) acc[key] = [];
+        acc[key].push(task);
+        return acc;
+    }, initial);
+};
+
+// --- Subtasks & Checklist Panel (expanded card body) ---
+const SubtaskPanel = ({ task, subtasks, workflow, onToggleItem }) => (
+    <div className="subtask-panel">
+        {task.checklist?.length > 0 && (
+            <ul className="card-checklist">
+                {task.checklist.map(item => (
+                    <li key={item._id} className={item.done ? 'done' : ''}>
+                        <label>
+                            <input type="checkbox" checked={item.done} onChange={() => onToggleItem(task, item)} />
+                            {item.text}
+                        </label>
+                    </li>
+                ))}
+            </ul>
+        )}
+        {subtasks.length > 0 && (
+            <ul className="card-subtasks">
+                {subtasks.map(subtask => (
+                    <li key={subtask._id} className={isDoneStatus(workflow, subtask.status) ? 'done' : ''}>
+                        <span>{subtask.title}</span>
+                        <span className="subtask-status">{subtask.status}</span>
+                    </li>
+                ))}
+            </ul>
+        )}
+    </div>
+);
+
+
 // --- Main Tasks Page Component ---
 const TasksPage = () => {
     const { user } = useAuth();
     const [tasks, setTasks] = useState([]);
-    const [columns, setColumns] = useState({ 'To Do': [], 'In Progress': [], 'Done': [] });
     const [projects, setProjects] = useState([]);
     const [team, setTeam] = useState([]);
     const [showCreateModal, setShowCreateModal] = useState(false);
+    const [showTemplatesModal, setShowTemplatesModal] = useState(false);
     const [showUpdateModal, setShowUpdateModal] = useState(false);
     const [showReportModal, setShowReportModal] = useState(false);
     const [showEditModal, setShowEditModal] = useState(false);
@@ -132,30 +241,55 @@ const TasksPage = () => {
     const [isLoading, setIsLoading] = useState(true);
     const isManager = user?.role === 'manager';
     const [userProjects, setUserProjects] = useState([]); // Employee's assigned projects
+    const [expandedTasks, setExpandedTasks] = useState({});
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [searchParams, setSearchParams] = useSearchParams();
+    const linkedTaskId = searchParams.get('task');
+    const [filters, setFilters] = useState(DEFAULT_TASK_FILTERS);
+    const [pageInfo, setPageInfo] = useState({ total: 0, statusCounts: {}, nextCursor: null });
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+    const loadedCountRef = useRef(0);
+    const [views, setViews] = useState([]);
+    const [activeViewId, setActiveViewId] = useState('');
+    const [groupBy, setGroupBy] = useState('status');
+    const [visibleColumns, setVisibleColumns] = useState([]);
+    const [dragging, setDragging] = useState(null); // { taskId, column }
+    const [dropTarget, setDropTarget] = useState(null); // { column, beforeId }
+    const [requestedStatus, setRequestedStatus] = useState('');
+    const [tagCatalog, setTagCatalog] = useState([]);
+    const [sprints, setSprints] = useState([]);
+    const [milestones, setMilestones] = useState([]);
+    const activeView = views.find(view => view._id === activeViewId) || null;
+    // Cards can only be reordered while the board shows its manual order
+    const canReorder = filters.sort === 'rank' && filters.order === 'asc';
+
+    // Tag chips use the color from the task's own project catalog
+    const tagColor = (task, name) => {
+        const projectId = task.project?._id || task.project;
+        const entry = tagCatalog.find(tag => (tag.project?._id || tag.project) === projectId && tag.name.toLowerCase() === name.toLowerCase());
+        return entry?.color || DEFAULT_TAG_COLOR;
+    };
 
-    const groupTasksByStatus = useCallback((tasksToGroup) => {
-        return tasksToGroup.reduce((acc, task) => {
-            const { status } = task;
-            if (!acc[status]) acc[status] = [];
-            acc[status].push(task);
-            return acc;
-        }, { 'To Do': [], 'In Progress': [], 'Done': [] });
-    }, []);
+    // Columns come from the workflows of every project on the board
+    const boardStatuses = useMemo(() => buildBoardStatuses(projects), [projects]);
+
+    const columns = useMemo(() => groupTasks(tasks, groupBy, boardStatuses), [tasks, groupBy, boardStatuses]);
+    const columnKeys = Object.keys(columns);
+    const shownColumnKeys = visibleColumns.length ? columnKeys.filter(key => visibleColumns.includes(key)) : columnKeys;
+
+    const getCategoryColor = (status) =>
+        CATEGORY_COLORS[boardStatuses.find(state => state.name === status)?.category] || CATEGORY_COLORS.todo;
+
+    const getProjectWorkflow = (task) =>
+        getWorkflow(projects.find(p => p._id === (task.project?._id || task.project)));
 
     const handleDeleteTask = async (taskId) => {
-        if (!window.confirm('Are you sure you want to delete this task?')) return;
+        if (!window.confirm('Move this task to the trash?')) return;
         
         try {
             await deleteTask(taskId);
             // Remove task from state
             setTasks(prevTasks => prevTasks.filter(t => t._id !== taskId));
-            setColumns(prevColumns => {
-                const newColumns = { ...prevColumns };
-                Object.keys(newColumns).forEach(status => {
-                    newColumns[status] = newColumns[status].filter(t => t._id !== taskId);
-                });
-                return newColumns;
-            });
         } catch (error) {
             console.error('Failed to delete task:', error);
             alert('Failed to delete task. Please try again.');
@@ -164,7 +298,6 @@ const TasksPage = () => {
 
     const handleUpdateTask = (updatedTask) => {
         setTasks(prevTasks => prevTasks.map(t => t._id === updatedTask._id ? updatedTask : t));
-        setColumns(groupTasksByStatus(tasks.map(t => t._id === updatedTask._id ? updatedTask : t)));
     };
 
     const handleEditTask = async (taskId, updateData) => {
@@ -174,15 +307,6 @@ const TasksPage = () => {
             
             // Update task in state
             setTasks(prevTasks => prevTasks.map(t => t._id === taskId ? updatedTask : t));
-            setColumns(prevColumns => {
-                const newColumns = { ...prevColumns };
-                Object.keys(newColumns).forEach(status => {
-                    newColumns[status] = newColumns[status].map(t => 
-                        t._id === taskId ? updatedTask : t
-                    );
-                });
-                return newColumns;
-            });
             
             return updatedTask;
         } catch (error) {
@@ -191,6 +315,216 @@ const TasksPage = () => {
         }
     };
 
+    // Fetch pages until at least `minCount` tasks are loaded (or none are left)
+    const fetchTasks = useCallback(async (minCount = TASK_PAGE_SIZE) => {
+        let loaded = [];
+        let cursor = null;
+        let data;
+        do {
+            const res = await getTaskPage(buildTaskParams(filters, cursor));
+            data = res.data;
+            loaded = [...loaded, ...data.tasks];
+            cursor = data.nextCursor;
+        } while (cursor && loaded.length < minCount);
+        loadedCountRef.current = loaded.length;
+        setTasks(loaded);
+        setPageInfo({ total: data.total, statusCounts: data.statusCounts, nextCursor: data.nextCursor });
+        return loaded;
+    }, [filters]);
+
+    const refreshTasks = useCallback(async () => {
+        try {
+            await fetchTasks(Math.max(loadedCountRef.current, TASK_PAGE_SIZE));
+        } catch (error) {
+            console.error('Failed to refresh tasks:', error);
+        }
+    }, [fetchTasks]);
+
+    const handleLoadMore = async () => {
+        setIsLoadingMore(true);
+        try {
+            const res = await getTaskPage(buildTaskParams(filters, pageInfo.nextCursor));
+            const { tasks: nextTasks, total, statusCounts, nextCursor } = res.data;
+            setTasks(prev => {
+                const seen = new Set(prev.map(t => t._id));
+                const merged = [...prev, ...nextTasks.filter(t => !seen.has(t._id))];
+                loadedCountRef.current = merged.length;
+                return merged;
+            });
+            setPageInfo({ total, statusCounts, nextCursor });
+        } catch (error) {
+            console.error('Failed to load more tasks:', error);
+        } finally {
+            setIsLoadingMore(false);
+        }
+    };
+
+    // --- Drag and drop ---
+    const handleDragStart = (e, task, column) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', task._id);
+        setDragging({ taskId: task._id, column });
+    };
+
+    const handleDragEnd = () => {
+        setDragging(null);
+        setDropTarget(null);
+    };
+
+    // `beforeId` is the card the dragged one would land above (null for the end of the column).
+    // Only status columns accept cards from other columns.
+    const handleDragOver = (e, column, beforeId) => {
+        if (!dragging) return;
+        if (column !== dragging.column && groupBy !== 'status') return;
+        if (column === dragging.column && !canReorder) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (dropTarget?.column !== column || dropTarget?.beforeId !== beforeId) {
+            setDropTarget({ column, beforeId });
+        }
+    };
+
+    const handleCardDragOver = (e, column, index) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const below = e.clientY > rect.top + rect.height / 2;
+        const columnTasks = columns[column];
+        handleDragOver(e, column, below ? columnTasks[index + 1]?._id || null : columnTasks[index]._id);
+    };
+
+    const handleDrop = async (e) => {
+        e.preventDefault();
+        if (!dragging || !dropTarget) return handleDragEnd();
+        const { taskId, column: fromColumn } = dragging;
+        const { column: toColumn, beforeId } = dropTarget;
+        handleDragEnd();
+
+        const task = tasks.find(t => t._id === taskId);
+        const statusChange = toColumn !== fromColumn;
+
+        // Employees ask their manager instead of moving the card themselves
+        if (statusChange && !isManager) {
+            setSelectedTask(task);
+            setRequestedStatus(toColumn);
+            setShowStatusRequestModal(true);
+            return;
+        }
+
+        // Neighbours in the target column once the dragged card is taken out
+        const columnTasks = columns[toColumn];
+        const draggedIndex = columnTasks.findIndex(t => t._id === taskId);
+        let index = beforeId ? columnTasks.findIndex(t => t._id === beforeId) : columnTasks.length;
+        if (draggedIndex !== -1 && draggedIndex < index) index -= 1;
+        const others = columnTasks.filter(t => t._id !== taskId);
+        const position = canReorder ? { before: others[index - 1]?._id || null, after: others[index]?._id || null } : undefined;
+        // Dropped back where it was
+        if (!statusChange && (!position || index === draggedIndex)) return;
+
+        try {
+            const res = await withWipOverride(override =>
+                moveTask(taskId, position, statusChange ? toColumn : undefined, override || undefined)
+            );
+            if (!res) return;
+            const updatedTask = res.data;
+            setTasks(prev => {
+                if (!position) return prev.map(t => t._id === taskId ? updatedTask : t);
+                // Keep the loaded list in board order so the card shows where it was dropped
+                const rest = prev.filter(t => t._id !== taskId);
+                const anchor = position.after ? rest.findIndex(t => t._id === position.after)
+                    : position.before ? rest.findIndex(t => t._id === position.before) + 1
+                    : rest.length;
+                rest.splice(anchor === -1 ? rest.length : anchor, 0, updatedTask);
+                return rest;
+            });
+        } catch (error) {
+            console.error('Failed to move task:', error);
+            alert(error.response?.data?.error || 'Failed to move task.');
+        }
+    };
+
+    const handleToggleChecklistItem = async (task, item) => {
+        try {
+            await updateChecklistItem(task._id, item._id, { done: !item.done });
+            await refreshTasks();
+        } catch (error) {
+            console.error('Failed to update checklist item:', error);
+            alert(error.response?.data?.error || 'Failed to update checklist item.');
+        }
+    };
+
+    const getSubtasksOf = (taskId) => tasks.filter(t => getParentId(t) === taskId);
+
+    const toggleExpanded = (taskId) => {
+        setExpandedTasks(prev => ({ ...prev, [taskId]: !prev[taskId] }));
+    };
+
+    const toggleSelected = (taskId) => {
+        setSelectedIds(prev => prev.includes(taskId) ? prev.filter(id => id !== taskId) : [...prev, taskId]);
+    };
+
+    const handleBulkAction = async (action, changes) => {
+        try {
+            const res = await bulkUpdateTasks(selectedIds, action, changes);
+            const { results, failed } = res.data;
+            if (failed > 0) {
+                const failures = results.filter(r => !r.success).map(r => {
+                    const title = tasks.find(t => t._id === r.taskId)?.title || r.taskId;
+                    return `• ${title}: ${r.error}`;
+                });
+                alert(`${res.data.succeeded} task(s) updated, ${failed} failed:\n${failures.join('\n')}`);
+            }
+            setSelectedIds(results.filter(r => !r.success).map(r => r.taskId));
+            await refreshTasks();
+        } catch (error) {
+            console.error('Bulk action failed:', error);
+            alert(error.response?.data?.error || 'Bulk action failed. Please try again.');
+        }
+    };
+
+    const applyView = useCallback((view) => {
+        setActiveViewId(view ? view._id : '');
+        setFilters(view ? viewToFilters(view) : DEFAULT_TASK_FILTERS);
+        setGroupBy(view?.groupBy || 'status');
+        setVisibleColumns(view?.visibleColumns || []);
+        if (user?._id) {
+            if (view) localStorage.setItem(lastViewKey(user._id), view._id);
+            else localStorage.removeItem(lastViewKey(user._id));
+        }
+    }, [user?._id]);
+
+    const handleSelectView = (viewId) => {
+        applyView(views.find(view => view._id === viewId) || null);
+    };
+
+    // `details` is { name, project } for a new view, or null to update the active one
+    const handleSaveView = async (details) => {
+        const viewData = { ...filtersToView(filters), groupBy, visibleColumns };
+        try {
+            if (details) {
+                const res = await createSavedView({ ...viewData, ...details });
+                setViews(prev => [...prev, res.data]);
+                applyView(res.data);
+            } else {
+                const res = await updateSavedView(activeViewId, viewData);
+                setViews(prev => prev.map(view => view._id === res.data._id ? res.data : view));
+            }
+        } catch (error) {
+            console.error('Failed to save view:', error);
+            alert(error.response?.data?.error || 'Failed to save view.');
+        }
+    };
+
+    const handleDeleteView = async (view) => {
+        if (!window.confirm(`Delete view "${view.name}"?`)) return;
+        try {
+            await deleteSavedView(view._id);
+            setViews(prev => prev.filter(v => v._id !== view._id));
+            applyView(null);
+        } catch (error) {
+            console.error('Failed to delete view:', error);
+            alert(error.response?.data?.error || 'Failed to delete view.');
+        }
+    };
+
     const handleSubmitReport = async (reportData) => {
         try {
             await submitTaskReport(reportData);
@@ -215,35 +549,73 @@ const TasksPage = () => {
     useEffect(() => {
         setIsLoading(true);
         Promise.all([
-            getTasks(),
             isManager ? getProjects() : getProjects(), // Employees also need their projects
-            isManager ? getTeamMembers() : Promise.resolve({ data: [] })
-        ]).then(([tasksRes, projectsRes, teamRes]) => {
-            console.log('TasksPage - Raw responses:', { tasksRes, projectsRes, teamRes });
+            isManager ? getTeamMembers() : Promise.resolve({ data: [] }),
+            getSavedViews().catch(() => ({ data: [] })),
+            tagsApi.list().catch(() => ({ tags: [] }))
+        ]).then(([projectsRes, teamRes, viewsRes, tagsRes]) => {
+            console.log('TasksPage - Raw responses:', { projectsRes, teamRes });
             console.log('TasksPage - Projects data:', projectsRes.data);
             console.log('TasksPage - Team data:', teamRes.data);
             
-            const tasksData = tasksRes.data || tasksRes;
-            setTasks(tasksData);
-            setColumns(groupTasksByStatus(tasksData));
-            
             // For managers, set all projects; for employees, set their assigned projects
             const projectsData = projectsRes.data || [];
             setProjects(projectsData);
             
+            setTeam(teamRes.data || []);
+            setTagCatalog(tagsRes.tags || []);
+
+            // Restore the view the user had open last time
+            const savedViews = viewsRes.data || [];
+            setViews(savedViews);
+            const lastViewId = user?._id && localStorage.getItem(lastViewKey(user._id));
+            const lastView = savedViews.find(view => view._id === lastViewId);
+            if (lastView) applyView(lastView);
+        }).catch(err => {
+            console.error("Failed to load task page data", err);
+        }).finally(() => {
+            setIsLoading(false);
+        });
+    }, [isManager, user?._id, applyView]);
+
+    // Sprints and milestones of the selected project for their filters
+    useEffect(() => {
+        if (!filters.project) {
+            setSprints([]);
+            setMilestones([]);
+            return;
+        }
+        sprintsApi.list(filters.project)
+            .then(data => setSprints(data.sprints || []))
+            .catch(err => console.error('Failed to load sprints', err));
+        milestonesApi.list(filters.project)
+            .then(data => setMilestones(data.milestones || []))
+            .catch(err => console.error('Failed to load milestones', err));
+    }, [filters.project]);
+
+    // Reload from the first page whenever the filters or sort change
+    useEffect(() => {
+        fetchTasks().then(tasksData => {
             // For employees, extract unique projects from their tasks
             if (!isManager) {
                 const employeeProjects = [...new Set(tasksData.map(t => t.project).filter(p => p))];
                 setUserProjects(employeeProjects);
             }
-            
-            setTeam(teamRes.data || []);
         }).catch(err => {
-            console.error("Failed to load task page data", err);
-        }).finally(() => {
-            setIsLoading(false);
+            console.error("Failed to load tasks", err);
         });
-    }, [isManager, groupTasksByStatus]);
+    }, [fetchTasks, isManager]);
+
+    // Open a task linked from search results (/tasks?task=<id>)
+    useEffect(() => {
+        if (!linkedTaskId || isLoading) return;
+        const linkedTask = tasks.find(t => t._id === linkedTaskId);
+        if (linkedTask) {
+            setSelectedTask(linkedTask);
+            setShowEditModal(true);
+        }
+        setSearchParams({}, { replace: true });
+    }, [linkedTaskId, isLoading, tasks, setSearchParams]);
     
     if (isLoading) {
         return <div className="loading-state">Loading tasks...</div>
@@ -253,19 +625,97 @@ const TasksPage = () => {
         <div className="page-container">
             <header className="page-header">
                 <h1>Task Board</h1>
-                <button className="btn-primary" onClick={() => setShowCreateModal(true)}>
-                    <Plus size={18}/> {isManager ? 'Create Task' : 'Create Task for Myself'}
-                </button>
+                <div className="page-header-actions">
+                    <button className="btn-secondary" onClick={() => setShowTemplatesModal(true)}>
+                        <Copy size={18}/> Templates
+                    </button>
+                    <button className="btn-primary" onClick={() => setShowCreateModal(true)}>
+                        <Plus size={18}/> {isManager ? 'Create Task' : 'Create Task for Myself'}
+                    </button>
+                </div>
             </header>
+            {isManager && selectedIds.length > 0 && (
+                <BulkActionBar
+                    count={selectedIds.length}
+                    statuses={boardStatuses}
+                    team={team}
+                    projects={projects}
+                    onApply={handleBulkAction}
+                    onClear={() => setSelectedIds([])}
+                />
+            )}
+            <BoardViewSwitcher
+                views={views}
+                activeView={activeView}
+                currentUserId={user?._id}
+                projects={projects}
+                groupBy={groupBy}
+                onGroupByChange={(value) => { setGroupBy(value); setVisibleColumns([]); }}
+                columnKeys={columnKeys}
+                visibleColumns={visibleColumns}
+                onVisibleColumnsChange={setVisibleColumns}
+                onSelect={handleSelectView}
+                onSave={handleSaveView}
+                onDelete={handleDeleteView}
+            />
+            <TaskFilterBar
+                key={`${activeViewId || 'default'}:${filters.tag}`}
+                filters={filters}
+                onChange={setFilters}
+                team={team}
+                projects={projects}
+                sprints={sprints}
+                milestones={milestones}
+                tagOptions={uniqueTags(tagCatalog)}
+                isManager={isManager}
+                shown={tasks.length}
+                total={pageInfo.total}
+            />
             <div className="kanban-board">
-                {Object.keys(columns).map(status => (
-                    <div key={status} className="kanban-column">
-                        <h3 className="column-title">{status} <span>({columns[status].length})</span></h3>
+                {shownColumnKeys.map(status => {
+                    const wipWarnings = groupBy === 'status' ? getWipWarnings(status, tasks.filter(t => t.status === status), projects) : [];
+                    return (
+                    <div
+                        key={status}
+                        className={`kanban-column ${dropTarget?.column === status ? 'drop-target' : ''} ${wipWarnings.length ? 'over-limit' : ''}`}
+                        style={{ borderTop: `3px solid ${groupBy === 'status' ? getCategoryColor(status) : 'var(--border-color)'}` }}
+                        onDragOver={(e) => handleDragOver(e, status, null)}
+                        onDrop={handleDrop}
+                    >
+                        <h3 className="column-title" title={wipWarnings.length ? `Over WIP limit — ${wipWarnings.join('; ')}` : undefined}>
+                            {wipWarnings.length > 0 && <AlertTriangle size={16} className="wip-warning-icon" />}
+                            {status} <span>({columns[status].length}{groupBy === 'status' && pageInfo.nextCursor && pageInfo.statusCounts[status] ? ` of ${pageInfo.statusCounts[status]}` : ''})</span>
+                        </h3>
                         <div className="column-tasks">
-                            {columns[status].map(task => (
-                                <div key={task._id} className="kanban-task">
+                            {columns[status].map((task, index) => {
+                                const subtasks = getSubtasksOf(task._id);
+                                const hasBreakdown = subtasks.length > 0 || task.checklist?.length > 0;
+                                const workflow = getProjectWorkflow(task);
+                                const openBlockers = getOpenBlockers(task, workflow);
+                                return (
+                                <div
+                                    key={task._id}
+                                    className={`kanban-task ${selectedIds.includes(task._id) ? 'selected' : ''} ${dragging?.taskId === task._id ? 'dragging' : ''} ${dropTarget?.beforeId === task._id && dropTarget?.column === status ? 'drop-before' : ''}`}
+                                    draggable
+                                    onDragStart={(e) => handleDragStart(e, task, status)}
+                                    onDragEnd={handleDragEnd}
+                                    onDragOver={(e) => handleCardDragOver(e, status, index)}
+                                    onDrop={handleDrop}
+                                >
                                     <div className="task-header-row">
-                                        <p className="task-title">{task.title}</p>
+                                        {isManager && (
+                                            <input
+                                                type="checkbox"
+                                                className="task-select"
+                                                checked={selectedIds.includes(task._id)}
+                                                onChange={() => toggleSelected(task._id)}
+                                                title="Select for bulk actions"
+                                            />
+                                        )}
+                                        <p className="task-title">
+                                            {task.parentTask?.title && <span className="parent-task-label">{task.parentTask.title} ›</span>}
+                                            {task.title}
+                                        </p>
                                         <div className="task-actions">
                                             {isManager && (
                                                 <>
@@ -276,6 +726,16 @@ const TasksPage = () => {
                                                     >
                                                         <Trash2 size={16} />
                                                     </button>
+                                                    <button 
+                                                        className="task-action-btn edit-btn"
+                                                        onClick={() => {
+                                                            setSelectedTask(task);
+                                                            setShowEditModal(true);
+                                                        }}
+                                                        title="Edit details, subtasks and checklist"
+                                                    >
+                                                        <ListChecks size={16} />
+                                                    </button>
                                                     <button 
                                                         className="task-action-btn update-btn"
                                                         onClick={() => {
@@ -324,22 +784,79 @@ const TasksPage = () => {
                                             )}
                                         </div>
                                     </div>
+                                    {openBlockers.length > 0 && (
+                                        <div className="blocked-badge" title={openBlockers.map(b => b.title).join(', ')}>
+                                            <Lock size={12} /> Blocked by {openBlockers.length} task{openBlockers.length > 1 ? 's' : ''}
+                                        </div>
+                                    )}
+                                    {hasBreakdown && (
+                                        <div className="task-breakdown">
+                                            <button className="breakdown-toggle" onClick={() => toggleExpanded(task._id)}>
+                                                {expandedTasks[task._id] ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                                                {subtasks.length > 0 && <span>{subtasks.filter(st => isDoneStatus(workflow, st.status)).length}/{subtasks.length} subtasks</span>}
+                                                {task.checklist?.length > 0 && <span>{task.checklist.filter(item => item.done).length}/{task.checklist.length} checklist</span>}
+                                                <span className="breakdown-percent">{task.progress || 0}%</span>
+                                            </button>
+                                            <div className="progress-bar"><div style={{ width: `${task.progress || 0}%` }}></div></div>
+                                            {expandedTasks[task._id] && (
+                                                <SubtaskPanel task={task} subtasks={subtasks} workflow={workflow} onToggleItem={handleToggleChecklistItem} />
+                                            )}
+                                        </div>
+                                    )}
+                                    {task.tags?.length > 0 && (
+                                        <div className="task-tags">
+                                            {task.tags.map(tag => (
+                                                <button
+                                                    key={tag}
+                                                    className="task-tag"
+                                                    style={{ '--tag-color': tagColor(task, tag) }}
+                                                    onClick={() => setFilters(prev => ({ ...prev, tag }))}
+                                                    title={`Show tasks tagged "${tag}"`}
+                                                >
+                                                    {tag}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    )}
                                     <div className="task-footer">
                                         <div className="assignee-info">
-                                            Assigned to: {task.assignedTo?.name || 'Unassigned'}
+                                            Assigned to: {formatAssignees(task)}
                                         </div>
+                                        {task.storyPoints !== undefined && task.storyPoints !== null && (
+                                            <span className="story-points-badge" title="Story points">{task.storyPoints} pts</span>
+                                        )}
                                         <span className={`priority-badge ${task.priority.toLowerCase()}`}>{task.priority}</span>
                                     </div>
                                 </div>
-                            ))}
+                                );
+                            })}
                         </div>
                     </div>
-                ))}
+                    );
+                })}
             </div>
-            {showCreateModal && <CreateTaskModal projects={projects} team={team} setShowModal={setShowCreateModal} setTasks={setTasks} setColumns={setColumns} isManager={isManager} currentUserId={user?._id} />}
+            {pageInfo.nextCursor && (
+                <div className="load-more-row">
+                    <button className="btn-secondary" onClick={handleLoadMore} disabled={isLoadingMore}>
+                        {isLoadingMore ? 'Loading…' : `Load more (${tasks.length} of ${pageInfo.total})`}
+                    </button>
+                </div>
+            )}
+            {showTemplatesModal && (
+                <TaskTemplatesModal
+                    projects={projects}
+                    team={team}
+                    isManager={isManager}
+                    currentUserId={user?._id}
+                    onCreated={(created) => setTasks(prev => [...created, ...prev])}
+                    onClose={() => setShowTemplatesModal(false)}
+                />
+            )}
+            {showCreateModal && <CreateTaskModal projects={projects} team={team} setShowModal={setShowCreateModal} setTasks={setTasks} isManager={isManager} currentUserId={user?._id} />}
             {showUpdateModal && selectedTask && (
                 <UpdateTaskStatus 
                     task={selectedTask}
+                    workflow={getProjectWorkflow(selectedTask)}
                     onUpdate={handleUpdateTask}
                     onClose={() => {
                         setShowUpdateModal(false);
@@ -360,8 +877,14 @@ const TasksPage = () => {
             {showEditModal && selectedTask && (
                 <TaskEditModal
                     task={selectedTask}
+                    workflow={getProjectWorkflow(selectedTask)}
+                    customFields={getCustomFields(projects, selectedTask)}
+                    people={getProjectPeople(projects.find(p => p._id === (selectedTask.project?._id || selectedTask.project)))}
+                    projectTasks={tasks.filter(t => (t.project?._id || t.project) === (selectedTask.project?._id || selectedTask.project))}
+                    projects={projects}
                     isManager={isManager}
                     onUpdate={(updateData) => handleEditTask(selectedTask._id, updateData)}
+                    onTaskChange={refreshTasks}
                     onClose={() => {
                         setShowEditModal(false);
                         setSelectedTask(null);
@@ -371,10 +894,13 @@ const TasksPage = () => {
             {showStatusRequestModal && selectedTask && (
                 <StatusRequestModal
                     task={selectedTask}
+                    workflow={getProjectWorkflow(selectedTask)}
+                    initialStatus={requestedStatus}
                     onSubmit={handleStatusRequest}
                     onClose={() => {
                         setShowStatusRequestModal(false);
                         setSelectedTask(null);
+                        setRequestedStatus('');
                     }}
                 />
             )}
@@ -0,0 +1,22 @@
+import React from 'react';
+import { Trash2 } from 'lucide-react';
+import TrashList from '../components/TrashList.jsx';
+import './TrashPage.css';
+
+// Deleted projects and tasks of every project the user manages
+const TrashPage = () => (
+    <div className="trash-page">
+        <div className="page-header">
+            <div className="header-content">
+                <h1>
+                    <Trash2 size={32} />
+                    Trash
+                </h1>
+                <p className="subtitle">Restore deleted projects and tasks, or delete them for good</p>
+            </div>
+        </div>
+        <TrashList />
+    </div>
+);
+
+export default TrashPage;
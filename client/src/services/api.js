@@ -84,7 +84,7 @@ export const updateProject = (projectId, projectData) => api.put(`/projects/${pr
 export const deleteProject = (projectId) => api.delete(`/projects/${projectId}`);
 export const getProjectAnalytics = (projectId) => api.get(`/projects/${projectId}/analytics`);
 export const addProjectComment = (projectId, comment) => api.post(`/projects/${projectId}/comments`, { text: comment });
-export const uploadProjectFile = (projectId, formData) => api.post(`/projects/${projectId}/upload`, formData, {
+export const uploadProjectFile = (projectId, formData) => api.post(`/projects/${projectId}/files`, formData, {
   headers: { 'Content-Type': 'multipart/form-data' }
 });
 
@@ -95,9 +95,58 @@ export const getTasks = (projectId) => {
   }
   return api.get('/tasks');
 };
+// Paged task list: pass filters/sort plus `limit` and the previous page's `cursor`
+export const getTaskPage = (params) => api.get('/tasks', { params });
 export const createTask = (taskData) => api.post('/tasks', taskData);
 export const updateTask = (taskId, taskData) => api.put(`/tasks/${taskId}`, taskData);
 export const deleteTask = (taskId) => api.delete(`/tasks/${taskId}`);
+export const bulkUpdateTasks = (taskIds, action, changes = {}) => api.post('/tasks/bulk', { taskIds, action, changes });
+// Drag-and-drop on the board: `position` is { before, after } neighbour task ids
+export const moveTask = (taskId, position, status, overrideWipLimit) => api.put(`/tasks/${taskId}`, { position, status, overrideWipLimit });
+export const moveTaskToProject = (taskId, project, assigneeAction) => api.post(`/tasks/${taskId}/move`, { project, assigneeAction });
+export const cloneTask = (taskId, project, title, assigneeAction) => api.post(`/tasks/${taskId}/clone`, { project, title, assigneeAction });
+export const watchTask = (taskId) => api.post(`/tasks/${taskId}/watch`);
+export const unwatchTask = (taskId) => api.delete(`/tasks/${taskId}/watch`);
+export const getTaskHistory = (taskId) => api.get(`/tasks/${taskId}/history`);
+export const getTaskComments = (taskId) => api.get(`/tasks/${taskId}/comments`);
+export const addTaskComment = (taskId, text, parentComment) => api.post(`/tasks/${taskId}/comments`, { text, parentComment });
+export const editTaskComment = (taskId, commentId, text) => api.put(`/tasks/${taskId}/comments/${commentId}`, { text });
+export const deleteTaskComment = (taskId, commentId) => api.delete(`/tasks/${taskId}/comments/${commentId}`);
+export const reactToTaskComment = (taskId, commentId, emoji) => api.post(`/tasks/${taskId}/comments/${commentId}/reactions`, { emoji });
+export const getMentionableUsers = (taskId) => api.get(`/tasks/${taskId}/mentionable`);
+export const getSubtasks = (taskId) => api.get(`/tasks/${taskId}/subtasks`);
+export const addChecklistItem = (taskId, text) => api.post(`/tasks/${taskId}/checklist`, { text });
+export const updateChecklistItem = (taskId, itemId, data) => api.put(`/tasks/${taskId}/checklist/${itemId}`, data);
+export const deleteChecklistItem = (taskId, itemId) => api.delete(`/tasks/${taskId}/checklist/${itemId}`);
+export const addTaskDependency = (taskId, blockerId) => api.post(`/tasks/${taskId}/dependencies`, { blockerId });
+export const removeTaskDependency = (taskId, blockerId) => api.delete(`/tasks/${taskId}/dependencies/${blockerId}`);
+export const uploadTaskAttachment = (taskId, file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  return api.post(`/tasks/${taskId}/attachments`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  });
+};
+// Downloads go through axios so the auth header is sent; the caller saves the blob
+export const downloadTaskAttachment = (taskId, attachmentId) =>
+  api.get(`/tasks/${taskId}/attachments/${attachmentId}`, { responseType: 'blob' });
+export const deleteTaskAttachment = (taskId, attachmentId) => api.delete(`/tasks/${taskId}/attachments/${attachmentId}`);
+
+// --- TASK TEMPLATES API CALLS ---
+export const getTaskTemplates = (projectId) => api.get('/task-templates', { params: projectId ? { project: projectId } : {} });
+export const createTaskTemplate = (templateData) => api.post('/task-templates', templateData);
+export const updateTaskTemplate = (templateId, templateData) => api.put(`/task-templates/${templateId}`, templateData);
+export const deleteTaskTemplate = (templateId) => api.delete(`/task-templates/${templateId}`);
+export const instantiateTaskTemplate = (templateId, data) => api.post(`/task-templates/${templateId}/instantiate`, data);
+
+// --- SAVED VIEWS API CALLS ---
+export const getSavedViews = () => api.get('/views');
+export const createSavedView = (viewData) => api.post('/views', viewData);
+export const updateSavedView = (viewId, viewData) => api.put(`/views/${viewId}`, viewData);
+export const deleteSavedView = (viewId) => api.delete(`/views/${viewId}`);
+
+// --- SEARCH API CALLS ---
+export const searchAll = (q, type) => api.get('/search', { params: type ? { q, type } : { q } });
 
 // --- TEAM API CALLS (Manager Only) ---
 export const getTeamMembers = () => api.get('/team');
@@ -182,7 +231,7 @@ export const clearAllNotifications = () => api.delete('/notifications/clear');
 // --- STATUS CHANGE REQUESTS ---
 export const createStatusRequest = (data) => api.post('/status-requests', data);
 export const getStatusRequests = (params = {}) => api.get('/status-requests', { params });
-export const reviewStatusRequest = (requestId, action, comment) => api.put(`/status-requests/${requestId}`, { action, comment });
+export const reviewStatusRequest = (requestId, action, comment, overrideWipLimit) => api.put(`/status-requests/${requestId}`, { action, comment, overrideWipLimit });
 export const cancelStatusRequest = (requestId) => api.delete(`/status-requests/${requestId}`);
 
 // --- TASK REPORTS ---
@@ -192,7 +241,16 @@ export const reviewTaskReport = (reportId, comment) => api.put(`/task-reports/${
 export const acknowledgeTaskReport = (reportId) => api.put(`/task-reports/${reportId}/acknowledge`);
 export const deleteTaskReport = (reportId) => api.delete(`/task-reports/${reportId}`);
 
+// --- TIME TRACKING ---
+export const getTimeEntries = (params = {}) => api.get('/time-entries', { params });
+export const getRunningTimer = () => api.get('/time-entries/running');
+export const startTimer = (taskId, data = {}) => api.post('/time-entries/start', { taskId, ...data });
+export const stopTimer = (data = {}) => api.post('/time-entries/stop', data);
+export const createTimeEntry = (data) => api.post('/time-entries', data);
+export const updateTimeEntry = (entryId, data) => api.put(`/time-entries/${entryId}`, data);
+export const deleteTimeEntry = (entryId) => api.delete(`/time-entries/${entryId}`);
+
 // Simple connectivity check
 export const healthCheck = () => api.get('/health');
 
-export default api;
\ No newline at end of file
+export default api;
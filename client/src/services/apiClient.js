@@ -39,7 +39,44 @@ export const projectsApi = {
   get: (id) => apiClient.get(`/projects/${id}`),
   tasks: (id) => apiClient.get(`/projects/${id}/tasks`),
   analytics: (id) => apiClient.get(`/projects/${id}/analytics`),
-  comment: (id, text) => apiClient.post(`/projects/${id}/comments`, { text })
+  comment: (id, text, parentComment) => apiClient.post(`/projects/${id}/comments`, { text, parentComment }),
+  editComment: (id, commentId, text) => apiClient.put(`/projects/${id}/comments/${commentId}`, { text }),
+  deleteComment: (id, commentId) => apiClient.del(`/projects/${id}/comments/${commentId}`),
+  reactToComment: (id, commentId, emoji) => apiClient.post(`/projects/${id}/comments/${commentId}/reactions`, { emoji }),
+  updateWorkflow: (id, workflow) => apiClient.put(`/projects/${id}/workflow`, { workflow }),
+  updateCustomFields: (id, customFields) => apiClient.put(`/projects/${id}/custom-fields`, { customFields })
+};
+
+export const tagsApi = {
+  list: (project) => apiClient.get('/tags', { project }),
+  create: (data) => apiClient.post('/tags', data),
+  update: (id, data) => apiClient.put(`/tags/${id}`, data),
+  merge: (id, into) => apiClient.post(`/tags/${id}/merge`, { into }),
+  remove: (id) => apiClient.del(`/tags/${id}`)
+};
+
+export const sprintsApi = {
+  list: (project) => apiClient.get('/sprints', { project }),
+  create: (data) => apiClient.post('/sprints', data),
+  update: (id, data) => apiClient.put(`/sprints/${id}`, data),
+  remove: (id) => apiClient.del(`/sprints/${id}`),
+  start: (id) => apiClient.post(`/sprints/${id}/start`, {}),
+  complete: (id, carryOverTo) => apiClient.post(`/sprints/${id}/complete`, { carryOverTo })
+};
+
+export const milestonesApi = {
+  list: (project) => apiClient.get('/milestones', { project }),
+  create: (data) => apiClient.post('/milestones', data),
+  update: (id, data) => apiClient.put(`/milestones/${id}`, data),
+  remove: (id) => apiClient.del(`/milestones/${id}`)
+};
+
+export const trashApi = {
+  list: (project) => apiClient.get('/trash', { project }),
+  restoreTask: (id) => apiClient.post(`/trash/tasks/${id}/restore`, {}),
+  restoreProject: (id) => apiClient.post(`/trash/projects/${id}/restore`, {}),
+  purgeTask: (id) => apiClient.del(`/trash/tasks/${id}`),
+  purgeProject: (id) => apiClient.del(`/trash/projects/${id}`)
 };
 
 export const tasksApi = {
@@ -0,0 +1,27 @@
+// Roles an assignee can have on a task; a task has at most one owner
+export const ASSIGNEE_ROLES = [
+  { value: 'owner', label: 'Owner' },
+  { value: 'contributor', label: 'Contributor' },
+  { value: 'reviewer', label: 'Reviewer' }
+];
+
+// Assignees whose user still exists (populated with a name)
+const knownAssignees = (task) => (task.assignees || []).filter(assignee => assignee.user?._id);
+
+// Assignees for display, e.g. "Ana (owner), Ben (reviewer)"
+export const formatAssignees = (task) => {
+  const names = knownAssignees(task).map(assignee => `${assignee.user.name} (${assignee.role})`);
+  return names.length > 0 ? names.join(', ') : 'Unassigned';
+};
+
+// Who a task is filed under when the board groups by assignee: the owner,
+// otherwise the first assignee
+export const primaryAssignee = (task) => {
+  const assignees = knownAssignees(task);
+  return (assignees.find(assignee => assignee.role === 'owner') || assignees[0])?.user || null;
+};
+
+// Assignees in the shape forms and the API use: [{ user: id, role }]
+export const toAssigneeForm = (assignees = []) => assignees
+  .filter(assignee => assignee.user)
+  .map(({ user, role }) => ({ user: user._id || user, role }));
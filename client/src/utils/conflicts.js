@@ -0,0 +1,35 @@
+// Helpers for resolving edit conflicts reported by the API (409 with the current
+// server state and the conflicting fields)
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Whether an API error is an edit conflict carrying the current server state
+export const isEditConflict = (err) => err.response?.status === 409 && Boolean(err.response.data?.current);
+
+// Three-way merge of form values: fields only they changed take their value and
+// fields you changed keep yours. Returns the merged values and the fields you
+// both changed to different values.
+export const mergeChanges = (base, mine, theirs) => {
+  const merged = { ...mine };
+  const clashes = [];
+  Object.keys({ ...base, ...mine, ...theirs }).forEach(key => {
+    const mineChanged = !same(mine[key], base[key]);
+    const theirsChanged = !same(theirs[key], base[key]);
+    if (theirsChanged && !mineChanged) merged[key] = theirs[key];
+    else if (theirsChanged && !same(mine[key], theirs[key])) clashes.push(key);
+  });
+  return { merged, clashes };
+};
+
+// Readable form of a conflicting value
+export const formatConflictValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.length ? value.map(formatConflictValue).join(', ') : '—';
+  if (typeof value === 'object') {
+    if (value.name || value.title) return value.name || value.title;
+    const entries = Object.entries(value).filter(([, v]) => v !== null && v !== undefined && v !== '');
+    return entries.length ? entries.map(([k, v]) => `${k}: ${formatConflictValue(v)}`).join('; ') : '—';
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return new Date(value).toLocaleDateString();
+  return String(value);
+};
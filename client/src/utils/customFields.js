@@ -0,0 +1,38 @@
+export const CUSTOM_FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'select', label: 'Single select' },
+  { value: 'multiselect', label: 'Multi select' },
+  { value: 'user', label: 'Person' }
+];
+
+// Field types whose values come from a list of options
+export const hasOptions = (type) => type === 'select' || type === 'multiselect';
+
+// Custom field definitions of the project a task belongs to
+export const getCustomFields = (projects, task) =>
+  projects.find(p => p._id === (task.project?._id || task.project))?.customFields || [];
+
+// Manager and members of a project, for "person" fields
+export const getProjectPeople = (project) => {
+  if (!project) return [];
+  const people = [project.manager, ...(project.members || []).map(member => member.user)]
+    .filter(person => person?._id);
+  return people.filter((person, index) => people.findIndex(other => other._id === person._id) === index);
+};
+
+// Stored task values in the shape the inputs use (dates as YYYY-MM-DD)
+export const toCustomFieldForm = (fields, values = {}) => Object.fromEntries(fields.map(field => {
+  const value = values[field.key];
+  if (field.type === 'date') return [field.key, value ? String(value).slice(0, 10) : ''];
+  if (field.type === 'multiselect') return [field.key, Array.isArray(value) ? value : []];
+  return [field.key, value ?? ''];
+}));
+
+// Values for the API; empty inputs are sent as null so the server clears them
+export const fromCustomFieldForm = (fields, form) => Object.fromEntries(fields.map(field => {
+  const value = form[field.key];
+  if (value === '' || value === undefined || (Array.isArray(value) && value.length === 0)) return [field.key, null];
+  return [field.key, field.type === 'number' ? Number(value) : value];
+}));
@@ -0,0 +1,9 @@
+export const MILESTONE_STATUS_LABELS = {
+  onTrack: 'On track',
+  atRisk: 'At risk',
+  overdue: 'Overdue',
+  completed: 'Completed'
+};
+
+// YYYY-MM-DD for date inputs
+export const toDateInput = (date) => new Date(date).toISOString().slice(0, 10);
@@ -0,0 +1,23 @@
+// Helpers for converting task recurrence to and from the editor form
+
+// Build editor state from a task's stored recurrence
+export const recurrenceToForm = (recurrence) => ({
+  frequency: recurrence?.frequency || '',
+  interval: recurrence?.interval || 1,
+  byWeekday: recurrence?.byWeekday || [],
+  endType: recurrence?.until ? 'until' : (recurrence?.count ? 'count' : 'never'),
+  until: recurrence?.until ? recurrence.until.slice(0, 10) : '',
+  count: recurrence?.count || ''
+});
+
+// Convert editor state to the API payload; null clears the schedule
+export const formToRecurrence = (form) => {
+  if (!form.frequency) return null;
+  return {
+    frequency: form.frequency,
+    interval: parseInt(form.interval) || 1,
+    byWeekday: form.frequency === 'weekly' ? form.byWeekday : [],
+    until: form.endType === 'until' && form.until ? form.until : undefined,
+    count: form.endType === 'count' && form.count ? parseInt(form.count) : undefined
+  };
+};
@@ -0,0 +1,21 @@
+export const SPRINT_LENGTH_DAYS = 14;
+
+// YYYY-MM-DD for date inputs
+export const toDateInput = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Dates for the sprint after the last one planned, or starting today
+export const nextSprintDates = (sprints) => {
+  const last = sprints[sprints.length - 1];
+  const start = last ? new Date(Math.max(Date.now(), new Date(last.endDate).getTime())) : new Date();
+  const end = new Date(start.getTime() + SPRINT_LENGTH_DAYS * 24 * 60 * 60 * 1000);
+  return { startDate: toDateInput(start), endDate: toDateInput(end) };
+};
+
+// "Sprint 4" after "Sprint 3"; "Sprint 1" for a project's first sprint
+export const nextSprintName = (sprints) => {
+  const match = sprints[sprints.length - 1]?.name.match(/^(.*?)(\d+)$/);
+  return match ? `${match[1]}${Number(match[2]) + 1}` : `Sprint ${sprints.length + 1}`;
+};
+
+export const formatSprintDates = (sprint) =>
+  `${new Date(sprint.startDate).toLocaleDateString()} – ${new Date(sprint.endDate).toLocaleDateString()}`;
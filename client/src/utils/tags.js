@@ -0,0 +1,16 @@
+export const DEFAULT_TAG_COLOR = '#8A63D2';
+
+// Catalog entry for a tag name, matched regardless of letter case
+export const findTag = (catalog, name) =>
+  catalog.find(tag => tag.name.toLowerCase() === name.toLowerCase());
+
+// Merge catalogs from several projects into one suggestion list, one entry per name
+export const uniqueTags = (tags) => {
+  const seen = new Set();
+  return tags.filter(tag => {
+    const key = tag.name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
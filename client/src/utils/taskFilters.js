@@ -0,0 +1,54 @@
+// Filters and sort accepted by GET /api/tasks (empty values are not sent)
+export const DEFAULT_TASK_FILTERS = {
+  q: '',
+  project: '',
+  priority: '',
+  assignee: '',
+  // Only tasks where the assignee (employees: the user) has this role
+  assigneeRole: '',
+  tag: '',
+  dueFrom: '',
+  dueTo: '',
+  overdue: false,
+  // Sprint id, 'active' or 'backlog'
+  sprint: '',
+  // Milestone id or 'none'
+  milestone: '',
+  // Custom field filters by field key, sent as cf.<key>
+  custom: {},
+  sort: 'rank',
+  order: 'asc'
+};
+
+export const TASK_SORT_OPTIONS = [
+  { value: 'rank', label: 'Board order' },
+  { value: 'createdAt', label: 'Created' },
+  { value: 'updatedAt', label: 'Last updated' },
+  { value: 'dueDate', label: 'Due date' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'title', label: 'Title' }
+];
+
+export const BOARD_GROUPINGS = [
+  { value: 'status', label: 'Status' },
+  { value: 'assignee', label: 'Assignee' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'project', label: 'Project' }
+];
+
+// Board filters from a saved view (views keep sort separately)
+export const viewToFilters = (view) => ({
+  ...DEFAULT_TASK_FILTERS,
+  ...Object.fromEntries(Object.entries(view.filters || {}).filter(([key]) => key in DEFAULT_TASK_FILTERS)),
+  sort: view.sort?.field || DEFAULT_TASK_FILTERS.sort,
+  order: view.sort?.order || DEFAULT_TASK_FILTERS.order
+});
+
+// Saved view fields for the current board filters
+export const filtersToView = (filters) => {
+  const { sort, order, ...rest } = filters;
+  return { filters: rest, sort: { field: sort, order } };
+};
+
+// localStorage key for the last view a user opened on the task board
+export const lastViewKey = (userId) => `taskBoardView:${userId}`;
@@ -0,0 +1,32 @@
+// Helpers shared by the running-timer widget and the task time entries panel
+
+// Fired on window whenever a timer starts or stops, so every view stays in sync
+export const TIMER_CHANGED_EVENT = 'timer-changed';
+
+export const announceTimerChange = (runningEntry) => {
+  window.dispatchEvent(new CustomEvent(TIMER_CHANGED_EVENT, { detail: runningEntry || null }));
+};
+
+// 95 -> "1h 35m"
+export const formatMinutes = (minutes) => {
+  const total = Math.round(minutes || 0);
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  return hours > 0 ? `${hours}h ${String(rest).padStart(2, '0')}m` : `${rest}m`;
+};
+
+// Elapsed milliseconds as a clock, e.g. "1:05:09"
+export const formatElapsed = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+};
+
+// Date value for <input type="datetime-local"> in local time
+export const toLocalInputValue = (date) => {
+  const d = new Date(date);
+  const offset = d.getTimezoneOffset() * 60000;
+  return new Date(d.getTime() - offset).toISOString().slice(0, 16);
+};
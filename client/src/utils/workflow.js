@@ -0,0 +1,84 @@
+// Helpers for per-project task workflows (mirrors the server's DEFAULT_WORKFLOW)
+
+export const DEFAULT_WORKFLOW = [
+  { name: 'To Do', category: 'todo', transitions: [] },
+  { name: 'In Progress', category: 'active', transitions: [] },
+  { name: 'Done', category: 'done', transitions: [] }
+];
+
+export const CATEGORY_COLORS = {
+  todo: '#8A63D2',
+  active: '#f59e0b',
+  done: '#10b981'
+};
+
+const CATEGORY_ORDER = ['todo', 'active', 'done'];
+
+export const getWorkflow = (project) =>
+  project?.workflow?.length ? project.workflow : DEFAULT_WORKFLOW;
+
+export const getStatusCategory = (workflow, status) =>
+  workflow.find(state => state.name === status)?.category || null;
+
+export const isDoneStatus = (workflow, status) => getStatusCategory(workflow, status) === 'done';
+
+// States a task may move to from `status` (empty transitions means any)
+export const getAllowedTargets = (workflow, status) => {
+  const current = workflow.find(state => state.name === status);
+  const targets = workflow.filter(state => state.name !== status);
+  if (!current?.transitions?.length) return targets;
+  return targets.filter(state => current.transitions.includes(state.name));
+};
+
+// Board columns for tasks from several projects: every workflow state, grouped by
+// category and otherwise in each project's own order
+export const buildBoardStatuses = (projects) => {
+  const seen = new Map();
+  projects.forEach(project => {
+    getWorkflow(project).forEach(state => {
+      if (!seen.has(state.name)) seen.set(state.name, state);
+    });
+  });
+  const states = [...seen.values()];
+  return CATEGORY_ORDER.flatMap(category => states.filter(state => state.category === category));
+};
+
+// WIP limit breaches in a board column, as messages. Limits belong to each
+// project's workflow, so tasks are counted per project.
+export const getWipWarnings = (status, statusTasks, projects) => projects.flatMap(project => {
+  const state = getWorkflow(project).find(s => s.name === status);
+  if (!state?.wipLimit && !state?.wipLimitPerAssignee) return [];
+
+  const projectTasks = statusTasks.filter(t => (t.project?._id || t.project) === project._id);
+  const warnings = [];
+  if (state.wipLimit && projectTasks.length > state.wipLimit) {
+    warnings.push(`${project.name}: ${projectTasks.length} of ${state.wipLimit} allowed`);
+  }
+  if (state.wipLimitPerAssignee) {
+    const perAssignee = projectTasks.reduce((acc, t) => {
+      (t.assignees || []).forEach(({ user }) => {
+        if (!user) return;
+        const name = user.name || 'Assignee';
+        acc[name] = (acc[name] || 0) + 1;
+      });
+      return acc;
+    }, {});
+    Object.entries(perAssignee)
+      .filter(([, count]) => count > state.wipLimitPerAssignee)
+      .forEach(([name, count]) => warnings.push(`${project.name}: ${name} has ${count} of ${state.wipLimitPerAssignee} allowed`));
+  }
+  return warnings;
+});
+
+// Run `request(override)`. If it is refused by a WIP limit the user is allowed to
+// override, ask and retry with the override flag. Resolves to null when they decline.
+export const withWipOverride = async (request) => {
+  try {
+    return await request(false);
+  } catch (err) {
+    const data = err.response?.data;
+    if (err.response?.status !== 409 || !data?.wipLimit || !data.canOverride) throw err;
+    if (!window.confirm(`${data.error}. Override the limit and continue?`)) return null;
+    return request(true);
+  }
+};
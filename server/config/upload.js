@@ -0,0 +1,101 @@
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+
+// Shared multer configuration for project and task file uploads.
+// Files are stored on local disk under uploads/ with a random name; the
+// original name is kept on the attachment record.
+export const UPLOAD_DIR = path.join(process.cwd(), 'uploads');
+export const MAX_FILE_SIZE_MB = parseInt(process.env.MAX_UPLOAD_SIZE_MB || '10', 10);
+
+export const ALLOWED_MIME_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'application/json',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, UPLOAD_DIR);
+  },
+  filename: function (req, file, cb) {
+    cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: MAX_FILE_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: function (req, file, cb) {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error(`File type ${file.mimetype} is not allowed`);
+      error.code = 'INVALID_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Single-file upload middleware that answers size and type violations itself
+// instead of falling through to the global error handler
+export const uploadSingle = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (err) => {
+    if (err?.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File is larger than ${MAX_FILE_SIZE_MB} MB` });
+    }
+    if (err?.code === 'INVALID_FILE_TYPE') {
+      return res.status(415).json({ error: err.message });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err) return next(err);
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    next();
+  });
+};
+
+// Stream a stored attachment back to the client under its original name
+export const sendStoredFile = (res, attachment) => {
+  const filePath = path.join(UPLOAD_DIR, path.basename(attachment.url));
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  res.setHeader('Content-Type', attachment.mimeType || 'application/octet-stream');
+  res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(attachment.name)}"; filename*=UTF-8''${encodeURIComponent(attachment.name)}`);
+  fs.createReadStream(filePath).pipe(res);
+};
+
+// Remove a stored file, ignoring files that are already gone
+export const removeStoredFile = async (filename) => {
+  try {
+    await fs.promises.unlink(path.join(UPLOAD_DIR, path.basename(filename)));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Remove file error:', error);
+  }
+};
+
+// Copy a stored file under a new random name; returns the new name
+export const copyStoredFile = async (filename) => {
+  const copy = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${path.extname(filename).toLowerCase()}`;
+  await fs.promises.copyFile(path.join(UPLOAD_DIR, path.basename(filename)), path.join(UPLOAD_DIR, copy));
+  return copy;
+};
@@ -0,0 +1,112 @@
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Same day of month `months` later, clamped to the last day of shorter months
+const addMonths = (date, months) => {
+  const next = new Date(date);
+  const day = next.getDate();
+  next.setDate(1);
+  next.setMonth(next.getMonth() + months);
+  const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+  next.setDate(Math.min(day, lastDay));
+  return next;
+};
+
+// Next date in the series after `from`, or null when the schedule is invalid
+export function getNextOccurrenceDate(recurrence, from) {
+  const interval = recurrence.interval || 1;
+
+  switch (recurrence.frequency) {
+    case 'daily':
+      return addDays(from, interval);
+    case 'weekly': {
+      const weekdays = [...(recurrence.byWeekday || [])].sort((a, b) => a - b);
+      if (weekdays.length === 0) return addDays(from, 7 * interval);
+      // Later weekday in the same week, otherwise the first weekday `interval` weeks on
+      const laterThisWeek = weekdays.find(day => day > from.getDay());
+      if (laterThisWeek !== undefined) return addDays(from, laterThisWeek - from.getDay());
+      const weekStart = addDays(from, -from.getDay());
+      return addDays(weekStart, 7 * interval + weekdays[0]);
+    }
+    case 'monthly':
+      return addMonths(from, interval);
+    default:
+      return null;
+  }
+}
+
+// Create the next task in a recurring series. Returns the new task, or null when the
+// series has ended or the next occurrence already exists.
+export async function spawnNextOccurrence(task, now = new Date()) {
+  const recurrence = task.recurrence;
+  if (!recurrence?.frequency || task.nextOccurrenceCreated) return null;
+
+  // Claim the occurrence first so concurrent runs don't create duplicates.
+  // Finished series are claimed too, so the job stops picking them up.
+  const claimed = await Task.findOneAndUpdate(
+    { _id: task._id, nextOccurrenceCreated: { $ne: true } },
+    { nextOccurrenceCreated: true }
+  );
+  if (!claimed) return null;
+
+  // A series that fell behind skips the dates already past; they still count as occurrences
+  let occurrence = (recurrence.occurrence || 1) + 1;
+  let nextDueDate = getNextOccurrenceDate(recurrence, task.dueDate ? new Date(task.dueDate) : now);
+  while (nextDueDate && nextDueDate <= now) {
+    nextDueDate = getNextOccurrenceDate(recurrence, nextDueDate);
+    occurrence += 1;
+  }
+  if (!nextDueDate) return null;
+  if (recurrence.count && occurrence > recurrence.count) return null;
+  if (recurrence.until && nextDueDate > new Date(recurrence.until)) return null;
+
+  const project = await Project.findById(task.project._id || task.project);
+  if (!project) return null;
+
+  return Task.create({
+    title: task.title,
+    description: task.description,
+    project: project._id,
+    status: project.initialStatus(),
+    assignees: task.assignees.map(({ user, role }) => ({ user: user._id || user, role })),
+    priority: task.priority,
+    estimatedHours: task.estimatedHours,
+    tags: task.tags,
+    customFields: task.customFields,
+    // Followers of the series keep hearing about each occurrence
+    watchers: task.watchers,
+    checklist: (task.checklist || []).map(item => ({ text: item.text })),
+    dueDate: nextDueDate,
+    recurrence: {
+      frequency: recurrence.frequency,
+      interval: recurrence.interval,
+      byWeekday: recurrence.byWeekday,
+      until: recurrence.until,
+      count: recurrence.count,
+      occurrence
+    },
+    recurrenceSeries: task.recurrenceSeries || task._id
+  });
+}
+
+// Roll every recurring series forward: any occurrence that is done or has reached its
+// due date gets its successor created.
+export async function runRecurringTasks(now = new Date()) {
+  const candidates = await Task.find({
+    'recurrence.frequency': { $exists: true, $ne: null },
+    nextOccurrenceCreated: { $ne: true }
+  }).populate('project');
+
+  // "Done" depends on each project's workflow, so filter here rather than in the query
+  const due = candidates.filter(task =>
+    (task.dueDate && task.dueDate <= now) ||
+    (task.project && task.project.isDoneStatus(task.status))
+  );
+
+  const ops = due.map(task => spawnNextOccurrence(task, now));
+  if (ops.length) await Promise.allSettled(ops);
+}
@@ -2,6 +2,10 @@ import Task from '../models/Task.js';
 import Notification from '../models/Notification.js';
 import NotificationPreference from '../models/NotificationPreference.js';
 import mongoose from 'mongoose';
+import Milestone from '../models/Milestone.js';
+import Project from '../models/Project.js';
+import { getMilestoneSummaries } from '../utils/milestones.js';
+import { filterByPreference } from '../utils/notificationPreferences.js';
 
 // Simple heuristic: send reminders 24h and 2h before due; mark when sent via metadata on Notification
 export async function runDeadlineReminders(now = new Date()) {
@@ -15,29 +19,87 @@ export async function runDeadlineReminders(now = new Date()) {
 
   // Find tasks with due dates such that due - now ~= 24h or 2h
   const dueCandidates = await Task.find({ dueDate: { $gte: start, $lte: new Date(now.getTime() + 1000 * 60 * 60 * (twentyFour + 1)) } })
-    .populate('assignedTo', '_id name')
+    .populate('assignees.user', '_id name')
     .lean();
 
   const ops = [];
   for (const task of dueCandidates) {
-    if (!task.assignedTo || !task.dueDate) continue;
+    if (task.assignees.length === 0 || !task.dueDate) continue;
     const hoursLeft = inHours(new Date(task.dueDate).getTime() - now.getTime());
     const bucket = Math.abs(hoursLeft - twoHours) < 0.2 ? '2h' : (Math.abs(hoursLeft - twentyFour) < 0.5 ? '24h' : null);
     if (!bucket) continue;
 
-    // Check prefs
-    const pref = await NotificationPreference.findOne({ user: task.assignedTo._id }).lean();
-    if (pref && pref.categories && pref.categories.deadlines === false) continue;
-
-    ops.push(Notification.create({
-      user: task.assignedTo._id,
-      type: 'deadline',
-      title: `Reminder: "${task.title}" due ${bucket === '2h' ? 'in 2 hours' : 'tomorrow'}`,
-      message: `Your task is approaching its deadline.`,
-      link: `/tasks/${task._id}`,
-      metadata: { taskId: task._id, bucket },
-    }));
+    for (const { user } of task.assignees) {
+      if (!user) continue;
+      // Check prefs
+      const pref = await NotificationPreference.findOne({ user: user._id }).lean();
+      if (pref && pref.categories && pref.categories.deadlines === false) continue;
+
+      ops.push(Notification.create({
+        user: user._id,
+        type: 'deadline',
+        title: `Reminder: "${task.title}" due ${bucket === '2h' ? 'in 2 hours' : 'tomorrow'}`,
+        message: `Your task is approaching its deadline.`,
+        link: `/tasks/${task._id}`,
+        metadata: { taskId: task._id, bucket },
+      }));
+    }
   }
 
   if (ops.length) await Promise.allSettled(ops);
 }
+
+// Milestone reminders go to the project manager and the assignees of open linked
+// tasks: 3 days and 1 day before the target date, once when it passes, and once
+// when the milestone becomes at risk. Sent buckets are kept on the milestone.
+export async function runMilestoneReminders(now = new Date()) {
+  const day = 24 * 60 * 60 * 1000;
+  const milestones = await Milestone.find({ targetDate: { $gte: new Date(now.getTime() - day) } }).select('project');
+  const projectIds = [...new Set(milestones.map(milestone => milestone.project.toString()))];
+
+  for (const projectId of projectIds) {
+    const project = await Project.findById(projectId);
+    if (!project) continue;
+
+    const summaries = await getMilestoneSummaries(project, { targetDate: { $gte: new Date(now.getTime() - day) } });
+    for (const milestone of summaries) {
+      if (milestone.status === 'completed') continue;
+
+      const msLeft = new Date(milestone.targetDate).getTime() - now.getTime();
+      const bucket = msLeft < 0 ? 'overdue'
+        : msLeft <= day ? '1d'
+        : msLeft <= 3 * day ? '3d'
+        : milestone.status === 'atRisk' ? 'atRisk'
+        : null;
+      if (!bucket || milestone.remindersSent.includes(bucket)) continue;
+
+      const openTasks = milestone.tasks.filter(task => !project.isDoneStatus(task.status));
+      const recipients = await filterByPreference([
+        project.manager,
+        ...openTasks.flatMap(task => task.assignees.map(assignee => assignee.user?._id).filter(Boolean))
+      ], 'deadlines');
+
+      const titles = {
+        '3d': `Milestone "${milestone.name}" is due in 3 days`,
+        '1d': `Milestone "${milestone.name}" is due tomorrow`,
+        overdue: `Milestone "${milestone.name}" is past its target date`,
+        atRisk: `Milestone "${milestone.name}" is at risk`
+      };
+      const message = bucket === 'atRisk'
+        ? `${milestone.openHours}h of open work with about ${milestone.remainingHours}h left before ${new Date(milestone.targetDate).toDateString()}`
+        : `${milestone.completedTasks} of ${milestone.totalTasks} tasks done (${milestone.progress}%) in "${project.name}"`;
+
+      if (recipients.length) {
+        await Notification.insertMany(recipients.map(user => ({
+          user,
+          type: 'deadline',
+          title: titles[bucket],
+          message,
+          link: `/projects/${project._id}`,
+          metadata: { projectId: project._id, milestoneId: milestone._id, bucket }
+        })));
+      }
+      await Milestone.updateOne({ _id: milestone._id }, { $addToSet: { remindersSent: bucket } });
+    }
+  }
+}
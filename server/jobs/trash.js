@@ -0,0 +1,22 @@
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+import { TRASH_RETENTION_DAYS, purgeTasks, purgeProject } from '../utils/trash.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Permanently delete projects and tasks that have been in the trash longer than the
+// retention period. Items that went to the trash with a project or parent task are
+// purged along with it.
+export async function runTrashPurge(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+
+  const projects = await Project.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id');
+  for (const project of projects) {
+    await purgeProject(project._id);
+  }
+
+  const tasks = await Task.find({ deletedAt: { $ne: null, $lte: cutoff }, deletedWith: null }).select('_id');
+  if (tasks.length) {
+    await purgeTasks({ _id: { $in: tasks.map(task => task._id) } });
+  }
+}
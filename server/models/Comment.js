@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Reactions offered on comments
+export const COMMENT_REACTIONS = ['👍', '👎', '😄', '🎉', '😕', '❤️', '🚀', '👀'];
+
+// Embedded comment used by both tasks and projects. Replies point at a
+// top-level comment through parentComment (one level of threading).
+export const commentSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  text: { type: String, required: true },
+  mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  parentComment: { type: mongoose.Schema.Types.ObjectId, default: null },
+  editedAt: { type: Date },
+  editHistory: [{
+    text: { type: String },
+    editedAt: { type: Date, default: Date.now }
+  }],
+  reactions: [{
+    emoji: { type: String, enum: COMMENT_REACTIONS, required: true },
+    users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+  }],
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    // Soft-deleted comments keep their place in a thread but not their content
+    transform: (doc, ret) => {
+      if (ret.deletedAt) {
+        ret.text = '';
+        ret.mentions = [];
+        ret.editHistory = [];
+        ret.reactions = [];
+      }
+      return ret;
+    }
+  }
+});
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// A project checkpoint. Tasks link to it through Task.milestone; progress and
+// risk are computed from those tasks (see utils/milestones.js).
+const milestoneSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, trim: true, maxlength: 1000 },
+  targetDate: { type: Date, required: true },
+  // Reminder buckets already sent by the reminders job ('3d', '1d', 'overdue', 'atRisk')
+  remindersSent: [{ type: String }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+milestoneSchema.index({ project: 1, targetDate: 1 });
+
+export default mongoose.model('Milestone', milestoneSchema);
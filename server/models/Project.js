@@ -1,4 +1,17 @@
 import mongoose from 'mongoose';
+import { commentSchema } from './Comment.js';
+import { CUSTOM_FIELD_TYPES } from '../utils/customFields.js';
+import { softDelete } from '../utils/softDelete.js';
+import { versioned } from '../utils/versioning.js';
+
+export const WORKFLOW_CATEGORIES = ['todo', 'active', 'done'];
+
+// Used for projects that have not customised their workflow
+export const DEFAULT_WORKFLOW = [
+  { name: 'To Do', category: 'todo', transitions: [] },
+  { name: 'In Progress', category: 'active', transitions: [] },
+  { name: 'Done', category: 'done', transitions: [] }
+];
 
 const projectSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
@@ -17,17 +30,39 @@ const projectSchema = new mongoose.Schema({
   endDate: { type: Date },
   deadline: { type: Date },
   tags: [{ type: String, trim: true }],
+  // Ordered task states; an empty transitions list allows moving to any state
+  workflow: {
+    type: [{
+      name: { type: String, required: true, trim: true },
+      category: { type: String, enum: WORKFLOW_CATEGORIES, required: true },
+      color: { type: String },
+      transitions: [{ type: String, trim: true }],
+      // Work-in-progress limits: tasks in this state, and tasks per assignee in this state
+      wipLimit: { type: Number, min: 1 },
+      wipLimitPerAssignee: { type: Number, min: 1 }
+    }],
+    default: () => DEFAULT_WORKFLOW
+  },
+  // Extra task attributes; values live in Task.customFields under each key
+  customFields: [{
+    key: { type: String, required: true },
+    name: { type: String, required: true, trim: true },
+    type: { type: String, enum: CUSTOM_FIELD_TYPES, required: true },
+    description: { type: String, trim: true },
+    required: { type: Boolean, default: false },
+    options: [{ type: String, trim: true }],
+    min: { type: Number },
+    max: { type: Number }
+  }],
   attachments: [{
     name: String,
     url: String,
+    size: Number,
+    mimeType: String,
     uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     uploadedAt: { type: Date, default: Date.now }
   }],
-  comments: [{
-    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    text: { type: String, required: true },
-    createdAt: { type: Date, default: Date.now }
-  }],
+  comments: [commentSchema],
   activityLog: [{
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     action: { type: String, required: true },
@@ -38,6 +73,12 @@ const projectSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
+// Full-text search over project content (used by /api/search)
+projectSchema.index(
+  { name: 'text', tags: 'text', description: 'text', 'comments.text': 'text' },
+  { name: 'project_text_search', weights: { name: 10, tags: 5, description: 3, 'comments.text': 1 } }
+);
+
 // Update the updatedAt field before saving
 projectSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -58,13 +99,55 @@ projectSchema.methods.addActivity = function(userId, action, details) {
   }
 };
 
+// Workflow states, falling back to the default for older projects
+projectSchema.methods.getWorkflow = function() {
+  return this.workflow && this.workflow.length > 0 ? this.workflow : DEFAULT_WORKFLOW;
+};
+
+projectSchema.methods.getWorkflowState = function(name) {
+  return this.getWorkflow().find(state => state.name === name) || null;
+};
+
+// Names of every state in the given category
+projectSchema.methods.statusesInCategory = function(category) {
+  return this.getWorkflow().filter(state => state.category === category).map(state => state.name);
+};
+
+// State new tasks start in
+projectSchema.methods.initialStatus = function() {
+  const workflow = this.getWorkflow();
+  return (workflow.find(state => state.category === 'todo') || workflow[0]).name;
+};
+
+projectSchema.methods.isDoneStatus = function(name) {
+  return this.getWorkflowState(name)?.category === 'done';
+};
+
+// Whether a task may move from one state to another
+projectSchema.methods.canTransition = function(from, to) {
+  const target = this.getWorkflowState(to);
+  if (!target) return false;
+  if (from === to) return true;
+  const source = this.getWorkflowState(from);
+  // Tasks left in a state that was since removed can move anywhere
+  if (!source || !source.transitions || source.transitions.length === 0) return true;
+  return source.transitions.includes(to);
+};
+
 // Virtual for progress calculation (percentage of completed tasks)
 projectSchema.virtual('progress').get(async function () {
   const Task = mongoose.model('Task');
   const totalTasks = await Task.countDocuments({ project: this._id });
   if (totalTasks === 0) return 0;
-  const completedTasks = await Task.countDocuments({ project: this._id, status: 'Done' });
+  const completedTasks = await Task.countDocuments({ project: this._id, status: { $in: this.statusesInCategory('done') } });
   return Math.round((completedTasks / totalTasks) * 100);
 });
 
+projectSchema.plugin(softDelete);
+// Fields people edit; activity, comments and attachments don't count as changes
+projectSchema.plugin(versioned, {
+  fields: ['name', 'description', 'manager', 'team', 'members', 'status', 'priority', 'startDate', 'endDate',
+    'deadline', 'tags', 'workflow', 'customFields']
+});
+
 export default mongoose.model('Project', projectSchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+export const VIEW_GROUPINGS = ['status', 'assignee', 'priority', 'project'];
+export const VIEW_SORT_FIELDS = ['rank', 'createdAt', 'updatedAt', 'dueDate', 'priority', 'title'];
+
+// A named task board configuration. Views with a project are shared with its
+// members; views without one are personal to their owner.
+const savedViewSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null, index: true },
+  // Same keys as the GET /api/tasks query (q, assignee, assigneeRole, tag, dueFrom, dueTo, overdue, project, status, priority, sprint)
+  filters: {
+    q: { type: String, trim: true },
+    assignee: { type: String },
+    assigneeRole: { type: String },
+    tag: { type: String, trim: true },
+    dueFrom: { type: String },
+    dueTo: { type: String },
+    overdue: { type: Boolean, default: false },
+    project: { type: String },
+    status: { type: String },
+    priority: { type: String },
+    // Sprint id, "backlog" or "active"
+    sprint: { type: String },
+    // Milestone id or "none"
+    milestone: { type: String },
+    // Custom field filters by field key (sent as cf.<key>)
+    custom: { type: Map, of: String }
+  },
+  sort: {
+    field: { type: String, enum: VIEW_SORT_FIELDS, default: 'createdAt' },
+    order: { type: String, enum: ['asc', 'desc'], default: 'desc' }
+  },
+  groupBy: { type: String, enum: VIEW_GROUPINGS, default: 'status' },
+  // Column keys to show; empty shows every column
+  visibleColumns: [{ type: String }]
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('SavedView', savedViewSchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+export const SPRINT_STATES = ['planned', 'active', 'completed'];
+
+// A time-boxed iteration of a project. Tasks join a sprint through Task.sprint;
+// the point totals are frozen when the sprint starts and completes so velocity
+// history survives later edits to the tasks.
+const sprintSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  goal: { type: String, trim: true, maxlength: 500 },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  state: { type: String, enum: SPRINT_STATES, default: 'planned' },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+  // Story points planned when the sprint started
+  committedPoints: { type: Number, default: 0 },
+  // Story points and tasks done when the sprint completed
+  completedPoints: { type: Number, default: 0 },
+  completedTasks: { type: Number, default: 0 },
+  // Unfinished tasks moved on at completion
+  carriedOverTasks: { type: Number, default: 0 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// A project runs at most one sprint at a time
+sprintSchema.index(
+  { project: 1 },
+  { name: 'one_active_sprint_per_project', unique: true, partialFilterExpression: { state: 'active' } }
+);
+
+sprintSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'Sprint must end after it starts');
+  }
+  next();
+});
+
+export default mongoose.model('Sprint', sprintSchema);
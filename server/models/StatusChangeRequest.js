@@ -11,15 +11,14 @@ const statusChangeRequestSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Free-form: valid values come from the task's project workflow
   currentStatus: {
     type: String,
-    required: true,
-    enum: ['To Do', 'In Progress', 'Done']
+    required: true
   },
   requestedStatus: {
     type: String,
-    required: true,
-    enum: ['To Do', 'In Progress', 'Done']
+    required: true
   },
   reason: {
     type: String,
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+export const DEFAULT_TAG_COLOR = '#8A63D2';
+
+// An entry in a project's tag catalog. Tasks still store tag names in `tags`;
+// the catalog gives them one spelling, a color and a description.
+const tagSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 50 },
+  // Lower-cased name so "Bug" and "bug" can't both be catalogued
+  key: { type: String, required: true },
+  color: { type: String, default: DEFAULT_TAG_COLOR, match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #8A63D2'] },
+  description: { type: String, trim: true, maxlength: 200 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+tagSchema.index({ project: 1, key: 1 }, { unique: true });
+
+tagSchema.pre('validate', function(next) {
+  if (this.name) this.key = this.name.trim().toLowerCase();
+  next();
+});
+
+export default mongoose.model('Tag', tagSchema);
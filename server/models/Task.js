@@ -1,24 +1,64 @@
 import mongoose from 'mongoose';
+import { commentSchema } from './Comment.js';
+import { rankBetween, spreadRanks } from '../utils/taskRank.js';
+import { softDelete } from '../utils/softDelete.js';
+import { versioned } from '../utils/versioning.js';
+import { ASSIGNEE_ROLES } from '../utils/taskAssignees.js';
 
 const taskSchema = new mongoose.Schema({
   title: { type: String, required: true, trim: true },
   description: { type: String, trim: true },
   project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
-  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  status: { type: String, enum: ['To Do', 'In Progress', 'Done'], default: 'To Do' },
+  parentTask: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', default: null, index: true },
+  blockedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task', index: true }],
+  // Everyone working on the task and in what role (see utils/taskAssignees.js)
+  assignees: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    role: { type: String, enum: ASSIGNEE_ROLES, default: 'contributor' }
+  }],
+  // Users who get notified about status, due date, assignee and comment updates
+  watchers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true }],
+  // Validated against the project's workflow in the routes
+  status: { type: String, trim: true, default: 'To Do' },
   priority: { type: String, enum: ['Low', 'Medium', 'High'], default: 'Medium' },
   dueDate: { type: Date },
   estimatedHours: { type: Number },
+  storyPoints: { type: Number, min: 0 },
+  // Sprint the task is planned into; null keeps it in the project backlog
+  sprint: { type: mongoose.Schema.Types.ObjectId, ref: 'Sprint', default: null, index: true },
+  // Project milestone this task counts towards
+  milestone: { type: mongoose.Schema.Types.ObjectId, ref: 'Milestone', default: null, index: true },
   actualHours: { type: Number },
   tags: [{ type: String, trim: true }],
-  comments: [{
-    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    text: { type: String, required: true },
-    createdAt: { type: Date, default: Date.now }
+  // Values for the project's custom fields, keyed by field key (see utils/customFields.js)
+  customFields: { type: Map, of: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  checklist: [{
+    text: { type: String, required: true, trim: true },
+    done: { type: Boolean, default: false },
+    completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    completedAt: { type: Date }
   }],
+  progress: { type: Number, min: 0, max: 100, default: 0 },
+  // Board position; see utils/taskRank.js
+  rank: { type: String, index: true },
+  // RRULE-style schedule; each occurrence is its own task linked by recurrenceSeries
+  recurrence: {
+    frequency: { type: String, enum: ['daily', 'weekly', 'monthly'] },
+    interval: { type: Number, min: 1, default: 1 },
+    byWeekday: [{ type: Number, min: 0, max: 6 }],
+    until: { type: Date },
+    count: { type: Number, min: 1 },
+    occurrence: { type: Number, default: 1 }
+  },
+  recurrenceSeries: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', index: true },
+  nextOccurrenceCreated: { type: Boolean, default: false },
+  comments: [commentSchema],
   attachments: [{
     name: String,
     url: String,
+    size: Number,
+    mimeType: String,
     uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     uploadedAt: { type: Date, default: Date.now }
   }],
@@ -26,15 +66,104 @@ const taskSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
+// Full-text search over task content (used by /api/search)
+taskSchema.index(
+  { title: 'text', tags: 'text', description: 'text', 'comments.text': 'text' },
+  { name: 'task_text_search', weights: { title: 10, tags: 5, description: 3, 'comments.text': 1 } }
+);
+
 // Update the updatedAt field before saving
 taskSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
-// Virtual to check if task is overdue
+// New tasks go to the top of their board column
+taskSchema.pre('save', async function() {
+  if (!this.isNew || this.rank) return;
+  const first = await this.constructor.findOne({ project: this.project, status: this.status, rank: { $ne: null } })
+    .sort({ rank: 1 })
+    .select('rank');
+  this.rank = rankBetween(null, first?.rank || null);
+});
+
+// Virtual to check if task is overdue. A populated project knows its own done states.
 taskSchema.virtual('isOverdue').get(function() {
-  return this.dueDate && this.dueDate < new Date() && this.status !== 'Done';
+  const done = this.project?.isDoneStatus ? this.project.isDoneStatus(this.status) : this.status === 'Done';
+  return Boolean(this.dueDate && this.dueDate < new Date() && !done);
+});
+
+// Recalculate progress from checklist items and subtasks, then roll it up to the parent task
+taskSchema.statics.rollUpProgress = async function(taskId) {
+  const task = await this.findById(taskId).populate('project');
+  if (!task) return null;
+
+  const doneStatuses = task.project ? task.project.statusesInCategory('done') : ['Done'];
+  const subtasks = await this.find({ parentTask: task._id }).select('status');
+  const total = task.checklist.length + subtasks.length;
+  const completed = task.checklist.filter(item => item.done).length +
+                    subtasks.filter(subtask => doneStatuses.includes(subtask.status)).length;
+
+  let progress = total > 0 ? Math.round((completed / total) * 100) : 0;
+  if (doneStatuses.includes(task.status)) progress = 100;
+
+  await this.updateOne({ _id: task._id }, { progress });
+
+  if (task.parentTask) {
+    await this.rollUpProgress(task.parentTask);
+  }
+  return progress;
+};
+
+// Give tasks created before board ranks existed a rank below every ranked task
+// in their board column, newest first (the board's old order)
+taskSchema.statics.backfillRanks = async function() {
+  const unranked = await this.find({ rank: null }).sort({ createdAt: -1 }).select('project status');
+  if (unranked.length === 0) return 0;
+
+  const columns = new Map();
+  unranked.forEach(task => {
+    const key = `${task.project}:${task.status}`;
+    columns.set(key, [...(columns.get(key) || []), task]);
+  });
+
+  const updates = [];
+  for (const tasks of columns.values()) {
+    const { project, status } = tasks[0];
+    const last = await this.findOne({ project, status, rank: { $ne: null } }).sort({ rank: -1 }).select('rank');
+    const ranks = spreadRanks(tasks.length, last?.rank || null);
+    tasks.forEach((task, index) => {
+      updates.push({ updateOne: { filter: { _id: task._id }, update: { rank: ranks[index] } } });
+    });
+  }
+  await this.bulkWrite(updates);
+  return unranked.length;
+};
+
+// Tasks from before multiple assignees had a single `assignedTo`, who becomes the owner.
+// Runs on the raw collection since `assignedTo` is no longer in the schema.
+taskSchema.statics.backfillAssignees = async function() {
+  const { modifiedCount } = await this.collection.updateMany(
+    { assignedTo: { $exists: true } },
+    [
+      {
+        $set: {
+          assignees: {
+            $cond: [{ $ifNull: ['$assignedTo', false] }, [{ user: '$assignedTo', role: 'owner' }], []]
+          }
+        }
+      },
+      { $unset: 'assignedTo' }
+    ]
+  );
+  return modifiedCount;
+};
+
+taskSchema.plugin(softDelete);
+// Fields people edit; changing one invalidates edits based on an older version
+taskSchema.plugin(versioned, {
+  fields: ['title', 'description', 'project', 'status', 'priority', 'dueDate', 'assignees', 'estimatedHours',
+    'storyPoints', 'sprint', 'milestone', 'tags', 'customFields', 'checklist', 'blockedBy', 'recurrence']
 });
 
 export default mongoose.model('Task', taskSchema);
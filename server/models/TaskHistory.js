@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// Fields whose changes are recorded in a task's history
+export const TRACKED_FIELDS = ['title', 'status', 'assignees', 'dueDate', 'priority', 'estimatedHours', 'actualHours', 'storyPoints', 'description'];
+
+const taskHistorySchema = new mongoose.Schema({
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  field: { type: String, required: true },
+  from: { type: mongoose.Schema.Types.Mixed },
+  to: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now }
+});
+
+taskHistorySchema.index({ task: 1, createdAt: -1 });
+
+// Comparable value of a tracked field (ids and dates become strings)
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value._id) return value._id.toString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value;
+};
+
+// Comparable value of a task's assignees: "userId:role" pairs in a stable order
+const normalizeAssignees = (assignees = []) => assignees.length > 0
+  ? assignees.map(assignee => `${normalize(assignee.user)}:${assignee.role}`).sort().join(',')
+  : null;
+
+// Capture tracked fields before an update
+taskHistorySchema.statics.snapshot = function(task) {
+  return Object.fromEntries(TRACKED_FIELDS.map(field => [
+    field,
+    field === 'assignees' ? normalizeAssignees(task.assignees) : normalize(task[field])
+  ]));
+};
+
+// Write one history entry per tracked field that differs from the snapshot
+taskHistorySchema.statics.recordChanges = async function(before, task, userId) {
+  const after = this.snapshot(task);
+  const entries = TRACKED_FIELDS
+    .filter(field => before[field] !== after[field])
+    .map(field => ({
+      task: task._id,
+      project: task.project._id || task.project,
+      user: userId,
+      field,
+      from: before[field],
+      to: after[field]
+    }));
+
+  if (entries.length > 0) {
+    await this.insertMany(entries);
+  }
+  return entries;
+};
+
+export default mongoose.model('TaskHistory', taskHistorySchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { softDelete } from '../utils/softDelete.js';
 
 const taskReportSchema = new mongoose.Schema({
     task: {
@@ -62,6 +63,12 @@ const taskReportSchema = new mongoose.Schema({
 taskReportSchema.index({ task: 1, status: 1 });
 taskReportSchema.index({ submittedBy: 1 });
 taskReportSchema.index({ createdAt: -1 });
+taskReportSchema.index(
+    { workAccomplished: 'text', challengesFaced: 'text', nextSteps: 'text', blockers: 'text', reviewComment: 'text' },
+    { name: 'task_report_text_search', weights: { workAccomplished: 5, blockers: 3, challengesFaced: 2, nextSteps: 2, reviewComment: 1 } }
+);
+
+taskReportSchema.plugin(softDelete);
 
 const TaskReport = mongoose.model('TaskReport', taskReportSchema);
 
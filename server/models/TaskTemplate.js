@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Reusable task blueprint. Templates with a project are shared with that project;
+// templates without one are personal to the manager who created them.
+const taskTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  title: { type: String, required: true, trim: true },
+  description: { type: String },
+  checklist: [{
+    text: { type: String, required: true, trim: true }
+  }],
+  tags: [{ type: String, trim: true }],
+  estimatedHours: { type: Number, min: 0 },
+  priority: { type: String, enum: ['Low', 'Medium', 'High'], default: 'Medium' },
+  // Days after instantiation that the task falls due
+  dueOffsetDays: { type: Number, min: 0 },
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null, index: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('TaskTemplate', taskTemplateSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import Task from './Task.js';
+import TaskHistory from './TaskHistory.js';
+import { softDelete } from '../utils/softDelete.js';
+
+// One block of time a user spent on a task. A running timer is an entry without `end`.
+const timeEntrySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true, index: true },
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true, index: true },
+  start: { type: Date, required: true },
+  end: { type: Date, default: null },
+  // Minutes; set when the entry is finished
+  duration: { type: Number, min: 0, default: 0 },
+  note: { type: String, trim: true, maxlength: 500 },
+  billable: { type: Boolean, default: false }
+}, {
+  timestamps: true
+});
+
+// At most one running timer per user
+timeEntrySchema.index(
+  { user: 1 },
+  { name: 'one_running_timer_per_user', unique: true, partialFilterExpression: { end: null } }
+);
+timeEntrySchema.index({ task: 1, start: -1 });
+
+timeEntrySchema.pre('validate', function (next) {
+  if (this.end) {
+    if (this.end < this.start) {
+      this.invalidate('end', 'End time must be after start time');
+    } else {
+      this.duration = Math.round((this.end - this.start) / 60000);
+    }
+  }
+  next();
+});
+
+// Recompute a task's actualHours from its finished entries
+timeEntrySchema.statics.syncTaskHours = async function (taskId, userId) {
+  const task = await Task.findById(taskId);
+  if (!task) return;
+
+  const [totals] = await this.aggregate([
+    { $match: { task: task._id, end: { $ne: null } } },
+    { $group: { _id: null, minutes: { $sum: '$duration' } } }
+  ]);
+  const hours = Math.round(((totals?.minutes || 0) / 60) * 100) / 100;
+  if (hours === (task.actualHours || 0)) return;
+
+  const before = TaskHistory.snapshot(task);
+  task.actualHours = hours;
+  await task.save();
+  await TaskHistory.recordChanges(before, task, userId);
+};
+
+timeEntrySchema.plugin(softDelete);
+
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema);
+
+export default TimeEntry;
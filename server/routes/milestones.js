@@ -0,0 +1,172 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import Milestone from '../models/Milestone.js';
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+import { getMilestoneSummaries } from '../utils/milestones.js';
+
+const router = express.Router();
+
+// Helper function to check whether a user can see a project's milestones
+const canViewProject = (project, user) =>
+  user.role === 'manager' ||
+  project.manager.toString() === user.id ||
+  project.members.some(member => member.user.toString() === user.id);
+
+// Helper function to check whether a user can change a project's milestones
+const canManageProject = (project, user) =>
+  user.role === 'manager' || project.manager.toString() === user.id;
+
+// Helper function to load a milestone whose project the user manages
+const loadMilestoneForChange = async (req, res) => {
+  const milestone = await Milestone.findById(req.params.id);
+  if (!milestone) {
+    res.status(404).json({ error: 'Milestone not found' });
+    return null;
+  }
+  const project = await Project.findById(milestone.project);
+  if (!project || !canManageProject(project, req.user)) {
+    res.status(403).json({ error: 'Not authorized to change this project\'s milestones' });
+    return null;
+  }
+  return { milestone, project };
+};
+
+// Helper function to link tasks of the milestone's project; returns how many were linked
+const linkTasks = async (milestone, taskIds) => {
+  if (!Array.isArray(taskIds) || taskIds.length === 0) return 0;
+  const { modifiedCount } = await Task.updateMany(
+    { _id: { $in: taskIds }, project: milestone.project },
+    { $set: { milestone: milestone._id } }
+  );
+  return modifiedCount;
+};
+
+// Helper function to return one milestone with its progress
+const summaryOf = async (project, milestone) =>
+  (await getMilestoneSummaries(project, { _id: milestone._id }))[0];
+
+// Helper function to send validation errors as 400
+const sendMilestoneError = (res, error, label) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @desc    Get a project's milestones with progress and risk
+// @route   GET /api/milestones?project=
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { project: projectId } = req.query;
+    if (!projectId) {
+      return res.status(400).json({ error: 'Project is required' });
+    }
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!canViewProject(project, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to view this project' });
+    }
+
+    res.json({ milestones: await getMilestoneSummaries(project) });
+  } catch (error) {
+    sendMilestoneError(res, error, 'Get milestones');
+  }
+});
+
+// @desc    Create a milestone, optionally linking tasks
+// @route   POST /api/milestones
+// @access  Private (manager or project manager)
+router.post('/', protect, async (req, res) => {
+  try {
+    const { project: projectId, name, description, targetDate, taskIds } = req.body;
+    if (!projectId || !name || !targetDate) {
+      return res.status(400).json({ error: 'Project, name and target date are required' });
+    }
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!canManageProject(project, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to change this project\'s milestones' });
+    }
+
+    const milestone = await Milestone.create({
+      project: project._id,
+      name,
+      description,
+      targetDate: new Date(targetDate),
+      createdBy: req.user.id
+    });
+    await linkTasks(milestone, taskIds);
+
+    project.addActivity(req.user.id, 'Created milestone', `Created milestone "${milestone.name}" due ${milestone.targetDate.toDateString()}`);
+    await project.save();
+
+    res.status(201).json(await summaryOf(project, milestone));
+  } catch (error) {
+    sendMilestoneError(res, error, 'Create milestone');
+  }
+});
+
+// @desc    Update a milestone; `taskIds` replaces its linked tasks
+// @route   PUT /api/milestones/:id
+// @access  Private (manager or project manager)
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const loaded = await loadMilestoneForChange(req, res);
+    if (!loaded) return;
+    const { milestone, project } = loaded;
+
+    const { name, description, targetDate, taskIds } = req.body;
+    if (name !== undefined) milestone.name = name;
+    if (description !== undefined) milestone.description = description;
+    if (targetDate && new Date(targetDate).getTime() !== milestone.targetDate.getTime()) {
+      milestone.targetDate = new Date(targetDate);
+      // A new date gets a new round of reminders
+      milestone.remindersSent = [];
+    }
+    await milestone.save();
+
+    if (Array.isArray(taskIds)) {
+      await Task.updateMany(
+        { milestone: milestone._id, _id: { $nin: taskIds } },
+        { $set: { milestone: null } }
+      );
+      await linkTasks(milestone, taskIds);
+    }
+
+    res.json(await summaryOf(project, milestone));
+  } catch (error) {
+    sendMilestoneError(res, error, 'Update milestone');
+  }
+});
+
+// @desc    Delete a milestone; its tasks are unlinked, not deleted
+// @route   DELETE /api/milestones/:id
+// @access  Private (manager or project manager)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const loaded = await loadMilestoneForChange(req, res);
+    if (!loaded) return;
+    const { milestone, project } = loaded;
+
+    await Task.updateMany({ milestone: milestone._id }, { $set: { milestone: null } });
+    await milestone.deleteOne();
+
+    project.addActivity(req.user.id, 'Deleted milestone', `Deleted milestone "${milestone.name}"`);
+    await project.save();
+
+    res.json({ message: 'Milestone deleted successfully' });
+  } catch (error) {
+    sendMilestoneError(res, error, 'Delete milestone');
+  }
+});
+
+export default router;
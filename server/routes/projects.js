@@ -1,42 +1,89 @@
 import express from 'express';
-import multer from 'multer';
-import path from 'path';
 import { protect, manager } from '../middleware/authMiddleware.js';
-import Project from '../models/Project.js';
+import Project, { WORKFLOW_CATEGORIES } from '../models/Project.js';
 import Task from '../models/Task.js';
 import User from '../models/User.js';
 import Team from '../models/Team.js';
 import Notification from '../models/Notification.js';
+import { buildDependencyGraph } from '../utils/taskDependencies.js';
+import { uploadSingle, sendStoredFile, removeStoredFile } from '../config/upload.js';
+import { getMentionCandidates, parseMentions, notifyMentions } from '../utils/mentions.js';
+import { COMMENT_POPULATE, addComment, editComment, deleteComment, toggleReaction } from '../utils/comments.js';
+import { parseFieldDefinitions } from '../utils/customFields.js';
+import { getVelocityHistory } from '../utils/sprints.js';
+import { getMilestoneSummaries } from '../utils/milestones.js';
+import { trashProject } from '../utils/trash.js';
+import { checkVersion, conflictResponse } from '../utils/versioning.js';
 
 const router = express.Router();
 
-// Multer setup for local file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, path.join(process.cwd(), 'uploads'));
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + '-' + file.originalname);
-  }
-});
-const upload = multer({ storage });
-
-// Helper function to get project progress
-const getProjectProgress = async (projectId) => {
-  const totalTasks = await Task.countDocuments({ project: projectId });
-  if (totalTasks === 0) return { progress: 0, totalTasks: 0, completedTasks: 0, pendingTasks: 0, overdueTasks: 0 };
+// Helper function to get project progress.
+// Only top-level tasks are counted; subtasks contribute through their parent's rolled-up progress.
+// Every workflow state in the 'done' category counts as completed.
+const getProjectProgress = async (project) => {
+  const topLevel = { project: project._id, parentTask: null };
+  const doneStatuses = project.statusesInCategory('done');
+  const totalTasks = await Task.countDocuments(topLevel);
+  if (totalTasks === 0) return { progress: 0, totalTasks: 0, completedTasks: 0, pendingTasks: 0, overdueTasks: 0, subtasks: 0 };
   
-  const completedTasks = await Task.countDocuments({ project: projectId, status: 'Done' });
-  const pendingTasks = await Task.countDocuments({ project: projectId, status: { $ne: 'Done' } });
+  const completedTasks = await Task.countDocuments({ ...topLevel, status: { $in: doneStatuses } });
+  const pendingTasks = await Task.countDocuments({ ...topLevel, status: { $nin: doneStatuses } });
   const overdueTasks = await Task.countDocuments({ 
-    project: projectId, 
+    ...topLevel, 
     dueDate: { $lt: new Date() }, 
-    status: { $ne: 'Done' } 
+    status: { $nin: doneStatuses } 
   });
+  const subtasks = await Task.countDocuments({ project: project._id, parentTask: { $ne: null } });
+  
+  // Open tasks count for their partial (checklist/subtask) progress
+  const partial = await Task.aggregate([
+    { $match: { project: project._id, parentTask: null, status: { $nin: doneStatuses } } },
+    { $group: { _id: null, total: { $sum: { $ifNull: ['$progress', 0] } } } }
+  ]);
+  const partialProgress = partial.length ? partial[0].total / 100 : 0;
+  
+  const progress = Math.round(((completedTasks + partialProgress) / totalTasks) * 100);
+  
+  return { progress, totalTasks, completedTasks, pendingTasks, overdueTasks, subtasks };
+};
+
+// Helper function to validate a workflow definition; returns an error message or null
+const validateWorkflow = (workflow) => {
+  if (!Array.isArray(workflow) || workflow.length === 0) {
+    return 'Workflow must contain at least one status';
+  }
+  
+  const names = workflow.map(state => state?.name?.trim());
+  if (names.some(name => !name)) {
+    return 'Every workflow status needs a name';
+  }
+  if (new Set(names).size !== names.length) {
+    return 'Workflow status names must be unique';
+  }
   
-  const progress = Math.round((completedTasks / totalTasks) * 100);
+  for (const state of workflow) {
+    if (!WORKFLOW_CATEGORIES.includes(state.category)) {
+      return `Status "${state.name}" must have a category of ${WORKFLOW_CATEGORIES.join(', ')}`;
+    }
+    const unknown = (state.transitions || []).find(target => !names.includes(target));
+    if (unknown) {
+      return `Status "${state.name}" has a transition to unknown status "${unknown}"`;
+    }
+    for (const field of ['wipLimit', 'wipLimitPerAssignee']) {
+      const limit = state[field];
+      if (limit !== undefined && limit !== null && limit !== '' && !(Number.isInteger(Number(limit)) && Number(limit) > 0)) {
+        return `WIP limits for "${state.name}" must be positive whole numbers`;
+      }
+    }
+  }
   
-  return { progress, totalTasks, completedTasks, pendingTasks, overdueTasks };
+  if (!workflow.some(state => state.category === 'todo')) {
+    return 'Workflow needs at least one status in the "todo" category';
+  }
+  if (!workflow.some(state => state.category === 'done')) {
+    return 'Workflow needs at least one status in the "done" category';
+  }
+  return null;
 };
 
 // @desc    Get projects for the logged-in user with enhanced data
@@ -90,8 +137,9 @@ router.get('/', protect, async (req, res) => {
     // Add progress data for each project
     const enhancedProjects = await Promise.all(
       projects.map(async (project) => {
-        const progressData = await getProjectProgress(project._id);
-        const projectObj = project.toObject();
+        const progressData = await getProjectProgress(project);
+        // toJSON so deleted comments go out without their content
+        const projectObj = project.toJSON();
         projectObj.progressData = progressData;
         // Also add progress directly for easy frontend access
         projectObj.progress = progressData.progress;
@@ -100,7 +148,7 @@ router.get('/', protect, async (req, res) => {
         
         // Add tasks data
         const tasks = await Task.find({ project: project._id })
-          .populate('assignedTo', 'name email')
+          .populate('assignees.user', 'name email')
           .sort({ createdAt: -1 });
         projectObj.tasks = tasks;
         
@@ -124,7 +172,7 @@ router.get('/:id', protect, async (req, res) => {
       .populate('manager', 'name email')
       .populate('members.user', 'name email role')
       .populate('team', 'name')
-      .populate('comments.user', 'name')
+      .populate(COMMENT_POPULATE)
       .populate('activityLog.user', 'name');
 
     if (!project) {
@@ -141,8 +189,9 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     // Add progress data
-    const progressData = await getProjectProgress(project._id);
-    const projectObj = project.toObject();
+    const progressData = await getProjectProgress(project);
+    // toJSON so deleted comments go out without their content
+    const projectObj = project.toJSON();
     projectObj.progressData = progressData;
     // Also add progress directly for easy frontend access
     projectObj.progress = progressData.progress;
@@ -151,7 +200,7 @@ router.get('/:id', protect, async (req, res) => {
     
     // Add tasks data
     const tasks = await Task.find({ project: project._id })
-      .populate('assignedTo', 'name email')
+      .populate('assignees.user', 'name email')
       .sort({ createdAt: -1 });
     projectObj.tasks = tasks;
 
@@ -169,9 +218,16 @@ router.get('/:id', protect, async (req, res) => {
 // @route   POST /api/projects
 // @access  Private/Manager
 router.post('/', protect, manager, async (req, res) => {
-  const { name, description, team: teamId, deadline, priority, memberIds, tags } = req.body;
+  const { name, description, team: teamId, deadline, priority, memberIds, tags, workflow } = req.body;
   
   try {
+    if (workflow !== undefined) {
+      const workflowError = validateWorkflow(workflow);
+      if (workflowError) {
+        return res.status(400).json({ error: workflowError });
+      }
+    }
+    
     let members = [];
     
     // If specific member IDs are provided, use them
@@ -192,7 +248,8 @@ router.post('/', protect, manager, async (req, res) => {
       members,
       deadline: deadline ? new Date(deadline) : null,
       priority: priority || 'Medium',
-      tags: tags || []
+      tags: tags || [],
+      ...(workflow ? { workflow } : {})
     });
     
     // Add initial activity
@@ -229,6 +286,14 @@ router.post('/', protect, manager, async (req, res) => {
   }
 });
 
+// Helper function to load a project populated the way PUT /api/projects/:id returns it
+const findProjectForResponse = (projectId) => Project.findById(projectId)
+  .populate('manager', 'name email')
+  .populate('members.user', 'name email')
+  .populate('team', 'name')
+  .populate('comments.user', 'name')
+  .populate('activityLog.user', 'name');
+
 // @desc    Update a project
 // @route   PUT /api/projects/:id
 // @access  Private/Manager
@@ -245,7 +310,15 @@ router.put('/:id', protect, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to update this project' });
     }
     
-    const { name, description, status, priority, deadline, memberIds, tags } = req.body;
+    const { name, description, status, priority, deadline, memberIds, tags, version } = req.body;
+    
+    // Edits based on an older version must not overwrite someone else's changes
+    const conflicts = checkVersion(project, version, {
+      name, description, status, priority, deadline, tags, 'members.user': memberIds
+    });
+    if (conflicts) {
+      return res.status(409).json(conflictResponse('project', conflicts, await findProjectForResponse(project._id)));
+    }
     
     // Track changes for activity log
     const changes = [];
@@ -294,21 +367,18 @@ router.put('/:id', protect, async (req, res) => {
     const updatedProject = await project.save();
     
     // Populate and return
-    const populatedProject = await Project.findById(updatedProject._id)
-      .populate('manager', 'name email')
-      .populate('members.user', 'name email')
-      .populate('team', 'name')
-      .populate('comments.user', 'name')
-      .populate('activityLog.user', 'name');
-    
-    res.json(populatedProject);
+    res.json(await findProjectForResponse(updatedProject._id));
   } catch (error) {
+    // Someone else saved the project between the version check and this save
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json(conflictResponse('project', [], await findProjectForResponse(req.params.id)));
+    }
     console.error('Update project error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// @desc    Delete a project
+// @desc    Move a project and its tasks to the trash
 // @route   DELETE /api/projects/:id
 // @access  Private/Manager
 router.delete('/:id', protect, async (req, res) => {
@@ -324,67 +394,166 @@ router.delete('/:id', protect, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to delete this project' });
     }
     
-    // Delete all tasks associated with this project
-    await Task.deleteMany({ project: req.params.id });
-    
-    // Delete the project
-    await Project.findByIdAndDelete(req.params.id);
+    // The project goes to the trash with its tasks; the purge job deletes it for good
+    await trashProject(project, req.user.id);
     
-    res.json({ message: 'Project and associated tasks deleted successfully' });
+    res.json({ message: 'Project and its tasks moved to the trash' });
   } catch (error) {
     console.error('Delete project error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// @desc    Add comment to project
+// Helper function to load a project for a comment action, sending the error
+// response and returning null when the user isn't a member
+const loadProjectForComment = async (req, res) => {
+  const project = await Project.findById(req.params.id);
+  
+  if (!project) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+  
+  // Check if user is member of the project
+  const isMember = project.members.some(member => member.user.toString() === req.user.id) || 
+                   project.manager.toString() === req.user.id;
+  
+  if (!isMember) {
+    res.status(403).json({ error: 'Not authorized to comment on this project' });
+    return null;
+  }
+  
+  return project;
+};
+
+// Helper function to return one comment of a project with users populated
+const sendProjectComment = async (res, projectId, commentId, status = 200) => {
+  const project = await Project.findById(projectId).populate(COMMENT_POPULATE);
+  res.status(status).json(project.comments.id(commentId));
+};
+
+// @desc    Add comment (or reply) to project
 // @route   POST /api/projects/:id/comments
 // @access  Private
 router.post('/:id/comments', protect, async (req, res) => {
   try {
-    const { text } = req.body;
+    const { text, parentComment } = req.body;
     
     if (!text || text.trim().length === 0) {
       return res.status(400).json({ error: 'Comment text is required' });
     }
     
-    const project = await Project.findById(req.params.id);
+    const project = await loadProjectForComment(req, res);
+    if (!project) return;
     
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
+    const mentions = parseMentions(text, await getMentionCandidates(project));
+    const result = addComment(project, { userId: req.user.id, text: text.trim(), mentions, parentComment });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    project.addActivity(
+      req.user.id,
+      result.comment.parentComment ? 'Replied to comment' : 'Added comment',
+      result.comment.parentComment ? 'Replied to a comment on the project' : 'Added a new comment to the project'
+    );
+    
+    await project.save();
+    
+    await notifyMentions(mentions, {
+      authorId: req.user.id,
+      authorName: req.user.name,
+      where: `a comment on project "${project.name}"`,
+      link: `/projects/${project._id}`,
+      metadata: { projectId: project._id, commentId: result.comment._id }
+    });
+    
+    await sendProjectComment(res, project._id, result.comment._id, 201);
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Edit a project comment
+// @route   PUT /api/projects/:id/comments/:commentId
+// @access  Private (comment author)
+router.put('/:id/comments/:commentId', protect, async (req, res) => {
+  try {
+    const { text } = req.body;
+    
+    if (!text || text.trim().length === 0) {
+      return res.status(400).json({ error: 'Comment text is required' });
     }
     
-    // Check if user is member of the project
-    const isMember = project.members.some(member => member.user.toString() === req.user.id) || 
-                     project.manager.toString() === req.user.id;
+    const project = await loadProjectForComment(req, res);
+    if (!project) return;
     
-    if (!isMember) {
-      return res.status(403).json({ error: 'Not authorized to comment on this project' });
+    const mentions = parseMentions(text, await getMentionCandidates(project));
+    const result = editComment(project, req.params.commentId, { userId: req.user.id, text: text.trim(), mentions });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
+    await project.save();
     
-    const comment = {
-      user: req.user.id,
-      text: text.trim(),
-      createdAt: new Date()
-    };
+    // Only people added by the edit hear about it
+    await notifyMentions(result.newMentions, {
+      authorId: req.user.id,
+      authorName: req.user.name,
+      where: `a comment on project "${project.name}"`,
+      link: `/projects/${project._id}`,
+      metadata: { projectId: project._id, commentId: result.comment._id }
+    });
     
-    project.comments.unshift(comment);
-    project.addActivity(req.user.id, 'Added comment', 'Added a new comment to the project');
+    await sendProjectComment(res, project._id, result.comment._id);
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Delete a project comment (soft delete)
+// @route   DELETE /api/projects/:id/comments/:commentId
+// @access  Private (comment author or project manager)
+router.delete('/:id/comments/:commentId', protect, async (req, res) => {
+  try {
+    const project = await loadProjectForComment(req, res);
+    if (!project) return;
     
+    const result = deleteComment(project, req.params.commentId, { userId: req.user.id, managerId: project.manager });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
     await project.save();
     
-    // Return the project with populated comments
-    const updatedProject = await Project.findById(project._id)
-      .populate('comments.user', 'name email');
+    await sendProjectComment(res, project._id, result.comment._id);
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Toggle the user's emoji reaction on a project comment
+// @route   POST /api/projects/:id/comments/:commentId/reactions
+// @access  Private
+router.post('/:id/comments/:commentId/reactions', protect, async (req, res) => {
+  try {
+    const project = await loadProjectForComment(req, res);
+    if (!project) return;
+    
+    const result = toggleReaction(project, req.params.commentId, { userId: req.user.id, emoji: req.body.emoji });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await project.save();
     
-    res.json(updatedProject.comments[0]);
+    await sendProjectComment(res, project._id, result.comment._id);
   } catch (error) {
-    console.error('Add comment error:', error);
+    console.error('Comment reaction error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// @desc    Get project tasks
+// @desc    Get project tasks (pass ?graph=true to also get the dependency graph)
 // @route   GET /api/projects/:id/tasks
 // @access  Private
 router.get('/:id/tasks', protect, async (req, res) => {
@@ -404,10 +573,15 @@ router.get('/:id/tasks', protect, async (req, res) => {
     }
     
     const tasks = await Task.find({ project: req.params.id })
-      .populate('assignedTo', 'name email')
+      .populate('assignees.user', 'name email')
+      .populate('blockedBy', 'title status')
       .populate('comments.user', 'name')
       .sort({ createdAt: -1 });
     
+    if (req.query.graph === 'true') {
+      return res.json({ tasks, dependencyGraph: buildDependencyGraph(tasks) });
+    }
+    
     res.json(tasks);
   } catch (error) {
     console.error('Get project tasks error:', error);
@@ -418,11 +592,12 @@ router.get('/:id/tasks', protect, async (req, res) => {
 // @desc    Upload project file
 // @route   POST /api/projects/:id/files
 // @access  Private
-router.post('/:id/files', protect, upload.single('file'), async (req, res) => {
+router.post('/:id/files', protect, uploadSingle('file'), async (req, res) => {
   try {
     const project = await Project.findById(req.params.id);
     
     if (!project) {
+      await removeStoredFile(req.file.filename);
       return res.status(404).json({ error: 'Project not found' });
     }
     
@@ -431,28 +606,160 @@ router.post('/:id/files', protect, upload.single('file'), async (req, res) => {
                       project.manager.toString() === req.user.id;
     
     if (!hasAccess) {
+      await removeStoredFile(req.file.filename);
       return res.status(403).json({ error: 'Not authorized to upload files to this project' });
     }
     
-    const attachment = {
+    project.attachments.push({
       name: req.file.originalname,
       url: req.file.filename,
+      size: req.file.size,
+      mimeType: req.file.mimetype,
       uploadedBy: req.user.id,
       uploadedAt: new Date()
-    };
-    
-    project.attachments.push(attachment);
+    });
     project.addActivity(req.user.id, 'Uploaded file', `Uploaded file "${req.file.originalname}"`);
     
     await project.save();
     
-    res.status(201).json(attachment);
+    res.status(201).json(project.attachments[project.attachments.length - 1]);
   } catch (error) {
     console.error('File upload error:', error);
+    if (req.file) await removeStoredFile(req.file.filename);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ error: messages.join(', ') });
+    }
     res.status(500).json({ error: 'File upload error' });
   }
 });
 
+// @desc    Download project file
+// @route   GET /api/projects/:id/files/:fileId
+// @access  Private
+router.get('/:id/files/:fileId', protect, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const hasAccess = req.user.role === 'manager' ||
+                      project.members.some(member => member.user.toString() === req.user.id) || 
+                      project.manager.toString() === req.user.id;
+    
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Not authorized to view files in this project' });
+    }
+    
+    const attachment = project.attachments.id(req.params.fileId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    sendStoredFile(res, attachment);
+  } catch (error) {
+    console.error('File download error:', error);
+    res.status(500).json({ error: 'File download error' });
+  }
+});
+
+// @desc    Replace a project's workflow statuses
+// @route   PUT /api/projects/:id/workflow
+// @access  Private/Manager
+router.put('/:id/workflow', protect, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    if (req.user.role !== 'manager' && project.manager.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized to update this project' });
+    }
+    
+    const { workflow } = req.body;
+    const workflowError = validateWorkflow(workflow);
+    if (workflowError) {
+      return res.status(400).json({ error: workflowError });
+    }
+    
+    // Statuses still held by tasks can't be removed (trashed tasks fall back to the initial status on restore)
+    const newNames = workflow.map(state => state.name.trim());
+    const usedStatuses = await Task.distinct('status', { project: project._id });
+    const orphaned = usedStatuses.filter(status => !newNames.includes(status));
+    if (orphaned.length > 0) {
+      return res.status(400).json({
+        error: `Move tasks out of ${orphaned.map(s => `"${s}"`).join(', ')} before removing those statuses`
+      });
+    }
+    
+    project.workflow = workflow.map(state => ({
+      name: state.name.trim(),
+      category: state.category,
+      color: state.color,
+      transitions: state.transitions || [],
+      wipLimit: Number(state.wipLimit) || undefined,
+      wipLimitPerAssignee: Number(state.wipLimitPerAssignee) || undefined
+    }));
+    project.addActivity(req.user.id, 'Updated workflow', `Workflow set to ${newNames.join(' → ')}`);
+    await project.save();
+    
+    res.json({ workflow: project.workflow });
+  } catch (error) {
+    console.error('Update workflow error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Replace a project's custom task field definitions
+// @route   PUT /api/projects/:id/custom-fields
+// @access  Private/Manager
+router.put('/:id/custom-fields', protect, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    if (req.user.role !== 'manager' && project.manager.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized to update this project' });
+    }
+    
+    const { value: fields, error } = parseFieldDefinitions(req.body.customFields);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    // Values of removed fields, or fields whose type changed, no longer mean anything
+    const stale = project.customFields
+      .filter(old => !fields.some(field => field.key === old.key && field.type === old.type))
+      .map(old => old.key);
+    if (stale.length > 0) {
+      await Task.updateMany(
+        { project: project._id },
+        { $unset: Object.fromEntries(stale.map(key => [`customFields.${key}`, ''])) }
+      );
+    }
+    
+    project.customFields = fields;
+    project.addActivity(
+      req.user.id,
+      'Updated custom fields',
+      fields.length ? `Custom fields set to ${fields.map(field => field.name).join(', ')}` : 'Removed all custom fields'
+    );
+    await project.save();
+    
+    res.json({ customFields: project.customFields });
+  } catch (error) {
+    console.error('Update custom fields error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @desc    Get project analytics
 // @route   GET /api/projects/:id/analytics
 // @access  Private
@@ -472,16 +779,19 @@ router.get('/:id/analytics', protect, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to view this project' });
     }
     
-    const progressData = await getProjectProgress(req.params.id);
+    const progressData = await getProjectProgress(project);
     
     // Get all tasks for this project
-    const tasks = await Task.find({ project: project._id }).populate('assignedTo', 'name');
+    const tasks = await Task.find({ project: project._id }).populate('assignees.user', 'name');
     
-    // Calculate task statistics
+    // Calculate task statistics by workflow category
+    const doneStatuses = project.statusesInCategory('done');
+    const activeStatuses = project.statusesInCategory('active');
+    const todoStatuses = project.statusesInCategory('todo');
     const totalTasks = tasks.length;
-    const completedTasks = tasks.filter(task => task.status === 'Done').length;
-    const inProgressTasks = tasks.filter(task => task.status === 'In Progress').length;
-    const todoTasks = tasks.filter(task => task.status === 'To Do').length;
+    const completedTasks = tasks.filter(task => doneStatuses.includes(task.status)).length;
+    const inProgressTasks = tasks.filter(task => activeStatuses.includes(task.status)).length;
+    const todoTasks = tasks.filter(task => todoStatuses.includes(task.status)).length;
     
     // Calculate time tracking
     const estimatedHours = tasks.reduce((sum, task) => sum + (task.estimatedHours || 0), 0);
@@ -492,33 +802,34 @@ router.get('/:id/analytics', protect, async (req, res) => {
     const teamPerformance = [];
     const assigneeStats = {};
     
-    tasks.forEach(task => {
-      const assigneeId = task.assignedTo?._id?.toString();
-      const assigneeName = task.assignedTo?.name || 'Unassigned';
-      
-      if (!assigneeStats[assigneeId]) {
-        assigneeStats[assigneeId] = {
-          userId: assigneeId,
-          name: assigneeName,
-          totalTasks: 0,
-          completedTasks: 0
-        };
+    const countFor = (key, userId, name, task, credit) => {
+      if (!assigneeStats[key]) {
+        assigneeStats[key] = { userId, name, totalTasks: 0, completedTasks: 0 };
       }
-      
-      assigneeStats[assigneeId].totalTasks++;
-      if (task.status === 'Done') {
-        assigneeStats[assigneeId].completedTasks++;
+      assigneeStats[key].totalTasks += credit;
+      if (doneStatuses.includes(task.status)) {
+        assigneeStats[key].completedTasks += credit;
+      }
+    };
+    
+    tasks.forEach(task => {
+      // A task shared by several assignees counts a fair share for each
+      const assigned = task.assignees.filter(({ user }) => user);
+      // Tasks nobody is assigned to count towards their own bucket
+      if (assigned.length === 0) {
+        countFor('unassigned', null, 'Unassigned', task, 1);
+        return;
       }
+      const credit = 1 / assigned.length;
+      assigned.forEach(({ user }) => countFor(user._id.toString(), user._id.toString(), user.name, task, credit));
     });
     
     Object.values(assigneeStats).forEach(stats => {
-      if (stats.userId) {
-        teamPerformance.push({
-          userId: stats.userId,
-          name: stats.name,
-          completionRate: stats.totalTasks > 0 ? Math.round((stats.completedTasks / stats.totalTasks) * 100) : 0
-        });
-      }
+      teamPerformance.push({
+        userId: stats.userId,
+        name: stats.name,
+        completionRate: stats.totalTasks > 0 ? Math.round((stats.completedTasks / stats.totalTasks) * 100) : 0
+      });
     });
     
     // Project health indicators
@@ -537,16 +848,20 @@ router.get('/:id/analytics', protect, async (req, res) => {
       onSchedule,
       riskLevel,
       progress: progressData,
-      tasksByStatus: [
-        { _id: 'Done', count: completedTasks },
-        { _id: 'In Progress', count: inProgressTasks },
-        { _id: 'To Do', count: todoTasks }
-      ],
+      tasksByStatus: project.getWorkflow().map(state => ({
+        _id: state.name,
+        category: state.category,
+        count: tasks.filter(task => task.status === state.name).length
+      })),
       tasksByPriority: await Task.aggregate([
         { $match: { project: project._id } },
         { $group: { _id: '$priority', count: { $sum: 1 } } }
       ]),
-      tasksByAssignee: teamPerformance
+      tasksByAssignee: teamPerformance,
+      // Story points committed and completed in recent sprints
+      velocity: await getVelocityHistory(project._id),
+      // Progress and risk of each milestone, in target date order
+      milestones: (await getMilestoneSummaries(project)).map(({ tasks: linked, remindersSent, ...milestone }) => milestone)
     });
   } catch (error) {
     console.error('Get project analytics error:', error);
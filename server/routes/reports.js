@@ -4,9 +4,29 @@ import Task from '../models/Task.js';
 import User from '../models/User.js';
 import Project from '../models/Project.js';
 import mongoose from 'mongoose';
+import { ASSIGNEE_CREDIT_STAGES } from '../utils/taskAssignees.js';
 
 const router = express.Router();
 
+// Helper function to load, for every project, the states of its workflow in a category
+const loadStatusesByProject = async (category) => {
+    const projects = await Project.find().select('workflow');
+    return projects.map(project => ({ project: project._id, statuses: project.statusesInCategory(category) }));
+};
+
+// Helper function to match tasks whose status is (or with `$nin`, isn't) one of
+// the given states of their own project
+const statusMatch = (statusesByProject, operator = '$in') => statusesByProject.length > 0
+    ? { $or: statusesByProject.map(({ project, statuses }) => ({ project, status: { [operator]: statuses } })) }
+    : { _id: null };
+
+// Helper function for the aggregation expression of the same check
+const statusExpression = (statusesByProject) => ({
+    $or: statusesByProject.map(({ project, statuses }) => ({
+        $and: [{ $eq: ['$project', project] }, { $in: ['$status', statuses] }]
+    }))
+});
+
 // @desc    Get aggregated stats for the dashboard sidebar and project-level analytics
 // @route   GET /api/reports/dashboard-stats
 // @access  Private
@@ -23,23 +43,32 @@ router.get('/dashboard-stats', protect, async (req, res) => {
         // Filter by current user unless they are a manager (case-insensitive)
         const isManager = req.user.role?.toLowerCase() === 'manager';
         if (!isManager) {
-            matchStage.assignedTo = userId;
+            matchStage['assignees.user'] = userId;
         }
 
-        // 1. Get Completed Task counts for team members (optionally filtered by project and user)
+        // Employees only see their own share of the tasks they work on with others
+        const ownShare = isManager ? [] : [{ $match: { 'assignees.user': userId } }];
+        const doneStatuses = await loadStatusesByProject('done');
+
+        // 1. Get Completed Task counts for team members (optionally filtered by project and user).
+        // A task shared by several assignees is split between them.
         const completedTasks = await Task.aggregate([
-            { $match: { status: 'Done', ...matchStage } },
-            { $group: { _id: '$assignedTo', tasks: { $sum: 1 } } },
+            { $match: { ...matchStage, ...statusMatch(doneStatuses) } },
+            ...ASSIGNEE_CREDIT_STAGES,
+            ...ownShare,
+            { $group: { _id: '$assignees.user', tasks: { $sum: '$credit' } } },
             { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
             { $unwind: '$user' },
-            { $project: { name: '$user.name', tasks: 1, fill: '#8A63D2' } },
+            { $project: { name: '$user.name', tasks: { $round: ['$tasks', 1] }, fill: '#8A63D2' } },
             { $limit: 4 }
         ]);
 
         // 2. Calculate Efficiency (Completed Tasks / Total Tasks) for team members
         const allTasks = await Task.aggregate([
             { $match: matchStage },
-            { $group: { _id: '$assignedTo', total: { $sum: 1 } } },
+            ...ASSIGNEE_CREDIT_STAGES,
+            ...ownShare,
+            { $group: { _id: '$assignees.user', total: { $sum: '$credit' } } },
             { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
             { $unwind: '$user' },
             { $project: { name: '$user.name', total: 1 } }
@@ -64,9 +93,9 @@ router.get('/dashboard-stats', protect, async (req, res) => {
         ]);
         
         // 4. Get task counts by status for the current user
-        const todoCount = await Task.countDocuments({ ...matchStage, status: 'To Do' });
-        const inProgressCount = await Task.countDocuments({ ...matchStage, status: 'In Progress' });
-        const doneCount = await Task.countDocuments({ ...matchStage, status: 'Done' });
+        const todoCount = await Task.countDocuments({ ...matchStage, ...statusMatch(await loadStatusesByProject('todo')) });
+        const inProgressCount = await Task.countDocuments({ ...matchStage, ...statusMatch(await loadStatusesByProject('active')) });
+        const doneCount = await Task.countDocuments({ ...matchStage, ...statusMatch(doneStatuses) });
 
         const responseData = {
             completedTasksData: completedTasks,
@@ -141,7 +170,7 @@ router.get('/project-stats', protect, async (req, res) => {
             .sort({ updatedAt: -1 })
             .limit(5)
             .populate('manager', 'name')
-            .select('name status priority startDate endDate');
+            .select('name status priority startDate endDate workflow');
         
         // Calculate progress for each recent project
         const recentProjects = await Promise.all(
@@ -155,7 +184,10 @@ router.get('/project-stats', protect, async (req, res) => {
                     projectObj.totalTasks = 0;
                     projectObj.completedTasks = 0;
                 } else {
-                    const completedTasks = await Task.countDocuments({ project: project._id, status: 'Done' });
+                    const completedTasks = await Task.countDocuments({
+                        project: project._id,
+                        status: { $in: project.statusesInCategory('done') }
+                    });
                     projectObj.progress = Math.round((completedTasks / totalTasks) * 100);
                     projectObj.totalTasks = totalTasks;
                     projectObj.completedTasks = completedTasks;
@@ -173,6 +205,9 @@ router.get('/project-stats', protect, async (req, res) => {
         // 6. Get project-wise task distribution
         console.log('🔍 Building Project Task Stats for:', req.user.email, '| Is Manager:', isManager);
         console.log('   User ID:', userId);
+        const doneStatuses = await loadStatusesByProject('done');
+        const activeStatuses = await loadStatusesByProject('active');
+        const todoStatuses = await loadStatusesByProject('todo');
         
         const projectTaskStats = await Task.aggregate([
             {
@@ -194,7 +229,7 @@ router.get('/project-stats', protect, async (req, res) => {
                     $or: [
                         { 'projectInfo.manager': userId },
                         { 'projectInfo.members.user': userId },
-                        { assignedTo: userId }  // Also include tasks directly assigned to user
+                        { 'assignees.user': userId }  // Also include tasks directly assigned to user
                     ]
                 }
             }]),
@@ -204,13 +239,13 @@ router.get('/project-stats', protect, async (req, res) => {
                     projectName: { $first: '$projectInfo.name' },
                     totalTasks: { $sum: 1 },
                     completedTasks: {
-                        $sum: { $cond: [{ $eq: ['$status', 'Done'] }, 1, 0] }
+                        $sum: { $cond: [statusExpression(doneStatuses), 1, 0] }
                     },
                     inProgressTasks: {
-                        $sum: { $cond: [{ $eq: ['$status', 'In Progress'] }, 1, 0] }
+                        $sum: { $cond: [statusExpression(activeStatuses), 1, 0] }
                     },
                     todoTasks: {
-                        $sum: { $cond: [{ $eq: ['$status', 'To Do'] }, 1, 0] }
+                        $sum: { $cond: [statusExpression(todoStatuses), 1, 0] }
                     }
                 }
             },
@@ -257,7 +292,7 @@ router.get('/project-stats', protect, async (req, res) => {
                     createdAt: { $gte: sevenDaysAgo }
                 }
             },
-            ...(isManager ? [] : [{ $match: { assignedTo: userId } }]),
+            ...(isManager ? [] : [{ $match: { 'assignees.user': userId } }]),
             {
                 $group: {
                     _id: {
@@ -273,9 +308,9 @@ router.get('/project-stats', protect, async (req, res) => {
         // 8. Get overdue tasks count
         const now = new Date();
         const overdueTasks = await Task.countDocuments({
-            ...(isManager ? {} : { assignedTo: userId }),
+            ...(isManager ? {} : { 'assignees.user': userId }),
             dueDate: { $lt: now },
-            status: { $ne: 'Done' }
+            ...statusMatch(doneStatuses, '$nin')
         });
 
         // 9. Get upcoming deadlines (next 7 days)
@@ -283,13 +318,13 @@ router.get('/project-stats', protect, async (req, res) => {
         nextWeek.setDate(nextWeek.getDate() + 7);
 
         const upcomingDeadlines = await Task.find({
-            ...(isManager ? {} : { assignedTo: userId }),
+            ...(isManager ? {} : { 'assignees.user': userId }),
             dueDate: { $gte: now, $lte: nextWeek },
-            status: { $ne: 'Done' }
+            ...statusMatch(doneStatuses, '$nin')
         })
         .populate('project', 'name')
-        .populate('assignedTo', 'name')
-        .select('title dueDate priority project assignedTo')
+        .populate('assignees.user', 'name')
+        .select('title dueDate priority project assignees')
         .sort({ dueDate: 1 })
         .limit(5);
 
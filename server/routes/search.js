@@ -0,0 +1,185 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+import TaskReport from '../models/TaskReport.js';
+
+const router = express.Router();
+
+const SEARCH_TYPES = ['task', 'project', 'comment', 'report'];
+// Documents fetched per collection before results are grouped and trimmed
+const CANDIDATE_LIMIT = 100;
+const SNIPPET_LENGTH = 140;
+
+// Helper function to split a query into lower-cased terms (quotes and negations dropped)
+const getTerms = (q) =>
+  q.toLowerCase()
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'));
+
+// Helper function to check whether text contains any of the terms
+const matchesTerms = (text, terms) => {
+  if (!text) return false;
+  const lower = text.toLowerCase();
+  return terms.some(term => lower.includes(term));
+};
+
+// Helper function to cut a snippet of text around the first matching term
+const makeSnippet = (text, terms) => {
+  if (!text) return '';
+  const lower = text.toLowerCase();
+  const index = Math.min(...terms.map(term => lower.indexOf(term)).filter(i => i >= 0), text.length);
+  const start = index >= text.length ? 0 : Math.max(0, index - 40);
+  const snippet = text.slice(start, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+};
+
+// Helper function to turn a matched task or project into results. Comments that
+// contain the terms become their own results; the document itself is included
+// when its own fields match, or when no comment matched either (e.g. stemming).
+// A match only in a deleted comment leaves the document out.
+const expandDocument = (doc, kind, terms, buildLink) => {
+  const results = [];
+  const score = doc.score || 0;
+  const heading = kind === 'task' ? doc.title : doc.name;
+  const ownText = [heading, doc.description, ...(doc.tags || [])].join(' ');
+  let commentMatched = false;
+  
+  (doc.comments || []).forEach(comment => {
+    if (!matchesTerms(comment.text, terms)) return;
+    commentMatched = true;
+    if (comment.deletedAt) return;
+    results.push({
+      type: 'comment',
+      id: comment._id,
+      parentType: kind,
+      parentId: doc._id,
+      title: heading,
+      snippet: makeSnippet(comment.text, terms),
+      author: comment.user?.name,
+      link: buildLink(doc),
+      score,
+      createdAt: comment.createdAt
+    });
+  });
+  
+  if (matchesTerms(ownText, terms) || !commentMatched) {
+    results.unshift({
+      type: kind,
+      id: doc._id,
+      title: heading,
+      snippet: makeSnippet(doc.description || (doc.tags || []).join(', '), terms),
+      tags: doc.tags,
+      status: doc.status,
+      project: kind === 'task' ? doc.project?.name : undefined,
+      link: buildLink(doc),
+      score,
+      createdAt: doc.createdAt
+    });
+  }
+  return results;
+};
+
+// @desc    Search tasks, projects, comments and reports the user can access
+// @route   GET /api/search?q=&type=&limit=
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    if (q.length < 2) {
+      return res.status(400).json({ error: 'Search query must be at least 2 characters' });
+    }
+    
+    const types = req.query.type ? req.query.type.split(',').filter(type => SEARCH_TYPES.includes(type)) : SEARCH_TYPES;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const terms = getTerms(q);
+    const textQuery = { $text: { $search: q } };
+    const byScore = { score: { $meta: 'textScore' } };
+    
+    // Same visibility as the project and task listings
+    const projectAccess = req.user.role === 'manager'
+      ? { $or: [{ manager: req.user.id }, { 'members.user': req.user.id }] }
+      : { 'members.user': req.user.id };
+    const accessibleProjects = await Project.find(projectAccess).select('_id');
+    const projectIds = accessibleProjects.map(p => p._id);
+    const taskAccess = { $or: [{ project: { $in: projectIds } }, { 'assignees.user': req.user.id }] };
+    
+    // Managers see reports on tasks in the projects they manage; employees see their own
+    let reportAccess;
+    if (req.user.role === 'manager') {
+      const managedProjects = await Project.find({ manager: req.user.id }).select('_id');
+      const managedTasks = await Task.find({ project: { $in: managedProjects.map(p => p._id) } }).select('_id');
+      reportAccess = { task: { $in: managedTasks.map(t => t._id) } };
+    } else {
+      reportAccess = { submittedBy: req.user.id };
+    }
+    
+    const wantsTasks = types.includes('task') || types.includes('comment');
+    const wantsProjects = types.includes('project') || types.includes('comment');
+    
+    const [tasks, projects, reports] = await Promise.all([
+      wantsTasks
+        ? Task.find({ ...textQuery, ...taskAccess }, byScore)
+            .populate('project', 'name')
+            .populate('comments.user', 'name')
+            .sort(byScore)
+            .limit(CANDIDATE_LIMIT)
+            .lean()
+        : [],
+      wantsProjects
+        ? Project.find({ ...textQuery, ...projectAccess }, byScore)
+            .select('name description tags status comments createdAt')
+            .populate('comments.user', 'name')
+            .sort(byScore)
+            .limit(CANDIDATE_LIMIT)
+            .lean()
+        : [],
+      types.includes('report')
+        ? TaskReport.find({ ...textQuery, ...reportAccess }, byScore)
+            .populate('task', 'title')
+            .populate('submittedBy', 'name')
+            .sort(byScore)
+            .limit(CANDIDATE_LIMIT)
+            .lean()
+        : []
+    ]);
+    
+    const allResults = [
+      ...tasks.flatMap(task => expandDocument(task, 'task', terms, () => `/tasks?task=${task._id}`)),
+      ...projects.flatMap(project => expandDocument(project, 'project', terms, () => `/projects/${project._id}`)),
+      ...reports.map(report => ({
+        type: 'report',
+        id: report._id,
+        title: report.task?.title || 'Task report',
+        snippet: makeSnippet(
+          [report.workAccomplished, report.challengesFaced, report.blockers, report.nextSteps, report.reviewComment]
+            .find(text => matchesTerms(text, terms)) || report.workAccomplished,
+          terms
+        ),
+        author: report.submittedBy?.name,
+        status: report.status,
+        link: '/task-reports',
+        score: report.score || 0,
+        createdAt: report.createdAt
+      }))
+    ].filter(result => types.includes(result.type));
+    
+    const facets = Object.fromEntries(SEARCH_TYPES.map(type => [type, 0]));
+    allResults.forEach(result => { facets[result.type] += 1; });
+    
+    allResults.sort((a, b) => b.score - a.score);
+    
+    res.json({
+      query: q,
+      total: allResults.length,
+      facets,
+      results: allResults.slice(0, limit)
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Server error while searching' });
+  }
+});
+
+export default router;
@@ -0,0 +1,285 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import Sprint from '../models/Sprint.js';
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+import Notification from '../models/Notification.js';
+import { getSprintTotals, findOrCreateNextSprint } from '../utils/sprints.js';
+import { filterByPreference } from '../utils/notificationPreferences.js';
+
+const router = express.Router();
+
+// Helper function to check whether a user can see a project's sprints
+const canViewProject = (project, user) =>
+  user.role === 'manager' ||
+  project.manager.toString() === user.id ||
+  project.members.some(member => member.user.toString() === user.id);
+
+// Helper function to check whether a user can plan a project's sprints
+const canManageProject = (project, user) =>
+  user.role === 'manager' || project.manager.toString() === user.id;
+
+// Helper function to load a sprint whose project the user manages
+const loadSprintForChange = async (req, res) => {
+  const sprint = await Sprint.findById(req.params.id);
+  if (!sprint) {
+    res.status(404).json({ error: 'Sprint not found' });
+    return null;
+  }
+  const project = await Project.findById(sprint.project);
+  if (!project || !canManageProject(project, req.user)) {
+    res.status(403).json({ error: 'Not authorized to plan this project\'s sprints' });
+    return null;
+  }
+  return { sprint, project };
+};
+
+// Helper function to add task and point totals to sprints
+const withTotals = async (project, sprints) => {
+  const totals = await getSprintTotals(project, sprints.map(sprint => sprint._id));
+  return sprints.map(sprint => ({ ...sprint.toObject(), totals: totals.get(sprint._id.toString()) }));
+};
+
+// Helper function to tell project members that a sprint started or ended
+const notifyMembers = async (project, actorId, title, message) => {
+  const memberIds = [project.manager, ...project.members.map(member => member.user)]
+    .map(id => id.toString())
+    .filter((id, index, all) => id !== actorId && all.indexOf(id) === index);
+  const recipients = await filterByPreference(memberIds, 'project');
+  if (recipients.length === 0) return;
+  await Notification.insertMany(recipients.map(user => ({
+    user,
+    type: 'project',
+    title,
+    message,
+    link: '/tasks',
+    metadata: { projectId: project._id }
+  })));
+};
+
+// Helper function to send validation errors as 400
+const sendSprintError = (res, error, label) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'This project already has an active sprint' });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @desc    Get a project's sprints with task and story point totals
+// @route   GET /api/sprints?project=&state=
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { project: projectId, state } = req.query;
+    if (!projectId) {
+      return res.status(400).json({ error: 'Project is required' });
+    }
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!canViewProject(project, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to view this project' });
+    }
+
+    const sprints = await Sprint.find({ project: project._id, ...(state ? { state } : {}) })
+      .sort({ startDate: 1 });
+    const backlog = await Task.countDocuments({ project: project._id, sprint: null, parentTask: null });
+
+    res.json({ sprints: await withTotals(project, sprints), backlog });
+  } catch (error) {
+    sendSprintError(res, error, 'Get sprints');
+  }
+});
+
+// @desc    Plan a new sprint
+// @route   POST /api/sprints
+// @access  Private (manager or project manager)
+router.post('/', protect, async (req, res) => {
+  try {
+    const { project: projectId, name, goal, startDate, endDate } = req.body;
+    if (!projectId || !name || !startDate || !endDate) {
+      return res.status(400).json({ error: 'Project, name, start and end dates are required' });
+    }
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!canManageProject(project, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to plan this project\'s sprints' });
+    }
+
+    const sprint = await Sprint.create({
+      project: project._id,
+      name,
+      goal,
+      startDate: new Date(startDate),
+      endDate: new Date(endDate),
+      createdBy: req.user.id
+    });
+
+    project.addActivity(req.user.id, 'Planned sprint', `Planned sprint "${sprint.name}"`);
+    await project.save();
+
+    const [created] = await withTotals(project, [sprint]);
+    res.status(201).json(created);
+  } catch (error) {
+    sendSprintError(res, error, 'Create sprint');
+  }
+});
+
+// @desc    Update a sprint's name, goal or dates
+// @route   PUT /api/sprints/:id
+// @access  Private (manager or project manager)
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const loaded = await loadSprintForChange(req, res);
+    if (!loaded) return;
+    const { sprint, project } = loaded;
+
+    if (sprint.state === 'completed') {
+      return res.status(400).json({ error: 'Completed sprints cannot be changed' });
+    }
+
+    const { name, goal, startDate, endDate } = req.body;
+    if (name !== undefined) sprint.name = name;
+    if (goal !== undefined) sprint.goal = goal;
+    // An active sprint keeps its start date
+    if (startDate && sprint.state === 'planned') sprint.startDate = new Date(startDate);
+    if (endDate) sprint.endDate = new Date(endDate);
+    await sprint.save();
+
+    const [updated] = await withTotals(project, [sprint]);
+    res.json(updated);
+  } catch (error) {
+    sendSprintError(res, error, 'Update sprint');
+  }
+});
+
+// @desc    Delete a planned sprint; its tasks go back to the backlog
+// @route   DELETE /api/sprints/:id
+// @access  Private (manager or project manager)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const loaded = await loadSprintForChange(req, res);
+    if (!loaded) return;
+    const { sprint, project } = loaded;
+
+    if (sprint.state !== 'planned') {
+      return res.status(400).json({ error: 'Only planned sprints can be deleted' });
+    }
+
+    const { modifiedCount } = await Task.updateMany({ sprint: sprint._id }, { $set: { sprint: null } });
+    await sprint.deleteOne();
+
+    project.addActivity(req.user.id, 'Deleted sprint', `Deleted sprint "${sprint.name}"; ${modifiedCount} task(s) returned to the backlog`);
+    await project.save();
+
+    res.json({ message: 'Sprint deleted successfully', returnedToBacklog: modifiedCount });
+  } catch (error) {
+    sendSprintError(res, error, 'Delete sprint');
+  }
+});
+
+// @desc    Start a planned sprint and record the points it commits to
+// @route   POST /api/sprints/:id/start
+// @access  Private (manager or project manager)
+router.post('/:id/start', protect, async (req, res) => {
+  try {
+    const loaded = await loadSprintForChange(req, res);
+    if (!loaded) return;
+    const { sprint, project } = loaded;
+
+    if (sprint.state !== 'planned') {
+      return res.status(400).json({ error: `Sprint is already ${sprint.state}` });
+    }
+    const active = await Sprint.findOne({ project: project._id, state: 'active' });
+    if (active) {
+      return res.status(409).json({ error: `Complete "${active.name}" before starting another sprint` });
+    }
+
+    const totals = (await getSprintTotals(project, [sprint._id])).get(sprint._id.toString());
+    sprint.state = 'active';
+    sprint.startedAt = new Date();
+    sprint.committedPoints = totals.points;
+    await sprint.save();
+
+    project.addActivity(req.user.id, 'Started sprint', `Started sprint "${sprint.name}" with ${totals.tasks} task(s), ${totals.points} point(s)`);
+    await project.save();
+    await notifyMembers(project, req.user.id, 'Sprint Started', `Sprint "${sprint.name}" started in "${project.name}"${sprint.goal ? `: ${sprint.goal}` : ''}`);
+
+    const [started] = await withTotals(project, [sprint]);
+    res.json(started);
+  } catch (error) {
+    sendSprintError(res, error, 'Start sprint');
+  }
+});
+
+// @desc    Complete the active sprint and carry unfinished tasks forward
+// @route   POST /api/sprints/:id/complete
+// @access  Private (manager or project manager)
+// `carryOverTo` is a planned sprint id, 'backlog', or omitted for the next
+// planned sprint (created with the same length when there is none).
+router.post('/:id/complete', protect, async (req, res) => {
+  try {
+    const loaded = await loadSprintForChange(req, res);
+    if (!loaded) return;
+    const { sprint, project } = loaded;
+
+    if (sprint.state !== 'active') {
+      return res.status(400).json({ error: 'Only the active sprint can be completed' });
+    }
+
+    const { carryOverTo } = req.body;
+    let target = null;
+    if (carryOverTo && carryOverTo !== 'backlog') {
+      target = await Sprint.findOne({ _id: carryOverTo, project: project._id, state: 'planned' });
+      if (!target) {
+        return res.status(400).json({ error: 'Unfinished tasks can only move to a planned sprint of this project' });
+      }
+    }
+
+    const doneStatuses = project.statusesInCategory('done');
+    const totals = (await getSprintTotals(project, [sprint._id])).get(sprint._id.toString());
+    const unfinished = await Task.countDocuments({ sprint: sprint._id, status: { $nin: doneStatuses } });
+    if (!carryOverTo && unfinished > 0) {
+      target = await findOrCreateNextSprint(sprint, req.user.id);
+    }
+
+    if (unfinished > 0) {
+      await Task.updateMany(
+        { sprint: sprint._id, status: { $nin: doneStatuses } },
+        { $set: { sprint: target ? target._id : null } }
+      );
+    }
+
+    sprint.state = 'completed';
+    sprint.completedAt = new Date();
+    sprint.completedPoints = totals.donePoints;
+    sprint.completedTasks = totals.doneTasks;
+    sprint.carriedOverTasks = unfinished;
+    await sprint.save();
+
+    const destination = target ? `"${target.name}"` : 'the backlog';
+    project.addActivity(
+      req.user.id,
+      'Completed sprint',
+      `Completed sprint "${sprint.name}": ${totals.doneTasks} task(s), ${totals.donePoints} point(s) done; ${unfinished} moved to ${destination}`
+    );
+    await project.save();
+    await notifyMembers(project, req.user.id, 'Sprint Completed', `Sprint "${sprint.name}" in "${project.name}" was completed with ${totals.donePoints} point(s) done`);
+
+    const [completed] = await withTotals(project, [sprint]);
+    res.json({ sprint: completed, carriedOver: unfinished, carriedOverTo: target ? { _id: target._id, name: target.name } : null });
+  } catch (error) {
+    sendSprintError(res, error, 'Complete sprint');
+  }
+});
+
+export default router;
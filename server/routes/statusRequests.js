@@ -4,6 +4,11 @@ import StatusChangeRequest from '../models/StatusChangeRequest.js';
 import Task from '../models/Task.js';
 import Project from '../models/Project.js';
 import Notification from '../models/Notification.js';
+import TaskHistory from '../models/TaskHistory.js';
+import { validateStatusChange, isCompletion, handleTaskCompleted } from '../utils/taskStatus.js';
+import { notifyWatchersOfChanges } from '../utils/taskWatchers.js';
+import { checkWipLimit } from '../utils/wipLimits.js';
+import { isAssignee } from '../utils/taskAssignees.js';
 
 const router = express.Router();
 
@@ -27,13 +32,24 @@ router.post('/', protect, async (req, res) => {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    // Check if user is assigned to this task
-    if (task.assignedTo.toString() !== req.user.id && req.user.role !== 'manager') {
+    // Any of the task's assignees can ask for a status change
+    if (!isAssignee(task, req.user.id) && req.user.role !== 'manager') {
       return res.status(403).json({ 
         error: 'You can only request status changes for tasks assigned to you' 
       });
     }
 
+    // The requested status must be reachable in the project's workflow
+    if (requestedStatus === task.status) {
+      return res.status(400).json({ error: 'Task is already in this status' });
+    }
+    if (!task.project.getWorkflowState(requestedStatus)) {
+      return res.status(400).json({ error: `"${requestedStatus}" is not a status in this project's workflow` });
+    }
+    if (!task.project.canTransition(task.status, requestedStatus)) {
+      return res.status(400).json({ error: `Cannot move task from "${task.status}" to "${requestedStatus}"` });
+    }
+
     // Check if there's already a pending request for this task
     const existingRequest = await StatusChangeRequest.findOne({
       task: taskId,
@@ -132,7 +148,7 @@ router.get('/', protect, async (req, res) => {
 // @access  Private (Manager only)
 router.put('/:id', protect, manager, async (req, res) => {
   try {
-    const { action, comment } = req.body; // action: 'approve' or 'reject'
+    const { action, comment, overrideWipLimit } = req.body; // action: 'approve' or 'reject'
 
     if (!action || !['approve', 'reject'].includes(action)) {
       return res.status(400).json({ 
@@ -154,6 +170,11 @@ router.put('/:id', protect, manager, async (req, res) => {
       });
     }
 
+    // The task may have gone to the trash since the request was made
+    if (!statusRequest.task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
     // Check if manager has access to this task's project
     const task = await Task.findById(statusRequest.task._id).populate('project');
     if (task.project.manager.toString() !== req.user.id) {
@@ -162,6 +183,19 @@ router.put('/:id', protect, manager, async (req, res) => {
       });
     }
 
+    // Approving must respect the same workflow and blocked-by rules as a direct update.
+    // The task or workflow may have changed since the request was made.
+    if (action === 'approve') {
+      const statusError = await validateStatusChange(task, statusRequest.requestedStatus);
+      if (statusError) {
+        return res.status(400).json(statusError);
+      }
+      const wipError = await checkWipLimit(task, { status: statusRequest.requestedStatus });
+      if (wipError && overrideWipLimit !== true) {
+        return res.status(409).json({ ...wipError, canOverride: true });
+      }
+    }
+
     // Update the request
     statusRequest.status = action === 'approve' ? 'approved' : 'rejected';
     statusRequest.reviewedBy = req.user.id;
@@ -172,8 +206,16 @@ router.put('/:id', protect, manager, async (req, res) => {
 
     // If approved, update the task status
     if (action === 'approve') {
+      const completed = isCompletion(task.project, task.status, statusRequest.requestedStatus);
+      const before = TaskHistory.snapshot(task);
       task.status = statusRequest.requestedStatus;
       await task.save();
+      await Task.rollUpProgress(task._id);
+      await TaskHistory.recordChanges(before, task, req.user.id);
+
+      if (completed) {
+        await handleTaskCompleted(task);
+      }
 
       // Add activity to project
       const project = await Project.findById(task.project._id);
@@ -183,6 +225,13 @@ router.put('/:id', protect, manager, async (req, res) => {
         `Approved status change for "${task.title}" to "${statusRequest.requestedStatus}"`
       );
       await project.save();
+
+      // The requester gets the approval notification below instead
+      await notifyWatchersOfChanges(before, task, {
+        actorId: req.user.id,
+        actorName: req.user.name,
+        exclude: [statusRequest.requestedBy._id]
+      });
     }
 
     // Create notification for the employee
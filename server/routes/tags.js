@@ -0,0 +1,221 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import Tag from '../models/Tag.js';
+import Project from '../models/Project.js';
+import { replaceTagOnTasks, getTagUsage } from '../utils/tags.js';
+
+const router = express.Router();
+
+// Helper function to check whether a user can see a project's tags
+const canViewProject = (project, user) =>
+  user.role === 'manager' ||
+  project.manager.toString() === user.id ||
+  project.members.some(member => member.user.toString() === user.id);
+
+// Helper function to check whether a user can change a project's tag catalog
+const canManageProject = (project, user) =>
+  user.role === 'manager' || project.manager.toString() === user.id;
+
+// Helper function to load a catalog entry whose project the user manages
+const loadTagForChange = async (req, res) => {
+  const tag = await Tag.findById(req.params.id);
+  if (!tag) {
+    res.status(404).json({ error: 'Tag not found' });
+    return null;
+  }
+  const project = await Project.findById(tag.project);
+  if (!project || !canManageProject(project, req.user)) {
+    res.status(403).json({ error: 'Not authorized to change this project\'s tags' });
+    return null;
+  }
+  return { tag, project };
+};
+
+// Helper function to rewrite a tag name in the project's own tags
+const replaceProjectTag = async (project, from, to) => {
+  const key = from.toLowerCase();
+  if (!project.tags.some(tag => tag.toLowerCase() === key)) return;
+  const rest = project.tags.filter(tag => tag.toLowerCase() !== key);
+  project.tags = to && !rest.includes(to) ? [...rest, to] : rest;
+  await project.save();
+};
+
+// Helper function to send validation and duplicate-name errors as 400/409
+const sendTagError = (res, error, label) => {
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'A tag with this name already exists in the project; merge the tags instead' });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @desc    Get a project's tag catalog with usage counts, or every catalog the user can see
+// @route   GET /api/tags?project=
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { project: projectId } = req.query;
+
+    if (!projectId) {
+      const projects = req.user.role === 'manager'
+        ? await Project.find({}).select('_id')
+        : await Project.find({ $or: [{ manager: req.user.id }, { 'members.user': req.user.id }] }).select('_id');
+      const tags = await Tag.find({ project: { $in: projects.map(p => p._id) } })
+        .populate('project', 'name')
+        .sort({ key: 1 });
+      return res.json({ tags });
+    }
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!canViewProject(project, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to view this project' });
+    }
+
+    const [catalog, usage] = await Promise.all([
+      Tag.find({ project: project._id }).sort({ key: 1 }).lean(),
+      getTagUsage(project._id)
+    ]);
+    const tags = catalog.map(tag => ({ ...tag, usage: usage.get(tag.key)?.count || 0 }));
+    // Tags in use on tasks that the catalog doesn't know yet
+    const uncatalogued = [...usage]
+      .filter(([key]) => !catalog.some(tag => tag.key === key))
+      .map(([, { name, count }]) => ({ name, usage: count }))
+      .sort((a, b) => b.usage - a.usage);
+
+    res.json({ tags, uncatalogued });
+  } catch (error) {
+    sendTagError(res, error, 'Get tags');
+  }
+});
+
+// @desc    Add a tag to a project's catalog
+// @route   POST /api/tags
+// @access  Private (manager or project manager)
+router.post('/', protect, async (req, res) => {
+  try {
+    const { project: projectId, name, color, description } = req.body;
+
+    if (!projectId || !name || !name.trim()) {
+      return res.status(400).json({ error: 'Project and tag name are required' });
+    }
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!canManageProject(project, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to change this project\'s tags' });
+    }
+
+    const tag = await Tag.create({
+      project: project._id,
+      name: name.trim(),
+      color,
+      description,
+      createdBy: req.user.id
+    });
+
+    // Existing tasks adopt the catalog spelling
+    const usage = await replaceTagOnTasks(project._id, tag.name, tag.name);
+
+    res.status(201).json({ ...tag.toObject(), usage });
+  } catch (error) {
+    sendTagError(res, error, 'Create tag');
+  }
+});
+
+// @desc    Update a tag; renaming rewrites it on every task in the project
+// @route   PUT /api/tags/:id
+// @access  Private (manager or project manager)
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const loaded = await loadTagForChange(req, res);
+    if (!loaded) return;
+    const { tag, project } = loaded;
+
+    const { name, color, description } = req.body;
+    const oldName = tag.name;
+    if (name !== undefined) {
+      if (!name.trim()) {
+        return res.status(400).json({ error: 'Tag name is required' });
+      }
+      tag.name = name.trim();
+    }
+    if (color !== undefined) tag.color = color;
+    if (description !== undefined) tag.description = description;
+    await tag.save();
+
+    let usage = 0;
+    if (tag.name !== oldName) {
+      usage = await replaceTagOnTasks(project._id, oldName, tag.name);
+      await replaceProjectTag(project, oldName, tag.name);
+      project.addActivity(req.user.id, 'Renamed tag', `Renamed tag "${oldName}" to "${tag.name}" on ${usage} task(s)`);
+      await project.save();
+    } else {
+      usage = (await getTagUsage(project._id)).get(tag.key)?.count || 0;
+    }
+
+    res.json({ ...tag.toObject(), usage });
+  } catch (error) {
+    sendTagError(res, error, 'Update tag');
+  }
+});
+
+// @desc    Merge a tag into another: tasks get the target tag and the source is removed
+// @route   POST /api/tags/:id/merge
+// @access  Private (manager or project manager)
+router.post('/:id/merge', protect, async (req, res) => {
+  try {
+    const loaded = await loadTagForChange(req, res);
+    if (!loaded) return;
+    const { tag: source, project } = loaded;
+
+    const target = await Tag.findOne({ _id: req.body.into, project: project._id });
+    if (!target) {
+      return res.status(400).json({ error: 'Tag to merge into must be in the same project' });
+    }
+    if (target._id.equals(source._id)) {
+      return res.status(400).json({ error: 'Cannot merge a tag into itself' });
+    }
+
+    const merged = await replaceTagOnTasks(project._id, source.name, target.name);
+    await replaceProjectTag(project, source.name, target.name);
+    await source.deleteOne();
+    project.addActivity(req.user.id, 'Merged tags', `Merged tag "${source.name}" into "${target.name}" on ${merged} task(s)`);
+    await project.save();
+
+    const usage = (await getTagUsage(project._id)).get(target.key)?.count || 0;
+    res.json({ merged, tag: { ...target.toObject(), usage } });
+  } catch (error) {
+    sendTagError(res, error, 'Merge tags');
+  }
+});
+
+// @desc    Remove a tag from the catalog and from every task in the project
+// @route   DELETE /api/tags/:id
+// @access  Private (manager or project manager)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const loaded = await loadTagForChange(req, res);
+    if (!loaded) return;
+    const { tag, project } = loaded;
+
+    const removed = await replaceTagOnTasks(project._id, tag.name, null);
+    await replaceProjectTag(project, tag.name, null);
+    await tag.deleteOne();
+    project.addActivity(req.user.id, 'Deleted tag', `Deleted tag "${tag.name}" from ${removed} task(s)`);
+    await project.save();
+
+    res.json({ message: 'Tag deleted successfully', removed });
+  } catch (error) {
+    sendTagError(res, error, 'Delete tag');
+  }
+});
+
+export default router;
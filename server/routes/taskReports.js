@@ -4,6 +4,8 @@ import TaskReport from '../models/TaskReport.js';
 import Task from '../models/Task.js';
 import Project from '../models/Project.js';
 import Notification from '../models/Notification.js';
+import TimeEntry from '../models/TimeEntry.js';
+import { isAssignee } from '../utils/taskAssignees.js';
 
 const router = express.Router();
 
@@ -33,8 +35,8 @@ router.post('/', protect, async (req, res) => {
             return res.status(404).json({ error: 'Task not found' });
         }
 
-        // Check if user is assigned to this task
-        if (task.assignedTo?.toString() !== req.user.id && req.user.role !== 'manager') {
+        // Any of the task's assignees can report on it
+        if (!isAssignee(task, req.user.id) && req.user.role !== 'manager') {
             return res.status(403).json({ error: 'Not authorized to submit report for this task' });
         }
 
@@ -53,10 +55,18 @@ router.post('/', protect, async (req, res) => {
 
         await report.save();
 
-        // Update task's actual hours if time spent is provided
+        // Log the reported time as a manual entry ending now; actualHours follows the entries
         if (timeSpent && timeSpent > 0) {
-            task.actualHours = (task.actualHours || 0) + parseFloat(timeSpent);
-            await task.save();
+            const end = new Date();
+            await TimeEntry.create({
+                user: req.user.id,
+                task: task._id,
+                project: task.project._id,
+                start: new Date(end.getTime() - parseFloat(timeSpent) * 60 * 60 * 1000),
+                end,
+                note: 'Logged with progress report'
+            });
+            await TimeEntry.syncTaskHours(task._id, req.user.id);
         }
 
         // Add activity to project
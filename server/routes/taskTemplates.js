@@ -0,0 +1,243 @@
+import express from 'express';
+import { protect, manager } from '../middleware/authMiddleware.js';
+import TaskTemplate from '../models/TaskTemplate.js';
+import Project from '../models/Project.js';
+import { createTask } from '../utils/taskCreation.js';
+
+const router = express.Router();
+
+const TEMPLATE_FIELDS = ['name', 'title', 'description', 'checklist', 'tags', 'estimatedHours', 'priority', 'dueOffsetDays'];
+const INSTANTIATE_LIMIT = 50;
+
+// Helper function to find the projects whose templates a user can see
+const getAccessibleProjectIds = async (user) => {
+  const projects = await Project.find({
+    $or: [{ manager: user.id }, { 'members.user': user.id }]
+  }).select('_id');
+  return projects.map(p => p._id);
+};
+
+// Helper function to check whether a user can use a template
+const canUseTemplate = async (template, user) => {
+  if (template.createdBy.toString() === user.id) return true;
+  if (!template.project) return false;
+  if (user.role === 'manager') return true;
+  const project = await Project.findById(template.project);
+  return Boolean(project) && (
+    project.manager.toString() === user.id ||
+    project.members.some(member => member.user.toString() === user.id)
+  );
+};
+
+// Helper function to check whether a user can edit or delete a template
+const canManageTemplate = async (template, user) => {
+  if (template.createdBy.toString() === user.id) return true;
+  if (!template.project) return false;
+  const project = await Project.findById(template.project);
+  return Boolean(project) && project.manager.toString() === user.id;
+};
+
+// Helper function to pick template fields from the request body
+const pickTemplateFields = (body) => {
+  const fields = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (Array.isArray(fields.checklist)) {
+    fields.checklist = fields.checklist
+      .map(item => ({ text: (typeof item === 'string' ? item : item.text || '').trim() }))
+      .filter(item => item.text);
+  }
+  return fields;
+};
+
+// @desc    Get task templates available to the user
+// @route   GET /api/task-templates
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { project } = req.query;
+    const projectIds = await getAccessibleProjectIds(req.user);
+    
+    // Personal templates plus templates shared with the user's projects
+    const scopes = [{ createdBy: req.user.id, project: null }];
+    if (project) {
+      if (req.user.role === 'manager' || projectIds.some(id => id.toString() === project)) {
+        scopes.push({ project });
+      }
+    } else {
+      scopes.push({ project: { $in: projectIds } });
+    }
+    
+    const templates = await TaskTemplate.find({ $or: scopes })
+      .populate('project', 'name')
+      .populate('createdBy', 'name')
+      .sort({ name: 1 });
+    
+    res.json(templates);
+  } catch (error) {
+    console.error('Get task templates error:', error);
+    res.status(500).json({ error: 'Server error while fetching task templates' });
+  }
+});
+
+// @desc    Create a task template
+// @route   POST /api/task-templates
+// @access  Private (Manager only)
+router.post('/', protect, manager, async (req, res) => {
+  try {
+    const fields = pickTemplateFields(req.body);
+    if (!fields.name || !fields.title) {
+      return res.status(400).json({ error: 'Template name and task title are required' });
+    }
+    
+    if (req.body.project) {
+      const project = await Project.findById(req.body.project);
+      if (!project) {
+        return res.status(400).json({ error: 'Project not found' });
+      }
+    }
+    
+    const template = await TaskTemplate.create({
+      ...fields,
+      project: req.body.project || null,
+      createdBy: req.user.id
+    });
+    
+    res.status(201).json(template);
+  } catch (error) {
+    console.error('Create task template error:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ error: messages.join(', ') });
+    }
+    res.status(500).json({ error: 'Server error while creating task template' });
+  }
+});
+
+// @desc    Update a task template
+// @route   PUT /api/task-templates/:id
+// @access  Private (template owner or project manager)
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Task template not found' });
+    }
+    
+    if (!(await canManageTemplate(template, req.user))) {
+      return res.status(403).json({ error: 'Not authorized to update this template' });
+    }
+    
+    Object.assign(template, pickTemplateFields(req.body));
+    if (req.body.project !== undefined) {
+      if (req.body.project) {
+        const project = await Project.findById(req.body.project);
+        if (!project) {
+          return res.status(400).json({ error: 'Project not found' });
+        }
+      }
+      template.project = req.body.project || null;
+    }
+    
+    const updatedTemplate = await template.save();
+    res.json(updatedTemplate);
+  } catch (error) {
+    console.error('Update task template error:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ error: messages.join(', ') });
+    }
+    res.status(500).json({ error: 'Server error while updating task template' });
+  }
+});
+
+// @desc    Delete a task template
+// @route   DELETE /api/task-templates/:id
+// @access  Private (template owner or project manager)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Task template not found' });
+    }
+    
+    if (!(await canManageTemplate(template, req.user))) {
+      return res.status(403).json({ error: 'Not authorized to delete this template' });
+    }
+    
+    await template.deleteOne();
+    res.json({ message: 'Task template deleted successfully' });
+  } catch (error) {
+    console.error('Delete task template error:', error);
+    res.status(500).json({ error: 'Server error while deleting task template' });
+  }
+});
+
+// @desc    Create one task per assignee from a template
+// @route   POST /api/task-templates/:id/instantiate
+// @access  Private
+router.post('/:id/instantiate', protect, async (req, res) => {
+  try {
+    const { project, assignees, startDate, status, parentTask, customFields } = req.body;
+    
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Task template not found' });
+    }
+    
+    if (!(await canUseTemplate(template, req.user))) {
+      return res.status(403).json({ error: 'Not authorized to use this template' });
+    }
+    
+    const targetProject = template.project || project;
+    if (!targetProject) {
+      return res.status(400).json({ error: 'A project is required for personal templates' });
+    }
+    
+    // No assignees means a single task with the default assignee
+    const assigneeList = Array.isArray(assignees) && assignees.length > 0 ? [...new Set(assignees.map(String))] : [null];
+    if (assigneeList.length > INSTANTIATE_LIMIT) {
+      return res.status(400).json({ error: `Cannot create more than ${INSTANTIATE_LIMIT} tasks at once` });
+    }
+    
+    let dueDate = null;
+    if (template.dueOffsetDays !== undefined && template.dueOffsetDays !== null) {
+      dueDate = startDate ? new Date(startDate) : new Date();
+      dueDate.setDate(dueDate.getDate() + template.dueOffsetDays);
+    }
+    
+    const created = [];
+    const failed = [];
+    // Sequential so each task's project activity is saved in turn
+    for (const assignee of assigneeList) {
+      const result = await createTask({
+        title: template.title,
+        description: template.description,
+        project: targetProject,
+        assignees: assignee ? [{ user: assignee, role: 'owner' }] : undefined,
+        status,
+        parentTask,
+        dueDate,
+        priority: template.priority,
+        estimatedHours: template.estimatedHours,
+        tags: template.tags,
+        checklist: template.checklist.map(item => ({ text: item.text })),
+        customFields
+      }, req.user);
+      
+      if (result.error) {
+        failed.push({ assignee, error: result.error });
+      } else {
+        created.push(result.task);
+      }
+    }
+    
+    res.status(created.length > 0 ? 201 : 400).json({ created, failed });
+  } catch (error) {
+    console.error('Instantiate task template error:', error);
+    res.status(500).json({ error: 'Server error while creating tasks from template' });
+  }
+});
+
+export default router;
@@ -1,17 +1,84 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { protect } from '../middleware/authMiddleware.js';
 import Task from '../models/Task.js';
 import Project from '../models/Project.js';
 import Notification from '../models/Notification.js';
+import TaskHistory from '../models/TaskHistory.js';
+import User from '../models/User.js';
+import Sprint from '../models/Sprint.js';
+import { validateBlockers } from '../utils/taskDependencies.js';
+import { validateStatusChange, isCompletion, handleTaskCompleted } from '../utils/taskStatus.js';
+import { createTask, parseRecurrence } from '../utils/taskCreation.js';
+import { uploadSingle, sendStoredFile, removeStoredFile } from '../config/upload.js';
+import { getMentionCandidates, parseMentions, notifyMentions } from '../utils/mentions.js';
+import { hasTaskAccess } from '../utils/taskAccess.js';
+import { rankBetween } from '../utils/taskRank.js';
+import { checkWipLimit, canOverrideWipLimit } from '../utils/wipLimits.js';
+import { addWatcher, removeWatcher, notifyWatchers, notifyWatchersOfChanges } from '../utils/taskWatchers.js';
+import { normalizeTags, tagPattern } from '../utils/tags.js';
+import { validateCustomFieldValues, buildCustomFieldCondition } from '../utils/customFields.js';
+import { resolveTaskSprint } from '../utils/sprints.js';
+import { resolveTaskMilestone } from '../utils/milestones.js';
+import { ASSIGNEE_ACTIONS, canAddTasksTo, moveTask, cloneTask } from '../utils/taskTransfer.js';
+import { trashTask } from '../utils/trash.js';
+import { checkVersion, conflictResponse } from '../utils/versioning.js';
+import { ASSIGNEE_ROLES, assigneeIds, parseAssignees, addedAssignees, notifyAssigned } from '../utils/taskAssignees.js';
+import { COMMENT_POPULATE, addComment, editComment, deleteComment, toggleReaction } from '../utils/comments.js';
 
 const router = express.Router();
 
+// Sortable fields for GET /api/tasks. Each maps to an expression that gives a
+// comparable key, so unset due dates sort last and priority sorts by rank.
+const MAX_DATE = new Date(8640000000000000);
+const TASK_SORTS = {
+  createdAt: '$createdAt',
+  updatedAt: '$updatedAt',
+  dueDate: { $ifNull: ['$dueDate', MAX_DATE] },
+  priority: {
+    $switch: {
+      branches: [
+        { case: { $eq: ['$priority', 'High'] }, then: 3 },
+        { case: { $eq: ['$priority', 'Medium'] }, then: 2 }
+      ],
+      default: 1
+    }
+  },
+  title: { $toLower: '$title' },
+  // Manual board order; unranked tasks sort last
+  rank: { $ifNull: ['$rank', '~'] }
+};
+const MAX_PAGE_SIZE = 100;
+
+// Helper function to escape user input for use in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cursors are opaque to clients: the last row's sort key and id, base64-encoded
+const encodeCursor = (sortKey, id) =>
+  Buffer.from(JSON.stringify({
+    k: sortKey instanceof Date ? sortKey.toISOString() : sortKey,
+    d: sortKey instanceof Date,
+    id: id.toString()
+  })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { k, d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return { sortKey: d ? new Date(k) : k, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
 // @desc    Get tasks for the logged-in user
 // @route   GET /api/tasks
 // @access  Private
+// Pass `limit` (and `cursor` from the previous page) to get a page of
+// { tasks, total, statusCounts, nextCursor }; without it every match is returned.
 router.get('/', protect, async (req, res) => {
   try {
-    const { project, status, priority } = req.query;
+    const { project, status, priority, parentTask, assignee, assigneeRole, tag, sprint, milestone, dueFrom, dueTo, overdue, q, sort, order, cursor, limit } = req.query;
     
     let query = {};
     
@@ -22,8 +89,8 @@ router.get('/', protect, async (req, res) => {
       const projectIds = projects.map(p => p._id);
       query.project = { $in: projectIds };
     } else {
-      // Employee sees only their assigned tasks
-      query.assignedTo = req.user.id;
+      // Employee sees only the tasks they are one of the assignees of
+      query['assignees.user'] = req.user.id;
     }
     
     // Apply filters
@@ -39,15 +106,166 @@ router.get('/', protect, async (req, res) => {
       query.priority = priority;
     }
 
-    const tasks = await Task.find(query)
-      .populate('project', 'name status')
-      .populate('assignedTo', 'name email')
-      .populate('comments.user', 'name')
-      .sort({ createdAt: -1 });
-      
-    res.json(tasks);
+    if (parentTask) {
+      if (parentTask !== 'none' && !mongoose.Types.ObjectId.isValid(parentTask)) {
+        return res.status(400).json({ error: 'Invalid parent task' });
+      }
+      query.parentTask = parentTask === 'none' ? null : parentTask;
+    }
+
+    // Employees are already limited to their own tasks
+    if (assignee && req.user.role === 'manager') {
+      if (assignee === 'unassigned') {
+        query.assignees = { $size: 0 };
+      } else {
+        query['assignees.user'] = assignee === 'me' ? req.user.id : assignee;
+      }
+    }
+
+    // Narrow to tasks where that assignee (or, for employees, the user) has a role
+    if (assigneeRole && query['assignees.user']) {
+      if (!ASSIGNEE_ROLES.includes(assigneeRole)) {
+        return res.status(400).json({ error: `Assignee role must be one of ${ASSIGNEE_ROLES.join(', ')}` });
+      }
+      query.assignees = { $elemMatch: { user: query['assignees.user'], role: assigneeRole } };
+      delete query['assignees.user'];
+    }
+
+    if (tag) {
+      query.tags = { $in: tag.split(',').map(t => t.trim()).filter(Boolean).map(tagPattern) };
+    }
+
+    // A sprint id, "backlog" for unplanned tasks, or "active" for the running sprints
+    if (sprint === 'backlog') {
+      query.sprint = null;
+    } else if (sprint === 'active') {
+      const activeSprints = await Sprint.find({ state: 'active', ...(query.project ? { project: query.project } : {}) }).select('_id');
+      query.sprint = { $in: activeSprints.map(s => s._id) };
+    } else if (sprint) {
+      if (!mongoose.Types.ObjectId.isValid(sprint)) {
+        return res.status(400).json({ error: 'Invalid sprint' });
+      }
+      query.sprint = new mongoose.Types.ObjectId(sprint);
+    }
+
+    if (milestone) {
+      if (milestone !== 'none' && !mongoose.Types.ObjectId.isValid(milestone)) {
+        return res.status(400).json({ error: 'Invalid milestone' });
+      }
+      query.milestone = milestone === 'none' ? null : new mongoose.Types.ObjectId(milestone);
+    }
+
+    if (dueFrom || dueTo) {
+      query.dueDate = {};
+      if (dueFrom) query.dueDate.$gte = new Date(dueFrom);
+      if (dueTo) query.dueDate.$lte = new Date(dueTo);
+    }
+
+    if (q && q.trim()) {
+      const pattern = { $regex: escapeRegex(q.trim()), $options: 'i' };
+      query.$and = [...(query.$and || []), { $or: [{ title: pattern }, { description: pattern }, { tags: pattern }] }];
+    }
+
+    // Custom field filters arrive as cf.<key>=value; each key is read with the
+    // definition from the projects in scope that have it
+    const customFilters = Object.entries(req.query).filter(([key, value]) => key.startsWith('cf.') && value !== '');
+    if (customFilters.length > 0) {
+      const fieldProjects = await Project.find({
+        ...(query.project ? { _id: query.project } : {}),
+        'customFields.key': { $in: customFilters.map(([key]) => key.slice(3)) }
+      }).select('customFields');
+      for (const [key, value] of customFilters) {
+        const field = fieldProjects.flatMap(p => p.customFields).find(f => f.key === key.slice(3));
+        const condition = field && buildCustomFieldCondition(field, value, req.user.id);
+        if (!condition) {
+          return res.status(400).json({ error: `Cannot filter on custom field "${key.slice(3)}" with "${value}"` });
+        }
+        query.$and = [...(query.$and || []), condition];
+      }
+    }
+
+    // Overdue means past due and not in a done state of the task's own workflow
+    if (overdue === 'true') {
+      const scopeProjectIds = await Task.distinct('project', query);
+      const scopeProjects = await Project.find({ _id: { $in: scopeProjectIds } }).select('workflow');
+      query.dueDate = { ...(query.dueDate || {}), $lt: new Date() };
+      query.$and = [...(query.$and || []), scopeProjects.length > 0
+        ? { $or: scopeProjects.map(p => ({ project: p._id, status: { $nin: p.statusesInCategory('done') } })) }
+        : { _id: null }
+      ];
+    }
+
+    if (!limit) {
+      const tasks = await Task.find(query)
+        .populate('project', 'name status')
+        .populate('assignees.user', 'name email')
+        .populate('parentTask', 'title')
+        .populate('blockedBy', 'title status')
+        .populate('comments.user', 'name')
+        .sort({ createdAt: -1 });
+        
+      return res.json(tasks);
+    }
+
+    const sortField = TASK_SORTS[sort] ? sort : 'createdAt';
+    const direction = order === 'asc' ? 1 : -1;
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+    const match = Task.find().cast(Task, query);
+
+    let cursorMatch = {};
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      const op = direction === 1 ? '$gt' : '$lt';
+      cursorMatch = {
+        $or: [
+          { _sortKey: { [op]: decoded.sortKey } },
+          { _sortKey: decoded.sortKey, _id: { [op]: decoded.id } }
+        ]
+      };
+    }
+
+    const [page, total, statusCounts] = await Promise.all([
+      Task.aggregate([
+        { $match: match },
+        { $addFields: { _sortKey: TASK_SORTS[sortField], commentCount: { $size: { $ifNull: ['$comments', []] } } } },
+        { $match: cursorMatch },
+        { $sort: { _sortKey: direction, _id: direction } },
+        { $limit: pageSize + 1 },
+        { $project: { comments: 0 } }
+      ]),
+      Task.countDocuments(match),
+      Task.aggregate([
+        { $match: match },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const hasMore = page.length > pageSize;
+    const rows = hasMore ? page.slice(0, pageSize) : page;
+    const last = rows[rows.length - 1];
+    const nextCursor = hasMore ? encodeCursor(last._sortKey, last._id) : null;
+    rows.forEach(row => { delete row._sortKey; });
+    const tasks = await Task.populate(rows, [
+      { path: 'project', select: 'name status' },
+      { path: 'assignees.user', select: 'name email' },
+      { path: 'parentTask', select: 'title' },
+      { path: 'blockedBy', select: 'title status' }
+    ]);
+
+    res.json({
+      tasks,
+      total,
+      statusCounts: Object.fromEntries(statusCounts.map(s => [s._id, s.count])),
+      nextCursor
+    });
   } catch (error) {
     console.error('Get tasks error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: `Invalid value for ${error.path}` });
+    }
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -56,81 +274,300 @@ router.get('/', protect, async (req, res) => {
 // @route   POST /api/tasks
 // @access  Private
 router.post('/', protect, async (req, res) => {
-  const { title, description, project, assignedTo, dueDate, priority, estimatedHours, tags } = req.body;
+  try {
+    const result = await createTask(req.body, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.status(201).json(result.task);
+  } catch (error) {
+    console.error('Create task error:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ error: messages.join(', ') });
+    }
+    res.status(500).json({ error: 'Server error while creating task' });
+  }
+});
+
+// Helper function to compute a board rank from the ids of the cards above and below
+// (task's project populated). A missing id is an open end of the column.
+// Returns { value } or { error }.
+const rankFromNeighbors = async (task, { before, after }) => {
+  const ids = [before, after].filter(id => id && id.toString() !== task._id.toString());
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid neighboring task' };
+  }
+  const neighbors = await Task.find({ _id: { $in: ids }, project: task.project._id }).select('rank');
+  if (neighbors.length !== new Set(ids.map(id => id.toString())).size) {
+    return { error: 'Neighboring task not found in this project' };
+  }
+  const rankOf = (id) => neighbors.find(n => n._id.toString() === id?.toString())?.rank || null;
+  return { value: rankBetween(rankOf(before), rankOf(after)) };
+};
+
+// Helper function to compare recurrence schedules, leaving out the occurrence number
+const recurrenceSchedule = (recurrence) => recurrence?.frequency
+  ? JSON.stringify([recurrence.frequency, recurrence.interval, [...(recurrence.byWeekday || [])], recurrence.until?.getTime(), recurrence.count])
+  : null;
+
+// Helper function to summarise a list of task titles for activity and notifications
+const summarizeTitles = (titles, max = 3) => {
+  const shown = titles.slice(0, max).map(t => `"${t}"`).join(', ');
+  return titles.length > max ? `${shown} and ${titles.length - max} more` : shown;
+};
+
+// Helper function to apply bulk changes to a single task (project populated).
+// Returns { error } or details of what changed.
+const applyBulkUpdate = async (task, changes, user, targetProject) => {
+  if (!hasTaskAccess(task, user)) {
+    return { error: 'Not authorized to update this task' };
+  }
+  
+  const sourceProjectId = task.project._id;
+  let moved = false;
   
+  // Move first (subtasks included) so the other changes are checked against the target project
+  if (targetProject && targetProject._id.toString() !== sourceProjectId.toString()) {
+    const result = await moveTask(task, targetProject, user, {
+      assigneeAction: changes.assigneeAction,
+      logActivity: false
+    });
+    if (result.error) {
+      return { error: result.error, outsideAssignees: result.outsideAssignees };
+    }
+    task.project = targetProject;
+    moved = true;
+  }
+  
+  // The move records its own history
+  const before = TaskHistory.snapshot(task);
+  const previousStatus = task.status;
+  
+  const statusError = await validateStatusChange(task, changes.status);
+  if (statusError) {
+    return { error: statusError.error };
+  }
+  const wipError = await checkWipLimit(task, {
+    status: changes.status || task.status,
+    assignees: changes.assignees || task.assignees
+  });
+  if (wipError && !(changes.overrideWipLimit === true && canOverrideWipLimit(task.project, user))) {
+    return { error: wipError.error };
+  }
+  const completed = isCompletion(task.project, previousStatus, changes.status || task.status);
+  if (changes.status) task.status = changes.status;
+  
+  if (changes.assignees) {
+    task.assignees = changes.assignees;
+    changes.assignees.forEach(assignee => addWatcher(task, assignee.user));
+  }
+  if (changes.priority) task.priority = changes.priority;
+  if (changes.sprint) {
+    const sprint = await resolveTaskSprint(task.project._id, changes.sprint === 'backlog' ? null : changes.sprint);
+    if (sprint.error) {
+      return { error: sprint.error };
+    }
+    task.sprint = sprint.value;
+  }
+  if (changes.shiftDueDays && task.dueDate) {
+    task.dueDate = new Date(task.dueDate.getTime() + changes.shiftDueDays * 24 * 60 * 60 * 1000);
+  }
+  if (changes.addTags?.length) {
+    task.tags = await normalizeTags(task.project._id || task.project, [...task.tags, ...changes.addTags]);
+  }
+  if (changes.removeTags?.length) {
+    const removed = changes.removeTags.map(tag => tag.toLowerCase());
+    task.tags = task.tags.filter(tag => !removed.includes(tag.toLowerCase()));
+  }
+  
+  await task.save();
+  await Task.rollUpProgress(task._id);
+  await TaskHistory.recordChanges(before, task, user.id);
+  if (completed) {
+    await handleTaskCompleted(task);
+  }
+  // Assignees hear about bulk changes through the summary notification
+  await notifyWatchersOfChanges(before, task, {
+    actorId: user.id,
+    actorName: user.name,
+    exclude: assigneeIds(task)
+  });
+  
+  return {
+    projectIds: moved ? [sourceProjectId, targetProject._id] : [sourceProjectId],
+    assignees: assigneeIds(task)
+  };
+};
+
+// Helper function to move a single task to the trash as part of a bulk request (project populated)
+const applyBulkDelete = async (task, user) => {
+  if (user.role !== 'manager' && task.project.manager.toString() !== user.id) {
+    return { error: 'Not authorized to delete this task' };
+  }
+  
+  await trashTask(task, user.id);
+  
+  return { projectIds: [task.project._id], assignees: assigneeIds(task) };
+};
+
+const BULK_LIMIT = 200;
+
+// @desc    Apply one change set (or delete) to many tasks
+// @route   POST /api/tasks/bulk
+// @access  Private
+router.post('/bulk', protect, async (req, res) => {
   try {
-    // Validate required fields
-    if (!title || !project) {
-      return res.status(400).json({ error: 'Title and project are required' });
+    const { taskIds, action = 'update', changes = {} } = req.body;
+    
+    if (!Array.isArray(taskIds) || taskIds.length === 0) {
+      return res.status(400).json({ error: 'At least one task ID is required' });
+    }
+    if (taskIds.length > BULK_LIMIT) {
+      return res.status(400).json({ error: `Bulk operations are limited to ${BULK_LIMIT} tasks` });
+    }
+    if (!['update', 'delete'].includes(action)) {
+      return res.status(400).json({ error: 'Action must be either "update" or "delete"' });
     }
     
-    // Check if project exists and user has access
-    const projectDoc = await Project.findById(project);
-    if (!projectDoc) {
-      return res.status(400).json({ error: 'Project not found' });
+    let targetProject = null;
+    if (action === 'update') {
+      const { status, assignees, priority, shiftDueDays, addTags, removeTags, project, sprint } = changes;
+      if (!status && !assignees && !priority && !shiftDueDays && !addTags?.length && !removeTags?.length && !project && !sprint) {
+        return res.status(400).json({ error: 'No changes provided' });
+      }
+      // `assignees` replaces each task's assignees
+      if (assignees) {
+        const parsedAssignees = parseAssignees(assignees);
+        if (parsedAssignees.error) {
+          return res.status(400).json({ error: parsedAssignees.error });
+        }
+        changes.assignees = parsedAssignees.value;
+      }
+      if (priority && !['Low', 'Medium', 'High'].includes(priority)) {
+        return res.status(400).json({ error: 'Priority must be Low, Medium or High' });
+      }
+      if (shiftDueDays !== undefined && !Number.isInteger(Number(shiftDueDays))) {
+        return res.status(400).json({ error: 'Due date shift must be a whole number of days' });
+      }
+      if ((addTags && !Array.isArray(addTags)) || (removeTags && !Array.isArray(removeTags))) {
+        return res.status(400).json({ error: 'Tags to add or remove must be arrays' });
+      }
+      if (project) {
+        targetProject = await Project.findById(project);
+        if (!targetProject) {
+          return res.status(400).json({ error: 'Target project not found' });
+        }
+        if (!canAddTasksTo(targetProject, req.user)) {
+          return res.status(403).json({ error: 'Not authorized to move tasks into this project' });
+        }
+        // What to do with assignees who aren't on the target project
+        if (changes.assigneeAction && !ASSIGNEE_ACTIONS.includes(changes.assigneeAction)) {
+          return res.status(400).json({ error: `Assignee action must be one of ${ASSIGNEE_ACTIONS.join(', ')}` });
+        }
+      }
+      changes.shiftDueDays = shiftDueDays ? Number(shiftDueDays) : 0;
+      changes.addTags = (addTags || []).map(tag => tag.trim()).filter(Boolean);
+      changes.removeTags = (removeTags || []).map(tag => tag.trim()).filter(Boolean);
     }
     
-    // Check if user is manager or project member
-    const hasAccess = req.user.role === 'manager' || 
-                      projectDoc.manager.toString() === req.user.id ||
-                      projectDoc.members.some(member => member.user.toString() === req.user.id);
+    const tasks = await Task.find({ _id: { $in: taskIds } }).populate('project');
+    const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
     
-    if (!hasAccess) {
-      return res.status(403).json({ error: 'Not authorized to create tasks in this project' });
-    }
-    
-    const task = new Task({
-      title,
-      description,
-      project,
-      assignedTo: assignedTo || req.user.id,
-      priority: priority || 'Medium',
-      dueDate: dueDate ? new Date(dueDate) : null,
-      estimatedHours,
-      tags: tags || []
-    });
+    // When moving, parents go first so that selected subtasks move with them
+    const selected = new Set(tasks.map(task => task._id.toString()));
+    const movesWithParent = (taskId) => selected.has(tasksById.get(taskId.toString())?.parentTask?.toString());
+    const orderedIds = targetProject
+      ? [...taskIds.filter(taskId => !movesWithParent(taskId)), ...taskIds.filter(movesWithParent)]
+      : taskIds;
     
-    const createdTask = await task.save();
+    const results = [];
+    const titlesByProject = new Map();
+    const titlesByAssignee = new Map();
     
-    // Add activity to project
-    projectDoc.addActivity(req.user.id, 'Created task', `Created task "${title}"`);
-    await projectDoc.save();
-    
-    // Create notification for assigned user (if not assigning to self)
-    if (assignedTo && assignedTo.toString() !== req.user.id.toString()) {
-      await Notification.create({
-        user: assignedTo,
-        type: 'taskStatus',
-        title: 'New Task Assigned',
-        message: `You have been assigned to "${title}" in project "${projectDoc.name}"`,
-        link: `/tasks`,
-        metadata: {
-          taskId: createdTask._id,
-          projectId: project,
-          priority: priority || 'Medium'
+    for (const taskId of orderedIds) {
+      // Reload subtasks that already moved with their parent
+      const task = targetProject && movesWithParent(taskId)
+        ? await Task.findById(taskId).populate('project')
+        : tasksById.get(taskId.toString());
+      if (!task) {
+        results.push({ taskId, success: false, error: 'Task not found' });
+        continue;
+      }
+      
+      try {
+        const outcome = action === 'delete'
+          ? await applyBulkDelete(task, req.user)
+          : await applyBulkUpdate(task, changes, req.user, targetProject);
+        
+        if (outcome.error) {
+          results.push({ taskId, success: false, error: outcome.error, outsideAssignees: outcome.outsideAssignees });
+          continue;
         }
-      });
+        results.push({ taskId, success: true });
+        
+        outcome.projectIds.forEach(projectId => {
+          const key = projectId.toString();
+          titlesByProject.set(key, [...(titlesByProject.get(key) || []), task.title]);
+        });
+        outcome.assignees
+          .filter(assignee => assignee !== req.user.id.toString())
+          .forEach(assignee => {
+            titlesByAssignee.set(assignee, [...(titlesByAssignee.get(assignee) || []), task.title]);
+          });
+      } catch (error) {
+        console.error(`Bulk ${action} error for task ${taskId}:`, error);
+        results.push({ taskId, success: false, error: 'Server error' });
+      }
     }
     
-    // Populate and return the created task
-    const populatedTask = await Task.findById(createdTask._id)
-      .populate('project', 'name status')
-      .populate('assignedTo', 'name email');
+    // One activity entry per affected project
+    for (const [projectId, titles] of titlesByProject) {
+      const project = await Project.findById(projectId);
+      if (!project) continue;
+      project.addActivity(
+        req.user.id,
+        action === 'delete' ? 'Bulk deleted tasks' : 'Bulk updated tasks',
+        `${action === 'delete' ? 'Deleted' : 'Updated'} ${titles.length} task(s): ${summarizeTitles(titles)}`
+      );
+      await project.save();
+    }
     
-    res.status(201).json(populatedTask);
-  } catch (error) {
-    console.error('Create task error:', error);
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(val => val.message);
-      return res.status(400).json({ error: messages.join(', ') });
+    // One notification per affected assignee
+    const notifications = [...titlesByAssignee].map(([userId, titles]) => ({
+      user: userId,
+      type: 'taskStatus',
+      title: action === 'delete' ? 'Tasks Deleted' : 'Tasks Updated',
+      message: `${req.user.name} ${action === 'delete' ? 'deleted' : 'updated'} ${titles.length} of your task(s): ${summarizeTitles(titles)}`,
+      link: `/tasks`,
+      metadata: { action, count: titles.length }
+    }));
+    if (notifications.length > 0) {
+      await Notification.insertMany(notifications);
     }
-    res.status(500).json({ error: 'Server error while creating task' });
+    
+    const succeeded = results.filter(result => result.success).length;
+    res.json({ results, succeeded, failed: results.length - succeeded });
+  } catch (error) {
+    console.error('Bulk task operation error:', error);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Helper function to load a task populated the way PUT /api/tasks/:id returns it
+const findTaskForResponse = (taskId) => Task.findById(taskId)
+  .populate('project', 'name status')
+  .populate('assignees.user', 'name email')
+  .populate('parentTask', 'title')
+  .populate('blockedBy', 'title status')
+  .populate('comments.user', 'name');
+
 // @desc    Update a task
 // @route   PUT /api/tasks/:id
 // @access  Private
+// Send the task's `version` to get a 409 with the current task and the
+// conflicting fields instead of overwriting someone else's changes
 router.put('/:id', protect, async (req, res) => {
   try {
     const task = await Task.findById(req.params.id).populate('project');
@@ -140,27 +577,118 @@ router.put('/:id', protect, async (req, res) => {
     }
     
     // Check if user has access to update this task
-    const hasAccess = req.user.role === 'manager' || 
-                      task.project.manager.toString() === req.user.id ||
-                      task.assignedTo?.toString() === req.user.id ||
-                      task.project.members.some(member => member.user.toString() === req.user.id);
-    
-    if (!hasAccess) {
+    if (!hasTaskAccess(task, req.user)) {
       return res.status(403).json({ error: 'Not authorized to update this task' });
     }
     
-    const { title, description, status, priority, dueDate, assignedTo, estimatedHours, actualHours, tags } = req.body;
+    const { title, description, status, priority, dueDate, assignees, estimatedHours, tags, checklist, blockedBy, recurrence, position, overrideWipLimit, customFields, storyPoints, sprint, milestone, version } = req.body;
+    
+    const parsedAssignees = assignees === undefined ? { value: undefined } : parseAssignees(assignees);
+    if (parsedAssignees.error) {
+      return res.status(400).json({ error: parsedAssignees.error });
+    }
+    
+    // Edits based on an older version must not overwrite someone else's changes
+    const conflicts = checkVersion(task, version, {
+      title, description, status, priority, dueDate, assignees: parsedAssignees.value, estimatedHours, tags, checklist, blockedBy,
+      customFields, storyPoints, sprint, milestone,
+      // No schedule is stored as an empty recurrence
+      recurrence: recurrence === undefined ? undefined : { frequency: recurrence?.frequency || null, ...recurrence }
+    });
+    if (conflicts) {
+      return res.status(409).json(conflictResponse('task', conflicts, await findTaskForResponse(task._id)));
+    }
+    
+    const before = TaskHistory.snapshot(task);
+    
+    // Board drag-and-drop: `position` names the cards the task now sits between
+    if (position) {
+      const rank = await rankFromNeighbors(task, position);
+      if (rank.error) {
+        return res.status(400).json({ error: rank.error });
+      }
+      task.rank = rank.value;
+    }
+    
+    if (recurrence !== undefined) {
+      const parsedRecurrence = parseRecurrence(recurrence);
+      if (parsedRecurrence.error) {
+        return res.status(400).json({ error: parsedRecurrence.error });
+      }
+      // A new schedule lets the job create the next occurrence again
+      if (recurrenceSchedule(parsedRecurrence.value) !== recurrenceSchedule(task.recurrence)) {
+        task.nextOccurrenceCreated = false;
+      }
+      task.recurrence = parsedRecurrence.value && {
+        ...parsedRecurrence.value,
+        occurrence: task.recurrence?.occurrence || 1
+      };
+    }
+    
+    // `sprint: null` moves the task back to the backlog
+    if (sprint !== undefined) {
+      const resolvedSprint = await resolveTaskSprint(task.project._id, sprint);
+      if (resolvedSprint.error) {
+        return res.status(400).json({ error: resolvedSprint.error });
+      }
+      task.sprint = resolvedSprint.value;
+    }
+    
+    if (milestone !== undefined) {
+      const resolvedMilestone = await resolveTaskMilestone(task.project._id, milestone);
+      if (resolvedMilestone.error) {
+        return res.status(400).json({ error: resolvedMilestone.error });
+      }
+      task.milestone = resolvedMilestone.value;
+    }
+    
+    if (storyPoints !== undefined) {
+      if (storyPoints !== null && storyPoints !== '' && !(Number(storyPoints) >= 0)) {
+        return res.status(400).json({ error: 'Story points must be zero or more' });
+      }
+      task.storyPoints = storyPoints === null || storyPoints === '' ? undefined : Number(storyPoints);
+    }
+    
+    if (customFields !== undefined) {
+      const parsedCustomFields = validateCustomFieldValues(task.project, customFields, task.customFields);
+      if (parsedCustomFields.error) {
+        return res.status(400).json({ error: parsedCustomFields.error });
+      }
+      task.customFields = parsedCustomFields.value;
+    }
+    
+    // Validate new dependency links before anything else changes
+    if (blockedBy !== undefined) {
+      const dependencyError = await validateBlockers(task, blockedBy);
+      if (dependencyError) {
+        return res.status(400).json({ error: dependencyError });
+      }
+      task.blockedBy = blockedBy;
+    }
+    
+    // Status changes must follow the project's workflow and blocked-by rules
+    const statusError = await validateStatusChange(task, status);
+    if (statusError) {
+      return res.status(400).json(statusError);
+    }
+    
+    // WIP limits of the column the task lands in; managers may override them
+    const canOverride = canOverrideWipLimit(task.project, req.user);
+    const wipError = await checkWipLimit(task, { status: status || task.status, assignees: parsedAssignees.value || task.assignees });
+    if (wipError && !(overrideWipLimit === true && canOverride)) {
+      return res.status(409).json({ ...wipError, canOverride });
+    }
+    const completed = isCompletion(task.project, task.status, status);
     
     // Track changes for activity log
     const changes = [];
     if (title && title !== task.title) changes.push(`title from "${task.title}" to "${title}"`);
     if (status && status !== task.status) changes.push(`status from "${task.status}" to "${status}"`);
     if (priority && priority !== task.priority) changes.push(`priority from "${task.priority}" to "${priority}"`);
+    if (wipError) changes.push(`WIP limit on "${wipError.wipLimit.status}" overridden`);
     
-    // Track if assignee is changing
-    const oldAssignee = task.assignedTo?.toString();
-    const newAssignee = assignedTo?.toString();
-    const assigneeChanged = newAssignee && oldAssignee !== newAssignee;
+    // People joining the task get their own notification
+    const newAssignees = parsedAssignees.value ? addedAssignees(task.assignees, parsedAssignees.value) : [];
     
     // Update fields
     if (title) task.title = title;
@@ -168,28 +696,33 @@ router.put('/:id', protect, async (req, res) => {
     if (status) task.status = status;
     if (priority) task.priority = priority;
     if (dueDate) task.dueDate = new Date(dueDate);
-    if (assignedTo) task.assignedTo = assignedTo;
-    
-    // Create notification for new assignee
-    if (assigneeChanged && newAssignee !== req.user.id.toString()) {
-      await Notification.create({
-        user: newAssignee,
-        type: 'taskStatus',
-        title: 'Task Reassigned to You',
-        message: `You have been assigned to "${task.title}" in project "${task.project.name}"`,
-        link: `/tasks`,
-        metadata: {
-          taskId: task._id,
-          projectId: task.project._id,
-          priority: task.priority
-        }
-      });
-    }
+    if (parsedAssignees.value) task.assignees = parsedAssignees.value;
+    newAssignees.forEach(userId => addWatcher(task, userId));
     if (estimatedHours !== undefined) task.estimatedHours = estimatedHours;
-    if (actualHours !== undefined) task.actualHours = actualHours;
-    if (tags) task.tags = tags;
+    if (tags) task.tags = await normalizeTags(task.project._id || task.project, tags);
+    if (Array.isArray(checklist)) task.checklist = checklist;
     
     const updatedTask = await task.save();
+    await Task.rollUpProgress(updatedTask._id);
+    await TaskHistory.recordChanges(before, updatedTask, req.user.id);
+    
+    if (completed) {
+      await handleTaskCompleted(updatedTask);
+    }
+    
+    // Only once the assignment is stored
+    await notifyAssigned(updatedTask, newAssignees, {
+      actorId: req.user.id,
+      projectName: task.project.name,
+      title: 'Task Assigned to You'
+    });
+    
+    // New assignees already got a direct notification
+    await notifyWatchersOfChanges(before, updatedTask, {
+      actorId: req.user.id,
+      actorName: req.user.name,
+      exclude: newAssignees
+    });
     
     // Add activity to project if there were changes
     if (changes.length > 0) {
@@ -199,19 +732,103 @@ router.put('/:id', protect, async (req, res) => {
     }
     
     // Populate and return
-    const populatedTask = await Task.findById(updatedTask._id)
-      .populate('project', 'name status')
-      .populate('assignedTo', 'name email')
-      .populate('comments.user', 'name');
-    
-    res.json(populatedTask);
+    res.json(await findTaskForResponse(updatedTask._id));
   } catch (error) {
+    // Someone else saved the task between the version check and this save
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json(conflictResponse('task', [], await findTaskForResponse(req.params.id)));
+    }
     console.error('Update task error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// @desc    Delete a task
+// Helper function to load a task (project populated) and the project it is moved or
+// cloned into, checking the caller's access to both
+const loadTaskForTransfer = async (req, res, action) => {
+  const task = await Task.findById(req.params.id).populate('project');
+  if (!task) {
+    res.status(404).json({ error: 'Task not found' });
+    return null;
+  }
+  if (!hasTaskAccess(task, req.user)) {
+    res.status(403).json({ error: `Not authorized to ${action} this task` });
+    return null;
+  }
+  
+  const targetId = req.body.project || task.project._id;
+  const targetProject = targetId.toString() === task.project._id.toString()
+    ? task.project
+    : await Project.findById(targetId);
+  if (!targetProject) {
+    res.status(400).json({ error: 'Target project not found' });
+    return null;
+  }
+  if (!canAddTasksTo(targetProject, req.user)) {
+    res.status(403).json({ error: `Not authorized to ${action} tasks into this project` });
+    return null;
+  }
+  return { task, targetProject };
+};
+
+// Helper function to send the result of a move or clone
+const sendTransferResult = async (res, result, status = 200) => {
+  if (result.error) {
+    const { status: errorStatus, ...body } = result;
+    return res.status(errorStatus).json(body);
+  }
+  const task = await Task.findById(result.task._id)
+    .populate('project', 'name status')
+    .populate('assignees.user', 'name email')
+    .populate('parentTask', 'title');
+  res.status(status).json({ task, droppedFields: result.droppedFields, unassigned: result.unassigned });
+};
+
+// @desc    Move a task and its subtasks to another project
+// @route   POST /api/tasks/:id/move
+// @access  Private
+router.post('/:id/move', protect, async (req, res) => {
+  try {
+    if (!req.body.project) {
+      return res.status(400).json({ error: 'Target project is required' });
+    }
+    const loaded = await loadTaskForTransfer(req, res, 'move');
+    if (!loaded) return;
+    
+    const { task, targetProject } = loaded;
+    const before = TaskHistory.snapshot(task);
+    const result = await moveTask(task, targetProject, req.user, { assigneeAction: req.body.assigneeAction });
+    if (!result.error) {
+      await notifyWatchersOfChanges(before, task, { actorId: req.user.id, actorName: req.user.name });
+    }
+    await sendTransferResult(res, result);
+  } catch (error) {
+    console.error('Move task error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Copy a task with its subtasks, checklist and attachments
+// @route   POST /api/tasks/:id/clone
+// @access  Private
+router.post('/:id/clone', protect, async (req, res) => {
+  try {
+    const loaded = await loadTaskForTransfer(req, res, 'clone');
+    if (!loaded) return;
+    
+    const { task, targetProject } = loaded;
+    const result = await cloneTask(task, targetProject, req.user, {
+      title: req.body.title,
+      assigneeAction: req.body.assigneeAction
+    });
+    await sendTransferResult(res, result, 201);
+  } catch (error) {
+    console.error('Clone task error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Move a task and its subtasks to the trash
 // @route   DELETE /api/tasks/:id
 // @access  Private
 router.delete('/:id', protect, async (req, res) => {
@@ -232,22 +849,146 @@ router.delete('/:id', protect, async (req, res) => {
     
     // Add activity to project
     const project = await Project.findById(task.project._id);
-    project.addActivity(req.user.id, 'Deleted task', `Deleted task "${task.title}"`);
+    project.addActivity(req.user.id, 'Deleted task', `Moved task "${task.title}" to the trash`);
     await project.save();
     
-    await Task.findByIdAndDelete(req.params.id);
+    await trashTask(task, req.user.id);
     
-    res.json({ message: 'Task deleted successfully' });
+    res.json({ message: 'Task moved to the trash' });
   } catch (error) {
     console.error('Delete task error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// @desc    Add comment to task
+// @desc    Get comments on a task
+// @route   GET /api/tasks/:id/comments
+// @access  Private
+router.get('/:id/comments', protect, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id)
+      .populate('project')
+      .populate(COMMENT_POPULATE);
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    if (!hasTaskAccess(task, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to view this task' });
+    }
+    
+    res.json(task.comments);
+  } catch (error) {
+    console.error('Get task comments error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Get users who can be @mentioned on a task
+// @route   GET /api/tasks/:id/mentionable
+// @access  Private
+router.get('/:id/mentionable', protect, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate('project');
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    if (!hasTaskAccess(task, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to view this task' });
+    }
+    
+    res.json(await getMentionCandidates(task.project));
+  } catch (error) {
+    console.error('Get mentionable users error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Helper function to load a task (project populated) for a comment action,
+// sending the error response and returning null when it isn't allowed
+const loadTaskForComment = async (req, res) => {
+  const task = await Task.findById(req.params.id).populate('project');
+  
+  if (!task) {
+    res.status(404).json({ error: 'Task not found' });
+    return null;
+  }
+  
+  if (!hasTaskAccess(task, req.user)) {
+    res.status(403).json({ error: 'Not authorized to comment on this task' });
+    return null;
+  }
+  
+  return task;
+};
+
+// Helper function to return one comment of a task with users populated
+const sendTaskComment = async (res, taskId, commentId, status = 200) => {
+  const task = await Task.findById(taskId).populate(COMMENT_POPULATE);
+  res.status(status).json(task.comments.id(commentId));
+};
+
+// @desc    Add comment (or reply) to task
 // @route   POST /api/tasks/:id/comments
 // @access  Private
 router.post('/:id/comments', protect, async (req, res) => {
+  try {
+    const { text, parentComment } = req.body;
+    
+    if (!text || text.trim().length === 0) {
+      return res.status(400).json({ error: 'Comment text is required' });
+    }
+    
+    const task = await loadTaskForComment(req, res);
+    if (!task) return;
+    
+    const mentions = parseMentions(text, await getMentionCandidates(task.project));
+    const result = addComment(task, { userId: req.user.id, text: text.trim(), mentions, parentComment });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    // Commenting follows the task
+    addWatcher(task, req.user.id);
+    await task.save();
+    
+    // Add activity to project
+    const project = await Project.findById(task.project._id);
+    project.addActivity(
+      req.user.id,
+      result.comment.parentComment ? 'Replied on task' : 'Commented on task',
+      `${result.comment.parentComment ? 'Replied to a comment on' : 'Added comment to'} task "${task.title}"`
+    );
+    await project.save();
+    
+    await notifyMentions(mentions, {
+      authorId: req.user.id,
+      authorName: req.user.name,
+      where: `a comment on "${task.title}"`,
+      link: `/tasks?task=${task._id}`,
+      metadata: { taskId: task._id, projectId: project._id, commentId: result.comment._id }
+    });
+    
+    // Mentioned users already got a mention notification
+    await notifyWatchers(task, 'comment', {
+      actorId: req.user.id,
+      exclude: mentions,
+      message: `${req.user.name} commented on "${task.title}"`
+    });
+    
+    await sendTaskComment(res, task._id, result.comment._id, 201);
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Edit a task comment
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @access  Private (comment author)
+router.put('/:id/comments/:commentId', protect, async (req, res) => {
   try {
     const { text } = req.body;
     
@@ -255,43 +996,499 @@ router.post('/:id/comments', protect, async (req, res) => {
       return res.status(400).json({ error: 'Comment text is required' });
     }
     
+    const task = await loadTaskForComment(req, res);
+    if (!task) return;
+    
+    const mentions = parseMentions(text, await getMentionCandidates(task.project));
+    const result = editComment(task, req.params.commentId, { userId: req.user.id, text: text.trim(), mentions });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await task.save();
+    
+    // Only people added by the edit hear about it
+    await notifyMentions(result.newMentions, {
+      authorId: req.user.id,
+      authorName: req.user.name,
+      where: `a comment on "${task.title}"`,
+      link: `/tasks?task=${task._id}`,
+      metadata: { taskId: task._id, projectId: task.project._id, commentId: result.comment._id }
+    });
+    
+    await sendTaskComment(res, task._id, result.comment._id);
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Delete a task comment (soft delete)
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @access  Private (comment author or project manager)
+router.delete('/:id/comments/:commentId', protect, async (req, res) => {
+  try {
+    const task = await loadTaskForComment(req, res);
+    if (!task) return;
+    
+    const result = deleteComment(task, req.params.commentId, { userId: req.user.id, managerId: task.project.manager });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await task.save();
+    
+    await sendTaskComment(res, task._id, result.comment._id);
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Toggle the user's emoji reaction on a task comment
+// @route   POST /api/tasks/:id/comments/:commentId/reactions
+// @access  Private
+router.post('/:id/comments/:commentId/reactions', protect, async (req, res) => {
+  try {
+    const task = await loadTaskForComment(req, res);
+    if (!task) return;
+    
+    const result = toggleReaction(task, req.params.commentId, { userId: req.user.id, emoji: req.body.emoji });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await task.save();
+    
+    await sendTaskComment(res, task._id, result.comment._id);
+  } catch (error) {
+    console.error('Comment reaction error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Helper function to load a task the user can access and set whether they watch it
+const setWatching = async (req, res, watching) => {
+  const task = await Task.findById(req.params.id).populate('project');
+  
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  
+  if (!hasTaskAccess(task, req.user)) {
+    return res.status(403).json({ error: 'Not authorized to view this task' });
+  }
+  
+  const changed = watching ? addWatcher(task, req.user.id) : removeWatcher(task, req.user.id);
+  if (changed) {
+    await task.save();
+  }
+  
+  await task.populate('watchers', 'name email');
+  res.json({ watching, watchers: task.watchers });
+};
+
+// @desc    Follow a task
+// @route   POST /api/tasks/:id/watch
+// @access  Private
+router.post('/:id/watch', protect, async (req, res) => {
+  try {
+    await setWatching(req, res, true);
+  } catch (error) {
+    console.error('Watch task error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Unfollow a task
+// @route   DELETE /api/tasks/:id/watch
+// @access  Private
+router.delete('/:id/watch', protect, async (req, res) => {
+  try {
+    await setWatching(req, res, false);
+  } catch (error) {
+    console.error('Unwatch task error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Get field-level change history of a task
+// @route   GET /api/tasks/:id/history
+// @access  Private
+router.get('/:id/history', protect, async (req, res) => {
+  try {
     const task = await Task.findById(req.params.id).populate('project');
     
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
     
-    // Check if user has access to comment on this task
-    const hasAccess = req.user.role === 'manager' || 
+    if (!hasTaskAccess(task, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to view this task' });
+    }
+    
+    const history = await TaskHistory.find({ task: task._id })
+      .populate('user', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+    
+    // Resolve assignee ids to names for display. `assignees` entries hold
+    // "userId:role" pairs; older `assignedTo` entries a single user id.
+    const assigneeFields = ['assignees', 'assignedTo'];
+    const parsePairs = (value) => (value ? value.split(',').map(pair => pair.split(':')) : []);
+    const userIds = new Set();
+    history.filter(entry => assigneeFields.includes(entry.field)).forEach(entry => {
+      [entry.from, entry.to].forEach(value => parsePairs(value).forEach(([userId]) => userIds.add(userId)));
+    });
+    const users = await User.find({ _id: { $in: [...userIds] } }).select('name').lean();
+    const names = Object.fromEntries(users.map(u => [u._id.toString(), u.name]));
+    const label = (value) => value
+      ? parsePairs(value).map(([userId, role]) => `${names[userId] || 'unknown user'}${role ? ` (${role})` : ''}`).join(', ')
+      : null;
+    
+    res.json(history.map(entry => assigneeFields.includes(entry.field)
+      ? { ...entry, fromLabel: label(entry.from), toLabel: label(entry.to) }
+      : entry
+    ));
+  } catch (error) {
+    console.error('Get task history error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Upload a file to a task
+// @route   POST /api/tasks/:id/attachments
+// @access  Private
+router.post('/:id/attachments', protect, uploadSingle('file'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate('project');
+    
+    if (!task) {
+      await removeStoredFile(req.file.filename);
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    if (!hasTaskAccess(task, req.user)) {
+      await removeStoredFile(req.file.filename);
+      return res.status(403).json({ error: 'Not authorized to upload files to this task' });
+    }
+    
+    task.attachments.push({
+      name: req.file.originalname,
+      url: req.file.filename,
+      size: req.file.size,
+      mimeType: req.file.mimetype,
+      uploadedBy: req.user.id,
+      uploadedAt: new Date()
+    });
+    await task.save();
+    
+    task.project.addActivity(req.user.id, 'Uploaded file', `Uploaded "${req.file.originalname}" to task "${task.title}"`);
+    await task.project.save();
+    
+    const updatedTask = await Task.findById(task._id).populate('attachments.uploadedBy', 'name');
+    res.status(201).json(updatedTask.attachments);
+  } catch (error) {
+    console.error('Upload task attachment error:', error);
+    await removeStoredFile(req.file.filename);
+    res.status(500).json({ error: 'Server error while uploading file' });
+  }
+});
+
+// @desc    Download a task attachment
+// @route   GET /api/tasks/:id/attachments/:attachmentId
+// @access  Private
+router.get('/:id/attachments/:attachmentId', protect, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate('project');
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    if (!hasTaskAccess(task, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to view this task' });
+    }
+    
+    const attachment = task.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    
+    sendStoredFile(res, attachment);
+  } catch (error) {
+    console.error('Download task attachment error:', error);
+    res.status(500).json({ error: 'Server error while downloading file' });
+  }
+});
+
+// @desc    Delete a task attachment
+// @route   DELETE /api/tasks/:id/attachments/:attachmentId
+// @access  Private (uploader or project manager)
+router.delete('/:id/attachments/:attachmentId', protect, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate('project');
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    const attachment = task.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    
+    const canDelete = req.user.role === 'manager' ||
                       task.project.manager.toString() === req.user.id ||
-                      task.assignedTo?.toString() === req.user.id ||
-                      task.project.members.some(member => member.user.toString() === req.user.id);
+                      attachment.uploadedBy?.toString() === req.user.id;
     
-    if (!hasAccess) {
-      return res.status(403).json({ error: 'Not authorized to comment on this task' });
+    if (!canDelete) {
+      return res.status(403).json({ error: 'Not authorized to delete this attachment' });
+    }
+    
+    attachment.deleteOne();
+    await task.save();
+    await removeStoredFile(attachment.url);
+    
+    task.project.addActivity(req.user.id, 'Deleted file', `Deleted "${attachment.name}" from task "${task.title}"`);
+    await task.project.save();
+    
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Delete task attachment error:', error);
+    res.status(500).json({ error: 'Server error while deleting file' });
+  }
+});
+
+// @desc    Get subtasks of a task
+// @route   GET /api/tasks/:id/subtasks
+// @access  Private
+router.get('/:id/subtasks', protect, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate('project');
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
     }
     
-    const comment = {
-      user: req.user.id,
-      text: text.trim(),
-      createdAt: new Date()
-    };
+    if (!hasTaskAccess(task, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to view this task' });
+    }
+    
+    const subtasks = await Task.find({ parentTask: task._id })
+      .populate('assignees.user', 'name email')
+      .sort({ createdAt: 1 });
     
-    task.comments.unshift(comment);
+    res.json(subtasks);
+  } catch (error) {
+    console.error('Get subtasks error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Add checklist item to task
+// @route   POST /api/tasks/:id/checklist
+// @access  Private
+router.post('/:id/checklist', protect, async (req, res) => {
+  try {
+    const { text } = req.body;
+    
+    if (!text || text.trim().length === 0) {
+      return res.status(400).json({ error: 'Checklist item text is required' });
+    }
+    
+    const task = await Task.findById(req.params.id).populate('project');
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    if (!hasTaskAccess(task, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to update this task' });
+    }
+    
+    task.checklist.push({ text: text.trim() });
     await task.save();
+    await Task.rollUpProgress(task._id);
     
-    // Add activity to project
+    const updatedTask = await Task.findById(task._id)
+      .populate('project', 'name status')
+      .populate('assignees.user', 'name email')
+      .populate('parentTask', 'title');
+    
+    res.status(201).json(updatedTask);
+  } catch (error) {
+    console.error('Add checklist item error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Update (rename or tick) a checklist item
+// @route   PUT /api/tasks/:id/checklist/:itemId
+// @access  Private
+router.put('/:id/checklist/:itemId', protect, async (req, res) => {
+  try {
+    const { text, done } = req.body;
+    
+    const task = await Task.findById(req.params.id).populate('project');
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    if (!hasTaskAccess(task, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to update this task' });
+    }
+    
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+    
+    if (text !== undefined) {
+      if (text.trim().length === 0) {
+        return res.status(400).json({ error: 'Checklist item text is required' });
+      }
+      item.text = text.trim();
+    }
+    
+    if (done !== undefined && Boolean(done) !== item.done) {
+      item.done = Boolean(done);
+      item.completedBy = item.done ? req.user.id : undefined;
+      item.completedAt = item.done ? new Date() : undefined;
+    }
+    
+    await task.save();
+    await Task.rollUpProgress(task._id);
+    
+    const updatedTask = await Task.findById(task._id)
+      .populate('project', 'name status')
+      .populate('assignees.user', 'name email')
+      .populate('parentTask', 'title');
+    
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Update checklist item error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Remove checklist item from task
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @access  Private
+router.delete('/:id/checklist/:itemId', protect, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate('project');
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    if (!hasTaskAccess(task, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to update this task' });
+    }
+    
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+    
+    item.deleteOne();
+    await task.save();
+    await Task.rollUpProgress(task._id);
+    
+    const updatedTask = await Task.findById(task._id)
+      .populate('project', 'name status')
+      .populate('assignees.user', 'name email')
+      .populate('parentTask', 'title');
+    
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Delete checklist item error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Add a "blocked by" dependency to a task
+// @route   POST /api/tasks/:id/dependencies
+// @access  Private
+router.post('/:id/dependencies', protect, async (req, res) => {
+  try {
+    const { blockerId } = req.body;
+    
+    if (!blockerId) {
+      return res.status(400).json({ error: 'Blocking task ID is required' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(blockerId)) {
+      return res.status(400).json({ error: 'Invalid blocking task ID' });
+    }
+    
+    const task = await Task.findById(req.params.id).populate('project');
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    if (!hasTaskAccess(task, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to update this task' });
+    }
+    
+    if (task.blockedBy.some(id => id.toString() === blockerId.toString())) {
+      return res.status(400).json({ error: 'This dependency already exists' });
+    }
+    
+    const dependencyError = await validateBlockers(task, [blockerId]);
+    if (dependencyError) {
+      return res.status(400).json({ error: dependencyError });
+    }
+    
+    task.blockedBy.push(blockerId);
+    await task.save();
+    
+    const blocker = await Task.findById(blockerId).select('title');
     const project = await Project.findById(task.project._id);
-    project.addActivity(req.user.id, 'Commented on task', `Added comment to task "${task.title}"`);
+    project.addActivity(req.user.id, 'Added dependency', `"${task.title}" is now blocked by "${blocker.title}"`);
     await project.save();
     
-    // Return the task with populated comments
     const updatedTask = await Task.findById(task._id)
-      .populate('comments.user', 'name email');
+      .populate('project', 'name status')
+      .populate('assignees.user', 'name email')
+      .populate('blockedBy', 'title status');
     
-    res.json(updatedTask.comments[0]);
+    res.status(201).json(updatedTask);
   } catch (error) {
-    console.error('Add comment error:', error);
+    console.error('Add dependency error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Remove a "blocked by" dependency from a task
+// @route   DELETE /api/tasks/:id/dependencies/:blockerId
+// @access  Private
+router.delete('/:id/dependencies/:blockerId', protect, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate('project');
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    if (!hasTaskAccess(task, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to update this task' });
+    }
+    
+    if (!task.blockedBy.some(id => id.toString() === req.params.blockerId)) {
+      return res.status(404).json({ error: 'Dependency not found' });
+    }
+    
+    task.blockedBy = task.blockedBy.filter(id => id.toString() !== req.params.blockerId);
+    await task.save();
+    
+    const updatedTask = await Task.findById(task._id)
+      .populate('project', 'name status')
+      .populate('assignees.user', 'name email')
+      .populate('blockedBy', 'title status');
+    
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Remove dependency error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -0,0 +1,239 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import TimeEntry from '../models/TimeEntry.js';
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+import { hasTaskAccess } from '../utils/taskAccess.js';
+
+const router = express.Router();
+
+const ENTRY_POPULATE = [
+  { path: 'user', select: 'name email' },
+  { path: 'task', select: 'title status' }
+];
+
+// Helper function to load a task the user can log time against
+const loadTaskForEntry = async (taskId, user, res) => {
+  const task = taskId ? await Task.findById(taskId).populate('project') : null;
+  if (!task) {
+    res.status(404).json({ error: 'Task not found' });
+    return null;
+  }
+  if (!hasTaskAccess(task, user)) {
+    res.status(403).json({ error: 'Not authorized to log time on this task' });
+    return null;
+  }
+  return task;
+};
+
+// Helper function to load an entry that the user owns or manages (as project manager)
+const loadEntryForChange = async (req, res) => {
+  const entry = await TimeEntry.findById(req.params.id);
+  if (!entry) {
+    res.status(404).json({ error: 'Time entry not found' });
+    return null;
+  }
+  if (entry.user.toString() !== req.user.id) {
+    const project = await Project.findById(entry.project).select('manager');
+    if (project?.manager.toString() !== req.user.id) {
+      res.status(403).json({ error: 'Not authorized to change this time entry' });
+      return null;
+    }
+  }
+  return entry;
+};
+
+// Helper function to send validation errors as 400s
+const sendEntryError = (res, error, label) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @desc    List time entries (a task's entries, own entries, or entries on projects the user manages)
+// @route   GET /api/time-entries?task=&user=&from=&to=
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { task, user, from, to } = req.query;
+    const query = {};
+
+    if (task) {
+      // Everyone working on a task can see all time logged against it
+      const taskDoc = await loadTaskForEntry(task, req.user, res);
+      if (!taskDoc) return;
+      query.task = taskDoc._id;
+      if (user) query.user = user;
+    } else if (req.user.role === 'manager') {
+      const managed = await Project.find({ manager: req.user.id }).select('_id');
+      query.$or = [{ user: req.user.id }, { project: { $in: managed.map(p => p._id) } }];
+      if (user) query.user = user;
+    } else {
+      query.user = req.user.id;
+    }
+    if (from || to) {
+      query.start = {};
+      if (from) query.start.$gte = new Date(from);
+      if (to) query.start.$lte = new Date(to);
+    }
+
+    const entries = await TimeEntry.find(query)
+      .populate(ENTRY_POPULATE)
+      .sort({ start: -1 })
+      .limit(500);
+
+    const totalMinutes = entries.reduce((sum, entry) => sum + (entry.end ? entry.duration : 0), 0);
+    res.json({ entries, totalMinutes });
+  } catch (error) {
+    sendEntryError(res, error, 'Get time entries');
+  }
+});
+
+// @desc    Get the user's running timer (null when none)
+// @route   GET /api/time-entries/running
+// @access  Private
+router.get('/running', protect, async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ user: req.user.id, end: null }).populate(ENTRY_POPULATE);
+    res.json(entry);
+  } catch (error) {
+    console.error('Get running timer error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Start a timer on a task
+// @route   POST /api/time-entries/start
+// @access  Private
+router.post('/start', protect, async (req, res) => {
+  try {
+    const { taskId, note, billable } = req.body;
+
+    const running = await TimeEntry.findOne({ user: req.user.id, end: null }).populate(ENTRY_POPULATE);
+    if (running) {
+      return res.status(409).json({ error: 'Stop your running timer before starting another', running });
+    }
+
+    const task = await loadTaskForEntry(taskId, req.user, res);
+    if (!task) return;
+
+    const entry = await TimeEntry.create({
+      user: req.user.id,
+      task: task._id,
+      project: task.project._id,
+      start: new Date(),
+      note,
+      billable: Boolean(billable)
+    });
+
+    await entry.populate(ENTRY_POPULATE);
+    res.status(201).json(entry);
+  } catch (error) {
+    // Lost a race with another start request
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Stop your running timer before starting another' });
+    }
+    sendEntryError(res, error, 'Start timer');
+  }
+});
+
+// @desc    Stop the user's running timer
+// @route   POST /api/time-entries/stop
+// @access  Private
+router.post('/stop', protect, async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ user: req.user.id, end: null });
+    if (!entry) {
+      return res.status(404).json({ error: 'No timer is running' });
+    }
+
+    entry.end = new Date();
+    if (req.body.note !== undefined) entry.note = req.body.note;
+    await entry.save();
+    await TimeEntry.syncTaskHours(entry.task, req.user.id);
+
+    await entry.populate(ENTRY_POPULATE);
+    res.json(entry);
+  } catch (error) {
+    sendEntryError(res, error, 'Stop timer');
+  }
+});
+
+// @desc    Log time manually (start plus end or hours)
+// @route   POST /api/time-entries
+// @access  Private
+router.post('/', protect, async (req, res) => {
+  try {
+    const { taskId, start, end, hours, note, billable } = req.body;
+
+    if (!start || (!end && !(hours > 0))) {
+      return res.status(400).json({ error: 'Start and either end or hours are required' });
+    }
+
+    const task = await loadTaskForEntry(taskId, req.user, res);
+    if (!task) return;
+
+    const startDate = new Date(start);
+    const entry = await TimeEntry.create({
+      user: req.user.id,
+      task: task._id,
+      project: task.project._id,
+      start: startDate,
+      end: end ? new Date(end) : new Date(startDate.getTime() + parseFloat(hours) * 60 * 60 * 1000),
+      note,
+      billable: Boolean(billable)
+    });
+    await TimeEntry.syncTaskHours(task._id, req.user.id);
+
+    await entry.populate(ENTRY_POPULATE);
+    res.status(201).json(entry);
+  } catch (error) {
+    sendEntryError(res, error, 'Create time entry');
+  }
+});
+
+// @desc    Edit a time entry
+// @route   PUT /api/time-entries/:id
+// @access  Private (entry owner or project manager)
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const entry = await loadEntryForChange(req, res);
+    if (!entry) return;
+
+    const { start, end, note, billable } = req.body;
+    if (start) entry.start = new Date(start);
+    // A running timer is stopped through /stop, not by setting an end
+    if (end && entry.end) entry.end = new Date(end);
+    if (note !== undefined) entry.note = note;
+    if (billable !== undefined) entry.billable = Boolean(billable);
+
+    await entry.save();
+    await TimeEntry.syncTaskHours(entry.task, req.user.id);
+
+    await entry.populate(ENTRY_POPULATE);
+    res.json(entry);
+  } catch (error) {
+    sendEntryError(res, error, 'Update time entry');
+  }
+});
+
+// @desc    Delete a time entry
+// @route   DELETE /api/time-entries/:id
+// @access  Private (entry owner or project manager)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const entry = await loadEntryForChange(req, res);
+    if (!entry) return;
+
+    await entry.deleteOne();
+    await TimeEntry.syncTaskHours(entry.task, req.user.id);
+
+    res.json({ message: 'Time entry deleted successfully' });
+  } catch (error) {
+    sendEntryError(res, error, 'Delete time entry');
+  }
+});
+
+export default router;
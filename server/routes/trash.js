@@ -0,0 +1,183 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+import {
+  TRASH_RETENTION_DAYS, purgeDate, findIncludingTrash,
+  restoreTask, restoreProject, purgeTasks, purgeProject
+} from '../utils/trash.js';
+
+const router = express.Router();
+
+// Helper function to check whether a user can see and empty a project's trash
+const canManageProject = (project, user) =>
+  user.role === 'manager' || project.manager.toString() === user.id;
+
+// Helper function to describe when and by whom an item was trashed
+const trashInfo = (item) => ({
+  deletedAt: item.deletedAt,
+  deletedBy: item.deletedBy,
+  purgeAt: purgeDate(item.deletedAt)
+});
+
+// Helper function to shape a trashed task for the listing
+const toTrashedTask = (task, projectNames) => ({
+  _id: task._id,
+  title: task.title,
+  status: task.status,
+  project: task.project,
+  projectName: projectNames?.get(task.project.toString()),
+  ...trashInfo(task)
+});
+
+// Helper function to shape a trashed project for the listing
+const toTrashedProject = (project) => ({
+  _id: project._id,
+  name: project.name,
+  ...trashInfo(project)
+});
+
+// Helper function to load a trashed item and the project it belongs to,
+// checking that the user manages that project
+const loadTrashedForChange = async (req, res, Model) => {
+  const item = await Model.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+  if (!item) {
+    res.status(404).json({ error: 'Item not found in the trash' });
+    return null;
+  }
+  const project = Model === Project ? item : await findIncludingTrash(Project, item.project);
+  if (!project || !canManageProject(project, req.user)) {
+    res.status(403).json({ error: 'Not authorized to manage this project\'s trash' });
+    return null;
+  }
+  return { item, project };
+};
+
+// @desc    List the trash: a project's deleted tasks, or with no project the
+//          deleted projects and tasks of every project the user manages
+// @route   GET /api/trash?project=
+// @access  Private (manager or project manager)
+router.get('/', protect, async (req, res) => {
+  try {
+    const { project: projectId } = req.query;
+
+    if (projectId) {
+      const project = await findIncludingTrash(Project, projectId);
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      if (!canManageProject(project, req.user)) {
+        return res.status(403).json({ error: 'Not authorized to view this project\'s trash' });
+      }
+      const tasks = await Task.find({ project: project._id, deletedAt: { $ne: null }, deletedWith: null })
+        .populate('deletedBy', 'name')
+        .sort({ deletedAt: -1 });
+      return res.json({ retentionDays: TRASH_RETENTION_DAYS, projects: [], tasks: tasks.map(task => toTrashedTask(task)) });
+    }
+
+    const managed = req.user.role === 'manager' ? {} : { manager: req.user.id };
+    const projects = await Project.find({ ...managed, deletedAt: { $ne: null } })
+      .populate('deletedBy', 'name')
+      .sort({ deletedAt: -1 });
+    const activeProjects = await Project.find(managed).select('name');
+    const projectNames = new Map(activeProjects.map(project => [project._id.toString(), project.name]));
+    const tasks = await Task.find({ project: { $in: activeProjects.map(p => p._id) }, deletedAt: { $ne: null }, deletedWith: null })
+      .populate('deletedBy', 'name')
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      projects: projects.map(toTrashedProject),
+      tasks: tasks.map(task => toTrashedTask(task, projectNames))
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Restore a deleted task with its subtasks
+// @route   POST /api/trash/tasks/:id/restore
+// @access  Private (manager or project manager)
+router.post('/tasks/:id/restore', protect, async (req, res) => {
+  try {
+    const loaded = await loadTrashedForChange(req, res, Task);
+    if (!loaded) return;
+    const { item: task, project } = loaded;
+
+    const restoreError = await restoreTask(task);
+    if (restoreError) {
+      return res.status(restoreError.status).json({ error: restoreError.error });
+    }
+
+    project.addActivity(req.user.id, 'Restored task', `Restored task "${task.title}" from the trash`);
+    await project.save();
+
+    res.json({ message: 'Task restored successfully' });
+  } catch (error) {
+    console.error('Restore task error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Restore a deleted project with its tasks and reports
+// @route   POST /api/trash/projects/:id/restore
+// @access  Private (manager or project manager)
+router.post('/projects/:id/restore', protect, async (req, res) => {
+  try {
+    const loaded = await loadTrashedForChange(req, res, Project);
+    if (!loaded) return;
+    const { project } = loaded;
+
+    await restoreProject(project);
+
+    const restored = await Project.findById(project._id);
+    restored.addActivity(req.user.id, 'Restored project', `Restored project "${project.name}" from the trash`);
+    await restored.save();
+
+    res.json({ message: 'Project restored successfully' });
+  } catch (error) {
+    console.error('Restore project error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Permanently delete a task in the trash
+// @route   DELETE /api/trash/tasks/:id
+// @access  Private (manager or project manager)
+router.delete('/tasks/:id', protect, async (req, res) => {
+  try {
+    const loaded = await loadTrashedForChange(req, res, Task);
+    if (!loaded) return;
+    const { item: task } = loaded;
+    if (task.deletedWith) {
+      return res.status(400).json({ error: 'This task went to the trash with its project or parent task; delete that instead' });
+    }
+
+    await purgeTasks({ _id: task._id });
+
+    res.json({ message: 'Task permanently deleted' });
+  } catch (error) {
+    console.error('Purge task error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @desc    Permanently delete a project in the trash with everything in it
+// @route   DELETE /api/trash/projects/:id
+// @access  Private (manager or project manager)
+router.delete('/projects/:id', protect, async (req, res) => {
+  try {
+    const loaded = await loadTrashedForChange(req, res, Project);
+    if (!loaded) return;
+
+    await purgeProject(loaded.project._id);
+
+    res.json({ message: 'Project permanently deleted' });
+  } catch (error) {
+    console.error('Purge project error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,180 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import SavedView from '../models/SavedView.js';
+import Project from '../models/Project.js';
+
+const router = express.Router();
+
+const FILTER_KEYS = ['q', 'assignee', 'assigneeRole', 'tag', 'dueFrom', 'dueTo', 'overdue', 'project', 'status', 'priority', 'sprint', 'milestone', 'custom'];
+
+// Helper function to check whether a user belongs to a project
+const isProjectMember = (project, user) =>
+  project.manager.toString() === user.id ||
+  project.members.some(member => member.user.toString() === user.id);
+
+// Helper function to pick the view fields that may be set from a request body
+const pickViewFields = (body) => {
+  const fields = {};
+  if (body.name !== undefined) fields.name = body.name;
+  if (body.filters) {
+    fields.filters = {};
+    FILTER_KEYS.forEach(key => {
+      if (body.filters[key] !== undefined && body.filters[key] !== '') fields.filters[key] = body.filters[key];
+    });
+    // Custom field filters keep only well-formed field keys with a value
+    if (fields.filters.custom !== undefined) {
+      const custom = typeof fields.filters.custom === 'object' ? fields.filters.custom : {};
+      fields.filters.custom = Object.fromEntries(Object.entries(custom)
+        .filter(([key, value]) => /^[a-z][a-z0-9_]*$/.test(key) && value !== '' && value !== null)
+        .map(([key, value]) => [key, String(value)]));
+    }
+  }
+  if (body.sort) fields.sort = { field: body.sort.field, order: body.sort.order };
+  if (body.groupBy !== undefined) fields.groupBy = body.groupBy;
+  if (Array.isArray(body.visibleColumns)) fields.visibleColumns = body.visibleColumns.map(String);
+  return fields;
+};
+
+// Helper function to validate the project a view is shared with.
+// Returns null when valid, otherwise an error message.
+const validateSharedProject = async (projectId, user) => {
+  if (!projectId) return null;
+  const project = await Project.findById(projectId);
+  if (!project) return 'Project not found';
+  if (!isProjectMember(project, user)) return 'You can only share views with your own projects';
+  return null;
+};
+
+// Helper function to check whether a user can edit or delete a view
+const canManageView = async (view, user) => {
+  if (view.owner.toString() === user.id) return true;
+  if (!view.project) return false;
+  const project = await Project.findById(view.project);
+  return Boolean(project) && project.manager.toString() === user.id;
+};
+
+// @desc    Get the user's personal views and views shared with their projects
+// @route   GET /api/views
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const projects = await Project.find({
+      $or: [{ manager: req.user.id }, { 'members.user': req.user.id }]
+    }).select('_id');
+    
+    const views = await SavedView.find({
+      $or: [
+        { owner: req.user.id },
+        { project: { $in: projects.map(p => p._id) } }
+      ]
+    })
+      .populate('owner', 'name')
+      .populate('project', 'name')
+      .sort({ name: 1 });
+    
+    res.json(views);
+  } catch (error) {
+    console.error('Get views error:', error);
+    res.status(500).json({ error: 'Server error while fetching views' });
+  }
+});
+
+// @desc    Save a task board view
+// @route   POST /api/views
+// @access  Private
+router.post('/', protect, async (req, res) => {
+  try {
+    const fields = pickViewFields(req.body);
+    if (!fields.name || !fields.name.trim()) {
+      return res.status(400).json({ error: 'View name is required' });
+    }
+    
+    const projectError = await validateSharedProject(req.body.project, req.user);
+    if (projectError) {
+      return res.status(400).json({ error: projectError });
+    }
+    
+    const view = await SavedView.create({
+      ...fields,
+      owner: req.user.id,
+      project: req.body.project || null
+    });
+    
+    const populatedView = await SavedView.findById(view._id)
+      .populate('owner', 'name')
+      .populate('project', 'name');
+    
+    res.status(201).json(populatedView);
+  } catch (error) {
+    console.error('Create view error:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ error: messages.join(', ') });
+    }
+    res.status(500).json({ error: 'Server error while saving view' });
+  }
+});
+
+// @desc    Update a saved view
+// @route   PUT /api/views/:id
+// @access  Private (view owner or manager of the shared project)
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const view = await SavedView.findById(req.params.id);
+    if (!view) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+    
+    if (!(await canManageView(view, req.user))) {
+      return res.status(403).json({ error: 'Not authorized to update this view' });
+    }
+    
+    if (req.body.project !== undefined) {
+      const projectError = await validateSharedProject(req.body.project, req.user);
+      if (projectError) {
+        return res.status(400).json({ error: projectError });
+      }
+      view.project = req.body.project || null;
+    }
+    
+    Object.assign(view, pickViewFields(req.body));
+    await view.save();
+    
+    const populatedView = await SavedView.findById(view._id)
+      .populate('owner', 'name')
+      .populate('project', 'name');
+    
+    res.json(populatedView);
+  } catch (error) {
+    console.error('Update view error:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ error: messages.join(', ') });
+    }
+    res.status(500).json({ error: 'Server error while updating view' });
+  }
+});
+
+// @desc    Delete a saved view
+// @route   DELETE /api/views/:id
+// @access  Private (view owner or manager of the shared project)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const view = await SavedView.findById(req.params.id);
+    if (!view) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+    
+    if (!(await canManageView(view, req.user))) {
+      return res.status(403).json({ error: 'Not authorized to delete this view' });
+    }
+    
+    await view.deleteOne();
+    res.json({ message: 'View deleted successfully' });
+  } catch (error) {
+    console.error('Delete view error:', error);
+    res.status(500).json({ error: 'Server error while deleting view' });
+  }
+});
+
+export default router;
@@ -718,7 +718,7 @@ const seedDatabase = async () => {
         const task = await Task.create({
           ...taskData,
           project: project._id,
-          assignedTo: assignedEmployee,
+          assignees: [{ user: assignedEmployee, role: 'owner' }],
           comments: taskData.status === 'Done' ? [{
             user: assignedEmployee,
             text: 'Task completed successfully! All requirements met.',
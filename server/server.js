@@ -28,8 +28,20 @@ import securityRoutes from './routes/security.js';
 import twoFARoutes from './routes/2fa.js';
 import statusRequestRoutes from './routes/statusRequests.js';
 import taskReportRoutes from './routes/taskReports.js';
+import taskTemplateRoutes from './routes/taskTemplates.js';
+import searchRoutes from './routes/search.js';
+import viewRoutes from './routes/views.js';
+import timeEntryRoutes from './routes/timeEntries.js';
+import tagRoutes from './routes/tags.js';
+import sprintRoutes from './routes/sprints.js';
+import milestoneRoutes from './routes/milestones.js';
+import trashRoutes from './routes/trash.js';
 import messageRoutes from './routes/messages.js';
 import directMessageRoutes from './routes/directMessages.js';
+import { runRecurringTasks } from './jobs/recurrence.js';
+import { runMilestoneReminders } from './jobs/reminders.js';
+import { runTrashPurge } from './jobs/trash.js';
+import Task from './models/Task.js';
 
 
 const app = express();
@@ -65,9 +77,31 @@ app.use(cors({
 
 
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log("✅ MongoDB Connected"))
+  .then(() => {
+    console.log("✅ MongoDB Connected");
+    // Tasks created before board ordering need a rank
+    Task.backfillRanks().catch((err) => console.error('Task rank backfill error:', err));
+    // Tasks from before multiple assignees need their assignee list
+    Task.backfillAssignees().catch((err) => console.error('Task assignee backfill error:', err));
+  })
   .catch((err) => console.error("❌ DB Error", err));
 
+// --- Scheduled Jobs ---
+const recurrenceIntervalMinutes = parseInt(process.env.RECURRENCE_JOB_INTERVAL_MINUTES || '15', 10);
+setInterval(() => {
+  runRecurringTasks().catch((err) => console.error('Recurring tasks job error:', err));
+}, recurrenceIntervalMinutes * 60 * 1000);
+
+const milestoneReminderIntervalMinutes = parseInt(process.env.MILESTONE_REMINDER_INTERVAL_MINUTES || '60', 10);
+setInterval(() => {
+  runMilestoneReminders().catch((err) => console.error('Milestone reminders job error:', err));
+}, milestoneReminderIntervalMinutes * 60 * 1000);
+
+const trashPurgeIntervalMinutes = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES || '360', 10);
+setInterval(() => {
+  runTrashPurge().catch((err) => console.error('Trash purge job error:', err));
+}, trashPurgeIntervalMinutes * 60 * 1000);
+
 // --- Socket.io Project Chat ---
 io.on("connection", (socket) => {
   socket.on("joinProject", (projectId) => {
@@ -101,6 +135,14 @@ app.use('/api/security', securityRoutes);
 app.use('/api/2fa', twoFARoutes);
 app.use('/api/status-requests', statusRequestRoutes);
 app.use('/api/task-reports', taskReportRoutes);
+app.use('/api/task-templates', taskTemplateRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/time-entries', timeEntryRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/sprints', sprintRoutes);
+app.use('/api/milestones', milestoneRoutes);
+app.use('/api/trash', trashRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/direct-messages', directMessageRoutes);
 
@@ -0,0 +1,92 @@
+import { COMMENT_REACTIONS } from '../models/Comment.js';
+
+// Paths to populate when returning comments
+export const COMMENT_POPULATE = [
+  { path: 'comments.user', select: 'name email' },
+  { path: 'comments.mentions', select: 'name' }
+];
+
+// Shared comment operations for tasks and projects. Each works on the
+// document's embedded `comments` array and leaves saving to the caller.
+// They return { comment } or { status, error }.
+
+export function addComment(doc, { userId, text, mentions, parentComment }) {
+  if (parentComment) {
+    const parent = doc.comments.id(parentComment);
+    if (!parent || parent.deletedAt) {
+      return { status: 404, error: 'Comment to reply to not found' };
+    }
+    // One level of threading: replies to a reply join the same thread
+    parentComment = parent.parentComment || parent._id;
+  }
+
+  doc.comments.unshift({
+    user: userId,
+    text,
+    mentions,
+    parentComment: parentComment || null,
+    createdAt: new Date()
+  });
+  return { comment: doc.comments[0] };
+}
+
+export function editComment(doc, commentId, { userId, text, mentions }) {
+  const comment = doc.comments.id(commentId);
+  if (!comment || comment.deletedAt) {
+    return { status: 404, error: 'Comment not found' };
+  }
+  if (comment.user.toString() !== userId) {
+    return { status: 403, error: 'Only the author can edit this comment' };
+  }
+
+  const previousMentions = comment.mentions.map(id => id.toString());
+  comment.editHistory.push({ text: comment.text, editedAt: new Date() });
+  comment.text = text;
+  comment.mentions = mentions;
+  comment.editedAt = new Date();
+
+  return {
+    comment,
+    newMentions: mentions.filter(id => !previousMentions.includes(id.toString()))
+  };
+}
+
+export function deleteComment(doc, commentId, { userId, managerId }) {
+  const comment = doc.comments.id(commentId);
+  if (!comment || comment.deletedAt) {
+    return { status: 404, error: 'Comment not found' };
+  }
+  if (comment.user.toString() !== userId && managerId?.toString() !== userId) {
+    return { status: 403, error: 'Only the author or the project manager can delete this comment' };
+  }
+
+  comment.deletedAt = new Date();
+  comment.deletedBy = userId;
+  return { comment };
+}
+
+// Add the user's reaction, or remove it if they already reacted with that emoji
+export function toggleReaction(doc, commentId, { userId, emoji }) {
+  if (!COMMENT_REACTIONS.includes(emoji)) {
+    return { status: 400, error: `Reaction must be one of ${COMMENT_REACTIONS.join(' ')}` };
+  }
+  const comment = doc.comments.id(commentId);
+  if (!comment || comment.deletedAt) {
+    return { status: 404, error: 'Comment not found' };
+  }
+
+  let reaction = comment.reactions.find(r => r.emoji === emoji);
+  if (!reaction) {
+    comment.reactions.push({ emoji, users: [] });
+    reaction = comment.reactions[comment.reactions.length - 1];
+  }
+  const index = reaction.users.findIndex(id => id.toString() === userId);
+  if (index === -1) {
+    reaction.users.push(userId);
+  } else {
+    reaction.users.splice(index, 1);
+  }
+  comment.reactions = comment.reactions.filter(r => r.users.length > 0);
+
+  return { comment };
+}
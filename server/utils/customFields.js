@@ -0,0 +1,230 @@
+import mongoose from 'mongoose';
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'multiselect', 'user'];
+
+const MAX_TEXT_LENGTH = 1000;
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Stable key for a field name: "Customer Tier" -> "customer_tier"
+export const toFieldKey = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^[^a-z]+|_+$/g, '')
+  .slice(0, 40);
+
+// Validate and clean up a project's field definitions.
+// Returns { value } with the cleaned list or { error }.
+export const parseFieldDefinitions = (fields) => {
+  if (!Array.isArray(fields)) {
+    return { error: 'Custom fields must be a list' };
+  }
+
+  const value = [];
+  for (const field of fields) {
+    const name = field?.name?.trim();
+    if (!name) {
+      return { error: 'Every custom field needs a name' };
+    }
+    const key = field.key || toFieldKey(name);
+    if (!FIELD_KEY_PATTERN.test(key)) {
+      return { error: `Custom field "${name}" needs a name that starts with a letter` };
+    }
+    if (value.some(other => other.key === key)) {
+      return { error: `Custom field names must be unique ("${name}")` };
+    }
+    if (!CUSTOM_FIELD_TYPES.includes(field.type)) {
+      return { error: `Custom field "${name}" must have a type of ${CUSTOM_FIELD_TYPES.join(', ')}` };
+    }
+
+    const definition = { key, name, type: field.type, required: Boolean(field.required) };
+    if (field.description) definition.description = String(field.description).trim();
+
+    if (field.type === 'select' || field.type === 'multiselect') {
+      const options = [...new Set((field.options || []).map(option => String(option).trim()).filter(Boolean))];
+      if (options.length === 0) {
+        return { error: `Custom field "${name}" needs at least one option` };
+      }
+      definition.options = options;
+    }
+
+    if (field.type === 'number') {
+      for (const bound of ['min', 'max']) {
+        if (field[bound] === undefined || field[bound] === null || field[bound] === '') continue;
+        if (!Number.isFinite(Number(field[bound]))) {
+          return { error: `The ${bound}imum for "${name}" must be a number` };
+        }
+        definition[bound] = Number(field[bound]);
+      }
+      if (definition.min !== undefined && definition.max !== undefined && definition.min > definition.max) {
+        return { error: `The minimum for "${name}" is above its maximum` };
+      }
+    }
+
+    value.push(definition);
+  }
+  return { value };
+};
+
+// Ids of a project's manager and members (populated or not)
+const projectMemberIds = (project) => [
+  project.manager?._id?.toString() || project.manager?.toString(),
+  ...(project.members || []).map(member => (member.user?._id || member.user)?.toString())
+].filter(Boolean);
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Check one value against its definition; returns { value } or { error }
+const parseFieldValue = (field, raw, memberIds) => {
+  switch (field.type) {
+    case 'text': {
+      const text = String(raw).trim();
+      if (text.length > MAX_TEXT_LENGTH) {
+        return { error: `"${field.name}" must be at most ${MAX_TEXT_LENGTH} characters` };
+      }
+      return { value: text };
+    }
+    case 'number': {
+      const number = Number(raw);
+      if (typeof raw === 'boolean' || !Number.isFinite(number)) {
+        return { error: `"${field.name}" must be a number` };
+      }
+      if (field.min !== undefined && field.min !== null && number < field.min) {
+        return { error: `"${field.name}" must be at least ${field.min}` };
+      }
+      if (field.max !== undefined && field.max !== null && number > field.max) {
+        return { error: `"${field.name}" must be at most ${field.max}` };
+      }
+      return { value: number };
+    }
+    case 'date': {
+      const date = new Date(raw);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `"${field.name}" must be a valid date` };
+      }
+      return { value: date };
+    }
+    case 'select': {
+      const option = String(raw);
+      if (!field.options.includes(option)) {
+        return { error: `"${field.name}" must be one of ${field.options.join(', ')}` };
+      }
+      return { value: option };
+    }
+    case 'multiselect': {
+      const options = [...new Set((Array.isArray(raw) ? raw : [raw]).map(String))];
+      const unknown = options.find(option => !field.options.includes(option));
+      if (unknown) {
+        return { error: `"${unknown}" is not an option for "${field.name}"` };
+      }
+      return { value: options };
+    }
+    case 'user': {
+      const userId = String(raw);
+      if (!mongoose.Types.ObjectId.isValid(userId) || !memberIds.includes(userId)) {
+        return { error: `"${field.name}" must be a member of the project` };
+      }
+      return { value: new mongoose.Types.ObjectId(userId) };
+    }
+    default:
+      return { error: `"${field.name}" has an unknown type` };
+  }
+};
+
+// Validate custom field values for a task in a project. `values` may hold only the
+// fields being changed; they are merged over `existing`. Empty values clear a field.
+// Returns { value } with the complete, cleaned values or { error }.
+export const validateCustomFieldValues = (project, values, existing = {}) => {
+  const definitions = project.customFields || [];
+  if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+    return { error: 'Custom fields must be an object of field values' };
+  }
+
+  const memberIds = projectMemberIds(project);
+
+  const previous = existing instanceof Map ? Object.fromEntries(existing) : { ...existing };
+  const incoming = values || {};
+  const unknown = Object.keys(incoming).find(key => !definitions.some(field => field.key === key));
+  if (unknown) {
+    return { error: `"${unknown}" is not a custom field of this project` };
+  }
+
+  const result = {};
+  for (const field of definitions) {
+    const raw = field.key in incoming ? incoming[field.key] : previous[field.key];
+    if (isEmpty(raw)) {
+      if (field.required) {
+        return { error: `"${field.name}" is required` };
+      }
+      continue;
+    }
+    // Stored values were checked when saved; options may have changed since
+    if (!(field.key in incoming)) {
+      result[field.key] = raw;
+      continue;
+    }
+    const parsed = parseFieldValue(field, raw, memberIds);
+    if (parsed.error) return parsed;
+    result[field.key] = parsed.value;
+  }
+  return { value: result };
+};
+
+// Carry a task's custom values over to another project. Values are kept for fields
+// with the same key in the target project when they are valid there; the keys of
+// values that had to be dropped are returned alongside.
+export const remapCustomFieldValues = (project, values) => {
+  const previous = values instanceof Map ? Object.fromEntries(values) : { ...values };
+  const memberIds = projectMemberIds(project);
+
+  const value = {};
+  for (const field of project.customFields || []) {
+    if (isEmpty(previous[field.key])) continue;
+    const parsed = parseFieldValue(field, previous[field.key], memberIds);
+    if (!parsed.error) value[field.key] = parsed.value;
+  }
+  const dropped = Object.keys(previous).filter(key => !isEmpty(previous[key]) && !(key in value));
+  return { value, dropped };
+};
+
+// Mongo condition for a `cf.<key>` filter on GET /api/tasks. Text matches
+// substrings, number and date accept "from..to" ranges, multi-select and
+// select accept comma-separated values, and user accepts "me".
+export const buildCustomFieldCondition = (field, raw, userId) => {
+  const path = `customFields.${field.key}`;
+  const text = String(raw).trim();
+  if (text === '') return null;
+
+  switch (field.type) {
+    case 'text':
+      return { [path]: { $regex: escapeRegex(text), $options: 'i' } };
+    case 'number':
+    case 'date': {
+      const parse = field.type === 'number' ? Number : (value) => new Date(value);
+      const isRange = text.includes('..');
+      const [from, to] = isRange ? text.split('..') : [text, text];
+      const range = {};
+      if (from !== '') range.$gte = parse(from);
+      if (to !== '') range.$lte = parse(to);
+      if (Object.keys(range).length === 0) return null;
+      // A single date matches that whole day
+      if (field.type === 'date' && !isRange) {
+        range.$lt = new Date(range.$gte.getTime() + 24 * 60 * 60 * 1000);
+        delete range.$lte;
+      }
+      const invalid = Object.values(range).some(bound => Number.isNaN(bound instanceof Date ? bound.getTime() : bound));
+      return invalid ? null : { [path]: range };
+    }
+    case 'select':
+    case 'multiselect':
+      return { [path]: { $in: text.split(',').map(option => option.trim()).filter(Boolean) } };
+    case 'user': {
+      const id = text === 'me' ? userId : text;
+      return mongoose.Types.ObjectId.isValid(id) ? { [path]: new mongoose.Types.ObjectId(id) } : null;
+    }
+    default:
+      return null;
+  }
+};
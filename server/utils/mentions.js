@@ -0,0 +1,59 @@
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { filterByPreference } from './notificationPreferences.js';
+
+// Users who can be mentioned in a project's (or its tasks') comments
+export async function getMentionCandidates(project) {
+  const ids = [project.manager, ...project.members.map(member => member.user)]
+    .map(id => (id._id || id).toString());
+  return User.find({ _id: { $in: [...new Set(ids)] } }).select('name email').lean();
+}
+
+// Resolve `@Full Name`, `@FullName` or an unambiguous `@First` against the
+// candidates. Longer names win so "@Ann Lee" is not read as "@Ann".
+export function parseMentions(text, candidates) {
+  const lower = text.toLowerCase();
+  const firstNameCounts = candidates.reduce((acc, user) => {
+    const first = user.name.split(/\s+/)[0].toLowerCase();
+    acc[first] = (acc[first] || 0) + 1;
+    return acc;
+  }, {});
+
+  const aliases = candidates.flatMap(user => {
+    const full = user.name.trim().toLowerCase();
+    const first = full.split(/\s+/)[0];
+    const forms = [full, full.replace(/\s+/g, '')];
+    if (firstNameCounts[first] === 1) forms.push(first);
+    return [...new Set(forms)].map(alias => ({ alias, id: user._id.toString() }));
+  }).sort((a, b) => b.alias.length - a.alias.length);
+
+  const mentioned = new Set();
+  let index = lower.indexOf('@');
+  while (index !== -1) {
+    const rest = lower.slice(index + 1);
+    // The alias has to end at a word boundary
+    const match = aliases.find(({ alias }) => rest.startsWith(alias) && !/\w/.test(rest.charAt(alias.length)));
+    if (match) mentioned.add(match.id);
+    index = lower.indexOf('@', index + 1);
+  }
+  return [...mentioned];
+}
+
+// Create mention notifications for everyone mentioned except the author,
+// skipping users who turned off mention notifications
+export async function notifyMentions(userIds, { authorId, authorName, where, link, metadata }) {
+  const recipients = await filterByPreference(
+    userIds.filter(id => id.toString() !== authorId.toString()),
+    'mentions'
+  );
+  if (recipients.length === 0) return;
+
+  await Notification.insertMany(recipients.map(userId => ({
+    user: userId,
+    type: 'mention',
+    title: 'You were mentioned',
+    message: `${authorName} mentioned you in ${where}`,
+    link,
+    metadata
+  })));
+}
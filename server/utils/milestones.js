@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import Milestone from '../models/Milestone.js';
+import { assigneeIds } from './taskAssignees.js';
+
+const HOURS_PER_DAY = 8;
+// Open tasks without an estimate still count as some work
+const UNESTIMATED_TASK_HOURS = 4;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Working days (Mon–Fri) from now until a date
+const workingDaysUntil = (date, now = new Date()) => {
+  let days = 0;
+  const cursor = new Date(now);
+  while (cursor < date) {
+    const weekday = cursor.getDay();
+    const remaining = Math.min(1, (date - cursor) / DAY);
+    if (weekday !== 0 && weekday !== 6) days += remaining;
+    cursor.setTime(cursor.getTime() + DAY);
+  }
+  return days;
+};
+
+// Progress and risk of one milestone from its linked tasks. A milestone is at
+// risk when the hours left on its open tasks exceed the working hours the
+// assignees of those tasks have before the target date.
+export const summarizeMilestone = (milestone, tasks, doneStatuses, now = new Date()) => {
+  const done = tasks.filter(task => doneStatuses.includes(task.status));
+  const open = tasks.filter(task => !doneStatuses.includes(task.status));
+
+  const progress = tasks.length
+    ? Math.round(((done.length + open.reduce((sum, task) => sum + (task.progress || 0) / 100, 0)) / tasks.length) * 100)
+    : 0;
+  const openHours = Math.round(open.reduce((sum, task) => sum + (task.estimatedHours
+    ? Math.max(task.estimatedHours - (task.actualHours || 0), 0)
+    : UNESTIMATED_TASK_HOURS), 0) * 10) / 10;
+  const assignees = new Set(open.flatMap(task => assigneeIds(task)));
+  const remainingHours = Math.round(workingDaysUntil(milestone.targetDate, now) * HOURS_PER_DAY * Math.max(assignees.size, 1) * 10) / 10;
+
+  let status = 'onTrack';
+  if (tasks.length > 0 && open.length === 0) status = 'completed';
+  else if (milestone.targetDate < now) status = 'overdue';
+  else if (openHours > remainingHours) status = 'atRisk';
+
+  return {
+    progress,
+    totalTasks: tasks.length,
+    completedTasks: done.length,
+    openHours,
+    remainingHours,
+    status
+  };
+};
+
+// Milestones with their progress and status, in target date order
+export async function getMilestoneSummaries(project, filter = {}) {
+  const milestones = await Milestone.find({ project: project._id, ...filter }).sort({ targetDate: 1 });
+  if (milestones.length === 0) return [];
+
+  const doneStatuses = project.statusesInCategory('done');
+  const tasks = await Task.find({ milestone: { $in: milestones.map(m => m._id) } })
+    .select('title status progress estimatedHours actualHours assignees milestone dueDate')
+    .populate('assignees.user', 'name')
+    .lean();
+
+  return milestones.map(milestone => {
+    const linked = tasks.filter(task => task.milestone.toString() === milestone._id.toString());
+    return {
+      ...milestone.toObject(),
+      ...summarizeMilestone(milestone, linked, doneStatuses),
+      tasks: linked.map(task => ({ _id: task._id, title: task.title, status: task.status, assignees: task.assignees }))
+    };
+  });
+}
+
+// Check that a task of `projectId` may link to `milestoneId`.
+// Returns { value } (null to unlink) or { error }.
+export async function resolveTaskMilestone(projectId, milestoneId) {
+  if (!milestoneId) return { value: null };
+  if (!mongoose.Types.ObjectId.isValid(milestoneId)) {
+    return { error: 'Milestone not found' };
+  }
+  const milestone = await Milestone.findById(milestoneId).select('project');
+  if (!milestone || milestone.project.toString() !== projectId.toString()) {
+    return { error: 'Milestone must belong to the task\'s project' };
+  }
+  return { value: milestone._id };
+}
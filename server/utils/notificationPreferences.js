@@ -0,0 +1,16 @@
+import NotificationPreference from '../models/NotificationPreference.js';
+
+// Keep only the users who have not turned off a notification category.
+// Users without saved preferences get the defaults from NotificationPreference.
+export async function filterByPreference(userIds, category) {
+  const ids = [...new Set(userIds.map(id => id.toString()))];
+  if (ids.length === 0) return [];
+
+  const optedOut = await NotificationPreference.find({
+    user: { $in: ids },
+    [`categories.${category}`]: false
+  }).select('user').lean();
+  const optedOutIds = new Set(optedOut.map(pref => pref.user.toString()));
+
+  return ids.filter(id => !optedOutIds.has(id));
+}
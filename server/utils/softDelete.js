@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const FILTERED_QUERIES = [
+  'find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'
+];
+
+// Schema plugin for documents that go to the trash instead of being deleted.
+// Trashed documents are left out of queries and aggregations unless the filter
+// (or the pipeline's first $match) names `deletedAt` itself. `deletedWith` is the
+// document whose deletion took this one along, so restoring that document brings
+// back exactly what went with it. Deletes are not filtered; purging is explicit.
+export function softDelete(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    deletedWith: { type: mongoose.Schema.Types.ObjectId, default: null, index: true }
+  });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (!('deletedAt' in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  // Merged into a leading $match, which may be a $text search that has to stay first
+  schema.pre('aggregate', function() {
+    const pipeline = this.pipeline();
+    const [first] = pipeline;
+    if (!first?.$match) {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    } else if (!('deletedAt' in first.$match)) {
+      pipeline[0] = { $match: { ...first.$match, deletedAt: null } };
+    }
+  });
+
+  // Move matching documents that aren't in the trash yet into it
+  schema.statics.trash = function(filter, { userId, deletedWith = null, at = new Date() }) {
+    return this.updateMany(
+      { ...filter, deletedAt: null },
+      { $set: { deletedAt: at, deletedBy: userId, deletedWith } }
+    );
+  };
+
+  // Take documents out of the trash
+  schema.statics.restore = function(filter) {
+    return this.updateMany(
+      { ...filter, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, deletedBy: null, deletedWith: null } }
+    );
+  };
+}
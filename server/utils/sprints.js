@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import Sprint from '../models/Sprint.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Task and story point totals per sprint, split by whether the task is done
+export async function getSprintTotals(project, sprintIds) {
+  const doneStatuses = project.statusesInCategory('done');
+  const rows = await Task.aggregate([
+    { $match: { sprint: { $in: sprintIds.map(id => new mongoose.Types.ObjectId(id)) } } },
+    {
+      $group: {
+        _id: '$sprint',
+        tasks: { $sum: 1 },
+        points: { $sum: { $ifNull: ['$storyPoints', 0] } },
+        doneTasks: { $sum: { $cond: [{ $in: ['$status', doneStatuses] }, 1, 0] } },
+        donePoints: { $sum: { $cond: [{ $in: ['$status', doneStatuses] }, { $ifNull: ['$storyPoints', 0] }, 0] } }
+      }
+    }
+  ]);
+  const empty = { tasks: 0, points: 0, doneTasks: 0, donePoints: 0 };
+  return new Map(sprintIds.map(id => {
+    const row = rows.find(r => r._id.toString() === id.toString());
+    return [id.toString(), row ? { tasks: row.tasks, points: row.points, doneTasks: row.doneTasks, donePoints: row.donePoints } : empty];
+  }));
+}
+
+// Check that a task of `projectId` may be planned into `sprintId`.
+// Returns { value } (null for the backlog) or { error }.
+export async function resolveTaskSprint(projectId, sprintId) {
+  if (!sprintId) return { value: null };
+  if (!mongoose.Types.ObjectId.isValid(sprintId)) {
+    return { error: 'Sprint not found' };
+  }
+  const sprint = await Sprint.findById(sprintId);
+  if (!sprint || sprint.project.toString() !== projectId.toString()) {
+    return { error: 'Sprint must belong to the task\'s project' };
+  }
+  if (sprint.state === 'completed') {
+    return { error: `Sprint "${sprint.name}" is already completed` };
+  }
+  return { value: sprint._id };
+}
+
+// Name for the sprint after `name`: "Sprint 7" -> "Sprint 8"
+const nextSprintName = (name) => {
+  const match = name.match(/^(.*?)(\d+)$/);
+  return match ? `${match[1]}${Number(match[2]) + 1}` : `${name} (continued)`;
+};
+
+// Planned sprint that follows `sprint`, created with the same length if there is none
+export async function findOrCreateNextSprint(sprint, userId) {
+  const next = await Sprint.findOne({ project: sprint.project, state: 'planned', _id: { $ne: sprint._id } })
+    .sort({ startDate: 1 });
+  if (next) return next;
+
+  const length = Math.max(sprint.endDate - sprint.startDate, DAY);
+  const startDate = new Date(Math.max(Date.now(), sprint.endDate.getTime()));
+  return Sprint.create({
+    project: sprint.project,
+    name: nextSprintName(sprint.name),
+    startDate,
+    endDate: new Date(startDate.getTime() + length),
+    createdBy: userId
+  });
+}
+
+// Completed sprints of a project, oldest first, for velocity charts
+export async function getVelocityHistory(projectId, limit = 10) {
+  const sprints = await Sprint.find({ project: projectId, state: 'completed' })
+    .sort({ completedAt: -1 })
+    .limit(limit)
+    .select('name startDate endDate completedAt committedPoints completedPoints completedTasks carriedOverTasks');
+  const history = sprints.reverse();
+  const averageVelocity = history.length
+    ? Math.round((history.reduce((sum, sprint) => sum + sprint.completedPoints, 0) / history.length) * 10) / 10
+    : 0;
+  return { sprints: history, averageVelocity };
+}
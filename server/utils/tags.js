@@ -0,0 +1,48 @@
+import Task from '../models/Task.js';
+import Tag from '../models/Tag.js';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches a tag name in any letter case
+export const tagPattern = (name) => new RegExp(`^${escapeRegex(name)}$`, 'i');
+
+// Clean up tag names for a project's task: trim, drop case-insensitive duplicates
+// and use the catalog's spelling for tags it knows
+export async function normalizeTags(projectId, tags) {
+  if (!Array.isArray(tags)) return [];
+  const catalog = await Tag.find({ project: projectId }).select('name key').lean();
+  const byKey = new Map(catalog.map(tag => [tag.key, tag.name]));
+
+  const seen = new Set();
+  return tags.map(tag => String(tag).trim()).filter(Boolean).reduce((acc, tag) => {
+    const key = tag.toLowerCase();
+    if (seen.has(key)) return acc;
+    seen.add(key);
+    acc.push(byKey.get(key) || tag);
+    return acc;
+  }, []);
+}
+
+// Replace a tag (in any letter case) with another on every task of a project.
+// Used for both rename and merge; returns the number of tasks rewritten.
+export async function replaceTagOnTasks(projectId, from, to) {
+  const pattern = tagPattern(from);
+  const taskIds = await Task.find({ project: projectId, tags: pattern }).distinct('_id');
+  if (taskIds.length === 0) return 0;
+
+  await Task.updateMany({ _id: { $in: taskIds } }, { $pull: { tags: pattern } });
+  if (to) {
+    await Task.updateMany({ _id: { $in: taskIds } }, { $addToSet: { tags: to } });
+  }
+  return taskIds.length;
+}
+
+// Number of tasks using each tag in a project, keyed by lower-cased name
+export async function getTagUsage(projectId) {
+  const rows = await Task.aggregate([
+    { $match: { project: projectId } },
+    { $unwind: '$tags' },
+    { $group: { _id: { $toLower: '$tags' }, name: { $first: '$tags' }, count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(row => [row._id, { name: row.name, count: row.count }]));
+}
@@ -0,0 +1,9 @@
+import { isAssignee } from './taskAssignees.js';
+
+// Check whether a user can view and work on a task (project populated)
+export const hasTaskAccess = (task, user) => {
+  return user.role === 'manager' ||
+         task.project.manager.toString() === user.id ||
+         isAssignee(task, user.id) ||
+         task.project.members.some(member => member.user.toString() === user.id);
+};
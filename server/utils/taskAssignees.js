@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+
+// What each assignee does on a task. A task has at most one owner.
+export const ASSIGNEE_ROLES = ['owner', 'contributor', 'reviewer'];
+
+// Id of an assignee's user, populated or not
+const userIdOf = (assignee) => (assignee.user?._id || assignee.user).toString();
+
+// Ids of everyone assigned to a task
+export const assigneeIds = (task) => (task.assignees || []).map(userIdOf);
+
+// Whether a user is one of the task's assignees
+export const isAssignee = (task, userId) => assigneeIds(task).includes(userId.toString());
+
+// Validate assignees from a request body: a list of { user, role } (or bare user
+// ids, who become contributors). Returns { value } or { error }.
+export const parseAssignees = (input) => {
+  if (!Array.isArray(input)) {
+    return { error: 'Assignees must be a list of { user, role }' };
+  }
+
+  const value = [];
+  for (const entry of input) {
+    const user = (entry?.user?._id || entry?.user || entry)?.toString();
+    const role = entry?.role || 'contributor';
+    if (!user || !mongoose.Types.ObjectId.isValid(user)) {
+      return { error: 'Invalid assignee' };
+    }
+    if (!ASSIGNEE_ROLES.includes(role)) {
+      return { error: `Assignee role must be one of ${ASSIGNEE_ROLES.join(', ')}` };
+    }
+    if (value.some(assignee => assignee.user === user)) {
+      return { error: 'Each user can only be assigned to a task once' };
+    }
+    value.push({ user, role });
+  }
+
+  if (value.filter(assignee => assignee.role === 'owner').length > 1) {
+    return { error: 'A task can only have one owner' };
+  }
+  return { value };
+};
+
+// Assignees who weren't on the task before, as user ids
+export const addedAssignees = (before, after) => {
+  const previous = new Set(before.map(userIdOf));
+  return after.map(userIdOf).filter(id => !previous.has(id));
+};
+
+// Tell users they were assigned to a task, and in which role. The actor is skipped.
+export async function notifyAssigned(task, userIds, { actorId, projectName, title = 'New Task Assigned' }) {
+  const recipients = userIds.filter(id => id.toString() !== actorId.toString());
+  if (recipients.length === 0) return;
+
+  await Notification.insertMany(recipients.map(userId => {
+    const role = task.assignees.find(assignee => userIdOf(assignee) === userId.toString())?.role;
+    return {
+      user: userId,
+      type: 'taskStatus',
+      title,
+      message: `You have been assigned to "${task.title}" as ${role} in project "${projectName}"`,
+      link: `/tasks`,
+      metadata: {
+        taskId: task._id,
+        projectId: task.project._id || task.project,
+        priority: task.priority
+      }
+    };
+  }));
+}
+
+// Aggregation stages that turn each task into one row per assignee, with the
+// `credit` that assignee earns: an equal share, so a task shared by three
+// people counts a third for each of them and once in any total
+export const ASSIGNEE_CREDIT_STAGES = [
+  { $addFields: { credit: { $divide: [1, { $max: [{ $size: { $ifNull: ['$assignees', []] } }, 1] }] } } },
+  { $unwind: '$assignees' }
+];
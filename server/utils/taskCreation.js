@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+import { addWatcher } from './taskWatchers.js';
+import { normalizeTags } from './tags.js';
+import { validateCustomFieldValues } from './customFields.js';
+import { resolveTaskSprint } from './sprints.js';
+import { resolveTaskMilestone } from './milestones.js';
+import { assigneeIds, parseAssignees, notifyAssigned } from './taskAssignees.js';
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Validate a recurrence definition from the request body. The occurrence number
+// is kept by the series itself, so any sent along is ignored.
+// Returns { value } (undefined clears the schedule) or { error }.
+export const parseRecurrence = (recurrence) => {
+  if (!recurrence || !recurrence.frequency) return { value: undefined };
+  
+  const { frequency, interval, byWeekday, until, count } = recurrence;
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    return { error: `Recurrence frequency must be one of ${RECURRENCE_FREQUENCIES.join(', ')}` };
+  }
+  if (interval !== undefined && (!Number.isInteger(Number(interval)) || Number(interval) < 1)) {
+    return { error: 'Recurrence interval must be a positive whole number' };
+  }
+  if (byWeekday && (!Array.isArray(byWeekday) || byWeekday.some(day => !Number.isInteger(Number(day)) || day < 0 || day > 6))) {
+    return { error: 'Recurrence weekdays must be numbers from 0 (Sunday) to 6 (Saturday)' };
+  }
+  if (count !== undefined && count !== null && count !== '' && (!Number.isInteger(Number(count)) || Number(count) < 1)) {
+    return { error: 'Recurrence count must be a positive whole number' };
+  }
+  
+  return {
+    value: {
+      frequency,
+      interval: interval ? Number(interval) : 1,
+      byWeekday: frequency === 'weekly' && byWeekday ? byWeekday.map(Number) : [],
+      until: until ? new Date(until) : undefined,
+      count: count ? Number(count) : undefined
+    }
+  };
+};
+
+// Create a task on behalf of `user`. Shared by POST /api/tasks and template
+// instantiation so both apply the same validation, activity and notifications.
+// Returns { task } (populated) or { status, error }.
+export async function createTask(input, user) {
+  const { title, description, project, assignees, status, dueDate, priority, estimatedHours, tags, parentTask, checklist, recurrence, customFields, storyPoints, sprint, milestone } = input;
+  
+  // Validate required fields
+  if (!title || !project) {
+    return { status: 400, error: 'Title and project are required' };
+  }
+  
+  // Check if project exists and user has access
+  const projectDoc = await Project.findById(project);
+  if (!projectDoc) {
+    return { status: 400, error: 'Project not found' };
+  }
+  
+  // Check if user is manager or project member
+  const hasAccess = user.role === 'manager' || 
+                    projectDoc.manager.toString() === user.id ||
+                    projectDoc.members.some(member => member.user.toString() === user.id);
+  
+  if (!hasAccess) {
+    return { status: 403, error: 'Not authorized to create tasks in this project' };
+  }
+  
+  // Subtasks must live in the same project and only one level deep
+  if (parentTask) {
+    if (!mongoose.Types.ObjectId.isValid(parentTask)) {
+      return { status: 400, error: 'Invalid parent task' };
+    }
+    const parent = await Task.findById(parentTask);
+    if (!parent) {
+      return { status: 400, error: 'Parent task not found' };
+    }
+    if (parent.project.toString() !== project.toString()) {
+      return { status: 400, error: 'Subtasks must belong to the same project as their parent' };
+    }
+    if (parent.parentTask) {
+      return { status: 400, error: 'Subtasks cannot have their own subtasks' };
+    }
+  }
+  
+  const parsedRecurrence = parseRecurrence(recurrence);
+  if (parsedRecurrence.error) {
+    return { status: 400, error: parsedRecurrence.error };
+  }
+  
+  // Without assignees the creator owns the task
+  const parsedAssignees = assignees?.length ? parseAssignees(assignees) : { value: [{ user: user.id, role: 'owner' }] };
+  if (parsedAssignees.error) {
+    return { status: 400, error: parsedAssignees.error };
+  }
+  
+  const parsedCustomFields = validateCustomFieldValues(projectDoc, customFields);
+  if (parsedCustomFields.error) {
+    return { status: 400, error: parsedCustomFields.error };
+  }
+  
+  const resolvedSprint = await resolveTaskSprint(projectDoc._id, sprint);
+  if (resolvedSprint.error) {
+    return { status: 400, error: resolvedSprint.error };
+  }
+  
+  const resolvedMilestone = await resolveTaskMilestone(projectDoc._id, milestone);
+  if (resolvedMilestone.error) {
+    return { status: 400, error: resolvedMilestone.error };
+  }
+  
+  // New tasks may start in any non-done state of the project's workflow
+  const initialState = status ? projectDoc.getWorkflowState(status) : null;
+  if (status && (!initialState || initialState.category === 'done')) {
+    return { status: 400, error: `"${status}" is not a valid starting status for this project` };
+  }
+  
+  const task = new Task({
+    title,
+    description,
+    project,
+    status: initialState ? initialState.name : projectDoc.initialStatus(),
+    assignees: parsedAssignees.value,
+    priority: priority || 'Medium',
+    dueDate: dueDate ? new Date(dueDate) : null,
+    estimatedHours,
+    storyPoints: Number(storyPoints) >= 0 && storyPoints !== '' && storyPoints !== null ? Number(storyPoints) : undefined,
+    sprint: resolvedSprint.value,
+    milestone: resolvedMilestone.value,
+    tags: await normalizeTags(projectDoc._id, tags),
+    parentTask: parentTask || null,
+    checklist: Array.isArray(checklist) ? checklist : [],
+    recurrence: parsedRecurrence.value,
+    customFields: parsedCustomFields.value
+  });
+  // The creator and the assignees follow the task from the start
+  addWatcher(task, user.id);
+  assigneeIds(task).forEach(userId => addWatcher(task, userId));
+  
+  const createdTask = await task.save();
+  await Task.rollUpProgress(createdTask._id);
+  
+  // Add activity to project
+  projectDoc.addActivity(
+    user.id,
+    parentTask ? 'Created subtask' : 'Created task',
+    parentTask ? `Created subtask "${title}"` : `Created task "${title}"`
+  );
+  await projectDoc.save();
+  
+  // Notify the assignees (except the creator)
+  await notifyAssigned(createdTask, assigneeIds(createdTask), { actorId: user.id, projectName: projectDoc.name });
+  
+  // Populate and return the created task
+  const populatedTask = await Task.findById(createdTask._id)
+    .populate('project', 'name status')
+    .populate('assignees.user', 'name email')
+    .populate('parentTask', 'title');
+  
+  return { task: populatedTask };
+}
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+import Notification from '../models/Notification.js';
+
+// Workflow categories that must not be entered while a blocker is still open
+export const BLOCKED_CATEGORIES = ['active', 'done'];
+
+// Whether moving into `status` requires all blockers to be finished
+export function isBlockedTransition(project, status) {
+  const state = project.getWorkflowState(status);
+  return Boolean(state && BLOCKED_CATEGORIES.includes(state.category));
+}
+
+// Blockers of a task that are not yet finished. Blockers share the task's project,
+// so its workflow decides what counts as finished.
+export async function findOpenBlockers(task, project) {
+  if (!task.blockedBy || task.blockedBy.length === 0) return [];
+  const blockerIds = task.blockedBy.map(blocker => blocker._id || blocker);
+  return Task.find({ _id: { $in: blockerIds }, status: { $nin: project.statusesInCategory('done') } }).select('title status');
+}
+
+// Adding "taskId blocked by blockerId" creates a cycle if taskId is already
+// reachable from blockerId through existing blocked-by links
+export async function wouldCreateCycle(taskId, blockerId) {
+  const target = taskId.toString();
+  const visited = new Set();
+  const stack = [blockerId.toString()];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === target) return true;
+    if (visited.has(current)) continue;
+    visited.add(current);
+
+    const node = await Task.findById(current).select('blockedBy').lean();
+    if (node?.blockedBy) {
+      node.blockedBy.forEach(id => stack.push(id.toString()));
+    }
+  }
+  return false;
+}
+
+// Validate a list of blocker IDs for a task; returns an error message or null
+export async function validateBlockers(task, blockerIds) {
+  if (!Array.isArray(blockerIds)) {
+    return 'Blocking tasks must be a list of task IDs';
+  }
+  if (blockerIds.some(blockerId => !mongoose.Types.ObjectId.isValid(blockerId))) {
+    return 'Invalid blocking task ID';
+  }
+  for (const blockerId of blockerIds) {
+    if (blockerId.toString() === task._id.toString()) {
+      return 'A task cannot block itself';
+    }
+    const blocker = await Task.findById(blockerId).select('project title');
+    if (!blocker) {
+      return 'Blocking task not found';
+    }
+    const projectId = task.project._id || task.project;
+    if (blocker.project.toString() !== projectId.toString()) {
+      return 'Dependencies must be between tasks in the same project';
+    }
+    if (await wouldCreateCycle(task._id, blockerId)) {
+      return `Adding "${blocker.title}" as a blocker would create a dependency cycle`;
+    }
+  }
+  return null;
+}
+
+// Once a task is done, tell the assignees of tasks it was blocking that have no open blockers left
+export async function notifyUnblockedDependents(task) {
+  const project = await Project.findById(task.project._id || task.project);
+  if (!project) return;
+  const dependents = await Task.find({ blockedBy: task._id, status: { $nin: project.statusesInCategory('done') } });
+
+  const notifications = [];
+  for (const dependent of dependents) {
+    if (dependent.assignees.length === 0) continue;
+    const openBlockers = await findOpenBlockers(dependent, project);
+    if (openBlockers.length > 0) continue;
+
+    notifications.push(...dependent.assignees.map(({ user }) => ({
+      user,
+      type: 'taskStatus',
+      title: 'Task Unblocked',
+      message: `"${dependent.title}" is no longer blocked — "${task.title}" has been completed`,
+      link: `/tasks`,
+      metadata: {
+        taskId: dependent._id,
+        projectId: dependent.project,
+        unblockedBy: task._id
+      }
+    })));
+  }
+
+  if (notifications.length > 0) {
+    await Notification.insertMany(notifications);
+  }
+}
+
+// Nodes and blocked-by edges for all tasks in a project
+export function buildDependencyGraph(tasks) {
+  const nodes = tasks.map(task => ({
+    id: task._id,
+    title: task.title,
+    status: task.status
+  }));
+  const edges = [];
+  tasks.forEach(task => {
+    (task.blockedBy || []).forEach(blocker => {
+      edges.push({ from: blocker._id || blocker, to: task._id, type: 'blocks' });
+    });
+  });
+  return { nodes, edges };
+}
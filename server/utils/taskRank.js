@@ -0,0 +1,39 @@
+// Lexicographic ranks for ordering cards on the task board. A rank is a base-36
+// string; a card dropped between two others gets a rank that sorts between them,
+// so a move only ever rewrites the moved task.
+
+const RANK_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+// Rank strictly between `before` and `after` (either may be null for an open end).
+// Ranks never end in "0", so there is always room below any rank. Appending or
+// prepending steps by one digit instead of halving, which keeps ranks short when
+// cards keep landing at the same end of a column.
+export const rankBetween = (before, after) => {
+  if (before && after && before >= after) after = null;
+  const appending = Boolean(before) && !after;
+  const prepending = !before && Boolean(after);
+
+  let rank = '';
+  let upper = after;
+  for (let i = 0; ; i++) {
+    const lo = before && i < before.length ? RANK_DIGITS.indexOf(before[i]) : 0;
+    const hi = upper && i < upper.length ? RANK_DIGITS.indexOf(upper[i]) : RANK_DIGITS.length;
+    if (hi - lo > 1) {
+      const digit = appending ? lo + 1 : prepending ? hi - 1 : Math.floor((lo + hi) / 2);
+      return rank + RANK_DIGITS[digit];
+    }
+    rank += RANK_DIGITS[lo];
+    // Once the prefix is below `after`, anything can follow it
+    if (lo < hi) upper = null;
+  }
+};
+
+// `count` evenly spaced ranks that all sort after `after` (used for backfilling)
+export const spreadRanks = (count, after) => {
+  const prefix = rankBetween(after, null);
+  const width = Math.max(2, Math.ceil(Math.log(count + 1) / Math.log(RANK_DIGITS.length)) + 1);
+  const step = Math.floor(RANK_DIGITS.length ** width / (count + 1));
+  return Array.from({ length: count }, (_, index) =>
+    prefix + ((index + 1) * step).toString(36).padStart(width, '0')
+  );
+};
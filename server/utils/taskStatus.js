@@ -0,0 +1,39 @@
+import { isBlockedTransition, findOpenBlockers, notifyUnblockedDependents } from './taskDependencies.js';
+import { spawnNextOccurrence } from '../jobs/recurrence.js';
+
+// Check that a task (with its project populated) may move to `status`.
+// Returns null when allowed, otherwise { error, blockedBy? } for the response body.
+export async function validateStatusChange(task, status) {
+  if (!status || status === task.status) return null;
+
+  const project = task.project;
+  if (!project.getWorkflowState(status)) {
+    return { error: `"${status}" is not a status in this project's workflow` };
+  }
+  if (!project.canTransition(task.status, status)) {
+    return { error: `Cannot move task from "${task.status}" to "${status}"` };
+  }
+
+  // A task cannot start or finish while anything blocking it is still open
+  if (isBlockedTransition(project, status)) {
+    const openBlockers = await findOpenBlockers(task, project);
+    if (openBlockers.length > 0) {
+      return {
+        error: `Task is blocked by ${openBlockers.map(b => `"${b.title}"`).join(', ')}`,
+        blockedBy: openBlockers
+      };
+    }
+  }
+  return null;
+}
+
+// Whether moving from `from` to `to` finishes the task
+export function isCompletion(project, from, to) {
+  return Boolean(to) && project.isDoneStatus(to) && !project.isDoneStatus(from);
+}
+
+// Follow-up work once a task enters a done state
+export async function handleTaskCompleted(task) {
+  await notifyUnblockedDependents(task);
+  await spawnNextOccurrence(task);
+}
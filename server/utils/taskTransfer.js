@@ -0,0 +1,225 @@
+import Task from '../models/Task.js';
+import TimeEntry from '../models/TimeEntry.js';
+import TaskHistory from '../models/TaskHistory.js';
+import { addWatcher } from './taskWatchers.js';
+import { normalizeTags } from './tags.js';
+import { remapCustomFieldValues } from './customFields.js';
+import { assigneeIds } from './taskAssignees.js';
+import { copyStoredFile, removeStoredFile } from '../config/upload.js';
+
+// What to do with assignees who are not on the target project
+export const ASSIGNEE_ACTIONS = ['unassign', 'addMember'];
+
+// Whether a user is the manager or a member of a project
+const isOnProject = (project, userId) =>
+  project.manager.toString() === userId.toString() ||
+  project.members.some(member => member.user.toString() === userId.toString());
+
+// Whether a user may put tasks into a project
+export const canAddTasksTo = (project, user) => user.role === 'manager' || isOnProject(project, user.id);
+
+// Check the assignees of a task tree against the target project.
+// Returns { outside } (assignee ids not on the project) or { status, error }.
+const checkAssignees = (tasks, project, user, assigneeAction) => {
+  const outside = [...new Set(tasks
+    .flatMap(task => assigneeIds(task))
+    .filter(assignee => !isOnProject(project, assignee)))];
+
+  if (outside.length === 0) return { outside };
+  if (!assigneeAction) {
+    return {
+      status: 409,
+      error: `${outside.length} assignee(s) are not members of "${project.name}"; choose whether to unassign them or add them to the project`,
+      outsideAssignees: outside
+    };
+  }
+  if (!ASSIGNEE_ACTIONS.includes(assigneeAction)) {
+    return { status: 400, error: `Assignee action must be one of ${ASSIGNEE_ACTIONS.join(', ')}` };
+  }
+  if (assigneeAction === 'addMember' && user.role !== 'manager' && project.manager.toString() !== user.id) {
+    return { status: 403, error: 'Only the target project\'s manager can add its members' };
+  }
+  return { outside };
+};
+
+// Apply the assignee action to one task of the tree
+const applyAssigneeAction = (task, outside, assigneeAction) => {
+  if (assigneeAction === 'unassign') {
+    task.assignees = task.assignees.filter(assignee => !outside.includes(assignee.user.toString()));
+  }
+};
+
+// Add the outside assignees to the project when asked to (project saved by the caller)
+const addOutsideMembers = (project, outside, assigneeAction) => {
+  if (assigneeAction !== 'addMember') return;
+  outside.forEach(userId => project.members.push({ user: userId }));
+};
+
+// Re-map a task's project-specific data for another project: the status must exist
+// in its workflow, tags use its catalog and custom values must fit its fields.
+// Sprints, milestones and dependencies can't cross projects.
+// Returns the custom field keys whose values were dropped.
+const retarget = async (task, project) => {
+  task.project = project._id;
+  if (!project.getWorkflowState(task.status)) {
+    task.status = project.initialStatus();
+  }
+  task.tags = await normalizeTags(project._id, task.tags);
+  const { value, dropped } = remapCustomFieldValues(project, task.customFields);
+  task.customFields = value;
+  task.sprint = null;
+  task.milestone = null;
+  task.blockedBy = [];
+  return dropped;
+};
+
+// Move a task (project populated) with its subtasks to another project.
+// A subtask that is moved on its own becomes a top-level task. Bulk moves pass
+// `logActivity: false` and log one summary entry per project instead.
+// Returns { task, droppedFields, unassigned } or { status, error }.
+export async function moveTask(task, targetProject, user, { assigneeAction, logActivity = true } = {}) {
+  const sourceProject = task.project;
+  if (sourceProject._id.toString() === targetProject._id.toString()) {
+    return { status: 400, error: 'The task is already in this project' };
+  }
+
+  const subtasks = await Task.find({ parentTask: task._id });
+  const tree = [task, ...subtasks];
+  const assignees = checkAssignees(tree, targetProject, user, assigneeAction);
+  if (assignees.error) return assignees;
+  const { outside } = assignees;
+
+  const previousParent = task.parentTask;
+  const droppedFields = new Set();
+  for (const item of tree) {
+    const before = TaskHistory.snapshot(item);
+    (await retarget(item, targetProject)).forEach(key => droppedFields.add(key));
+    applyAssigneeAction(item, outside, assigneeAction);
+    if (item === task) item.parentTask = null;
+    await item.save();
+    await TaskHistory.recordChanges(before, item, user.id);
+  }
+
+  // Tasks left behind can no longer be blocked by the moved ones
+  const treeIds = tree.map(item => item._id);
+  await Task.updateMany(
+    { _id: { $nin: treeIds }, blockedBy: { $in: treeIds } },
+    { $pull: { blockedBy: { $in: treeIds } } }
+  );
+  await TimeEntry.updateMany({ task: { $in: treeIds } }, { project: targetProject._id });
+  await Task.rollUpProgress(task._id);
+  if (previousParent) await Task.rollUpProgress(previousParent);
+
+  addOutsideMembers(targetProject, outside, assigneeAction);
+  if (logActivity) {
+    const subtaskNote = subtasks.length ? ` with ${subtasks.length} subtask(s)` : '';
+    sourceProject.addActivity(user.id, 'Moved task', `Moved task "${task.title}"${subtaskNote} to project "${targetProject.name}"`);
+    targetProject.addActivity(user.id, 'Moved task', `Moved task "${task.title}"${subtaskNote} here from project "${sourceProject.name}"`);
+    await sourceProject.save();
+  }
+  await targetProject.save();
+
+  return {
+    task,
+    droppedFields: [...droppedFields],
+    unassigned: assigneeAction === 'unassign' ? outside : []
+  };
+}
+
+// Copy one task's data into a new, unsaved task. The copy starts as fresh work:
+// it gets the initial status, an unticked checklist and no comments or history,
+// starts unversioned and out of the trash, and waits in the backlog.
+const copyTask = (source, project, overrides) => {
+  const data = source.toObject();
+  ['_id', '__v', 'version', 'deletedAt', 'deletedBy', 'deletedWith', 'comments', 'rank', 'progress',
+    'actualHours', 'recurrence', 'recurrenceSeries', 'nextOccurrenceCreated', 'watchers', 'sprint',
+    'milestone', 'createdAt', 'updatedAt'].forEach(key => delete data[key]);
+
+  return new Task({
+    ...data,
+    project: project._id,
+    status: project.initialStatus(),
+    checklist: data.checklist.map(({ text }) => ({ text, done: false })),
+    attachments: [],
+    ...overrides
+  });
+};
+
+// Copy a task's attachments with their stored files. Files that are gone from
+// disk are skipped; the names of the copies are collected in `copiedFiles`.
+const copyAttachments = async (source, copy, copiedFiles) => {
+  for (const attachment of source.attachments) {
+    try {
+      const url = await copyStoredFile(attachment.url);
+      copiedFiles.push(url);
+      const { _id, ...rest } = attachment.toObject();
+      copy.attachments.push({ ...rest, url });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+};
+
+// Deep-clone a task (project populated) with its subtasks, checklist and
+// attachments, into its own project or another one.
+// Returns { task, droppedFields, unassigned } or { status, error }.
+export async function cloneTask(task, targetProject, user, { title, assigneeAction } = {}) {
+  const sourceProject = task.project;
+  const crossProject = sourceProject._id.toString() !== targetProject._id.toString();
+
+  const subtasks = await Task.find({ parentTask: task._id }).sort({ createdAt: 1 });
+  const tree = [task, ...subtasks];
+  const assignees = crossProject
+    ? checkAssignees(tree, targetProject, user, assigneeAction)
+    : { outside: [] };
+  if (assignees.error) return assignees;
+  const { outside } = assignees;
+
+  const droppedFields = new Set();
+  const copiedFiles = [];
+  const created = [];
+  try {
+    const prepare = async (source, overrides) => {
+      const copy = copyTask(source, targetProject, overrides);
+      if (crossProject) {
+        (await retarget(copy, targetProject)).forEach(key => droppedFields.add(key));
+        applyAssigneeAction(copy, outside, assigneeAction);
+      }
+      addWatcher(copy, user.id);
+      assigneeIds(copy).forEach(userId => addWatcher(copy, userId));
+      await copyAttachments(source, copy, copiedFiles);
+      await copy.save();
+      created.push(copy._id);
+      return copy;
+    };
+
+    const clone = await prepare(task, {
+      title: title?.trim() || `${task.title} (copy)`,
+      // A cloned subtask stays under the same parent only within its project
+      parentTask: crossProject ? null : task.parentTask
+    });
+    for (const subtask of subtasks) {
+      await prepare(subtask, { parentTask: clone._id });
+    }
+    await Task.rollUpProgress(clone._id);
+
+    addOutsideMembers(targetProject, outside, assigneeAction);
+    targetProject.addActivity(
+      user.id,
+      'Cloned task',
+      `Cloned task "${task.title}"${crossProject ? ` from project "${sourceProject.name}"` : ''} as "${clone.title}"`
+    );
+    await targetProject.save();
+
+    return {
+      task: clone,
+      droppedFields: [...droppedFields],
+      unassigned: assigneeAction === 'unassign' ? outside : []
+    };
+  } catch (error) {
+    // Don't leave half a clone behind
+    await Task.deleteMany({ _id: { $in: created } });
+    await Promise.all(copiedFiles.map(removeStoredFile));
+    throw error;
+  }
+}
@@ -0,0 +1,94 @@
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import TaskHistory from '../models/TaskHistory.js';
+import { filterByPreference } from './notificationPreferences.js';
+import { assigneeIds } from './taskAssignees.js';
+
+// Notification type and preference category for each kind of update watchers hear about
+const WATCH_EVENTS = {
+  status: { type: 'taskStatus', category: 'taskStatus', title: 'Task Status Changed' },
+  assignee: { type: 'taskStatus', category: 'taskStatus', title: 'Task Reassigned' },
+  dueDate: { type: 'deadline', category: 'deadlines', title: 'Task Due Date Changed' },
+  comment: { type: 'taskStatus', category: 'taskStatus', title: 'New Comment on Task' }
+};
+
+// Add a user to the task's watchers. Returns false if they were already watching.
+export function addWatcher(task, userId) {
+  if (!userId) return false;
+  const id = userId.toString();
+  if (task.watchers.some(watcher => watcher.toString() === id)) return false;
+  task.watchers.push(id);
+  return true;
+}
+
+// Remove a user from the task's watchers. Returns false if they were not watching.
+export function removeWatcher(task, userId) {
+  const id = userId.toString();
+  const remaining = task.watchers.filter(watcher => watcher.toString() !== id);
+  if (remaining.length === task.watchers.length) return false;
+  task.watchers = remaining;
+  return true;
+}
+
+// Notify everyone watching the task except the actor and anyone in `exclude`
+// (e.g. a new assignee who already got their own notification), skipping
+// watchers who turned off the event's notification category
+export async function notifyWatchers(task, event, { actorId, message, exclude = [] }) {
+  const { type, category, title } = WATCH_EVENTS[event];
+  const skip = new Set([actorId, ...exclude].filter(Boolean).map(id => id.toString()));
+  const recipients = await filterByPreference(
+    (task.watchers || []).filter(id => !skip.has(id.toString())),
+    category
+  );
+  if (recipients.length === 0) return;
+
+  const projectId = task.project._id || task.project;
+  await Notification.insertMany(recipients.map(userId => ({
+    user: userId,
+    type,
+    title,
+    message,
+    link: `/tasks?task=${task._id}`,
+    metadata: { taskId: task._id, projectId, event }
+  })));
+}
+
+// Compare a TaskHistory snapshot with the saved task and notify watchers
+// about status, due date and assignee changes
+export async function notifyWatchersOfChanges(before, task, { actorId, actorName, exclude = [] }) {
+  const after = TaskHistory.snapshot(task);
+
+  if (before.status !== after.status) {
+    await notifyWatchers(task, 'status', {
+      actorId,
+      exclude,
+      message: `${actorName} moved "${task.title}" from "${before.status}" to "${after.status}"`
+    });
+  }
+
+  if (before.dueDate !== after.dueDate) {
+    await notifyWatchers(task, 'dueDate', {
+      actorId,
+      exclude,
+      message: task.dueDate
+        ? `${actorName} changed the due date of "${task.title}" to ${new Date(task.dueDate).toDateString()}`
+        : `${actorName} removed the due date of "${task.title}"`
+    });
+  }
+
+  if (before.assignees !== after.assignees) {
+    const ids = assigneeIds(task);
+    const users = await User.find({ _id: { $in: ids } }).select('name');
+    const names = task.assignees.map((assignee, index) => {
+      const user = users.find(u => u._id.toString() === ids[index]);
+      return `${user?.name || 'unknown user'} (${assignee.role})`;
+    });
+    await notifyWatchers(task, 'assignee', {
+      actorId,
+      exclude,
+      message: names.length > 0
+        ? `${actorName} assigned "${task.title}" to ${names.join(', ')}`
+        : `${actorName} unassigned "${task.title}"`
+    });
+  }
+}
@@ -0,0 +1,144 @@
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+import TaskReport from '../models/TaskReport.js';
+import TaskHistory from '../models/TaskHistory.js';
+import StatusChangeRequest from '../models/StatusChangeRequest.js';
+import TimeEntry from '../models/TimeEntry.js';
+import Tag from '../models/Tag.js';
+import Sprint from '../models/Sprint.js';
+import Milestone from '../models/Milestone.js';
+import { removeStoredFile } from '../config/upload.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Days an item stays in the trash before the purge job deletes it for good
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+
+// When an item that went to the trash at `deletedAt` will be purged
+export const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// Load a document whether or not it is in the trash
+export const findIncludingTrash = async (Model, id) =>
+  (await Model.findById(id)) || Model.findOne({ _id: id, deletedAt: { $ne: null } });
+
+// Trashed tasks don't hold their statuses in the project's workflow; the ones
+// whose status was removed meanwhile come back in its initial state
+const resetRemovedStatuses = (project, filter) => Task.updateMany(
+  { ...filter, deletedAt: { $ne: null }, status: { $nin: project.getWorkflow().map(state => state.name) } },
+  { status: project.initialStatus() }
+);
+
+// Stop running timers on tasks going to the trash so their owners can start new ones
+const stopTimers = (taskIds, at) => TimeEntry.updateMany(
+  { task: { $in: taskIds }, end: null },
+  [{ $set: { end: at, duration: { $round: [{ $divide: [{ $subtract: [at, '$start'] }, 60000] }, 0] } } }]
+);
+
+// Close pending status requests on tasks going to the trash; nobody can act on them
+const rejectStatusRequests = (taskIds, userId, at) => StatusChangeRequest.updateMany(
+  { task: { $in: taskIds }, status: 'pending' },
+  { status: 'rejected', reviewedBy: userId, reviewedAt: at, reviewComment: 'The task was moved to the trash' }
+);
+
+// Move a task with its subtasks, reports and time entries to the trash
+export async function trashTask(task, userId) {
+  const at = new Date();
+  const subtaskIds = await Task.find({ parentTask: task._id }).distinct('_id');
+  const taskIds = [task._id, ...subtaskIds];
+
+  await stopTimers(taskIds, at);
+  await rejectStatusRequests(taskIds, userId, at);
+  await Task.trash({ _id: task._id }, { userId, at });
+  await Task.trash({ _id: { $in: subtaskIds } }, { userId, at, deletedWith: task._id });
+  await TaskReport.trash({ task: { $in: taskIds } }, { userId, at, deletedWith: task._id });
+  await TimeEntry.trash({ task: { $in: taskIds } }, { userId, at, deletedWith: task._id });
+
+  if (task.parentTask) {
+    await Task.rollUpProgress(task.parentTask._id || task.parentTask);
+  }
+}
+
+// Bring a trashed task back with everything that went to the trash with it.
+// Returns null or { status, error } when its project or parent is still in the trash.
+export async function restoreTask(task) {
+  if (task.deletedWith) {
+    return { status: 400, error: 'This task went to the trash with its project or parent task; restore that instead' };
+  }
+  const project = await Project.findById(task.project);
+  if (!project) {
+    return { status: 409, error: 'Restore the task\'s project first' };
+  }
+  if (task.parentTask && !(await Task.findById(task.parentTask))) {
+    return { status: 409, error: 'Restore the parent task first' };
+  }
+
+  await resetRemovedStatuses(project, { $or: [{ _id: task._id }, { deletedWith: task._id }] });
+  await Task.restore({ _id: task._id });
+  await Task.restore({ deletedWith: task._id });
+  await TaskReport.restore({ deletedWith: task._id });
+  await TimeEntry.restore({ deletedWith: task._id });
+
+  await Task.rollUpProgress(task._id);
+  if (task.parentTask) await Task.rollUpProgress(task.parentTask);
+  return null;
+}
+
+// Move a project with its tasks, their reports and its time entries to the trash.
+// Tags, sprints and milestones stay put; they are only reachable through the project.
+export async function trashProject(project, userId) {
+  const at = new Date();
+  const taskIds = await Task.find({ project: project._id }).distinct('_id');
+
+  await stopTimers(taskIds, at);
+  await rejectStatusRequests(taskIds, userId, at);
+  await Project.trash({ _id: project._id }, { userId, at });
+  await Task.trash({ _id: { $in: taskIds } }, { userId, at, deletedWith: project._id });
+  await TaskReport.trash({ task: { $in: taskIds } }, { userId, at, deletedWith: project._id });
+  await TimeEntry.trash({ project: project._id }, { userId, at, deletedWith: project._id });
+}
+
+// Bring a trashed project back with its tasks and reports. Tasks that were
+// trashed on their own before the project stay in the trash.
+export async function restoreProject(project) {
+  await resetRemovedStatuses(project, { deletedWith: project._id });
+  await Project.restore({ _id: project._id });
+  await Task.restore({ deletedWith: project._id });
+  await TaskReport.restore({ deletedWith: project._id });
+  await TimeEntry.restore({ deletedWith: project._id });
+}
+
+// Permanently delete trashed tasks matching `filter`, with their subtasks,
+// stored files and everything recorded against them. Returns how many went.
+export async function purgeTasks(filter) {
+  const roots = await Task.find({ ...filter, deletedAt: { $ne: null } }).select('attachments');
+  const subtasks = await Task.find({ parentTask: { $in: roots.map(task => task._id) }, deletedAt: { $ne: null } }).select('attachments');
+  const tasks = [...roots, ...subtasks];
+  if (tasks.length === 0) return 0;
+
+  const taskIds = tasks.map(task => task._id);
+  const files = tasks.flatMap(task => task.attachments.map(file => file.url));
+
+  await Task.deleteMany({ _id: { $in: taskIds } });
+  await TimeEntry.deleteMany({ task: { $in: taskIds } });
+  await TaskReport.deleteMany({ task: { $in: taskIds } });
+  await TaskHistory.deleteMany({ task: { $in: taskIds } });
+  await StatusChangeRequest.deleteMany({ task: { $in: taskIds } });
+  // Dependency links to the purged tasks go, in and out of the trash
+  for (const deletedAt of [null, { $ne: null }]) {
+    await Task.updateMany({ blockedBy: { $in: taskIds }, deletedAt }, { $pull: { blockedBy: { $in: taskIds } } });
+  }
+  await Promise.all(files.map(removeStoredFile));
+
+  return tasks.length;
+}
+
+// Permanently delete a trashed project and everything that belongs to it
+export async function purgeProject(projectId) {
+  await purgeTasks({ project: projectId });
+  await TimeEntry.deleteMany({ project: projectId });
+  await TaskHistory.deleteMany({ project: projectId });
+  await Tag.deleteMany({ project: projectId });
+  await Sprint.deleteMany({ project: projectId });
+  await Milestone.deleteMany({ project: projectId });
+  await Project.deleteOne({ _id: projectId });
+}
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// Schema plugin for optimistic concurrency: `version` goes up with every save that
+// changes one of `fields`, so a client can send the version it loaded and be told
+// when someone else changed the document in the meantime. Bookkeeping such as
+// activity logs, comments and progress doesn't count as a change.
+export function versioned(schema, { fields }) {
+  schema.add({ version: { type: Number, default: 0 } });
+
+  schema.pre('save', function(next) {
+    if (!this.isNew && fields.some(field => this.isModified(field))) {
+      this.version = (this.version || 0) + 1;
+    }
+    next();
+  });
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) && !value._id;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// Comparable form of a value: ids become strings, dates become days
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value._id) return value._id.toString();
+  if (typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value))) {
+    return new Date(value).toISOString().slice(0, 10);
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return value;
+};
+
+// Whether a submitted value differs from the stored one. Objects are compared on
+// the keys that were submitted, since clients rarely send every nested field.
+const differs = (yours, current) => {
+  const stored = current instanceof Map ? Object.fromEntries(current) : current?.toObject?.() ?? current;
+  if (isPlainObject(yours)) {
+    return Object.keys(yours).some(key => differs(yours[key], stored?.[key]));
+  }
+  if (Array.isArray(yours) || Array.isArray(stored)) {
+    return JSON.stringify((yours || []).map(normalize)) !== JSON.stringify((stored || []).map(normalize));
+  }
+  return normalize(yours) !== normalize(stored);
+};
+
+// Check the version a client based its changes on. Returns null when the save may
+// go ahead, otherwise the conflicting fields as { field, yours, current }. A stale
+// version only conflicts when a submitted value differs from the stored one.
+// The save is guarded by the version seen here, so a write that slips in between
+// this check and the save fails with a DocumentNotFoundError.
+export function checkVersion(doc, version, submitted) {
+  if (version === undefined || version === null) return null;
+
+  const conflicts = Number(version) === (doc.version || 0) ? [] : Object.entries(submitted)
+    .filter(([field, yours]) => yours !== undefined && differs(yours, doc.get(field)))
+    .map(([field, yours]) => ({ field, yours, current: doc.get(field) }));
+  if (conflicts.length > 0) return conflicts;
+
+  // Documents saved before versioning have no version field yet
+  doc.$where = { version: doc.version ? doc.version : { $in: [0, null] } };
+  return null;
+}
+
+// Body of a 409 response for a stale version
+export const conflictResponse = (label, conflicts, current) => ({
+  error: `This ${label} was changed by someone else since you opened it`,
+  version: current.version || 0,
+  conflicts,
+  current
+});
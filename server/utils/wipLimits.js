@@ -0,0 +1,45 @@
+import Task from '../models/Task.js';
+import { assigneeIds } from './taskAssignees.js';
+
+// Managers and the project's own manager may push a column past its limit
+export const canOverrideWipLimit = (project, user) =>
+  user.role === 'manager' || (project.manager._id || project.manager).toString() === user.id;
+
+// Check that moving a task (project populated) into `status` and/or to `assignees`
+// stays within the target state's WIP limits. Only tasks entering the state or
+// people joining a task inside it are checked, so existing overloads don't block other edits.
+// Returns null when allowed, otherwise { error, wipLimit } for a 409 response.
+export async function checkWipLimit(task, { status = task.status, assignees = task.assignees } = {}) {
+  const state = task.project.getWorkflowState(status);
+  if (!state || (!state.wipLimit && !state.wipLimitPerAssignee)) return null;
+
+  const enteringState = status !== task.status;
+  const current = assigneeIds(task);
+  const joining = assigneeIds({ assignees }).filter(id => enteringState || !current.includes(id));
+  if (!enteringState && joining.length === 0) return null;
+
+  const others = { project: task.project._id, status, _id: { $ne: task._id } };
+
+  if (enteringState && state.wipLimit) {
+    const count = await Task.countDocuments(others);
+    if (count >= state.wipLimit) {
+      return {
+        error: `"${status}" is at its WIP limit of ${state.wipLimit} task(s)`,
+        wipLimit: { status, scope: 'status', limit: state.wipLimit, count }
+      };
+    }
+  }
+
+  if (state.wipLimitPerAssignee) {
+    for (const assignee of joining) {
+      const count = await Task.countDocuments({ ...others, 'assignees.user': assignee });
+      if (count >= state.wipLimitPerAssignee) {
+        return {
+          error: `An assignee already has ${count} task(s) in "${status}" (limit ${state.wipLimitPerAssignee} per person)`,
+          wipLimit: { status, scope: 'assignee', limit: state.wipLimitPerAssignee, count, assignee }
+        };
+      }
+    }
+  }
+  return null;
+}